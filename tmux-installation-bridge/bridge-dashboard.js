@@ -0,0 +1,597 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Dashboard
+ * ============================
+ *
+ * Live terminal view of a running bridge for the Monitoring pane of the
+ * mt5-bridge tmux window. Every refresh it reads:
+ *
+ *   - /launcher-status: child state, restart history, liveness and circuits
+ *   - /metrics: forwards to GCP by endpoint, turned into rates between refreshes
+ *   - the relay's /status: outbound queue depth by lane
+ *   - the bridge log file: file drop activity and the log tail
+ *
+ * The launcher's status server must be enabled (ENABLE_STATUS_SERVER=true);
+ * without it the dashboard still shows the relay and the log. Frames are
+ * drawn in the alternate screen by overwriting lines in place, so nothing
+ * flickers in a tmux pane.
+ *
+ * Usage: node bridge-dashboard.js [--config path] [--interval ms] [--once]
+ *
+ * Keys: ↑/↓ (or k/j) select a child, r restart it, c reset its restart
+ * circuit, l reload the configuration, q quit. Control actions use the
+ * launcher's control token, read as the launcher does.
+ *
+ * Events: 'stop' once the dashboard has quit and restored the terminal.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const axios = require('axios');
+const { loadConfig } = require('./config-validator');
+
+const DEFAULT_DASHBOARD = {
+    configPath: process.env.GOMERAI_CONFIG_PATH || './config/bridge-config.json',
+    statusUrl: `http://127.0.0.1:${process.env.STATUS_PORT || 9877}`,
+    refreshInterval: 2000,
+    requestTimeout: 1500,
+    logBytes: 256 * 1024, // tail of the log file read every refresh
+    fileDropLines: 5
+};
+
+// Component name the file drop relay logs under
+const FILE_DROP_COMPONENT = 'fileDrop';
+
+const FORWARDS_METRIC = 'gomerai_bridge_forwards_total';
+
+const ESC = '\x1b[';
+const COLORS = { red: 31, green: 32, yellow: 33, blue: 34, dim: 2, bold: 1, inverse: 7 };
+
+function paint(name, text) {
+    if (process.env.NO_COLOR) {
+        return String(text);
+    }
+    return `${ESC}${COLORS[name]}m${text}${ESC}0m`;
+}
+
+// Terminal columns a code point takes: emoji and CJK take two, joiners and selectors none
+function charWidth(codePoint) {
+    if (codePoint === 0x200d || (codePoint >= 0xfe00 && codePoint <= 0xfe0f) || (codePoint >= 0x300 && codePoint <= 0x36f)) {
+        return 0;
+    }
+    if ((codePoint >= 0x1f000 && codePoint <= 0x1faff) || (codePoint >= 0x2600 && codePoint <= 0x27bf)
+        || (codePoint >= 0x1100 && codePoint <= 0x115f) || (codePoint >= 0x2e80 && codePoint <= 0xa4cf)
+        || (codePoint >= 0xac00 && codePoint <= 0xd7a3) || (codePoint >= 0xf900 && codePoint <= 0xfaff)
+        || (codePoint >= 0xff00 && codePoint <= 0xff60)) {
+        return 2;
+    }
+    return 1;
+}
+
+/**
+ * Cut a line, colors included, to a number of terminal columns.
+ *
+ * @param {string} text - Line that may contain color escapes
+ * @param {number} width - Columns available
+ */
+function fit(text, width) {
+    let result = '';
+    let used = 0;
+    let colored = false;
+    for (let i = 0; i < text.length;) {
+        const escape = text.slice(i).match(/^\x1b\[[0-9;]*m/);
+        if (escape) {
+            result += escape[0];
+            colored = escape[0] !== `${ESC}0m`;
+            i += escape[0].length;
+            continue;
+        }
+        const codePoint = text.codePointAt(i);
+        const char = String.fromCodePoint(codePoint);
+        const taken = charWidth(codePoint);
+        if (used + taken > width) {
+            break;
+        }
+        // Control characters from log messages would move the cursor
+        result += codePoint < 0x20 ? ' ' : char;
+        used += taken;
+        i += char.length;
+    }
+    return colored ? `${result}${ESC}0m` : result;
+}
+
+function pad(text, width) {
+    const value = String(text);
+    return value.length >= width ? value : value + ' '.repeat(width - value.length);
+}
+
+function clock(iso) {
+    const date = iso ? new Date(iso) : new Date();
+    return Number.isNaN(date.getTime()) ? '--:--:--' : date.toTimeString().slice(0, 8);
+}
+
+function duration(seconds) {
+    const s = Math.floor(seconds);
+    if (s < 60) {
+        return `${s}s`;
+    }
+    if (s < 3600) {
+        return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+    }
+    return `${Math.floor(s / 3600)}h${String(Math.floor((s % 3600) / 60)).padStart(2, '0')}m`;
+}
+
+function bytes(count) {
+    if (count < 1024) {
+        return `${count} B`;
+    }
+    return count < 1024 * 1024 ? `${(count / 1024).toFixed(1)} KB` : `${(count / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Forwards by endpoint from the Prometheus text of /metrics.
+ *
+ * @param {string} text - Output of GET /metrics
+ * @returns {Object<string, { total: number, errors: number }>} Errors are non-2xx replies and failed requests
+ */
+function parseForwardMetrics(text) {
+    const forwards = {};
+    const pattern = new RegExp(`^${FORWARDS_METRIC}\\{([^}]*)\\}\\s+(\\S+)`, 'gm');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const labels = {};
+        for (const [, name, value] of match[1].matchAll(/(\w+)="([^"]*)"/g)) {
+            labels[name] = value;
+        }
+        const count = Number(match[2]);
+        const entry = forwards[labels.endpoint] = forwards[labels.endpoint] || { total: 0, errors: 0 };
+        entry.total += count;
+        if (!/^2\d\d$/.test(labels.status)) {
+            entry.errors += count;
+        }
+    }
+    return forwards;
+}
+
+/**
+ * Per-minute rates between two samples of parseForwardMetrics(). An
+ * endpoint whose counters went down (the launcher restarted) has no rate.
+ */
+function forwardRates(previous, current, elapsedMs) {
+    const rates = {};
+    for (const [endpoint, now] of Object.entries(current)) {
+        // An endpoint missing from an earlier sample had forwarded nothing yet
+        const before = previous ? previous[endpoint] || { total: 0, errors: 0 } : null;
+        const delta = before ? now.total - before.total : null;
+        if (!before || delta < 0 || elapsedMs <= 0) {
+            rates[endpoint] = { ...now, perMinute: null, errorRate: null };
+            continue;
+        }
+        const errors = now.errors - before.errors;
+        rates[endpoint] = {
+            ...now,
+            perMinute: (delta / elapsedMs) * 60000,
+            errorRate: delta > 0 ? errors / delta : 0
+        };
+    }
+    return rates;
+}
+
+/**
+ * The control token as the launcher resolves it, without generating one:
+ * LAUNCHER_CONTROL_TOKEN, then `control.token`, then control.token next to
+ * the configuration file.
+ */
+function readControlToken(configPath, config) {
+    if (process.env.LAUNCHER_CONTROL_TOKEN) {
+        return process.env.LAUNCHER_CONTROL_TOKEN;
+    }
+    if (config && config.control && config.control.token) {
+        return config.control.token;
+    }
+    try {
+        return fs.readFileSync(path.join(path.dirname(configPath), 'control.token'), 'utf8').trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+class BridgeDashboard extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.configPath] - bridge-config.json, for the relay port, log file and file drop path
+     * @param {string} [options.statusUrl] - Launcher status server
+     * @param {number} [options.refreshInterval] - ms between refreshes
+     * @param {NodeJS.ReadStream} [options.input] - Keyboard
+     * @param {NodeJS.WriteStream} [options.output] - Terminal
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_DASHBOARD, input: process.stdin, output: process.stdout, ...options };
+        this.config = null;
+        this.configError = null;
+        this.token = null;
+        this.snapshot = null;
+        this.forwardSample = null; // { at, forwards } of the previous refresh
+        this.selected = 0;
+        this.message = null;
+        this.busy = false;
+        this.timer = null;
+        this.running = false;
+        this.loadSettings();
+    }
+
+    loadSettings() {
+        try {
+            this.config = loadConfig(this.options.configPath);
+            this.configError = null;
+        } catch (error) {
+            this.config = null;
+            this.configError = error.message;
+        }
+        this.token = readControlToken(this.options.configPath, this.config);
+    }
+
+    get relayUrl() {
+        const port = this.config ? this.config.relay.port : 9876;
+        return `http://127.0.0.1:${port}`;
+    }
+
+    async get(url, responseType = 'json') {
+        const { data } = await axios.get(url, { timeout: this.options.requestTimeout, responseType });
+        return data;
+    }
+
+    /**
+     * Read everything the dashboard shows. Sources that cannot be reached are
+     * reported in `errors` instead of failing the refresh.
+     */
+    async collect() {
+        const [launcher, metrics, relay] = await Promise.allSettled([
+            this.get(`${this.options.statusUrl}/launcher-status`),
+            this.get(`${this.options.statusUrl}/metrics`, 'text'),
+            this.get(`${this.relayUrl}/status`)
+        ]);
+        const errors = {};
+        const value = (name, result) => {
+            if (result.status === 'fulfilled') {
+                return result.value;
+            }
+            errors[name] = result.reason.code || result.reason.message;
+            return null;
+        };
+
+        let rates = null;
+        const metricsText = value('metrics', metrics);
+        if (metricsText !== null) {
+            const sample = { at: Date.now(), forwards: parseForwardMetrics(metricsText) };
+            const previous = this.forwardSample;
+            rates = forwardRates(previous && previous.forwards, sample.forwards, previous ? sample.at - previous.at : 0);
+            this.forwardSample = sample;
+        }
+
+        const entries = this.readLog();
+        return {
+            at: new Date().toISOString(),
+            launcher: value('launcher', launcher),
+            relay: value('relay', relay),
+            rates,
+            fileDrops: {
+                ...this.countFileDrops(),
+                activity: entries.filter(entry => entry.component === FILE_DROP_COMPONENT).slice(-this.options.fileDropLines)
+            },
+            log: entries,
+            errors
+        };
+    }
+
+    // Parsed entries from the end of the JSON-lines log file, oldest first
+    readLog() {
+        const file = this.config && this.config.logging && this.config.logging.file;
+        if (!file) {
+            return [];
+        }
+        let fd;
+        try {
+            fd = fs.openSync(file, 'r');
+            const { size } = fs.fstatSync(fd);
+            const length = Math.min(size, this.options.logBytes);
+            const buffer = Buffer.alloc(length);
+            fs.readSync(fd, buffer, 0, length, size - length);
+            const lines = buffer.toString('utf8').split('\n');
+            if (length < size) {
+                lines.shift(); // starts mid-line
+            }
+            return lines.filter(Boolean).map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            }).filter(Boolean);
+        } catch (error) {
+            return [];
+        } finally {
+            if (fd !== undefined) {
+                fs.closeSync(fd);
+            }
+        }
+    }
+
+    // Files waiting in inbound/ and parked in failed/ or quarantine/
+    countFileDrops() {
+        const watchPath = this.config && this.config.fileDrop && this.config.fileDrop.enabled !== false && this.config.fileDrop.watchPath;
+        if (!watchPath) {
+            return { enabled: false, inbound: null, failed: null, quarantined: null };
+        }
+        const count = (dir, filter = () => true) => {
+            try {
+                return fs.readdirSync(dir).filter(filter).length;
+            } catch (error) {
+                return null;
+            }
+        };
+        const inbound = path.resolve(watchPath);
+        const parked = file => !file.endsWith('.error.json');
+        return {
+            enabled: true,
+            inbound: count(inbound),
+            failed: count(path.join(path.dirname(inbound), 'failed'), parked),
+            quarantined: count(path.join(path.dirname(inbound), 'quarantine'), parked)
+        };
+    }
+
+    get childNames() {
+        return this.snapshot && this.snapshot.launcher ? Object.keys(this.snapshot.launcher.processes) : [];
+    }
+
+    /**
+     * Lines of one frame. Pure, so a frame can be checked without a terminal.
+     *
+     * @param {object} snapshot - Output of collect()
+     * @param {{ columns: number, rows: number }} size - Terminal size
+     * @returns {string[]} At most `rows` lines, each fitted to `columns`
+     */
+    render(snapshot, { columns, rows }) {
+        const lines = [];
+        const section = title => lines.push(paint('bold', title));
+        const { launcher, relay, rates, fileDrops, errors } = snapshot;
+
+        const version = launcher ? launcher.config.version : (this.config ? this.config.version : 'unknown');
+        const launcherPart = launcher
+            ? `launcher pid ${launcher.launcher.pid} up ${duration(launcher.launcher.uptime)}${launcher.launcher.isShuttingDown ? paint('yellow', ' shutting down') : ''}`
+            : paint('red', `launcher status unavailable (${errors.launcher})`);
+        const relayPart = relay
+            ? `relay ${relay.server.draining ? paint('yellow', 'draining') : paint('green', 'up')} ${duration(relay.server.uptime)}`
+            : paint('red', `relay unreachable (${errors.relay})`);
+        lines.push(`${paint('bold', 'GomerAI MT5 Bridge')} ${version}  ${launcherPart}  ${relayPart}  ${clock(snapshot.at)}`);
+        if (this.configError) {
+            lines.push(paint('yellow', `Config: ${this.configError}`));
+        }
+        if (!launcher) {
+            lines.push(paint('dim', 'Start the launcher with ENABLE_STATUS_SERVER=true for children, restarts and rates'));
+        }
+
+        if (launcher) {
+            section('Children');
+            Object.entries(launcher.processes).forEach(([name, child], index) => {
+                const state = !child.enabled ? paint('dim', '○ disabled')
+                    : child.running ? paint('green', '● running ')
+                        : child.circuit && child.circuit.state === 'open' ? paint('red', '● circuit open') : paint('red', '● stopped ');
+                const liveness = child.liveness && child.liveness.lastResult
+                    ? `health ${child.liveness.lastResult === 'passed' ? 'ok' : paint('red', child.liveness.lastResult)}${child.liveness.lastLatencyMs !== null ? ` ${child.liveness.lastLatencyMs}ms` : ''}`
+                    : '';
+                const queue = child.liveness && child.liveness.queueSize !== null && child.liveness.queueSize !== undefined
+                    ? `queue ${child.liveness.queueSize}` : '';
+                const next = child.circuit && child.circuit.nextRestartAt ? `next restart ${clock(child.circuit.nextRestartAt)}` : '';
+                const marker = index === this.selected ? paint('inverse', '>') : ' ';
+                lines.push(`${marker} ${pad(name, 10)} ${state}  pid ${pad(child.pid || '-', 7)} restarts ${pad(child.restarts, 3)} ${[liveness, queue, next].filter(Boolean).join('  ')}`);
+            });
+
+            const history = Object.entries(launcher.processes)
+                .flatMap(([name, child]) => (child.restartHistory || []).map(entry => ({ name, ...entry })))
+                .sort((a, b) => a.at.localeCompare(b.at))
+                .slice(-4);
+            section('Restarts');
+            if (history.length === 0) {
+                lines.push(paint('dim', '  none since the launcher started'));
+            }
+            history.forEach(entry => {
+                const backoff = entry.delay ? `, backoff ${(entry.delay / 1000).toFixed(1)}s` : '';
+                lines.push(`  ${clock(entry.at)} ${pad(entry.name, 10)} ${entry.reason}${entry.attempt ? ` (attempt ${entry.attempt}${backoff})` : ''}`);
+            });
+        }
+
+        section('Forwards to GCP');
+        if (!rates) {
+            lines.push(paint('dim', `  no metrics (${errors.metrics || 'status server disabled'})`));
+        } else if (Object.keys(rates).length === 0) {
+            lines.push(paint('dim', '  nothing forwarded yet'));
+        } else {
+            Object.entries(rates).forEach(([endpoint, rate]) => {
+                const perMinute = rate.perMinute === null ? '     -' : rate.perMinute.toFixed(1).padStart(6);
+                const errorRate = rate.errorRate === null ? '    -' : `${(rate.errorRate * 100).toFixed(1)}%`.padStart(6);
+                const coloredRate = rate.errorRate > 0 ? paint(rate.errorRate >= 0.05 ? 'red' : 'yellow', errorRate) : errorRate;
+                lines.push(`  ${pad(endpoint, 12)} ${perMinute}/min  errors ${coloredRate}  total ${rate.total} (${rate.errors} failed)`);
+            });
+        }
+
+        if (relay) {
+            const { queue } = relay;
+            const lanes = Object.entries(queue.lanes).filter(([, lane]) => lane.pending > 0)
+                .map(([name, lane]) => `${name} ${lane.pending}${lane.lastError ? paint('red', ' !') : ''}`);
+            const depth = queue.size > 0 ? paint('yellow', `${queue.size} pending`) : '0 pending';
+            lines.push(`${paint('bold', 'Queue')}  ${depth} (${bytes(queue.bytes)})${lanes.length > 0 ? `  ${lanes.join(', ')}` : ''}`);
+        }
+
+        if (fileDrops.enabled) {
+            const parked = (label, value) => (value ? paint('red', `${label} ${value}`) : `${label} ${value === null ? '-' : 0}`);
+            lines.push(`${paint('bold', 'File drops')}  inbound ${fileDrops.inbound === null ? '-' : fileDrops.inbound}  ${parked('failed', fileDrops.failed)}  ${parked('quarantined', fileDrops.quarantined)}`);
+            fileDrops.activity.forEach(entry => lines.push(`  ${clock(entry.timestamp)} ${entry.message}`));
+        }
+
+        // The log tail gets whatever rows are left, less the key help line
+        section('Log');
+        const room = rows - lines.length - 1;
+        const tail = room > 0 ? snapshot.log.slice(-room) : [];
+        tail.forEach(entry => {
+            const level = entry.level === 'error' ? paint('red', 'E') : entry.level === 'warn' ? paint('yellow', 'W') : paint('dim', 'I');
+            lines.push(`  ${clock(entry.timestamp)} ${level} ${pad(entry.component || '', 8)} ${entry.message}`);
+        });
+
+        const keys = paint('dim', '↑↓ select  r restart  c reset circuit  l reload  q quit');
+        const frame = lines.slice(0, Math.max(0, rows - 1));
+        frame.push(this.message ? `${keys}  ${this.message}` : keys);
+        return frame.map(line => fit(line, columns));
+    }
+
+    /**
+     * Call the launcher's control API and report the outcome in the key line.
+     *
+     * @param {string} route - e.g. /reload or /children/relay/restart
+     * @param {string} label - What is being done, for the message
+     */
+    async control(route, label) {
+        if (this.busy) {
+            return;
+        }
+        if (!this.token) {
+            this.message = paint('red', 'No control token (LAUNCHER_CONTROL_TOKEN, control.token or config/control.token)');
+            this.draw();
+            return;
+        }
+
+        this.busy = true;
+        this.message = paint('yellow', `${label}...`);
+        this.draw();
+        try {
+            await axios.post(`${this.options.statusUrl}${route}`, {}, {
+                headers: { Authorization: `Bearer ${this.token}` },
+                timeout: 60000
+            });
+            this.message = paint('green', `${label}: done`);
+        } catch (error) {
+            const reply = error.response && error.response.data && error.response.data.error;
+            this.message = paint('red', `${label} failed: ${reply ? reply.message : error.message}`);
+        } finally {
+            this.busy = false;
+        }
+        await this.refresh();
+    }
+
+    handleKey(str, key = {}) {
+        const name = key.name || str;
+        const children = this.childNames;
+        if (name === 'q' || (key.ctrl && name === 'c')) {
+            this.stop();
+        } else if (name === 'up' || name === 'k') {
+            this.selected = Math.max(0, this.selected - 1);
+            this.draw();
+        } else if (name === 'down' || name === 'j') {
+            this.selected = Math.min(Math.max(0, children.length - 1), this.selected + 1);
+            this.draw();
+        } else if (name === 'r' && children[this.selected]) {
+            this.control(`/children/${children[this.selected]}/restart`, `Restarting ${children[this.selected]}`);
+        } else if (name === 'c' && children[this.selected]) {
+            this.control(`/children/${children[this.selected]}/reset-circuit`, `Resetting the ${children[this.selected]} circuit`);
+        } else if (name === 'l') {
+            // The token may have been rotated along with the configuration
+            this.control('/reload', 'Reloading configuration').then(() => this.loadSettings());
+        }
+    }
+
+    async refresh() {
+        this.snapshot = await this.collect();
+        this.selected = Math.min(this.selected, Math.max(0, this.childNames.length - 1));
+        this.draw();
+    }
+
+    // One write per frame: home, every line cleared to its end, then the rest of the screen
+    draw() {
+        if (!this.running || !this.snapshot) {
+            return;
+        }
+        const { output } = this.options;
+        const lines = this.render(this.snapshot, { columns: output.columns || 100, rows: output.rows || 40 });
+        output.write(`${ESC}H${lines.join(`${ESC}K\r\n`)}${ESC}K${ESC}J`);
+    }
+
+    async start() {
+        const { input, output } = this.options;
+        this.running = true;
+        output.write(`${ESC}?1049h${ESC}?25l`); // alternate screen, cursor hidden
+
+        readline.emitKeypressEvents(input);
+        if (input.isTTY) {
+            input.setRawMode(true);
+        }
+        input.on('keypress', this.onKeypress = (str, key) => this.handleKey(str, key));
+        input.resume();
+        output.on('resize', this.onResize = () => this.draw());
+
+        const loop = async () => {
+            await this.refresh();
+            if (this.running) {
+                this.timer = setTimeout(loop, this.options.refreshInterval);
+            }
+        };
+        await loop();
+    }
+
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        const { input, output } = this.options;
+        this.running = false;
+        clearTimeout(this.timer);
+        input.off('keypress', this.onKeypress);
+        output.off('resize', this.onResize);
+        if (input.isTTY) {
+            input.setRawMode(false);
+        }
+        input.pause();
+        output.write(`${ESC}?25h${ESC}?1049l`);
+        this.emit('stop');
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const value = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const dashboard = new BridgeDashboard({
+        configPath: value('--config') || DEFAULT_DASHBOARD.configPath,
+        refreshInterval: Number(value('--interval')) || DEFAULT_DASHBOARD.refreshInterval
+    });
+
+    // Outside a terminal (or with --once) print a single frame
+    if (args.includes('--once') || !process.stdout.isTTY) {
+        const snapshot = await dashboard.collect();
+        const lines = dashboard.render(snapshot, { columns: process.stdout.columns || 120, rows: process.stdout.rows || 40 });
+        process.stdout.write(`${lines.join('\n')}\n`);
+        return;
+    }
+
+    // Leave the terminal usable however the pane is stopped
+    dashboard.once('stop', () => process.exit(0));
+    process.on('SIGTERM', () => dashboard.stop());
+    process.on('SIGHUP', () => dashboard.stop());
+    await dashboard.start();
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Dashboard failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    BridgeDashboard,
+    DEFAULT_DASHBOARD,
+    fit,
+    forwardRates,
+    parseForwardMetrics
+};
@@ -7,40 +7,49 @@
  * Designed to be embedded in tmux installation.exe
  */
 
-const fs = require('fs');
 const path = require('path');
-const { spawn, fork } = require('child_process');
+const { fork } = require('child_process');
+const { resolveChildSpecs } = require('./child-specs');
+const RestartCircuit = require('./restart-circuit');
+const BridgeMetrics = require('./metrics');
+const { LifecycleEvents } = require('./lifecycle-events');
+const { StatusFile } = require('./status-file');
+const { ConfigValidationError, loadConfig } = require('./config-validator');
+const { diffConfig, touchesAny } = require('./config-diff');
+const { applyLoggingConfig, closeLogger, createLogger, newCorrelationId, writeForwardedEntry } = require('./logger');
 
 // Configuration
 const CONFIG = {
     configPath: process.env.GOMERAI_CONFIG_PATH || './config/bridge-config.json',
-    relayScript: './relay-server.js',
-    fileDropScript: './file-drop-relay.js',
-    healthCheckInterval: 30000, // 30 seconds
-    restartDelay: 5000, // 5 seconds
-    maxRestarts: 10,
-    restartWindow: 300000 // 5 minutes
+    // Both can be shortened from the environment, as the chaos scenarios do
+    healthCheckInterval: Number(process.env.GOMERAI_HEALTH_CHECK_INTERVAL) || 30000, // 30 seconds
+    stopTimeout: Number(process.env.GOMERAI_STOP_TIMEOUT) || 10000 // 10 seconds before a stopping child is force killed
 };
 
+// Recovery actions kept for getStatus()
+const MAX_RECOVERY_HISTORY = 50;
+
+// Restarts kept per child for getStatus()
+const MAX_RESTART_HISTORY = 20;
+
 class BridgeLauncher {
     constructor() {
+        this.logger = createLogger('launcher');
         this.config = null;
-        this.relayProcess = null;
-        this.fileDropProcess = null;
-        this.restartCounts = {
-            relay: 0,
-            fileDrop: 0
-        };
-        this.restartTimestamps = {
-            relay: [],
-            fileDrop: []
-        };
+        this.childSpecs = [];
+        this.children = new Map(); // name -> { spec, process, ready, restarts, circuit }
         this.healthCheckTimer = null;
+        this.recoveries = [];
+        this.lastReload = null;
+        this.metrics = new BridgeMetrics(this);
+        this.events = new LifecycleEvents();
+        this.statusFile = new StatusFile(this);
+        this.operations = new Map(); // in flight: child name -> operation, or '*' for launcher-wide ones
         this.isShuttingDown = false;
     }
 
     async initialize() {
-        console.log('🚀 GomerAI MT5 Bridge Launcher Starting...');
+        this.logger.info('🚀 GomerAI MT5 Bridge Launcher Starting...');
         
         // Load configuration
         await this.loadConfiguration();
@@ -54,199 +63,480 @@ class BridgeLauncher {
         // Start health monitoring
         this.startHealthMonitoring();
         
-        console.log('✅ MT5 Bridge Launcher initialized successfully');
-        console.log(`📊 Health checks every ${CONFIG.healthCheckInterval / 1000} seconds`);
-        console.log(`🔄 Max ${CONFIG.maxRestarts} restarts per ${CONFIG.restartWindow / 60000} minutes`);
+        this.logger.info('✅ MT5 Bridge Launcher initialized successfully');
+        this.events.publish('launcher.started', {
+            pid: process.pid,
+            version: this.config.version,
+            children: this.childSpecs.filter(s => s.enabled).map(s => s.name)
+        });
+        this.logger.info(`📊 Health checks every ${CONFIG.healthCheckInterval / 1000} seconds`);
+        for (const spec of this.childSpecs.filter(s => s.enabled)) {
+            this.logger.info(`🔄 ${spec.displayName}: restart ${spec.restart.policy}, backoff ${spec.restart.delay / 1000}-${spec.restart.maxDelay / 1000}s, circuit opens after ${spec.restart.maxRestarts} restarts per ${spec.restart.window / 60000} minutes`);
+        }
     }
 
     async loadConfiguration() {
         try {
-            if (!fs.existsSync(CONFIG.configPath)) {
-                throw new Error(`Configuration file not found: ${CONFIG.configPath}`);
-            }
+            this.config = loadConfig(CONFIG.configPath);
+            this.childSpecs = resolveChildSpecs(this.config);
+            applyLoggingConfig(this.logger, this.config.logging);
             
-            const configData = fs.readFileSync(CONFIG.configPath, 'utf8');
-            this.config = JSON.parse(configData);
-            
-            console.log(`📋 Configuration loaded from: ${CONFIG.configPath}`);
-            console.log(`🔧 Bridge version: ${this.config.version}`);
-            console.log(`🌐 Relay port: ${this.config.relay.port}`);
+            this.logger.info(`📋 Configuration loaded from: ${CONFIG.configPath}`);
+            this.logger.info(`🔧 Bridge version: ${this.config.version}`);
+            this.logger.info(`🌐 Relay port: ${this.config.relay.port}`);
+            this.logger.info(`🧩 Supervised children: ${this.childSpecs.map(s => s.enabled ? s.name : `${s.name} (disabled)`).join(', ')}`);
+            this.logger.info(`📄 Status file: ${this.statusFile.path}`);
             
         } catch (error) {
-            console.error('❌ Failed to load configuration:', error.message);
-            process.exit(1);
+            if (error instanceof ConfigValidationError) {
+                this.logger.error(`❌ Failed to load configuration: ${error.configPath}`, { errors: error.errors });
+                error.errors.forEach(({ field, message }) => {
+                    this.logger.error(`   • ${field}: ${message}`);
+                });
+            } else {
+                this.logger.error(`❌ Failed to load configuration: ${error.message}`);
+            }
+            // main() shuts down, so the status file records why
+            throw error;
         }
     }
 
     setupSignalHandlers() {
         const gracefulShutdown = (signal) => {
-            console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
+            this.logger.info(`🛑 Received ${signal}, shutting down gracefully...`);
             this.shutdown();
         };
 
         process.on('SIGINT', gracefulShutdown);
         process.on('SIGTERM', gracefulShutdown);
         process.on('SIGHUP', () => {
-            console.log('🔄 Received SIGHUP, reloading configuration...');
-            this.reloadConfiguration();
+            this.logger.info('🔄 Received SIGHUP, reloading configuration...');
+            this.runExclusive('*', 'reload', () => this.reloadConfiguration()).catch(error => {
+                this.logger.warn(`⚠️  Ignoring SIGHUP: ${error.message}`);
+            });
+        });
+        process.on('SIGUSR2', () => {
+            this.logger.info('🔌 Received SIGUSR2, resetting open restart circuits...');
+            for (const state of this.children.values()) {
+                if (state.circuit.isOpen()) {
+                    this.resetCircuit(state.spec.name);
+                }
+            }
         });
 
         process.on('uncaughtException', (error) => {
-            console.error('💥 Uncaught Exception:', error);
+            this.logger.error(`💥 Uncaught Exception: ${error.message}`, { stack: error.stack });
             this.shutdown();
         });
 
         process.on('unhandledRejection', (reason, promise) => {
-            console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+            this.logger.error(`💥 Unhandled Rejection: ${reason instanceof Error ? reason.message : reason}`, {
+                stack: reason instanceof Error ? reason.stack : undefined
+            });
         });
     }
 
     async startBridgeComponents() {
-        console.log('🔧 Starting bridge components...');
+        this.logger.info('🔧 Starting bridge components...');
         
-        // Start HTTP Relay Server
-        await this.startRelayServer();
-        
-        // Start File Drop Relay (if enabled)
-        if (this.config.fileDrop && this.config.fileDrop.enabled) {
-            await this.startFileDropRelay();
-        } else {
-            console.log('📁 File Drop Relay disabled in configuration');
+        // Specs are already in dependency order
+        for (const spec of this.childSpecs) {
+            if (!spec.enabled) {
+                this.logger.info(`⏸️  ${spec.displayName} disabled in configuration`);
+                continue;
+            }
+
+            const missing = spec.dependsOn.filter(dependency => !this.isChildRunning(dependency));
+            if (missing.length > 0) {
+                this.logger.warn(`⚠️  Skipping ${spec.displayName}: dependencies not running (${missing.join(', ')})`);
+                continue;
+            }
+
+            try {
+                await this.startChild(spec.name);
+            } catch (error) {
+                throw new Error(`Bridge startup failed: ${error.message}`);
+            }
+        }
+    }
+
+    getChildState(name) {
+        if (!this.children.has(name)) {
+            const spec = this.childSpecs.find(s => s.name === name);
+            if (!spec) {
+                throw new Error(`Unknown child: ${name}`);
+            }
+            this.children.set(name, {
+                spec,
+                process: null,
+                ready: false,
+                restarts: 0,
+                restartHistory: [],
+                restartTimer: null,
+                circuit: new RestartCircuit(spec.restart),
+                recovering: false,
+                recoveryCount: 0,
+                stopRequested: false,
+                liveness: {
+                    consecutiveFailures: 0,
+                    lastResult: null,
+                    lastError: null,
+                    lastCheckAt: null,
+                    lastLatencyMs: null,
+                    queueSize: null
+                }
+            });
         }
+        return this.children.get(name);
+    }
+
+    isChildRunning(name) {
+        const state = this.children.get(name);
+        // A child killed by a signal from outside has a signalCode but no exitCode
+        return Boolean(state && state.ready && state.process && state.process.exitCode === null
+            && state.process.signalCode === null && !state.process.killed);
     }
 
-    async startRelayServer() {
+    async startChild(name) {
+        const state = this.getChildState(name);
+        const { spec } = state;
+        const correlationId = newCorrelationId();
+        const log = this.logger.child({ correlationId, child: spec.name });
+
         return new Promise((resolve, reject) => {
-            console.log('🌐 Starting HTTP Relay Server...');
+            log.info(`▶️  Starting ${spec.displayName}...`);
             
-            const relayEnv = {
+            const childEnv = {
                 ...process.env,
                 NODE_ENV: 'production',
-                GOMERAI_CONFIG_PATH: CONFIG.configPath
+                GOMERAI_CONFIG_PATH: CONFIG.configPath,
+                GOMERAI_CHILD_NAME: spec.name,
+                GOMERAI_CORRELATION_ID: correlationId,
+                ...spec.env
             };
 
-            this.relayProcess = fork(CONFIG.relayScript, [], {
-                env: relayEnv,
+            const child = fork(spec.script, spec.args, {
+                cwd: path.dirname(spec.script),
+                env: childEnv,
                 silent: false
             });
-
-            this.relayProcess.on('message', (message) => {
-                if (message.type === 'ready') {
-                    console.log('✅ HTTP Relay Server started successfully');
+            state.process = child;
+            state.ready = false;
+            state.liveness.consecutiveFailures = 0;
+            const spawnedAt = Date.now();
+            this.events.publish('child.spawned', { child: spec.name, pid: child.pid, correlationId });
+
+            let settled = false;
+            const settle = (error) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(deadline);
+                clearInterval(probeTimer);
+
+                if (error) {
+                    log.error(`❌ ${spec.displayName} failed to start: ${error.message}`);
+                    this.events.publish('child.startup-failed', { child: spec.name, pid: child.pid, error: error.message });
+                    reject(error);
+                } else {
+                    state.ready = true;
+                    state.circuit.recordReady();
+                    log.info(`✅ ${spec.displayName} started successfully`);
+                    this.events.publish('child.ready', { child: spec.name, pid: child.pid, startupMs: Date.now() - spawnedAt });
                     resolve();
+                }
+            };
+
+            // A child that has not proven readiness by the deadline is killed
+            const deadline = setTimeout(() => {
+                settle(new Error(`${spec.displayName} did not become ready within ${spec.startupTimeout}ms`));
+                child.kill('SIGKILL');
+            }, spec.startupTimeout);
+
+            let probeTimer = null;
+            if (spec.readiness.type === 'http') {
+                probeTimer = setInterval(() => {
+                    this.probeReadiness(spec).then(ready => {
+                        if (ready && state.process === child) {
+                            settle();
+                        }
+                    });
+                }, spec.readiness.interval);
+            }
+
+            child.on('message', (message) => {
+                if (message.type === 'log') {
+                    writeForwardedEntry(this.logger, message.entry);
+                } else if (message.type === 'forward') {
+                    this.metrics.recordForward(message);
+                } else if (message.type === 'ready' && spec.readiness.type === 'ipc') {
+                    settle();
                 } else if (message.type === 'error') {
-                    console.error('❌ HTTP Relay Server error:', message.error);
+                    log.error(`❌ ${spec.displayName} error: ${message.error}`);
                 }
             });
 
-            this.relayProcess.on('exit', (code, signal) => {
-                console.log(`🔄 HTTP Relay Server exited (code: ${code}, signal: ${signal})`);
+            child.on('exit', (code, signal) => {
+                log.info(`🔄 ${spec.displayName} exited (code: ${code}, signal: ${signal})`);
+                // Expected exits are the launcher's own doing: shutdown, operator stops,
+                // reloads and liveness recoveries
+                this.events.publish('child.exited', {
+                    child: spec.name,
+                    pid: child.pid,
+                    code,
+                    signal,
+                    expected: settled && (this.isShuttingDown || state.process !== child
+                        || state.stopRequested || state.recovering)
+                });
+
+                if (!settled) {
+                    // Crashed during startup; the caller decides what happens next
+                    settle(new Error(`${spec.displayName} exited during startup (code: ${code}, signal: ${signal})`));
+                    return;
+                }
                 
-                if (!this.isShuttingDown) {
-                    this.handleProcessExit('relay', code, signal);
+                if (!this.isShuttingDown && state.process === child) {
+                    if (state.stopRequested) {
+                        // Stopped on purpose through the control API
+                        return;
+                    }
+                    if (state.recovering) {
+                        // Liveness recovery always restarts, whatever the restart policy
+                        state.recovering = false;
+                        this.scheduleRestart(spec.name, 'liveness recovery');
+                    } else {
+                        this.handleProcessExit(spec.name, code, signal);
+                    }
                 }
             });
 
-            this.relayProcess.on('error', (error) => {
-                console.error('❌ HTTP Relay Server spawn error:', error);
-                reject(error);
+            child.on('error', (error) => {
+                log.error(`❌ ${spec.displayName} spawn error: ${error.message}`);
+                settle(error);
             });
-
-            // Timeout for startup
-            setTimeout(() => {
-                if (this.relayProcess && !this.relayProcess.killed) {
-                    console.log('✅ HTTP Relay Server startup timeout reached, assuming success');
-                    resolve();
-                }
-            }, 10000);
         });
     }
 
-    async startFileDropRelay() {
-        return new Promise((resolve, reject) => {
-            console.log('📁 Starting File Drop Relay...');
-            
-            const fileDropEnv = {
-                ...process.env,
-                NODE_ENV: 'production',
-                GOMERAI_CONFIG_PATH: CONFIG.configPath
-            };
-
-            this.fileDropProcess = fork(CONFIG.fileDropScript, [], {
-                env: fileDropEnv,
-                silent: false
-            });
-
-            this.fileDropProcess.on('message', (message) => {
-                if (message.type === 'ready') {
-                    console.log('✅ File Drop Relay started successfully');
-                    resolve();
-                } else if (message.type === 'error') {
-                    console.error('❌ File Drop Relay error:', message.error);
-                }
+    async probeReadiness(spec) {
+        try {
+            const axios = require('axios');
+            const response = await axios.get(spec.readiness.url, {
+                timeout: spec.readiness.interval,
+                validateStatus: () => true
             });
+            return response.status >= 200 && response.status < 300;
+        } catch (error) {
+            return false;
+        }
+    }
 
-            this.fileDropProcess.on('exit', (code, signal) => {
-                console.log(`🔄 File Drop Relay exited (code: ${code}, signal: ${signal})`);
-                
-                if (!this.isShuttingDown) {
-                    this.handleProcessExit('fileDrop', code, signal);
-                }
-            });
+    handleProcessExit(name, code, signal) {
+        const { spec } = this.getChildState(name);
+        const policy = spec.restart;
 
-            this.fileDropProcess.on('error', (error) => {
-                console.error('❌ File Drop Relay spawn error:', error);
-                reject(error);
-            });
+        if (policy.policy === 'never' || (policy.policy === 'on-failure' && code === 0 && !signal)) {
+            this.logger.info(`⏹️  ${spec.displayName} will not be restarted (restart policy: ${policy.policy})`);
+            return;
+        }
 
-            // Timeout for startup
-            setTimeout(() => {
-                if (this.fileDropProcess && !this.fileDropProcess.killed) {
-                    console.log('✅ File Drop Relay startup timeout reached, assuming success');
-                    resolve();
-                }
-            }, 5000);
-        });
+        this.scheduleRestart(name, `exited (code: ${code}, signal: ${signal})`);
     }
 
-    handleProcessExit(processType, code, signal) {
-        const now = Date.now();
-        const timestamps = this.restartTimestamps[processType];
-        
-        // Clean old timestamps (outside restart window)
-        const cutoff = now - CONFIG.restartWindow;
-        this.restartTimestamps[processType] = timestamps.filter(t => t > cutoff);
-        
-        // Check if we've exceeded restart limit
-        if (this.restartTimestamps[processType].length >= CONFIG.maxRestarts) {
-            console.error(`💀 ${processType} has exceeded restart limit (${CONFIG.maxRestarts} restarts in ${CONFIG.restartWindow / 60000} minutes)`);
-            console.error('🛑 Stopping automatic restarts to prevent infinite loop');
+    /**
+     * @param {string} name - Child to restart
+     * @param {string} reason - Why, for the restart history
+     */
+    scheduleRestart(name, reason) {
+        const state = this.getChildState(name);
+        const { spec } = state;
+        const decision = state.circuit.recordCrash();
+
+        if (!decision.allowed) {
+            const circuit = state.circuit.toJSON();
+            this.logger.error(`💀 ${spec.displayName} restart circuit is open (${circuit.openReason})`);
+            this.logger.error('🛑 Automatic restarts stopped; send SIGUSR2 to reset the circuit');
+            this.events.publish('child.circuit-open', {
+                child: name,
+                reason: circuit.openReason,
+                restartsInWindow: circuit.restartsInWindow
+            });
             return;
         }
         
-        // Add current restart timestamp
-        this.restartTimestamps[processType].push(now);
-        this.restartCounts[processType]++;
+        state.restarts++;
+        this.recordRestart(state, { reason, attempt: decision.attempt, delay: decision.delay });
+        this.events.publish('child.restart-scheduled', {
+            child: name,
+            reason,
+            attempt: decision.attempt,
+            delay: decision.delay,
+            restarts: state.restarts
+        });
         
-        console.log(`🔄 Restarting ${processType} in ${CONFIG.restartDelay / 1000} seconds (attempt ${this.restartCounts[processType]})...`);
+        this.logger.info(`🔄 Restarting ${spec.displayName} in ${(decision.delay / 1000).toFixed(1)} seconds (attempt ${decision.attempt}, ${state.restarts} total)...`);
         
-        setTimeout(() => {
+        state.restartTimer = setTimeout(() => {
+            state.restartTimer = null;
             if (!this.isShuttingDown) {
-                if (processType === 'relay') {
-                    this.startRelayServer().catch(error => {
-                        console.error('❌ Failed to restart HTTP Relay Server:', error);
-                    });
-                } else if (processType === 'fileDrop') {
-                    this.startFileDropRelay().catch(error => {
-                        console.error('❌ Failed to restart File Drop Relay:', error);
-                    });
-                }
+                this.startChild(name).catch(error => {
+                    // A restart that never becomes ready counts as another crash
+                    this.logger.error(`❌ Failed to restart ${spec.displayName}: ${error.message}`);
+                    this.scheduleRestart(name, `restart failed: ${error.message}`);
+                });
             }
-        }, CONFIG.restartDelay);
+        }, decision.delay);
+    }
+
+    recordRestart(state, { reason, attempt = null, delay = 0 }) {
+        state.restartHistory.push({ at: new Date().toISOString(), reason, attempt, delay });
+        if (state.restartHistory.length > MAX_RESTART_HISTORY) {
+            state.restartHistory.shift();
+        }
+    }
+
+    resetCircuit(name) {
+        const state = this.getChildState(name);
+        const { spec } = state;
+        const wasOpen = state.circuit.isOpen();
+
+        state.circuit.reset();
+        this.logger.info(`🔌 ${spec.displayName} restart circuit reset`);
+        this.events.publish('child.circuit-reset', { child: name });
+
+        // An open circuit left the child stopped; bring it back now
+        if (wasOpen && spec.enabled && !state.restartTimer && !this.isChildRunning(name) && !this.isShuttingDown) {
+            this.startChild(name).catch(error => {
+                this.logger.error(`❌ Failed to restart ${spec.displayName}: ${error.message}`);
+                this.scheduleRestart(name, `restart failed: ${error.message}`);
+            });
+        }
+
+        return state.circuit.toJSON();
+    }
+
+    // Operator actions, used by the control API on the status server
+
+    /**
+     * Run an operator action unless a conflicting one is in flight: another
+     * action on the same child, or anything while a launcher-wide action
+     * (reload, shutdown) runs. The control API and SIGHUP share this guard.
+     *
+     * @param {string} key - Child name, or '*' for a launcher-wide action
+     * @param {string} operation - Name reported to conflicting callers
+     * @param {Function} fn - The action
+     * @returns {Promise<*>} What the action returned
+     * @throws {Error} With status 409 and code 'conflict' when refused
+     */
+    async runExclusive(key, operation, fn) {
+        const conflict = this.isShuttingDown ? 'shutdown'
+            : this.operations.get('*') || (key === '*' ? [...this.operations.values()][0] : this.operations.get(key));
+        if (conflict) {
+            throw Object.assign(new Error(`Operation "${conflict}" is already in progress`), { status: 409, code: 'conflict' });
+        }
+
+        this.operations.set(key, operation);
+        try {
+            return await fn();
+        } finally {
+            this.operations.delete(key);
+        }
+    }
+
+    // Refuse to start a child ahead of what it depends on
+    checkDependencies(spec) {
+        const missing = spec.dependsOn.filter(dependency => !this.isChildRunning(dependency));
+        if (missing.length > 0) {
+            throw Object.assign(new Error(`${spec.displayName} depends on ${missing.join(', ')}, which is not running`), {
+                status: 409,
+                code: 'dependency_not_running'
+            });
+        }
+    }
+
+    async stopChild(name) {
+        const state = this.getChildState(name);
+        const { spec } = state;
+
+        clearTimeout(state.restartTimer);
+        state.restartTimer = null;
+        state.stopRequested = true;
+
+        if (!state.process || state.process.exitCode !== null || state.process.signalCode !== null) {
+            return { child: name, stopped: false, reason: 'not running' };
+        }
+
+        const pid = state.process.pid;
+        await this.stopProcess(state.process, spec.displayName);
+        return { child: name, stopped: true, pid };
+    }
+
+    async startStoppedChild(name) {
+        const state = this.getChildState(name);
+
+        if (!state.spec.enabled) {
+            throw new Error(`${state.spec.displayName} is disabled in configuration`);
+        }
+        this.checkDependencies(state.spec);
+
+        // An operator start also closes an open restart circuit
+        clearTimeout(state.restartTimer);
+        state.restartTimer = null;
+        state.stopRequested = false;
+        state.circuit.reset();
+
+        await this.startChild(name);
+        return { child: name, started: true, pid: state.process.pid };
+    }
+
+    async restartChild(name) {
+        this.checkDependencies(this.getChildState(name).spec);
+        const stopped = await this.stopChild(name);
+        this.recordRestart(this.getChildState(name), { reason: 'operator restart' });
+        const started = await this.startStoppedChild(name);
+        return { child: name, previousPid: stopped.pid || null, pid: started.pid };
+    }
+
+    async drainChildren(timeout) {
+        const running = this.childSpecs.filter(spec => this.isChildRunning(spec.name));
+
+        // Children acknowledge a drain once their in-flight work is flushed;
+        // children that never answer are shut down when the timeout expires
+        const results = await Promise.all(running.map(spec => new Promise((resolve) => {
+            const child = this.children.get(spec.name).process;
+            const startedAt = Date.now();
+
+            const onMessage = (message) => {
+                if (message.type === 'drained') {
+                    finish(true);
+                }
+            };
+            const finish = (drained) => {
+                clearTimeout(timer);
+                child.removeListener('message', onMessage);
+                child.removeListener('exit', onExit);
+                resolve({ child: spec.name, drained, durationMs: Date.now() - startedAt });
+            };
+            const onExit = () => finish(false);
+            const timer = setTimeout(() => finish(false), timeout);
+
+            child.on('message', onMessage);
+            child.once('exit', onExit);
+            child.send({ type: 'drain' });
+        })));
+
+        return results;
+    }
+
+    // Put drained children back to work when no shutdown follows the drain
+    undrainChildren() {
+        for (const spec of this.childSpecs.filter(s => this.isChildRunning(s.name))) {
+            this.children.get(spec.name).process.send({ type: 'undrain' });
+        }
     }
 
     startHealthMonitoring() {
-        console.log('🏥 Starting health monitoring...');
+        this.logger.info('🏥 Starting health monitoring...');
         
         this.healthCheckTimer = setInterval(() => {
             this.performHealthCheck();
@@ -255,113 +545,321 @@ class BridgeLauncher {
         // Perform initial health check after a delay
         setTimeout(() => {
             this.performHealthCheck();
-        }, 10000);
+        }, Math.min(10000, CONFIG.healthCheckInterval));
     }
 
     async performHealthCheck() {
+        for (const spec of this.childSpecs) {
+            if (spec.liveness && this.isChildRunning(spec.name)) {
+                await this.checkChildLiveness(spec.name);
+            }
+        }
+    }
+
+    async checkChildLiveness(name) {
+        const state = this.getChildState(name);
+        const { spec, liveness } = state;
+        const probe = spec.liveness;
+
+        if (state.recovering) {
+            return;
+        }
+
+        const startedAt = Date.now();
+        let queueSize = null;
+
         try {
             const axios = require('axios');
-            const healthUrl = `http://127.0.0.1:${this.config.relay.port}/health`;
+            const response = await axios.get(probe.url, { timeout: probe.timeout });
             
-            const response = await axios.get(healthUrl, { timeout: 5000 });
+            liveness.consecutiveFailures = 0;
+            liveness.lastResult = 'passed';
+            liveness.lastError = null;
+            this.logger.info(`💚 Health check passed - ${spec.displayName} is healthy`);
             
-            if (response.status === 200) {
-                console.log('💚 Health check passed - Bridge is healthy');
-                
-                // Log queue status if available
-                if (response.data.queue) {
-                    const queueSize = response.data.queue.size;
-                    if (queueSize > 0) {
-                        console.log(`📊 Queue status: ${queueSize} items pending`);
-                    }
+            // Log queue status if available
+            if (response.data && response.data.queue) {
+                queueSize = response.data.queue.size;
+                if (queueSize > 0) {
+                    this.logger.info(`📊 Queue status: ${queueSize} items pending`);
                 }
-            } else {
-                console.warn(`💛 Health check warning - HTTP ${response.status}`);
             }
             
         } catch (error) {
-            console.error('❤️‍🩹 Health check failed:', error.message);
-            
-            // If health check fails, the process exit handler will restart components
-            if (error.code === 'ECONNREFUSED') {
-                console.log('🔄 HTTP Relay Server appears to be down, restart should be triggered');
-            }
+            liveness.consecutiveFailures++;
+            liveness.lastResult = 'failed';
+            liveness.lastError = error.message;
+            this.logger.error(`❤️‍🩹 Health check failed for ${spec.displayName} (${liveness.consecutiveFailures}/${probe.failureThreshold}): ${error.message}`);
+        }
+
+        liveness.lastCheckAt = new Date(startedAt).toISOString();
+        liveness.lastLatencyMs = Date.now() - startedAt;
+        liveness.queueSize = queueSize;
+        this.metrics.recordHealthCheck(name, liveness.lastResult, liveness.lastLatencyMs);
+        if (liveness.lastResult === 'passed') {
+            this.events.publish('health.passed', { child: name, latencyMs: liveness.lastLatencyMs, queueSize });
+        } else {
+            this.events.publish('health.failed', {
+                child: name,
+                latencyMs: liveness.lastLatencyMs,
+                consecutiveFailures: liveness.consecutiveFailures,
+                failureThreshold: probe.failureThreshold,
+                error: liveness.lastError
+            });
+        }
+
+        if (liveness.consecutiveFailures >= probe.failureThreshold) {
+            await this.recoverChild(name, `${liveness.consecutiveFailures} consecutive failed health checks`);
+        } else if (probe.maxQueueSize !== null && queueSize !== null && queueSize > probe.maxQueueSize) {
+            await this.recoverChild(name, `queue size ${queueSize} above ${probe.maxQueueSize}`);
         }
     }
 
+    async recoverChild(name, reason) {
+        const state = this.getChildState(name);
+        const { spec } = state;
+
+        // The child may have died, or been replaced, while its probe was timing out;
+        // its exit handler has dealt with it already
+        if (state.recovering || !this.isChildRunning(name)) {
+            return;
+        }
+
+        const log = this.logger.child({ correlationId: newCorrelationId(), child: name });
+
+        log.warn(`🚑 Recovering ${spec.displayName}: ${reason}`);
+        this.events.publish('child.recovering', { child: name, pid: state.process.pid, reason });
+
+        const recovery = {
+            child: name,
+            reason,
+            action: 'restart',
+            pid: state.process.pid,
+            startedAt: new Date().toISOString(),
+            completedAt: null
+        };
+        this.recoveries.push(recovery);
+        if (this.recoveries.length > MAX_RECOVERY_HISTORY) {
+            this.recoveries.shift();
+        }
+        state.recoveryCount++;
+
+        // The exit handler sees the flag and hands the child to scheduleRestart,
+        // so recoveries go through the same backoff and circuit as crashes
+        state.recovering = true;
+        await this.stopProcess(state.process, spec.displayName);
+        recovery.completedAt = new Date().toISOString();
+    }
+
     async reloadConfiguration() {
+        const log = this.logger.child({ correlationId: newCorrelationId() });
+        log.info('🔄 Reloading configuration...');
+
+        // Validate before touching anything; a bad file keeps the last good config
+        let nextConfig;
+        let nextSpecs;
         try {
-            console.log('🔄 Reloading configuration...');
-            await this.loadConfiguration();
-            
-            // Send reload signal to child processes
-            if (this.relayProcess) {
-                this.relayProcess.send({ type: 'reload' });
+            nextConfig = loadConfig(CONFIG.configPath);
+            nextSpecs = resolveChildSpecs(nextConfig);
+        } catch (error) {
+            log.error(`❌ Failed to reload configuration: ${error.message}`);
+            log.warn(`⚠️  Keeping the last good configuration (version ${this.config.version})`);
+            this.lastReload = { at: new Date().toISOString(), reloaded: false, error: error.message };
+            this.events.publish('config.reload-failed', { error: error.message, errors: error.errors || [] });
+            return { reloaded: false, error: error.message, errors: error.errors || [] };
+        }
+
+        const changes = diffConfig(this.config, nextConfig);
+        const previousSpecs = this.childSpecs;
+        const plan = this.planReload(previousSpecs, nextSpecs, changes);
+
+        this.config = nextConfig;
+        this.childSpecs = nextSpecs;
+        applyLoggingConfig(this.logger, nextConfig.logging);
+        for (const state of this.children.values()) {
+            const spec = nextSpecs.find(s => s.name === state.spec.name);
+            if (spec) {
+                state.spec = spec;
+                state.circuit.updatePolicy(spec.restart);
+            }
+        }
+
+        if (changes.length === 0) {
+            log.info('✅ Configuration unchanged, nothing to apply');
+        } else {
+            log.info(`📝 Changed settings: ${changes.join(', ')}`);
+        }
+
+        const actions = await this.applyReloadPlan(plan, previousSpecs, changes, log);
+
+        this.lastReload = { at: new Date().toISOString(), reloaded: true, changes, actions };
+        log.info('✅ Configuration reloaded successfully');
+        this.events.publish('config.reloaded', {
+            version: this.config.version,
+            changes,
+            actions: actions.map(({ child, action, ok }) => ({ child, action, ok }))
+        });
+        return { reloaded: true, version: this.config.version, changes, actions };
+    }
+
+    // Decide, per child, what a reload has to do with it
+    planReload(previousSpecs, nextSpecs, changes) {
+        const plan = [];
+        const comparable = (spec) => JSON.stringify({ ...spec, enabled: undefined });
+        const hotChanges = changes.filter(change => !touchesAny([change], ['children']));
+
+        for (const spec of nextSpecs) {
+            const previous = previousSpecs.find(s => s.name === spec.name);
+            const state = this.children.get(spec.name);
+            const running = this.isChildRunning(spec.name);
+            const operatorStopped = Boolean(state && state.stopRequested);
+
+            if (spec.enabled && (!previous || !previous.enabled)) {
+                plan.push({ child: spec.name, action: 'start' });
+            } else if (!spec.enabled && previous && previous.enabled) {
+                plan.push({ child: spec.name, action: 'stop' });
+            } else if (!spec.enabled || !running || operatorStopped) {
+                continue;
+            } else if (comparable(previous) !== comparable(spec) || touchesAny(changes, spec.restartOn)) {
+                plan.push({ child: spec.name, action: 'restart' });
+            } else if (hotChanges.length > 0) {
+                plan.push({ child: spec.name, action: 'reload' });
             }
-            if (this.fileDropProcess) {
-                this.fileDropProcess.send({ type: 'reload' });
+        }
+
+        for (const previous of previousSpecs) {
+            if (!nextSpecs.some(s => s.name === previous.name)) {
+                plan.push({ child: previous.name, action: 'remove' });
             }
-            
-            console.log('✅ Configuration reloaded successfully');
-            
-        } catch (error) {
-            console.error('❌ Failed to reload configuration:', error.message);
         }
+
+        return plan;
     }
 
-    async shutdown() {
+    async applyReloadPlan(plan, previousSpecs, changes, log) {
+        const results = [];
+        const run = async (step, fn) => {
+            try {
+                const result = await fn();
+                results.push({ ...step, ok: true, result });
+            } catch (error) {
+                log.error(`❌ Reload could not ${step.action} ${step.child}: ${error.message}`);
+                results.push({ ...step, ok: false, error: error.message });
+            }
+        };
+
+        // Stop and remove first, dependents before their dependencies
+        const stopping = plan.filter(step => step.action === 'stop' || step.action === 'remove');
+        for (const step of [...stopping].reverse()) {
+            await run(step, async () => {
+                const state = this.children.get(step.child);
+                if (!state || !state.process) {
+                    return { stopped: false, reason: 'not running' };
+                }
+                const spec = previousSpecs.find(s => s.name === step.child) || state.spec;
+                clearTimeout(state.restartTimer);
+                state.stopRequested = step.action === 'stop';
+                await this.stopProcess(state.process, spec.displayName);
+                if (step.action === 'remove') {
+                    this.children.delete(step.child);
+                }
+                return { stopped: true };
+            });
+        }
+
+        // Then restart, start and hot-reload in dependency order
+        for (const step of plan.filter(step => !stopping.includes(step))) {
+            await run(step, async () => {
+                if (step.action === 'reload') {
+                    this.getChildState(step.child).process.send({ type: 'reload', changes });
+                    return { notified: true };
+                }
+                if (step.action === 'restart') {
+                    return this.restartChild(step.child);
+                }
+                return this.startStoppedChild(step.child);
+            });
+        }
+
+        return results;
+    }
+
+    async shutdown(exitCode = 0, error = null) {
         if (this.isShuttingDown) {
             return;
         }
         
         this.isShuttingDown = true;
-        console.log('🛑 Shutting down MT5 Bridge Launcher...');
+        this.logger.info('🛑 Shutting down MT5 Bridge Launcher...');
+        this.events.publish('launcher.stopping', { exitCode, error });
         
-        // Stop health monitoring
+        // Stop health monitoring and pending restarts
         if (this.healthCheckTimer) {
             clearInterval(this.healthCheckTimer);
         }
-        
-        // Gracefully stop child processes
-        const shutdownPromises = [];
-        
-        if (this.relayProcess) {
-            shutdownPromises.push(this.stopProcess(this.relayProcess, 'HTTP Relay Server'));
+        for (const state of this.children.values()) {
+            clearTimeout(state.restartTimer);
         }
         
-        if (this.fileDropProcess) {
-            shutdownPromises.push(this.stopProcess(this.fileDropProcess, 'File Drop Relay'));
+        // Stop dependents before the children they depend on
+        for (const spec of [...this.childSpecs].reverse()) {
+            const state = this.children.get(spec.name);
+            if (state && state.process) {
+                await this.stopProcess(state.process, spec.displayName);
+            }
         }
         
-        // Wait for all processes to stop
-        await Promise.all(shutdownPromises);
-        
-        console.log('✅ MT5 Bridge Launcher shutdown complete');
-        process.exit(0);
+        this.statusFile.close();
+        this.logger.info('✅ MT5 Bridge Launcher shutdown complete');
+        await closeLogger(this.logger);
+        process.exit(exitCode);
     }
 
-    async stopProcess(process, name) {
+    async stopProcess(child, name) {
         return new Promise((resolve) => {
-            console.log(`🛑 Stopping ${name}...`);
+            if (child.exitCode !== null || child.signalCode !== null) {
+                resolve();
+                return;
+            }
+
+            this.logger.info(`🛑 Stopping ${name}...`);
             
             // Send graceful shutdown signal
-            process.send({ type: 'shutdown' });
+            if (child.connected) {
+                child.send({ type: 'shutdown' });
+            }
             
             // Wait for graceful shutdown
             const timeout = setTimeout(() => {
-                console.log(`⚡ Force killing ${name} (graceful shutdown timeout)`);
-                process.kill('SIGKILL');
-            }, 10000);
+                this.logger.info(`⚡ Force killing ${name} (graceful shutdown timeout)`);
+                child.kill('SIGKILL');
+            }, CONFIG.stopTimeout);
             
-            process.on('exit', () => {
+            child.on('exit', () => {
                 clearTimeout(timeout);
-                console.log(`✅ ${name} stopped`);
+                this.logger.info(`✅ ${name} stopped`);
                 resolve();
             });
         });
     }
 
     getStatus() {
+        const processes = {};
+        for (const spec of this.childSpecs) {
+            const state = this.children.get(spec.name);
+            processes[spec.name] = {
+                enabled: spec.enabled,
+                running: this.isChildRunning(spec.name),
+                pid: state && state.process ? state.process.pid : null,
+                restarts: state ? state.restarts : 0,
+                restartHistory: state ? state.restartHistory : [],
+                circuit: state ? state.circuit.toJSON() : null,
+                liveness: spec.liveness && state ? { ...state.liveness, recoveries: state.recoveryCount } : null,
+                script: path.basename(spec.script),
+                dependsOn: spec.dependsOn
+            };
+        }
+
         return {
             launcher: {
                 uptime: process.uptime(),
@@ -369,21 +867,12 @@ class BridgeLauncher {
                 memory: process.memoryUsage(),
                 isShuttingDown: this.isShuttingDown
             },
-            processes: {
-                relay: {
-                    running: this.relayProcess && !this.relayProcess.killed,
-                    pid: this.relayProcess ? this.relayProcess.pid : null,
-                    restarts: this.restartCounts.relay
-                },
-                fileDrop: {
-                    running: this.fileDropProcess && !this.fileDropProcess.killed,
-                    pid: this.fileDropProcess ? this.fileDropProcess.pid : null,
-                    restarts: this.restartCounts.fileDrop
-                }
-            },
+            processes,
+            recoveries: this.recoveries,
             config: {
                 version: this.config ? this.config.version : 'unknown',
-                relayPort: this.config ? this.config.relay.port : 'unknown'
+                relayPort: this.config ? this.config.relay.port : 'unknown',
+                lastReload: this.lastReload
             }
         };
     }
@@ -399,24 +888,23 @@ async function main() {
         // Keep the process running
         process.stdin.resume();
         
-        // Optional: Expose status endpoint via HTTP
+        // Optional: Expose status and control endpoints via HTTP
         if (process.env.ENABLE_STATUS_SERVER === 'true') {
-            const express = require('express');
-            const statusApp = express();
-            
-            statusApp.get('/launcher-status', (req, res) => {
-                res.json(launcher.getStatus());
+            const { createControlServer, resolveControlToken } = require('./control-server');
+            const statusApp = createControlServer(launcher, {
+                resolveToken: () => resolveControlToken(CONFIG.configPath, launcher.config)
             });
             
             const statusPort = process.env.STATUS_PORT || 9877;
             statusApp.listen(statusPort, '127.0.0.1', () => {
-                console.log(`📊 Launcher status server running on http://127.0.0.1:${statusPort}/launcher-status`);
+                launcher.logger.info(`📊 Launcher status server running on http://127.0.0.1:${statusPort}/launcher-status`);
             });
         }
         
     } catch (error) {
-        console.error('💥 Failed to start MT5 Bridge Launcher:', error);
-        process.exit(1);
+        launcher.logger.error(`💥 Failed to start MT5 Bridge Launcher: ${error.message}`);
+        // Stop whatever did start, then exit non-zero so the installer sees the failure
+        await launcher.shutdown(1, error.message);
     }
 }
 
@@ -0,0 +1,557 @@
+/**
+ * GomerAI MT5 Bridge Chaos Scenarios
+ * ==================================
+ *
+ * Fault injection against a real launcher: each scenario starts its own
+ * ChaosEnvironment (mock GCP server, generated configuration, launcher with
+ * the status API on a free port), breaks something, then checks that
+ * getStatus() reaches the expected state and that every payload the bridge
+ * accepted still reaches GCP.
+ *
+ * Supervision timings are shortened through GOMERAI_HEALTH_CHECK_INTERVAL,
+ * GOMERAI_STOP_TIMEOUT and the children's restart policy, so a hung relay
+ * is force-killed and a crash loop opens its circuit within seconds.
+ * Filling the disk mounts a small tmpfs and therefore needs root; without
+ * it that scenario is skipped.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { execFileSync, spawn } = require('child_process');
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const { PAYLOADS } = require('./load-generator');
+const { newCorrelationId } = require('./logger');
+const { MockGcpServer } = require('./mock-gcp-server');
+const { SkipTest, freePort } = require('./test-harness');
+
+const CHAOS_TIMINGS = {
+    healthCheckInterval: 1000,
+    stopTimeout: 3000,
+    restartDelay: 500,
+    maxRestarts: 3,
+    restartWindow: 60000,
+    waitTimeout: 20000, // for the launcher to reach an expected state
+    deliveryTimeout: 20000, // for queued payloads to reach GCP once it recovers
+    launcherStopTimeout: 15000
+};
+
+const CHAOS_API_KEY = 'chaos-api-key-0123456789abcdef';
+const FILL_CHUNK = 64 * 1024;
+
+function check(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+// Rejects early once the signal aborts, e.g. when the harness times the test out
+function sleep(ms, signal) {
+    return delay(ms, undefined, { signal: signal || undefined });
+}
+
+// An ingest payload the relay accepts, told apart by its marker
+function ingestPayload(testType, marker) {
+    return { ...PAYLOADS.ingest('chaos-terminal', 0), testType, marker };
+}
+
+function running(status, child) {
+    return Boolean(status.processes[child] && status.processes[child].running);
+}
+
+class ChaosEnvironment {
+    /**
+     * @param {object} options
+     * @param {winston.Logger} options.log - Test runner logger
+     * @param {boolean} [options.keep] - Keep the working directory and its logs
+     * @param {string} [options.diskSize] - Put file drops, queue and dedup store on a tmpfs of this size, e.g. '2m'
+     * @param {AbortSignal} [options.signal] - Stops waitFor() and expectDelivered() early when aborted
+     */
+    constructor({ log, keep = false, diskSize = null, signal = null }) {
+        this.log = log;
+        this.keep = keep;
+        this.diskSize = diskSize;
+        this.signal = signal;
+        this.token = crypto.randomBytes(16).toString('hex');
+        this.mock = null;
+        this.launcher = null;
+        this.workDir = null;
+        this.dataDir = null;
+        this.mounted = false;
+        this.config = null;
+        this.configPath = null;
+        this.relayUrl = null;
+        this.statusUrl = null;
+    }
+
+    async start() {
+        this.mock = await new MockGcpServer().start();
+        this.workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-chaos-'));
+        this.dataDir = this.workDir;
+        if (this.diskSize) {
+            this.dataDir = path.join(this.workDir, 'disk');
+            await fs.ensureDir(this.dataDir);
+            this.mountDisk();
+        }
+
+        const relayPort = await freePort();
+        const statusPort = await freePort();
+        this.relayUrl = `http://127.0.0.1:${relayPort}`;
+        this.statusUrl = `http://127.0.0.1:${statusPort}`;
+
+        const restart = {
+            delay: CHAOS_TIMINGS.restartDelay,
+            jitter: 0,
+            maxRestarts: CHAOS_TIMINGS.maxRestarts,
+            window: CHAOS_TIMINGS.restartWindow
+        };
+        this.config = {
+            version: 'chaos-1',
+            relay: { port: relayPort, host: '127.0.0.1', timeout: 2000 },
+            gcpEndpoints: this.mock.endpoints(),
+            apiKey: CHAOS_API_KEY,
+            retry: { maxAttempts: 1, baseDelay: 100, maxDelay: 100 },
+            // Logs stay off the tmpfs so a full disk does not silence them
+            logging: { level: 'debug', file: path.join(this.workDir, 'logs', 'mt5-bridge.log') },
+            fileDrop: {
+                enabled: true,
+                watchPath: path.join(this.dataDir, 'file-drops', 'inbound'),
+                processInterval: 500,
+                retryDelay: 500
+            },
+            queue: { path: path.join(this.dataDir, 'queue-data'), ackTimeout: 500, retryDelay: 200, maxRetryDelay: 1000 },
+            dedup: { path: path.join(this.dataDir, 'dedup-data') },
+            secrets: {
+                vaultPath: path.join(this.workDir, 'secrets.vault'),
+                keyPath: path.join(this.workDir, 'machine.key')
+            },
+            statusFile: { path: path.join(this.workDir, 'bridge-status.json') },
+            children: {
+                relay: { restart, liveness: { timeout: 1000, failureThreshold: 2 } },
+                fileDrop: { restart }
+            }
+        };
+        this.configPath = path.join(this.workDir, 'bridge-config.json');
+        await this.writeConfig(this.config);
+
+        const output = fs.openSync(path.join(this.workDir, 'launcher.log'), 'a');
+        this.launcher = spawn(process.execPath, [path.join(__dirname, 'bridge-launcher.js')], {
+            cwd: __dirname,
+            env: {
+                ...process.env,
+                GOMERAI_CONFIG_PATH: this.configPath,
+                ENABLE_STATUS_SERVER: 'true',
+                STATUS_PORT: String(statusPort),
+                LAUNCHER_CONTROL_TOKEN: this.token,
+                GOMERAI_HEALTH_CHECK_INTERVAL: String(CHAOS_TIMINGS.healthCheckInterval),
+                GOMERAI_STOP_TIMEOUT: String(CHAOS_TIMINGS.stopTimeout)
+            },
+            stdio: ['ignore', output, output]
+        });
+        fs.closeSync(output);
+        this.launcher.once('exit', (code, signal) => {
+            this.launcher = null;
+            this.log.info(`ℹ️  Chaos launcher exited (${signal || code})`);
+        });
+
+        this.log.info(`🧨 Chaos environment in ${this.workDir}: relay ${this.relayUrl}, status ${this.statusUrl}, GCP ${this.mock.url}`);
+        return this.waitFor('launcher to start its children', status => running(status, 'relay') && running(status, 'fileDrop'));
+    }
+
+    async stop() {
+        if (this.launcher) {
+            const launcher = this.launcher;
+            const exited = new Promise(resolve => launcher.once('exit', resolve));
+            launcher.kill('SIGTERM');
+            const stopped = await Promise.race([
+                exited.then(() => true),
+                sleep(CHAOS_TIMINGS.launcherStopTimeout).then(() => false)
+            ]);
+            if (!stopped) {
+                this.log.warn('⚠️  Chaos launcher did not stop in time, killing it');
+                launcher.kill('SIGKILL');
+                await exited;
+            }
+        }
+
+        if (this.mock) {
+            await this.mock.stop();
+        }
+        if (this.mounted) {
+            try {
+                execFileSync('umount', [this.dataDir], { stdio: 'ignore' });
+                this.mounted = false;
+            } catch (error) {
+                this.log.warn(`⚠️  Could not unmount ${this.dataDir}: ${error.message}`);
+            }
+        }
+        if (this.workDir) {
+            if (this.keep) {
+                this.log.info(`ℹ️  Kept chaos working directory ${this.workDir}`);
+            } else if (!this.mounted) {
+                await fs.remove(this.workDir);
+            }
+        }
+    }
+
+    mountDisk() {
+        if (typeof process.getuid !== 'function' || process.getuid() !== 0) {
+            throw new SkipTest('filling the disk mounts a tmpfs and needs root');
+        }
+        try {
+            execFileSync('mount', ['-t', 'tmpfs', '-o', `size=${this.diskSize}`, 'tmpfs', this.dataDir], { stdio: 'pipe' });
+            this.mounted = true;
+        } catch (error) {
+            throw new SkipTest(`cannot mount a ${this.diskSize} tmpfs: ${String(error.stderr || error.message).trim()}`);
+        }
+    }
+
+    // Write until the tmpfs is full; returns the bytes written
+    fillDisk() {
+        const filler = path.join(this.dataDir, 'filler');
+        const chunk = Buffer.alloc(FILL_CHUNK, 0x78);
+        const fd = fs.openSync(filler, 'a');
+        let written = 0;
+        try {
+            for (;;) {
+                const bytes = fs.writeSync(fd, chunk);
+                written += bytes;
+                if (bytes < chunk.length) {
+                    break;
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOSPC') {
+                throw error;
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        return written;
+    }
+
+    freeDisk() {
+        fs.removeSync(path.join(this.dataDir, 'filler'));
+    }
+
+    async writeConfig(config) {
+        const content = typeof config === 'string' ? config : JSON.stringify(config, null, 4);
+        await fs.writeFile(this.configPath, content);
+    }
+
+    async status() {
+        const { data } = await axios.get(`${this.statusUrl}/launcher-status`, { timeout: 2000 });
+        return data;
+    }
+
+    async control(route, body = {}) {
+        const { data } = await axios.post(`${this.statusUrl}${route}`, body, {
+            headers: { Authorization: `Bearer ${this.token}` },
+            timeout: CHAOS_TIMINGS.waitTimeout
+        });
+        return data;
+    }
+
+    /**
+     * Poll getStatus() until the predicate holds.
+     *
+     * @param {string} description - What is awaited, for the timeout error
+     * @param {Function} predicate - (status) => truthy once the expected state is reached
+     * @param {number} [timeout] - Give up after this many ms
+     * @returns {Promise<object>} The status that satisfied the predicate
+     */
+    async waitFor(description, predicate, timeout = CHAOS_TIMINGS.waitTimeout) {
+        const deadline = Date.now() + timeout;
+        let last = null;
+
+        while (Date.now() < deadline) {
+            if (!this.launcher) {
+                throw new Error(`Launcher exited while waiting for ${description}; see ${path.join(this.workDir, 'launcher.log')}`);
+            }
+            try {
+                last = await this.status();
+                if (predicate(last)) {
+                    return last;
+                }
+            } catch (error) {
+                // The status server starts after the children; a busy launcher may not answer at once
+            }
+            await sleep(200, this.signal);
+        }
+
+        const children = last
+            ? Object.entries(last.processes).map(([name, child]) => `${name} running=${child.running} restarts=${child.restarts} circuit=${child.circuit && child.circuit.state}`).join(', ')
+            : 'no status received';
+        throw new Error(`Timed out after ${timeout}ms waiting for ${description} (${children})`);
+    }
+
+    async childPid(child) {
+        const status = await this.status();
+        check(running(status, child), `${child} is not running`);
+        return status.processes[child].pid;
+    }
+
+    async signalChild(child, signal) {
+        const pid = await this.childPid(child);
+        process.kill(pid, signal);
+        this.log.info(`💥 Sent ${signal} to ${child} (pid ${pid})`);
+        return pid;
+    }
+
+    signalLauncher(signal) {
+        this.launcher.kill(signal);
+        this.log.info(`💥 Sent ${signal} to the launcher (pid ${this.launcher.pid})`);
+    }
+
+    async post(endpoint, payload) {
+        const response = await axios.post(`${this.relayUrl}/${endpoint}`, payload, {
+            timeout: 5000,
+            validateStatus: () => true
+        });
+        return response.status;
+    }
+
+    /**
+     * Make GCP fail and send ingest payloads, which the relay queues.
+     *
+     * @param {number} count - Payloads to queue
+     * @returns {Promise<string[]>} Markers of the queued payloads
+     */
+    async queuePayloads(count) {
+        this.mock.behave('ingest', { status: 503 });
+        const markers = [];
+        for (let i = 0; i < count; i++) {
+            const marker = newCorrelationId();
+            const status = await this.post('ingest', ingestPayload('chaos_queue', marker));
+            check(status === 202, `Expected the relay to queue payload ${i + 1} with 202, got ${status}`);
+            markers.push(marker);
+        }
+        this.log.info(`📦 ${count} ingest payload(s) queued while GCP fails`);
+        return markers;
+    }
+
+    // Drop a file the way the EA does: write a .tmp, then rename it
+    async dropFile(marker) {
+        const inbound = this.config.fileDrop.watchPath;
+        const file = path.join(inbound, `gomerai_ingest_${marker}.json`);
+        await fs.writeJson(`${file}.tmp`, ingestPayload('chaos_file_drop', marker));
+        await fs.rename(`${file}.tmp`, file);
+        return path.basename(file);
+    }
+
+    /**
+     * Let GCP recover and wait until every marker has been delivered.
+     *
+     * @param {string[]} markers - Payload markers that must reach GCP
+     */
+    async expectDelivered(markers) {
+        this.mock.clearBehaviors();
+        const deadline = Date.now() + CHAOS_TIMINGS.deliveryTimeout;
+        let missing = markers;
+
+        while (Date.now() < deadline) {
+            const delivered = new Set(this.mock.requests('ingest')
+                .filter(request => !request.behavior.status)
+                .map(request => request.body && request.body.marker));
+            missing = markers.filter(marker => !delivered.has(marker));
+            if (missing.length === 0) {
+                this.log.info(`📬 All ${markers.length} accepted payload(s) reached GCP`);
+                return;
+            }
+            await sleep(250, this.signal);
+        }
+        throw new Error(`${missing.length} of ${markers.length} accepted payload(s) never reached GCP: ${missing.join(', ')}`);
+    }
+}
+
+// Take a port the moment it is free, to make the next relay start fail
+function occupyPort(port, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    return new Promise((resolve, reject) => {
+        const attempt = () => {
+            // Connections are dropped at once, so health checks fail fast and close() never waits
+            const server = net.createServer(socket => socket.destroy());
+            server.once('error', (error) => {
+                if (error.code !== 'EADDRINUSE' || Date.now() > deadline) {
+                    reject(error);
+                    return;
+                }
+                setTimeout(attempt, 10);
+            });
+            server.listen(port, '127.0.0.1', () => resolve(server));
+        };
+        attempt();
+    });
+}
+
+function killedBy(signal) {
+    return {
+        name: `Relay killed with ${signal}`,
+        async run(env) {
+            const markers = await env.queuePayloads(5);
+            const pid = await env.signalChild('relay', signal);
+
+            const status = await env.waitFor(`relay to restart after ${signal}`,
+                current => running(current, 'relay') && current.processes.relay.pid !== pid);
+            const relay = status.processes.relay;
+            check(relay.restarts === 1, `Expected 1 restart, got ${relay.restarts}`);
+            // A relay stopped by SIGTERM shuts down cleanly, so only the exit shows
+            check(relay.restartHistory.length === 1 && relay.restartHistory[0].reason.startsWith('exited'),
+                `Restart history does not show the exit: ${JSON.stringify(relay.restartHistory)}`);
+            check(relay.circuit.state === 'closed', `Expected a closed circuit, got ${relay.circuit.state}`);
+            check(relay.circuit.consecutiveFailures === 1, `Expected 1 consecutive failure, got ${relay.circuit.consecutiveFailures}`);
+            check(running(status, 'fileDrop'), 'File drop relay stopped with the relay');
+
+            await env.expectDelivered(markers);
+        }
+    };
+}
+
+const CHAOS_SCENARIOS = [
+    killedBy('SIGKILL'),
+    killedBy('SIGTERM'),
+    killedBy('SIGSEGV'),
+    {
+        name: 'Relay hangs',
+        async run(env) {
+            const markers = await env.queuePayloads(5);
+            // A stopped process keeps its port, so health checks time out instead of failing fast
+            const pid = await env.signalChild('relay', 'SIGSTOP');
+
+            const status = await env.waitFor('hung relay to be recovered and replaced',
+                current => running(current, 'relay') && current.processes.relay.pid !== pid
+                    && current.recoveries.some(recovery => recovery.pid === pid && recovery.completedAt),
+                CHAOS_TIMINGS.waitTimeout + CHAOS_TIMINGS.stopTimeout);
+            const recovery = status.recoveries.find(entry => entry.pid === pid);
+            const stopMs = Date.parse(recovery.completedAt) - Date.parse(recovery.startedAt);
+            check(/failed health checks/.test(recovery.reason), `Unexpected recovery reason: ${recovery.reason}`);
+            // A stopped process cannot answer the shutdown message, so only the force kill ends it
+            check(stopMs >= CHAOS_TIMINGS.stopTimeout - 100, `Relay stopped after ${stopMs}ms, before the ${CHAOS_TIMINGS.stopTimeout}ms stop timeout`);
+            check(status.processes.relay.liveness.recoveries === 1, `Expected 1 liveness recovery, got ${status.processes.relay.liveness.recoveries}`);
+            check(status.processes.relay.restarts === 1, `Expected 1 restart, got ${status.processes.relay.restarts}`);
+
+            await env.expectDelivered(markers);
+        }
+    },
+    {
+        name: 'Relay exits during startup',
+        async run(env) {
+            const markers = await env.queuePayloads(3);
+            const pid = await env.signalChild('relay', 'SIGKILL');
+            // With its port taken, every restart exits before it is ready
+            const blocker = await occupyPort(env.config.relay.port);
+
+            try {
+                const status = await env.waitFor('restart circuit to open',
+                    current => current.processes.relay.circuit.state === 'open');
+                const relay = status.processes.relay;
+                check(!relay.running, 'Relay reported running with its port taken');
+                check(relay.restarts === CHAOS_TIMINGS.maxRestarts, `Expected ${CHAOS_TIMINGS.maxRestarts} restarts, got ${relay.restarts}`);
+                check(relay.circuit.restartsInWindow === CHAOS_TIMINGS.maxRestarts,
+                    `Expected ${CHAOS_TIMINGS.maxRestarts} restarts in the window, got ${relay.circuit.restartsInWindow}`);
+                check(running(status, 'fileDrop'), 'File drop relay stopped with the relay');
+            } finally {
+                await new Promise(resolve => blocker.close(resolve));
+            }
+
+            await env.control('/children/relay/reset-circuit');
+            const status = await env.waitFor('relay to start after the circuit reset',
+                current => running(current, 'relay') && current.processes.relay.pid !== pid);
+            check(status.processes.relay.circuit.state === 'closed', 'Circuit still open after reset');
+
+            await env.expectDelivered(markers);
+        }
+    },
+    {
+        name: 'Corrupt config on SIGHUP',
+        async run(env) {
+            const markers = await env.queuePayloads(3);
+            const pid = await env.childPid('relay');
+            const original = JSON.stringify(env.config, null, 4);
+            const corruptions = [
+                ['truncated JSON', original.slice(0, Math.floor(original.length / 2))],
+                ['schema violation', { ...env.config, relay: { ...env.config.relay, port: 'not-a-port' } }]
+            ];
+
+            for (const [label, content] of corruptions) {
+                const before = (await env.status()).config.lastReload;
+                await env.writeConfig(content);
+                env.signalLauncher('SIGHUP');
+
+                const status = await env.waitFor(`reload of the ${label} to be refused`,
+                    current => current.config.lastReload && (!before || current.config.lastReload.at !== before.at));
+                check(status.config.lastReload.reloaded === false, `Launcher accepted a config with a ${label}`);
+                check(status.config.version === 'chaos-1', `Config version changed to ${status.config.version}`);
+                check(running(status, 'relay') && status.processes.relay.pid === pid, `Relay was restarted by the ${label}`);
+                check(status.processes.relay.restarts === 0, `Relay restarted ${status.processes.relay.restarts} time(s)`);
+            }
+
+            await env.writeConfig({ ...env.config, version: 'chaos-2' });
+            env.signalLauncher('SIGHUP');
+            const status = await env.waitFor('repaired config to be reloaded',
+                current => current.config.lastReload && current.config.lastReload.reloaded);
+            check(status.config.version === 'chaos-2', `Expected version chaos-2, got ${status.config.version}`);
+            check(status.processes.relay.pid === pid, 'A version change should not restart the relay');
+
+            await env.expectDelivered(markers);
+        }
+    },
+    {
+        name: 'Disk full under file drops',
+        diskSize: '4m',
+        async run(env) {
+            const markers = await env.queuePayloads(3);
+            const files = [];
+            for (let i = 0; i < 5; i++) {
+                const marker = newCorrelationId();
+                files.push(await env.dropFile(marker));
+                markers.push(marker);
+            }
+
+            const filled = env.fillDisk();
+            env.log.info(`💾 Filled the file drop disk with ${Math.round(filled / 1024)}KB`);
+
+            // The relay may refuse payloads it cannot persist, but what it accepts must survive
+            for (let i = 0; i < 5; i++) {
+                const marker = newCorrelationId();
+                const status = await env.post('ingest', ingestPayload('chaos_disk_full', marker));
+                if (status >= 200 && status < 300) {
+                    markers.push(marker);
+                }
+            }
+            // GCP comes back before the disk has room again
+            env.mock.clearBehaviors();
+            await sleep(3000);
+
+            let status = await env.status();
+            check(running(status, 'relay') && status.processes.relay.restarts === 0, 'Relay crashed on a full disk');
+            check(running(status, 'fileDrop') && status.processes.fileDrop.restarts === 0, 'File drop relay crashed on a full disk');
+
+            env.freeDisk();
+            await env.expectDelivered(markers);
+
+            status = await env.waitFor('both children running after the disk is freed',
+                current => running(current, 'relay') && running(current, 'fileDrop'));
+            check(status.processes.relay.circuit.state === 'closed', 'Relay restart circuit opened');
+            // A file moves to completed/ just after GCP accepts it
+            const dropRoot = path.dirname(env.config.fileDrop.watchPath);
+            let missing = files;
+            for (let attempt = 0; attempt < 20 && missing.length > 0; attempt++) {
+                const completed = await fs.readdir(path.join(dropRoot, 'completed'));
+                missing = files.filter(file => !completed.includes(file));
+                await sleep(missing.length > 0 ? 250 : 0);
+            }
+            check(missing.length === 0, `File drops not in completed/: ${missing.join(', ')}`);
+            check((await fs.readdir(path.join(dropRoot, 'failed'))).length === 0, 'File drops were dead-lettered');
+        }
+    }
+];
+
+module.exports = {
+    CHAOS_SCENARIOS,
+    CHAOS_TIMINGS,
+    ChaosEnvironment
+};
@@ -0,0 +1,183 @@
+/**
+ * GomerAI MT5 Bridge Child Specifications
+ * =======================================
+ *
+ * Resolves the supervised child processes declared under `children` in
+ * bridge-config.json into normalized specs the launcher can supervise.
+ * The built-in relay and file-drop children are always known; config
+ * entries with the same name override their fields.
+ */
+
+const path = require('path');
+
+// Restart policy applied when a child does not declare its own
+const DEFAULT_RESTART = {
+    policy: 'always', // always | on-failure | never
+    delay: 5000, // 5 seconds, first backoff step
+    multiplier: 2,
+    maxDelay: 120000, // 2 minutes
+    jitter: 0.2, // +/- 20% of each delay
+    stableAfter: 60000, // 1 minute up resets the backoff
+    maxRestarts: 10,
+    window: 300000 // 5 minutes
+};
+
+const RESTART_POLICIES = ['always', 'on-failure', 'never'];
+
+// How a child proves it is ready: by sending {type:'ready'} over IPC, or by
+// answering an HTTP probe with a 2xx status
+const READINESS_TYPES = ['ipc', 'http'];
+
+// Liveness probe defaults; a child is recovered after failureThreshold
+// consecutive failed probes or when it reports a queue above maxQueueSize
+const DEFAULT_LIVENESS = {
+    timeout: 5000,
+    failureThreshold: 3,
+    maxQueueSize: null
+};
+
+// Built-in children, in their historical start order
+const DEFAULT_CHILDREN = {
+    relay: {
+        displayName: 'HTTP Relay Server',
+        script: './relay-server.js',
+        startupTimeout: 10000,
+        restartOn: ['relay.port', 'relay.host', 'queue', 'dedup'],
+        liveness: (config) => ({
+            url: `http://127.0.0.1:${config.relay.port}/health`
+        })
+    },
+    fileDrop: {
+        displayName: 'File Drop Relay',
+        script: './file-drop-relay.js',
+        startupTimeout: 5000,
+        restartOn: ['fileDrop.watchPath', 'dedup'],
+        enabled: (config) => Boolean(config.fileDrop && config.fileDrop.enabled),
+        dependsOn: ['relay']
+    }
+};
+
+/**
+ * Normalize one child declaration.
+ *
+ * @param {string} name - Child name, used as its key in status and logs
+ * @param {object} declared - Merged default and config declaration
+ * @param {object} config - Full bridge configuration
+ * @param {string} baseDir - Directory relative script paths resolve against
+ * @returns {object} Normalized child spec
+ */
+function normalizeChildSpec(name, declared, config, baseDir) {
+    if (!declared.script || typeof declared.script !== 'string') {
+        throw new Error(`Child "${name}" must declare a script`);
+    }
+
+    const enabled = typeof declared.enabled === 'function'
+        ? declared.enabled(config)
+        : declared.enabled !== false;
+
+    const restart = { ...DEFAULT_RESTART, ...(declared.restart || {}) };
+    if (!RESTART_POLICIES.includes(restart.policy)) {
+        throw new Error(`Child "${name}" has unknown restart policy: ${restart.policy}`);
+    }
+
+    const readiness = { type: 'ipc', interval: 500, ...(declared.readiness || {}) };
+    if (!READINESS_TYPES.includes(readiness.type)) {
+        throw new Error(`Child "${name}" has unknown readiness type: ${readiness.type}`);
+    }
+    if (readiness.type === 'http' && !readiness.url) {
+        throw new Error(`Child "${name}" uses an HTTP readiness probe but declares no url`);
+    }
+
+    let liveness = null;
+    if (declared.liveness) {
+        liveness = { ...DEFAULT_LIVENESS, ...declared.liveness };
+        if (!liveness.url) {
+            throw new Error(`Child "${name}" declares a liveness probe without a url`);
+        }
+    }
+
+    return {
+        name,
+        displayName: declared.displayName || name,
+        script: path.resolve(baseDir, declared.script),
+        args: Array.isArray(declared.args) ? declared.args.map(String) : [],
+        env: declared.env || {},
+        enabled,
+        startupTimeout: declared.startupTimeout || 10000,
+        dependsOn: Array.isArray(declared.dependsOn) ? declared.dependsOn : [],
+        // Config paths whose change needs a restart rather than a hot reload
+        restartOn: Array.isArray(declared.restartOn) ? declared.restartOn : [],
+        readiness,
+        liveness,
+        restart
+    };
+}
+
+/**
+ * Order specs so every child starts after the children it depends on.
+ * Declaration order is kept wherever dependencies allow it.
+ */
+function sortByDependencies(specs) {
+    const byName = new Map(specs.map(spec => [spec.name, spec]));
+    const ordered = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+
+    const visit = (spec, trail) => {
+        if (state.get(spec.name) === 'done') {
+            return;
+        }
+        if (state.get(spec.name) === 'visiting') {
+            throw new Error(`Circular child dependency: ${[...trail, spec.name].join(' -> ')}`);
+        }
+
+        state.set(spec.name, 'visiting');
+        for (const dependency of spec.dependsOn) {
+            if (!byName.has(dependency)) {
+                throw new Error(`Child "${spec.name}" depends on unknown child "${dependency}"`);
+            }
+            visit(byName.get(dependency), [...trail, spec.name]);
+        }
+        state.set(spec.name, 'done');
+        ordered.push(spec);
+    };
+
+    specs.forEach(spec => visit(spec, []));
+    return ordered;
+}
+
+/**
+ * Resolve the supervised children for a bridge configuration.
+ *
+ * @param {object} config - Parsed bridge-config.json
+ * @param {string} [baseDir] - Directory relative script paths resolve against
+ * @returns {object[]} Normalized specs in dependency order
+ */
+function resolveChildSpecs(config, baseDir = __dirname) {
+    const declaredChildren = config.children || {};
+    const names = [...new Set([...Object.keys(DEFAULT_CHILDREN), ...Object.keys(declaredChildren)])];
+
+    const specs = names.map(name => {
+        const defaults = DEFAULT_CHILDREN[name] || {};
+        const overrides = declaredChildren[name] || {};
+
+        // Liveness overrides tune the built-in probe rather than replace it;
+        // `liveness: false` turns the probe off
+        const defaultLiveness = typeof defaults.liveness === 'function'
+            ? defaults.liveness(config)
+            : defaults.liveness;
+        const liveness = overrides.liveness === false
+            ? null
+            : (defaultLiveness || overrides.liveness) && { ...(defaultLiveness || {}), ...(overrides.liveness || {}) };
+
+        return normalizeChildSpec(name, { ...defaults, ...overrides, liveness }, config, baseDir);
+    });
+
+    return sortByDependencies(specs);
+}
+
+module.exports = {
+    DEFAULT_CHILDREN,
+    DEFAULT_LIVENESS,
+    DEFAULT_RESTART,
+    resolveChildSpecs
+};
@@ -0,0 +1,56 @@
+/**
+ * GomerAI MT5 Bridge Configuration Diff
+ * =====================================
+ *
+ * Computes which settings changed between two validated configurations so
+ * a reload can apply hot-reloadable settings in place and restart only the
+ * children that depend on what changed.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * List the dotted paths of every setting that was added, removed or changed.
+ * Arrays are compared as a whole.
+ *
+ * @param {object} previous - Configuration currently applied
+ * @param {object} next - Newly loaded configuration
+ * @returns {string[]} Changed paths, e.g. ['relay.port', 'fileDrop.enabled']
+ */
+function diffConfig(previous, next, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+
+    for (const key of keys) {
+        const pathKey = prefix ? `${prefix}.${key}` : key;
+        const before = previous ? previous[key] : undefined;
+        const after = next ? next[key] : undefined;
+
+        if (isPlainObject(before) && isPlainObject(after)) {
+            changes.push(...diffConfig(before, after, pathKey));
+        } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+            changes.push(pathKey);
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * True when any changed path is, or sits under, one of the watched paths.
+ *
+ * @param {string[]} changes - Output of diffConfig()
+ * @param {string[]} watched - Paths such as 'relay.port' or 'fileDrop'
+ */
+function touchesAny(changes, watched) {
+    return changes.some(change => watched.some(path =>
+        change === path || change.startsWith(`${path}.`)
+    ));
+}
+
+module.exports = {
+    diffConfig,
+    touchesAny
+};
@@ -0,0 +1,151 @@
+/**
+ * GomerAI MT5 Bridge Configuration Validator
+ * ==========================================
+ *
+ * Validates bridge-config.json against bridge-config.schema.json and
+ * returns a normalized copy with `~` expanded in filesystem paths. Used by
+ * the launcher, the bridge children and the validate-config CLI. Files are
+ * loaded with secret references (env:, file:, vault:) resolved.
+ */
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const schema = require('./bridge-config.schema.json');
+const { resolveChildSpecs } = require('./child-specs');
+const { expandHome, resolveSecrets } = require('./secret-store');
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const validateSchema = ajv.compile(schema);
+
+// Config fields holding filesystem paths that may start with ~
+const PATH_FIELDS = [
+    ['fileDrop', 'watchPath'],
+    ['logging', 'file'],
+    ['queue', 'path'],
+    ['dedup', 'path'],
+    ['secrets', 'vaultPath'],
+    ['secrets', 'keyPath'],
+    ['statusFile', 'path']
+];
+
+class ConfigValidationError extends Error {
+    /**
+     * @param {string} configPath - File that failed validation
+     * @param {{ field: string, message: string }[]} errors - Field-level errors
+     */
+    constructor(configPath, errors) {
+        super(`Invalid configuration in ${configPath}: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+        this.name = 'ConfigValidationError';
+        this.configPath = configPath;
+        this.errors = errors;
+    }
+}
+
+// Turn an Ajv error into "relay.port: must be <= 65535"
+function formatSchemaError(error) {
+    const segments = error.instancePath.split('/').filter(Boolean);
+
+    if (error.keyword === 'required') {
+        segments.push(error.params.missingProperty);
+        return { field: segments.join('.'), message: 'is required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+        segments.push(error.params.additionalProperty);
+        return { field: segments.join('.'), message: 'is not a recognized setting' };
+    }
+    if (error.keyword === 'const') {
+        return { field: segments.join('.') || '(root)', message: `must be ${JSON.stringify(error.params.allowedValue)}` };
+    }
+    if (error.keyword === 'enum') {
+        return { field: segments.join('.') || '(root)', message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    }
+    if (error.keyword === 'anyOf') {
+        const alternatives = error.schema
+            .map(branch => (branch.required || []).join(' and '))
+            .filter(Boolean);
+        if (alternatives.length === error.schema.length) {
+            return { field: segments.join('.') || '(root)', message: `needs ${alternatives.join(' or ')}` };
+        }
+    }
+
+    return { field: segments.join('.') || '(root)', message: error.message };
+}
+
+/**
+ * Validate a parsed configuration object.
+ *
+ * @param {object} raw - Parsed bridge-config.json
+ * @returns {{ valid: boolean, errors: { field: string, message: string }[], config: object|null }}
+ */
+function validateConfig(raw) {
+    if (!validateSchema(raw)) {
+        const seen = new Set();
+        const errors = validateSchema.errors
+            // `if` wrappers repeat what their branches already report
+            .filter(error => error.keyword !== 'if')
+            // and the anyOf error itself sums up its failed alternatives
+            .filter(error => !error.schemaPath.includes('/anyOf/'))
+            .map(formatSchemaError)
+            .filter(error => {
+                const key = `${error.field}:${error.message}`;
+                return seen.has(key) ? false : seen.add(key);
+            });
+        return { valid: false, errors, config: null };
+    }
+
+    const config = JSON.parse(JSON.stringify(raw));
+    for (const [section, field] of PATH_FIELDS) {
+        if (config[section] && typeof config[section][field] === 'string') {
+            config[section][field] = expandHome(config[section][field]);
+        }
+    }
+
+    // Dependency cycles and unknown dependencies are beyond JSON schema
+    try {
+        resolveChildSpecs(config);
+    } catch (error) {
+        return { valid: false, errors: [{ field: 'children', message: error.message }], config: null };
+    }
+
+    return { valid: true, errors: [], config };
+}
+
+/**
+ * Read, parse and validate a configuration file, then resolve its secrets.
+ *
+ * @param {string} configPath - Path to bridge-config.json
+ * @returns {object} Validated configuration with paths expanded and secrets resolved
+ * @throws {ConfigValidationError} When the file is missing, unparsable or invalid,
+ *   or a secret reference cannot be resolved
+ */
+function loadConfig(configPath) {
+    if (!fs.existsSync(configPath)) {
+        throw new ConfigValidationError(configPath, [{ field: '(file)', message: 'configuration file not found' }]);
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        throw new ConfigValidationError(configPath, [{ field: '(file)', message: `invalid JSON: ${error.message}` }]);
+    }
+
+    const result = validateConfig(raw);
+    if (!result.valid) {
+        throw new ConfigValidationError(configPath, result.errors);
+    }
+
+    const secretErrors = resolveSecrets(result.config);
+    if (secretErrors.length > 0) {
+        throw new ConfigValidationError(configPath, secretErrors);
+    }
+    return result.config;
+}
+
+module.exports = {
+    ConfigValidationError,
+    expandHome,
+    formatSchemaError,
+    loadConfig,
+    validateConfig
+};
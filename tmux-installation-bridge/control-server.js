@@ -0,0 +1,284 @@
+/**
+ * GomerAI MT5 Bridge Control Server
+ * =================================
+ *
+ * Local status and control API for the launcher, enabled with
+ * ENABLE_STATUS_SERVER=true. Every control endpoint requires
+ * `Authorization: Bearer <control token>`; the token is resolved again after
+ * each reload, so a rotated `control.token` applies without a restart.
+ *
+ * `GET /launcher-status`, `GET /metrics` and the `GET /events` lifecycle
+ * event stream are open on purpose: the server only listens on 127.0.0.1,
+ * they change nothing, and their readers (the Monitoring pane dashboard, a
+ * Prometheus scrape) have no token. They carry no secrets; pids and error
+ * messages are what a local user already sees in `ps` and the logs.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { formatSse, matchesTypes } = require('./lifecycle-events');
+const { newCorrelationId } = require('./logger');
+
+const DEFAULT_DRAIN_TIMEOUT = 30000; // 30 seconds
+const EVENT_KEEPALIVE_INTERVAL = 15000; // 15 seconds
+const EVENT_RETRY_DELAY = 2000; // Reconnect delay suggested to EventSource clients
+
+/**
+ * Resolve the control token: LAUNCHER_CONTROL_TOKEN, then `control.token` in
+ * the bridge config, then a generated token persisted next to the config
+ * file (mode 0600) so operators can read it with `cat`.
+ *
+ * @param {string} configPath - Path to bridge-config.json
+ * @param {object} config - Parsed bridge configuration
+ * @returns {{ token: string, source: string }}
+ */
+function resolveControlToken(configPath, config) {
+    if (process.env.LAUNCHER_CONTROL_TOKEN) {
+        return { token: process.env.LAUNCHER_CONTROL_TOKEN, source: 'LAUNCHER_CONTROL_TOKEN' };
+    }
+    if (config.control && config.control.token) {
+        return { token: config.control.token, source: 'control.token' };
+    }
+
+    const tokenPath = path.join(path.dirname(configPath), 'control.token');
+    if (fs.existsSync(tokenPath)) {
+        return { token: fs.readFileSync(tokenPath, 'utf8').trim(), source: tokenPath };
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(tokenPath, `${token}\n`, { mode: 0o600 });
+    return { token, source: tokenPath };
+}
+
+function tokensMatch(expected, provided) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(provided || '');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Build the status/control app for a launcher.
+ *
+ * @param {BridgeLauncher} launcher - Running launcher instance
+ * @param {object} options
+ * @param {Function} options.resolveToken - Returns the `{ token, source }` control endpoints require;
+ *                                          called at startup and after every reload
+ * @returns {express.Application}
+ */
+function createControlServer(launcher, { resolveToken }) {
+    const app = express();
+    let shutdownRequested = false;
+
+    let control = resolveToken();
+    launcher.logger.info(`🔐 Control API token loaded from ${control.source}`);
+    launcher.events.on('event', (event) => {
+        if (event.type !== 'config.reloaded') {
+            return;
+        }
+        try {
+            const next = resolveToken();
+            if (next.token !== control.token) {
+                launcher.logger.info(`🔐 Control API token rotated (from ${next.source})`);
+            }
+            control = next;
+        } catch (error) {
+            launcher.logger.error(`❌ Keeping the current control token: ${error.message}`);
+        }
+    });
+
+    // Tag every request with a correlation id for the log, body parser errors included
+    app.use((req, res, next) => {
+        req.correlationId = req.get('x-request-id') || newCorrelationId();
+        req.log = launcher.logger.child({ correlationId: req.correlationId });
+        res.set('X-Request-ID', req.correlationId);
+        next();
+    });
+    app.use(express.json());
+
+    const requireToken = (req, res, next) => {
+        const header = req.get('authorization') || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+        if (!tokensMatch(control.token, provided)) {
+            return res.status(401).json({
+                ok: false,
+                error: { code: 'unauthorized', message: 'Missing or invalid control token' }
+            });
+        }
+        next();
+    };
+
+    // Run one operation through the launcher's guard (shared with SIGHUP),
+    // refusing it while a conflicting one is in flight
+    const runExclusive = async (req, res, key, operation, fn, child = null) => {
+        try {
+            if (shutdownRequested) {
+                throw Object.assign(new Error('Operation "shutdown" is already in progress'), { status: 409, code: 'conflict' });
+            }
+            const result = await launcher.runExclusive(key, operation, () => {
+                req.log.info(`🎛️  Control API: ${operation}${child ? ` ${child}` : ''}`);
+                return fn();
+            });
+            res.json({ ok: true, operation, child, result });
+        } catch (error) {
+            res.status(error.status || 500).json({
+                ok: false,
+                operation,
+                child,
+                error: { code: error.code || 'operation_failed', message: error.message }
+            });
+        }
+    };
+
+    const childOperation = (operation, fn) => [requireToken, (req, res) => {
+        const name = req.params.name;
+
+        if (!launcher.childSpecs.some(spec => spec.name === name)) {
+            return res.status(404).json({
+                ok: false,
+                operation,
+                child: name,
+                error: { code: 'unknown_child', message: `Unknown child: ${name}` }
+            });
+        }
+
+        return runExclusive(req, res, name, operation, () => fn(name, req.body || {}), name);
+    }];
+
+    app.get('/launcher-status', (req, res) => {
+        res.json(launcher.getStatus());
+    });
+
+    app.get('/metrics', async (req, res) => {
+        try {
+            res.set('Content-Type', launcher.metrics.contentType);
+            res.send(await launcher.metrics.render());
+        } catch (error) {
+            req.log.error(`❌ Failed to render metrics: ${error.message}`);
+            res.status(500).send(`# ${error.message}\n`);
+        }
+    });
+
+    // Server-Sent Events: buffered events after Last-Event-ID (or ?lastEventId=),
+    // else the last ?replay=N of them (all by default), then live ones.
+    // ?types=child.exited,health.* narrows both
+    app.get('/events', (req, res) => {
+        const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+        const replay = req.query.replay === undefined ? Infinity : Number(req.query.replay);
+        const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : [];
+
+        const validReplay = replay === Infinity || (Number.isInteger(replay) && replay >= 0);
+        if (!validReplay || (lastEventId !== undefined && !/^\d+$/.test(lastEventId))) {
+            return res.status(400).json({
+                ok: false,
+                error: { code: 'invalid_request', message: 'replay and Last-Event-ID must be non-negative integers' }
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${EVENT_RETRY_DELAY}\n\n`);
+
+        const backlog = lastEventId !== undefined
+            ? launcher.events.replay({ after: Number(lastEventId), types })
+            : launcher.events.replay({ limit: replay, types });
+        backlog.forEach(event => res.write(formatSse(event)));
+
+        const onEvent = (event) => {
+            if (matchesTypes(event.type, types)) {
+                res.write(formatSse(event));
+            }
+        };
+        // Comment lines keep proxies and idle timeouts from closing the stream
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), EVENT_KEEPALIVE_INTERVAL);
+        launcher.events.on('event', onEvent);
+
+        req.on('close', () => {
+            clearInterval(keepalive);
+            launcher.events.off('event', onEvent);
+        });
+    });
+
+    app.post('/children/:name/start', ...childOperation('start', async (name) => {
+        if (launcher.isChildRunning(name)) {
+            throw Object.assign(new Error(`${name} is already running`), { status: 409, code: 'already_running' });
+        }
+        return launcher.startStoppedChild(name);
+    }));
+
+    app.post('/children/:name/stop', ...childOperation('stop', name => launcher.stopChild(name)));
+
+    app.post('/children/:name/restart', ...childOperation('restart', name => launcher.restartChild(name)));
+
+    app.post('/children/:name/reset-circuit', ...childOperation('reset-circuit', async name => launcher.resetCircuit(name)));
+
+    app.post('/reload', requireToken, (req, res) => runExclusive(req, res, '*', 'reload', async () => {
+        const result = await launcher.reloadConfiguration();
+        if (!result.reloaded) {
+            throw new Error(result.error);
+        }
+        return result;
+    }));
+
+    app.post('/shutdown', requireToken, (req, res) => {
+        const drainTimeout = Number((req.body || {}).drainTimeout) || DEFAULT_DRAIN_TIMEOUT;
+
+        // A caller that goes away during the drain cancels the shutdown
+        let cancelled = false;
+        res.once('close', () => {
+            cancelled = !res.writableFinished;
+        });
+
+        return runExclusive(req, res, '*', 'shutdown', async () => {
+            const drained = await launcher.drainChildren(drainTimeout);
+            if (cancelled) {
+                // No shutdown follows, so the children go back to work
+                launcher.undrainChildren();
+                req.log.warn('⚠️  Shutdown cancelled: the caller went away during the drain');
+                throw Object.assign(new Error('Shutdown cancelled during the drain'), { status: 409, code: 'cancelled' });
+            }
+
+            // Refuse everything from here on, and shut down once the response
+            // has been flushed, or the caller has gone away
+            shutdownRequested = true;
+            res.once('finish', () => launcher.shutdown());
+            res.once('close', () => launcher.shutdown());
+            return { drained, drainTimeout };
+        });
+    });
+
+    app.use((req, res) => {
+        res.status(404).json({
+            ok: false,
+            error: { code: 'not_found', message: `No route for ${req.method} ${req.path}` }
+        });
+    });
+
+    // Body parser failures: malformed JSON (400) and oversized bodies (413)
+    app.use((error, req, res, next) => {
+        const status = error.status || error.statusCode || 500;
+        if (status >= 500) {
+            (req.log || launcher.logger).error(`❌ Control API request failed: ${error.message}`);
+        }
+        res.status(status).json({
+            ok: false,
+            error: {
+                code: error.type === 'entity.parse.failed' ? 'invalid_json' : (error.type || 'internal_error'),
+                message: error.message
+            }
+        });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createControlServer,
+    resolveControlToken
+};
@@ -0,0 +1,335 @@
+/**
+ * GomerAI MT5 Bridge Dedup Store
+ * ==============================
+ *
+ * Time-windowed idempotency store shared by the HTTP relay and the file
+ * drop relay, which run as separate processes. A payload is claimed by
+ * creating a marker file named after its idempotency key with O_EXCL, so
+ * exactly one process wins even when the same event arrives over HTTP and
+ * as a dropped file at the same moment.
+ *
+ * Markers record their owner (the HTTP request or the dropped file), so a
+ * file retried after a failure, or recovered after a crash, is not taken
+ * for a duplicate of itself. Each process appends the duplicates it sees
+ * to its own duplicates.<pid>.log, so pruning one log never races another
+ * process's appends. /status is served from memory: this process's
+ * duplicates as they happen, the other logs as of the last prune.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v5: uuidv5 } = require('uuid');
+
+// Namespace for keys derived from payload content
+const KEY_NAMESPACE = '8f0c6a4e-3b2d-5e1f-9a7c-6d4b2e8f1a30';
+
+// `dedup` section defaults; a relative path is resolved against the bridge directory
+const DEFAULT_DEDUP = {
+    enabled: true,
+    path: 'dedup-data',
+    window: 600000, // 10 minutes
+    endpoints: ['ingest', 'ml-snapshot']
+};
+
+// duplicates.<pid>.log, and the shared duplicates.log of older versions
+const DUPLICATE_LOG = /^duplicates(\.\d+)?\.log$/;
+const RECENT_DUPLICATES = 20;
+
+// JSON with sorted object keys, so equal payloads hash the same
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+class DedupStore {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory shared by both relays
+     * @param {number} options.window - Milliseconds a key is remembered
+     * @param {string[]} options.endpoints - Endpoints whose payloads are deduplicated
+     * @param {winston.Logger} options.log - Logger for store problems
+     */
+    constructor({ dir, window, endpoints, log }) {
+        this.dir = dir;
+        this.window = window;
+        this.endpoints = endpoints;
+        this.log = log;
+        this.pruneTimer = null;
+        this.logPath = path.join(dir, `duplicates.${process.pid}.log`);
+        this.keyCount = 0; // markers on disk as of the last prune, plus our claims since
+        this.duplicates = []; // recorded by this process within the window, oldest first
+        this.peerDuplicates = []; // read from the other processes' logs by prune()
+        fs.mkdirSync(dir, { recursive: true });
+        this.prune();
+    }
+
+    /**
+     * Open the store described by the `dedup` section of the configuration.
+     *
+     * @param {object} config - Validated bridge configuration
+     * @param {winston.Logger} log - Logger for store problems
+     * @returns {DedupStore|null} null when deduplication is disabled
+     */
+    static fromConfig(config, log) {
+        const settings = { ...DEFAULT_DEDUP, ...config.dedup };
+        if (!settings.enabled) {
+            return null;
+        }
+        return new DedupStore({
+            dir: path.resolve(__dirname, settings.path),
+            window: settings.window,
+            endpoints: settings.endpoints,
+            log
+        });
+    }
+
+    appliesTo(endpoint) {
+        return this.endpoints.includes(endpoint);
+    }
+
+    /**
+     * The caller's key (Idempotency-Key header or `idempotencyKey` in the
+     * payload), or one derived from the payload content.
+     *
+     * @param {*} payload - Parsed JSON body
+     * @param {string} [provided] - Key supplied by the caller
+     * @returns {string}
+     */
+    keyFor(payload, provided) {
+        if (provided) {
+            return String(provided);
+        }
+        if (payload && typeof payload.idempotencyKey === 'string' && payload.idempotencyKey) {
+            return payload.idempotencyKey;
+        }
+        return uuidv5(canonicalJson(payload), KEY_NAMESPACE);
+    }
+
+    markerPath(endpoint, key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.dir, endpoint, `${hash}.json`);
+    }
+
+    /**
+     * Claim a key for an owner.
+     *
+     * @param {string} endpoint - Endpoint the payload is for
+     * @param {string} key - Idempotency key
+     * @param {string} owner - Who is delivering it, e.g. 'http:<request id>' or 'file:<name>'
+     * @returns {{ duplicate: boolean, firstSeenAt?: string, owner?: string }}
+     */
+    claim(endpoint, key, owner) {
+        const marker = this.markerPath(endpoint, key);
+        fs.mkdirSync(path.dirname(marker), { recursive: true });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                fs.writeFileSync(marker, JSON.stringify({ key, owner, claimedAt: Date.now() }), { flag: 'wx' });
+                this.keyCount++;
+                return { duplicate: false };
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const existing = this.readMarker(marker);
+            if (existing && existing.owner === owner) {
+                return { duplicate: false };
+            }
+            if (existing && Date.now() - existing.claimedAt < this.window) {
+                this.recordDuplicate(endpoint, key, owner, existing);
+                return { duplicate: true, firstSeenAt: new Date(existing.claimedAt).toISOString(), owner: existing.owner };
+            }
+
+            // Expired, or torn by a crash between create and write: claim it afresh
+            fs.rmSync(marker, { force: true });
+            this.keyCount--;
+        }
+
+        return { duplicate: false };
+    }
+
+    /**
+     * Forget a claim whose payload was not accepted, so a retry through
+     * either path is delivered.
+     */
+    release(endpoint, key, owner) {
+        const marker = this.markerPath(endpoint, key);
+        const existing = this.readMarker(marker);
+        if (existing && existing.owner === owner) {
+            fs.rmSync(marker, { force: true });
+            this.keyCount--;
+        }
+    }
+
+    readMarker(marker) {
+        try {
+            return JSON.parse(fs.readFileSync(marker, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    recordDuplicate(endpoint, key, owner, existing) {
+        const entry = {
+            at: new Date().toISOString(),
+            endpoint,
+            key,
+            source: owner.split(':')[0],
+            firstSource: existing.owner.split(':')[0],
+            firstSeenAt: new Date(existing.claimedAt).toISOString()
+        };
+        this.duplicates = this.withinWindow(this.duplicates, Date.now());
+        this.duplicates.push(entry);
+        try {
+            fs.appendFileSync(this.logPath, `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+            this.log.warn(`⚠️  Could not record duplicate ${key}: ${error.message}`);
+        }
+    }
+
+    withinWindow(entries, now) {
+        return entries.filter(entry => now - Date.parse(entry.at) < this.window);
+    }
+
+    readDuplicates(logPath) {
+        try {
+            return fs.readFileSync(logPath, 'utf8')
+                .split('\n')
+                .filter(Boolean)
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Only this process appends to its log, so the rewrite cannot drop an entry
+    rewriteLog(entries) {
+        if (entries.length === 0) {
+            fs.rmSync(this.logPath, { force: true });
+            return;
+        }
+        const temporary = `${this.logPath}.tmp`;
+        fs.writeFileSync(temporary, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        fs.renameSync(temporary, this.logPath);
+    }
+
+    // A marker released, or a log pruned, by another process since readdir returned it
+    modifiedAt(file) {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete expired markers and duplicate records older than the window,
+     * and re-read what the other processes recorded.
+     *
+     * @returns {number} Markers removed
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+        let keys = 0;
+
+        for (const endpoint of fs.readdirSync(this.dir, { withFileTypes: true }).filter(entry => entry.isDirectory())) {
+            const endpointDir = path.join(this.dir, endpoint.name);
+            for (const file of fs.readdirSync(endpointDir)) {
+                const markerPath = path.join(endpointDir, file);
+                const marker = this.readMarker(markerPath);
+                // An unreadable marker may be one being written right now
+                const claimedAt = marker ? marker.claimedAt : this.modifiedAt(markerPath);
+                if (claimedAt === null) {
+                    continue;
+                }
+                if (now - claimedAt >= this.window) {
+                    fs.rmSync(path.join(endpointDir, file), { force: true });
+                    removed++;
+                } else {
+                    keys++;
+                }
+            }
+        }
+        this.keyCount = keys;
+
+        this.duplicates = this.withinWindow(this.duplicates, now);
+        this.rewriteLog(this.duplicates);
+
+        const peers = [];
+        for (const file of fs.readdirSync(this.dir).filter(name => DUPLICATE_LOG.test(name))) {
+            const logPath = path.join(this.dir, file);
+            if (logPath === this.logPath) {
+                continue;
+            }
+            const modifiedAt = this.modifiedAt(logPath);
+            if (modifiedAt === null) {
+                continue;
+            }
+            // Nothing written within the window: its process is gone or has nothing recent
+            if (now - modifiedAt >= this.window) {
+                fs.rmSync(logPath, { force: true });
+                continue;
+            }
+            peers.push(...this.withinWindow(this.readDuplicates(logPath), now));
+        }
+        this.peerDuplicates = peers;
+
+        return removed;
+    }
+
+    startPruning(interval) {
+        this.pruneTimer = setInterval(() => {
+            try {
+                this.prune();
+            } catch (error) {
+                this.log.warn(`⚠️  Dedup store prune failed: ${error.message}`);
+            }
+        }, interval);
+        this.pruneTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.pruneTimer);
+    }
+
+    stats() {
+        const duplicates = this.withinWindow([...this.peerDuplicates, ...this.duplicates], Date.now())
+            .sort((a, b) => a.at.localeCompare(b.at));
+        const bySource = {};
+        for (const entry of duplicates) {
+            bySource[entry.source] = (bySource[entry.source] || 0) + 1;
+        }
+
+        return {
+            window: this.window,
+            endpoints: this.endpoints,
+            keys: Math.max(this.keyCount, 0),
+            duplicates: {
+                total: duplicates.length,
+                bySource,
+                recent: duplicates.slice(-RECENT_DUPLICATES)
+            }
+        };
+    }
+}
+
+module.exports = DedupStore;
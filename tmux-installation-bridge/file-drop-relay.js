@@ -0,0 +1,506 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge File Drop Relay
+ * ==================================
+ *
+ * Fallback for EAs that cannot use WebRequest: the EA writes a JSON file
+ * into `fileDrop.watchPath` (file-drops/inbound) and this relay forwards it
+ * to GCP. Next to the inbound directory it keeps:
+ *
+ *   processing/  files claimed by an atomic rename, being forwarded
+ *   completed/   files GCP accepted
+ *   failed/      dead letters, each with a <file>.error.json sidecar
+ *   quarantine/  ingest and ML snapshot files that fail their payload schema
+ *                (see payload-schemas.js), each with a <file>.error.json sidecar
+ *
+ * The endpoint comes from the file name (gomerai_<endpoint>_....json, as
+ * written by WriteToFileDrop()), then an `endpoint` field in the payload,
+ * then `fileDrop.defaultEndpoint`. Payloads the HTTP relay already accepted
+ * within `dedup.window` are moved to completed/ without being sent again.
+ * A file only holds its dedup claim while it is being forwarded, so the
+ * same payload over HTTP is not refused while the file waits for a retry.
+ * Valid payloads are forwarded normalized and upgraded to the current
+ * schema version, as the HTTP relay forwards them.
+ *
+ * IPC with the launcher: sends `ready` once watching and `error` when it
+ * cannot start; handles `reload`, `drain` (answered with `drained`),
+ * `undrain` and `shutdown`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const { loadConfig } = require('./config-validator');
+const { ENDPOINTS, forwardToGcp, isRetryableStatus } = require('./gcp-forwarder');
+const { applyLoggingConfig, closeLogger, createLogger, newCorrelationId } = require('./logger');
+const DedupStore = require('./dedup-store');
+const { PayloadValidationError, hasPayloadSchema, validatePayload } = require('./payload-schemas');
+const { SecretRotation } = require('./secret-store');
+
+const CONFIG = {
+    configPath: process.env.GOMERAI_CONFIG_PATH || './config/bridge-config.json',
+    shutdownTimeout: 8000, // below the launcher's stop timeout
+    maxRetryDelay: 300000, // 5 minutes between attempts at most
+    dedupPruneInterval: 60000 // 1 minute
+};
+
+const DEFAULT_FILE_DROP = {
+    processInterval: 5000,
+    defaultEndpoint: 'ingest',
+    maxAttempts: 10, // about 25 minutes of retries with the default delays
+    retryDelay: 10000
+};
+
+// EAs write <name>.json.tmp and rename it, so only finished .json files count
+const DROP_FILE = /^[^.].*\.json$/;
+
+// Accept the spellings an EA is likely to put in a file name
+const ENDPOINT_ALIASES = {
+    ml_snapshot: 'ml-snapshot',
+    mlsnapshot: 'ml-snapshot'
+};
+
+class PoisonFileError extends Error {
+    /**
+     * @param {string} message - Why the file can never be delivered
+     * @param {object} [details] - GCP status and response, when GCP refused it
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PoisonFileError';
+        this.details = details;
+    }
+}
+
+function toEndpoint(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const normalized = ENDPOINT_ALIASES[value.toLowerCase()] || value.toLowerCase();
+    return ENDPOINTS[normalized] ? normalized : null;
+}
+
+// gomerai_ml_snapshot_<time>.json names its endpoint in more than one segment
+function endpointFromFileName(file) {
+    const match = file.match(/^gomerai_(.+)\.json$/i);
+    if (!match) {
+        return null;
+    }
+    const segments = match[1].split('_');
+    for (let i = 1; i < segments.length; i++) {
+        const endpoint = toEndpoint(segments.slice(0, i).join('_'));
+        if (endpoint) {
+            return endpoint;
+        }
+    }
+    return null;
+}
+
+class FileDropRelay {
+    constructor() {
+        this.logger = createLogger(process.env.GOMERAI_CHILD_NAME || 'fileDrop')
+            .child({ correlationId: process.env.GOMERAI_CORRELATION_ID || newCorrelationId() });
+        this.config = null;
+        this.secrets = new SecretRotation();
+        this.dirs = null;
+        this.dedup = null;
+        this.watcher = null;
+        this.sweepTimer = null;
+        this.sweeping = null;
+        this.sweepRequested = false;
+        this.retries = new Map(); // file name -> { attempts, nextAttemptAt, lastError, key }
+        this.draining = false;
+        this.isShuttingDown = false;
+        this.stats = { completed: 0, failed: 0, quarantined: 0, retried: 0, recovered: 0, duplicates: 0 };
+    }
+
+    get settings() {
+        return { ...DEFAULT_FILE_DROP, ...this.config.fileDrop };
+    }
+
+    async initialize() {
+        this.loadConfiguration();
+        this.setupProcessHandlers();
+        this.prepareDirectories();
+        this.dedup = DedupStore.fromConfig(this.config, this.logger);
+        if (this.dedup) {
+            this.dedup.startPruning(CONFIG.dedupPruneInterval);
+        }
+        this.recoverProcessing();
+        await this.startWatching();
+
+        this.logger.info(`✅ File drop relay watching ${this.dirs.inbound} (sweep every ${this.settings.processInterval / 1000}s)`);
+        this.send({ type: 'ready' });
+        this.requestSweep();
+    }
+
+    loadConfiguration() {
+        const config = loadConfig(CONFIG.configPath);
+        const rotated = this.secrets.update(this.config, config);
+        this.config = config;
+        applyLoggingConfig(this.logger, this.config.logging);
+        rotated.forEach(field => this.logger.info(`🔑 ${field} rotated; the previous value stays valid for the grace period`));
+
+        if (!this.config.fileDrop || !this.config.fileDrop.watchPath) {
+            throw new Error('fileDrop.watchPath is not configured');
+        }
+    }
+
+    prepareDirectories() {
+        const inbound = path.resolve(this.config.fileDrop.watchPath);
+        const root = path.dirname(inbound);
+
+        this.dirs = {
+            inbound,
+            processing: path.join(root, 'processing'),
+            completed: path.join(root, 'completed'),
+            failed: path.join(root, 'failed'),
+            quarantine: path.join(root, 'quarantine')
+        };
+        Object.values(this.dirs).forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+    }
+
+    // Files a crashed relay left mid-flight go back to inbound and are claimed again
+    recoverProcessing() {
+        for (const file of fs.readdirSync(this.dirs.processing).filter(name => DROP_FILE.test(name))) {
+            try {
+                fs.renameSync(path.join(this.dirs.processing, file), path.join(this.dirs.inbound, file));
+                this.stats.recovered++;
+            } catch (error) {
+                this.logger.error(`❌ Could not recover ${file} from processing: ${error.message}`);
+            }
+        }
+        if (this.stats.recovered > 0) {
+            this.logger.warn(`♻️  Returned ${this.stats.recovered} unfinished file(s) from processing to inbound`);
+        }
+    }
+
+    startWatching() {
+        this.watcher = chokidar.watch(this.dirs.inbound, {
+            depth: 0,
+            ignoreInitial: true,
+            awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 50 }
+        });
+        this.watcher.on('add', () => this.requestSweep());
+        this.watcher.on('error', error => this.logger.error(`❌ Watcher error: ${error.message}`));
+
+        // Events can be missed on network shares and by some editors; the
+        // periodic sweep also picks up files whose retry delay has passed
+        this.sweepTimer = setInterval(() => this.requestSweep(), this.settings.processInterval);
+
+        return new Promise(resolve => this.watcher.once('ready', resolve));
+    }
+
+    setupProcessHandlers() {
+        process.on('message', (message) => {
+            if (message.type === 'reload') {
+                this.reload(message.changes || []);
+            } else if (message.type === 'drain') {
+                this.drain().then(() => this.send({ type: 'drained' }));
+            } else if (message.type === 'undrain') {
+                this.undrain();
+            } else if (message.type === 'shutdown') {
+                this.shutdown();
+            }
+        });
+
+        // Under the launcher, Ctrl-C reaches the whole process group; the
+        // launcher then stops us in dependency order
+        process.on('SIGINT', () => {
+            if (!process.connected) {
+                this.shutdown();
+            }
+        });
+        process.on('SIGTERM', () => this.shutdown());
+        process.on('disconnect', () => this.shutdown());
+    }
+
+    send(message) {
+        if (process.connected) {
+            process.send(message);
+        }
+    }
+
+    // Sweeps never overlap; a request during a sweep runs another one after it
+    requestSweep() {
+        if (this.draining) {
+            return;
+        }
+        if (this.sweeping) {
+            this.sweepRequested = true;
+            return;
+        }
+
+        this.sweeping = this.sweep()
+            .catch(error => this.logger.error(`❌ File drop sweep failed: ${error.message}`))
+            .finally(() => {
+                this.sweeping = null;
+                if (this.sweepRequested) {
+                    this.sweepRequested = false;
+                    this.requestSweep();
+                }
+            });
+    }
+
+    async sweep() {
+        const now = Date.now();
+
+        // Files waiting for a retry stay claimed in processing
+        const retryDue = [...this.retries.entries()]
+            .filter(([, retry]) => retry.nextAttemptAt <= now)
+            .map(([file]) => file);
+
+        const inbound = fs.readdirSync(this.dirs.inbound)
+            .filter(file => DROP_FILE.test(file))
+            .sort(); // WriteToFileDrop() names sort by time
+
+        for (const file of [...retryDue, ...inbound]) {
+            if (this.draining) {
+                return;
+            }
+            if (!this.retries.has(file) && !this.claim(file)) {
+                continue;
+            }
+            await this.processFile(file);
+        }
+    }
+
+    // Rename is atomic, so a file is only ever processed by whoever moved it
+    claim(file) {
+        try {
+            fs.renameSync(path.join(this.dirs.inbound, file), path.join(this.dirs.processing, file));
+            return true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`❌ Could not claim ${file}: ${error.message}`);
+            }
+            return false;
+        }
+    }
+
+    resolveEndpoint(file, payload) {
+        return endpointFromFileName(file)
+            || (payload && toEndpoint(payload.endpoint))
+            || this.settings.defaultEndpoint;
+    }
+
+    async processFile(file) {
+        const correlationId = newCorrelationId();
+        const log = this.logger.child({ correlationId, file });
+        const processingPath = path.join(this.dirs.processing, file);
+        const retry = this.retries.get(file) || { attempts: 0, nextAttemptAt: 0, lastError: null, key: null };
+        let endpoint = null;
+
+        try {
+            let payload;
+            try {
+                payload = JSON.parse(fs.readFileSync(processingPath, 'utf8'));
+            } catch (error) {
+                throw new PoisonFileError(`Invalid JSON: ${error.message}`);
+            }
+
+            endpoint = this.resolveEndpoint(file, payload);
+            if (hasPayloadSchema(endpoint)) {
+                payload = validatePayload(endpoint, payload).payload;
+            }
+
+            // Claimed again on every attempt; a file recovered after a crash owns its marker already
+            if (this.dedup && this.dedup.appliesTo(endpoint)) {
+                const key = this.dedup.keyFor(payload);
+                const outcome = this.dedup.claim(endpoint, key, `file:${file}`);
+                if (outcome.duplicate) {
+                    this.retries.delete(file);
+                    fs.renameSync(processingPath, path.join(this.dirs.completed, file));
+                    this.stats.duplicates++;
+                    log.info(`♊ ${file} duplicates ${endpoint} payload ${key} first seen ${outcome.firstSeenAt}, not forwarded`);
+                    return;
+                }
+                retry.key = key;
+            }
+            retry.attempts++;
+
+            const headers = { 'X-Request-ID': correlationId, 'X-File-Drop': file };
+            if (retry.key) {
+                headers['Idempotency-Key'] = retry.key;
+            }
+            const result = await forwardToGcp(this.config, endpoint, payload, {
+                headers,
+                previousApiKey: this.secrets.previous('apiKey'),
+                log
+            });
+
+            if (result.status >= 400 && !isRetryableStatus(result.status)) {
+                throw new PoisonFileError(`GCP rejected the payload with status ${result.status}`, {
+                    status: result.status,
+                    response: result.data
+                });
+            }
+            if (result.status >= 400) {
+                throw new Error(`GCP responded with status ${result.status}`);
+            }
+
+            this.retries.delete(file);
+            fs.renameSync(processingPath, path.join(this.dirs.completed, file));
+            this.stats.completed++;
+            log.info(`📁 ${file} -> ${endpoint} (${result.status}, attempt ${retry.attempts})`);
+        } catch (error) {
+            if (error instanceof PayloadValidationError) {
+                this.quarantine(file, endpoint, error, log);
+                return;
+            }
+            if (error instanceof PoisonFileError || retry.attempts >= this.settings.maxAttempts) {
+                this.deadLetter(file, endpoint, retry, error, log);
+                return;
+            }
+
+            // Not delivered, so not seen: the EA's HTTP retry may get it through first
+            if (retry.key) {
+                this.dedup.release(endpoint, retry.key, `file:${file}`);
+            }
+
+            retry.lastError = error.message;
+            const delay = Math.min(CONFIG.maxRetryDelay, this.settings.retryDelay * Math.pow(2, retry.attempts - 1));
+            retry.nextAttemptAt = Date.now() + delay;
+            this.retries.set(file, retry);
+            this.stats.retried++;
+            log.warn(`🔁 ${file} attempt ${retry.attempts}/${this.settings.maxAttempts} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+        }
+    }
+
+    deadLetter(file, endpoint, retry, error, log) {
+        this.retries.delete(file);
+
+        // Let a corrected copy of the payload through
+        if (retry.key) {
+            this.dedup.release(endpoint, retry.key, `file:${file}`);
+        }
+
+        const sidecar = {
+            file,
+            endpoint,
+            idempotencyKey: retry.key,
+            attempts: retry.attempts,
+            error: error.message,
+            ...(error.details || {}),
+            failedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.renameSync(path.join(this.dirs.processing, file), path.join(this.dirs.failed, file));
+            fs.writeFileSync(path.join(this.dirs.failed, `${file}.error.json`), JSON.stringify(sidecar, null, 2));
+            this.stats.failed++;
+            log.error(`💀 ${file} moved to failed/: ${error.message}`);
+        } catch (moveError) {
+            log.error(`❌ Could not move ${file} to failed/: ${moveError.message}`);
+        }
+    }
+
+    // Invalid payloads are set aside for the EA's developer rather than retried
+    quarantine(file, endpoint, error, log) {
+        this.retries.delete(file);
+
+        const sidecar = {
+            file,
+            endpoint,
+            code: error.code,
+            schemaVersion: error.version,
+            error: error.message,
+            errors: error.errors,
+            quarantinedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.renameSync(path.join(this.dirs.processing, file), path.join(this.dirs.quarantine, file));
+            fs.writeFileSync(path.join(this.dirs.quarantine, `${file}.error.json`), JSON.stringify(sidecar, null, 2));
+            this.stats.quarantined++;
+            log.warn(`🚫 ${file} moved to quarantine/: ${error.message}`);
+        } catch (moveError) {
+            log.error(`❌ Could not move ${file} to quarantine/: ${moveError.message}`);
+        }
+    }
+
+    reload(changes) {
+        const log = this.logger.child({ correlationId: newCorrelationId() });
+
+        try {
+            this.loadConfiguration();
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = setInterval(() => this.requestSweep(), this.settings.processInterval);
+            log.info(`🔄 File drop relay applied configuration changes: ${changes.join(', ') || 'none'}`);
+
+            // New endpoints or credentials may be what waiting files needed
+            if (changes.some(change => /^(gcpEndpoints|apiKey|retry)\b/.test(change))) {
+                this.retries.forEach(retry => {
+                    retry.nextAttemptAt = 0;
+                });
+                this.requestSweep();
+            }
+        } catch (error) {
+            log.error(`❌ File drop relay kept its previous configuration: ${error.message}`);
+            this.send({ type: 'error', error: `reload failed: ${error.message}` });
+        }
+    }
+
+    // Stop claiming files and let the one being forwarded finish
+    async drain(timeout = CONFIG.shutdownTimeout) {
+        this.draining = true;
+        this.logger.info('🚰 Draining file drop relay...');
+
+        if (this.sweeping) {
+            await Promise.race([
+                this.sweeping,
+                new Promise(resolve => setTimeout(resolve, timeout))
+            ]);
+        }
+        return !this.sweeping;
+    }
+
+    // A drain that is not followed by a shutdown
+    undrain() {
+        if (this.draining && !this.isShuttingDown) {
+            this.draining = false;
+            this.logger.info('▶️  File drop relay claiming files again');
+            this.requestSweep();
+        }
+    }
+
+    async shutdown(exitCode = 0) {
+        if (this.isShuttingDown) {
+            return;
+        }
+        this.isShuttingDown = true;
+        this.logger.info('🛑 File drop relay shutting down...');
+
+        clearInterval(this.sweepTimer);
+        await this.drain();
+        if (this.watcher) {
+            await this.watcher.close();
+        }
+        if (this.dedup) {
+            this.dedup.stop();
+        }
+
+        this.logger.info(`✅ File drop relay stopped (completed: ${this.stats.completed}, failed: ${this.stats.failed}, quarantined: ${this.stats.quarantined}, waiting: ${this.retries.size})`);
+        await closeLogger(this.logger);
+        process.exit(exitCode);
+    }
+}
+
+async function main() {
+    const relay = new FileDropRelay();
+
+    try {
+        await relay.initialize();
+    } catch (error) {
+        relay.logger.error(`💥 Failed to start file drop relay: ${error.message}`);
+        relay.send({ type: 'error', error: error.message });
+        await closeLogger(relay.logger);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = FileDropRelay;
@@ -0,0 +1,153 @@
+/**
+ * GomerAI MT5 Bridge GCP Forwarder
+ * ================================
+ *
+ * Forwards EA payloads to the GCP endpoint behind a local relay route,
+ * attaching the configured apiKey and retrying transient failures with the
+ * `retry` settings. While a rotated key is in its grace period, a request
+ * GCP refuses with the new key is retried with the previous one. Shared by
+ * the HTTP relay and the file-drop relay.
+ */
+
+const axios = require('axios');
+
+// Local route -> key in config.gcpEndpoints
+const ENDPOINTS = {
+    ingest: 'ingest',
+    token: 'token',
+    dashboard: 'dashboard',
+    'ml-snapshot': 'mlSnapshot'
+};
+
+const DEFAULT_RETRY = {
+    maxAttempts: 3,
+    baseDelay: 1000,
+    maxDelay: 10000
+};
+
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+
+class ForwardError extends Error {
+    /**
+     * @param {string} endpoint - Local route that failed, e.g. 'ingest'
+     * @param {number} attempts - Attempts made before giving up
+     * @param {Error} cause - Error from the last attempt
+     */
+    constructor(endpoint, attempts, cause) {
+        super(`Forward to ${endpoint} failed after ${attempts} attempt(s): ${cause.message}`);
+        this.name = 'ForwardError';
+        this.endpoint = endpoint;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+// Network errors, throttling and server errors are worth another attempt;
+// other 4xx responses would fail the same way again
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function retryDelay(retry, attempt) {
+    return Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attempt - 1));
+}
+
+// GCP's answer to an API key it does not accept
+function isKeyRefused(status) {
+    return status === 401 || status === 403;
+}
+
+// GCP, or a proxy on the way, refusing the bridge's credentials rather than
+// the payload: a stored payload goes through once the key is fixed
+function isCredentialRefused(status) {
+    return isKeyRefused(status) || status === 407;
+}
+
+// Tell the launcher about the forward so it shows up in /metrics
+function reportForward(endpoint, status, startedAt) {
+    if (process.connected) {
+        process.send({ type: 'forward', endpoint, status, durationMs: Date.now() - startedAt });
+    }
+}
+
+/**
+ * POST a payload to the GCP endpoint for a local route.
+ *
+ * Resolves with the GCP response once GCP answers with anything other than
+ * a retryable status, or with the last response when attempts run out.
+ * Rejects with a ForwardError when no attempt got a response at all.
+ *
+ * @param {object} config - Validated bridge configuration
+ * @param {string} endpoint - Local route: ingest, token, dashboard or ml-snapshot
+ * @param {*} payload - JSON body to forward
+ * @param {object} [options]
+ * @param {object} [options.headers] - Extra headers for GCP, e.g. X-Terminal-ID
+ * @param {string} [options.previousApiKey] - Key replaced by a rotation still in its grace period
+ * @param {winston.Logger} [options.log] - Logger for retry warnings
+ * @returns {Promise<{ status: number, data: *, attempts: number, durationMs: number }>}
+ */
+async function forwardToGcp(config, endpoint, payload, { headers = {}, previousApiKey = null, log = null } = {}) {
+    if (!ENDPOINTS[endpoint]) {
+        throw new Error(`Unknown endpoint: ${endpoint}`);
+    }
+
+    const url = config.gcpEndpoints[ENDPOINTS[endpoint]];
+    const retry = { ...DEFAULT_RETRY, ...config.retry };
+    const timeout = config.relay.timeout || DEFAULT_TIMEOUT;
+    const startedAt = Date.now();
+    let lastError = null;
+
+    const post = apiKey => axios.post(url, payload, {
+        headers: {
+            'Content-Type': 'application/json',
+            'X-API-Key': apiKey,
+            ...headers
+        },
+        timeout,
+        validateStatus: () => true
+    });
+
+    for (let attempt = 1; attempt <= retry.maxAttempts; attempt++) {
+        try {
+            let response = await post(config.apiKey);
+            if (isKeyRefused(response.status) && previousApiKey) {
+                if (log) {
+                    log.warn(`🔑 GCP refused the current apiKey for ${endpoint} (${response.status}), retrying with the previous key`);
+                }
+                response = await post(previousApiKey);
+            }
+
+            if (!isRetryableStatus(response.status) || attempt === retry.maxAttempts) {
+                reportForward(endpoint, response.status, startedAt);
+                return {
+                    status: response.status,
+                    data: response.data,
+                    attempts: attempt,
+                    durationMs: Date.now() - startedAt
+                };
+            }
+            lastError = new Error(`GCP responded with status ${response.status}`);
+        } catch (error) {
+            lastError = error;
+        }
+
+        if (attempt < retry.maxAttempts) {
+            const delay = retryDelay(retry, attempt);
+            if (log) {
+                log.warn(`🔁 ${endpoint} attempt ${attempt}/${retry.maxAttempts} failed (${lastError.message}), retrying in ${delay}ms`);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    reportForward(endpoint, 'error', startedAt);
+    throw new ForwardError(endpoint, retry.maxAttempts, lastError);
+}
+
+module.exports = {
+    ENDPOINTS,
+    ForwardError,
+    forwardToGcp,
+    isCredentialRefused,
+    isRetryableStatus
+};
@@ -6,6 +6,11 @@
 # Installs MT5 Data Pipeline Bridge as part of tmux installation.exe
 # This script is embedded in the customer installation package.
 #
+# Environment:
+#   GOMERAI_API_KEY  GCP API key, stored in the secret vault. Prompted for
+#                    when run interactively; an unattended install without it
+#                    fails before anything is installed
+#
 
 set -e
 
@@ -150,6 +155,31 @@ install_bridge_components() {
     log "Bridge components installed successfully"
 }
 
+# Ask for the GCP API key up front, so an install without one stops before
+# anything is installed rather than storing a key GCP would refuse
+read_api_key() {
+    if [ -z "$GOMERAI_API_KEY" ] && [ -t 0 ]; then
+        read -r -s -p "GomerAI API key: " GOMERAI_API_KEY
+        echo ""
+    fi
+    
+    if [ -z "$GOMERAI_API_KEY" ]; then
+        error "No API key provided; set GOMERAI_API_KEY or run the installer interactively"
+        exit 1
+    fi
+}
+
+# Store the GCP API key in the encrypted secret vault, never in the config file
+store_api_key() {
+    log "Storing GCP API key in the secret vault..."
+    
+    printf '%s' "$GOMERAI_API_KEY" | node "$INSTALL_DIR/manage-secrets.js" set gcp-api-key \
+        --config "$INSTALL_DIR/config/bridge-config.json"
+    unset GOMERAI_API_KEY
+    
+    log "API key stored"
+}
+
 # Configure bridge service
 configure_bridge() {
     log "Configuring MT5 Bridge service..."
@@ -170,7 +200,7 @@ configure_bridge() {
         "dashboard": "https://us-central1-gomerai-silo-alpha.cloudfunctions.net/customerDashboard",
         "mlSnapshot": "https://us-central1-gomerai-silo-alpha.cloudfunctions.net/logMLSnapshot"
     },
-    "apiKey": "68876163c86d98a59f045a6d9625d0349cc43ca8dab2bf39317b55c612a4c942",
+    "apiKey": "vault:gcp-api-key",
     "retry": {
         "maxAttempts": 3,
         "baseDelay": 1000,
@@ -190,6 +220,12 @@ configure_bridge() {
 }
 EOF
     
+    # Validate the generated configuration with the same rules the launcher applies
+    if ! node "$INSTALL_DIR/validate-config.js" "$INSTALL_DIR/config/bridge-config.json"; then
+        error "Generated bridge configuration is invalid"
+        exit 1
+    fi
+    
     log "Bridge configuration created"
 }
 
@@ -384,6 +420,25 @@ bool USE_BRIDGE = true;
 int BRIDGE_TIMEOUT = 5000; // 5 seconds
 int DIRECT_TIMEOUT = 10000; // 10 seconds
 
+// Terminal authentication: this terminal's entry under terminalAuth.terminals
+// in bridge-config.json. Required once terminalAuth is enabled.
+string BRIDGE_TERMINAL_ID = "";
+string BRIDGE_TERMINAL_TOKEN = "";
+
+//+------------------------------------------------------------------+
+//| Headers identifying this terminal to the bridge                  |
+//+------------------------------------------------------------------+
+string BridgeHeaders(string headers)
+{
+    if (headers != "" && StringSubstr(headers, StringLen(headers) - 2) != "\r\n")
+        headers += "\r\n";
+    if (BRIDGE_TERMINAL_ID != "")
+        headers += "X-Terminal-ID: " + BRIDGE_TERMINAL_ID + "\r\n";
+    if (BRIDGE_TERMINAL_TOKEN != "")
+        headers += "Authorization: Bearer " + BRIDGE_TERMINAL_TOKEN + "\r\n";
+    return headers;
+}
+
 //+------------------------------------------------------------------+
 //| Smart WebRequest with Bridge Fallback                           |
 //+------------------------------------------------------------------+
@@ -413,8 +468,9 @@ int SmartWebRequest(string method, string endpointType, string headers,
         return -1;
     }
     
-    // Try primary URL (bridge or direct)
-    int result_code = WebRequest(method, primaryUrl, headers, timeout, data, result, resultHeaders);
+    // Try primary URL (bridge or direct); only the bridge gets the terminal's credentials
+    string primaryHeaders = USE_BRIDGE ? BridgeHeaders(headers) : headers;
+    int result_code = WebRequest(method, primaryUrl, primaryHeaders, timeout, data, result, resultHeaders);
     
     if (result_code > 0) {
         Print("✓ Request successful via ", USE_BRIDGE ? "bridge" : "direct", ": ", primaryUrl);
@@ -511,7 +567,9 @@ show_summary() {
     info "1. Copy mt5-bridge-config.mqh to your MT5 Include directory"
     info "2. Update your EA to use #include <mt5-bridge-config.mqh>"
     info "3. Replace WebRequest calls with SmartWebRequest function"
-    info "4. Test connectivity using the bridge endpoints"
+    info "4. If terminalAuth is enabled, set BRIDGE_TERMINAL_ID and BRIDGE_TERMINAL_TOKEN"
+    info "   in mt5-bridge-config.mqh to the terminal's entry in bridge-config.json"
+    info "5. Test connectivity using the bridge endpoints"
     
     echo ""
     log "Installation completed successfully!"
@@ -523,8 +581,10 @@ main() {
     
     check_tmux_context
     check_requirements
+    read_api_key
     create_directories
     install_bridge_components
+    store_api_key
     configure_bridge
     create_service
     start_bridge
@@ -0,0 +1,116 @@
+/**
+ * GomerAI MT5 Bridge Lifecycle Events
+ * ===================================
+ *
+ * Typed events the launcher publishes as children start, exit, restart and
+ * get health checked, and as the configuration is reloaded. The last
+ * `capacity` events are kept so a client that connects, or reconnects,
+ * late can be brought up to date. The status server streams them as
+ * Server-Sent Events at `GET /events`.
+ *
+ * Every event is { id, type, at, ...fields }. Ids count up from 1 for the
+ * life of the launcher process; a client holding an id above the newest
+ * one is talking to a launcher that has restarted since.
+ *
+ * Events: 'event' (event).
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_CAPACITY = 500;
+
+// Event types and the fields each carries
+const EVENT_TYPES = {
+    'launcher.started': ['pid', 'version', 'children'],
+    'launcher.stopping': ['exitCode', 'error'],
+    'child.spawned': ['child', 'pid', 'correlationId'],
+    'child.ready': ['child', 'pid', 'startupMs'],
+    'child.startup-failed': ['child', 'pid', 'error'],
+    'child.exited': ['child', 'pid', 'code', 'signal', 'expected'],
+    'child.restart-scheduled': ['child', 'reason', 'attempt', 'delay', 'restarts'],
+    'child.circuit-open': ['child', 'reason', 'restartsInWindow'],
+    'child.circuit-reset': ['child'],
+    'child.recovering': ['child', 'pid', 'reason'],
+    'health.passed': ['child', 'latencyMs', 'queueSize'],
+    'health.failed': ['child', 'latencyMs', 'consecutiveFailures', 'failureThreshold', 'error'],
+    'config.reloaded': ['version', 'changes', 'actions'],
+    'config.reload-failed': ['error', 'errors']
+};
+
+/**
+ * Whether an event type is selected by a filter such as
+ * ['child.exited', 'health.*']; an empty filter selects everything.
+ */
+function matchesTypes(type, types) {
+    return types.length === 0 || types.some(selected => (selected.endsWith('.*')
+        ? type.startsWith(selected.slice(0, -1))
+        : type === selected));
+}
+
+class LifecycleEvents extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.capacity] - Events kept for replay
+     */
+    constructor({ capacity = DEFAULT_CAPACITY } = {}) {
+        super();
+        this.capacity = capacity;
+        this.buffer = [];
+        this.lastId = 0;
+        // One listener per stream client
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Record an event and hand it to every subscriber.
+     *
+     * @param {string} type - One of EVENT_TYPES
+     * @param {object} fields - The type's fields
+     * @returns {object} The event
+     */
+    publish(type, fields = {}) {
+        if (!EVENT_TYPES[type]) {
+            throw new Error(`Unknown lifecycle event type: ${type}`);
+        }
+        const event = { id: ++this.lastId, type, at: new Date().toISOString() };
+        for (const field of EVENT_TYPES[type]) {
+            event[field] = fields[field] === undefined ? null : fields[field];
+        }
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.capacity) {
+            this.buffer.shift();
+        }
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Buffered events, oldest first.
+     *
+     * @param {object} [options]
+     * @param {number} [options.after] - Only events with a higher id; ignored when
+     *   above the newest id, as it then comes from an earlier launcher
+     * @param {number} [options.limit] - At most this many of the newest
+     * @param {string[]} [options.types] - Type filter, see matchesTypes()
+     */
+    replay({ after = null, limit = Infinity, types = [] } = {}) {
+        const since = after !== null && after <= this.lastId ? after : 0;
+        const events = this.buffer.filter(event => event.id > since && matchesTypes(event.type, types));
+        return limit < events.length ? events.slice(events.length - limit) : events;
+    }
+}
+
+/**
+ * One event in the Server-Sent Events wire format.
+ */
+function formatSse(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    LifecycleEvents,
+    formatSse,
+    matchesTypes
+};
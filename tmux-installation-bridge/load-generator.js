@@ -0,0 +1,271 @@
+/**
+ * GomerAI MT5 Bridge Load Generator
+ * =================================
+ *
+ * Drives the relay with EA-like traffic for load and soak runs. Requests
+ * start at a fixed rate (open loop) across the four endpoints in the
+ * configured mix, from a pool of simulated terminals, with at most
+ * `concurrency` in flight; a request due while the cap is reached is
+ * counted as `saturated` rather than sent late. /status is sampled
+ * throughout for queue size and relay memory.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const DEFAULT_LOAD = {
+    rate: 20, // requests per second
+    concurrency: 50,
+    duration: 60000, // 1 minute
+    terminals: 10,
+    mix: { ingest: 70, 'ml-snapshot': 10, token: 10, dashboard: 10 },
+    requestTimeout: 10000,
+    sampleInterval: 5000
+};
+
+const TICK = 10; // scheduler resolution in ms
+
+// EA payloads valid against payload-schemas.js; a sequence number keeps them
+// unique past deduplication
+const PAYLOADS = {
+    ingest: (terminalId, seq) => {
+        const bid = 1.08 + Math.random() / 100;
+        return {
+            testType: 'load_test',
+            timestamp: new Date().toISOString(),
+            terminalId,
+            seq,
+            symbol: 'EURUSD',
+            marketData: { bid, ask: bid + 0.0002, spread: 0.0002 }
+        };
+    },
+    'ml-snapshot': (terminalId, seq) => ({
+        type: 'ml_training_data',
+        timestamp: new Date().toISOString(),
+        terminalId,
+        seq,
+        weights: { rsi: 25.0, stochastic: 20.0, bollingerBands: 15.0 },
+        performance: { totalTrades: seq, winRate: 0.6, netProfit: 150.00 }
+    }),
+    token: (terminalId, seq) => ({ action: 'validate_license', licenseKey: 'LOAD_TEST_LICENSE', terminalId, seq }),
+    dashboard: (terminalId, seq) => ({ action: 'get_stats', terminalId, seq })
+};
+
+/**
+ * Nearest-rank percentile of an ascending array.
+ *
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} p - Percentile, 0-100
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return null;
+    }
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+function summarize(latencies, errors, total) {
+    const sorted = [...latencies].sort((a, b) => a - b);
+    const round = value => (value === null ? null : Math.round(value * 10) / 10);
+    return {
+        requests: total,
+        errors,
+        errorRate: total > 0 ? errors / total : 0,
+        latencyMs: {
+            p50: round(percentile(sorted, 50)),
+            p95: round(percentile(sorted, 95)),
+            p99: round(percentile(sorted, 99)),
+            max: round(sorted.length > 0 ? sorted[sorted.length - 1] : null)
+        }
+    };
+}
+
+class LoadGenerator {
+    /**
+     * @param {string} bridgeUrl - Relay base URL
+     * @param {object} [options] - Overrides for DEFAULT_LOAD
+     * @param {object} [options.headers] - Extra headers for every request, e.g. credentials
+     */
+    constructor(bridgeUrl, options = {}) {
+        this.bridgeUrl = bridgeUrl;
+        this.options = { ...DEFAULT_LOAD, ...options };
+
+        const weights = Object.entries(this.options.mix).filter(([, weight]) => weight > 0);
+        for (const [endpoint] of weights) {
+            if (!PAYLOADS[endpoint]) {
+                throw new Error(`Unknown endpoint in load mix: ${endpoint}`);
+            }
+        }
+        if (weights.length === 0) {
+            throw new Error('Load mix has no endpoint with a positive weight');
+        }
+        const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        let cumulative = 0;
+        this.mix = weights.map(([endpoint, weight]) => {
+            cumulative += weight / totalWeight;
+            return { endpoint, upTo: cumulative };
+        });
+    }
+
+    pickEndpoint() {
+        const roll = Math.random();
+        return (this.mix.find(entry => roll < entry.upTo) || this.mix[this.mix.length - 1]).endpoint;
+    }
+
+    async sample(startedAt) {
+        try {
+            const { data } = await axios.get(`${this.bridgeUrl}/status`, { timeout: 5000 });
+            return {
+                atMs: Date.now() - startedAt,
+                queueSize: data.queue.size,
+                rssMb: Math.round(data.server.memory.rss / 1024 / 1024 * 10) / 10,
+                heapUsedMb: Math.round(data.server.memory.heapUsed / 1024 / 1024 * 10) / 10
+            };
+        } catch (error) {
+            return { atMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    async send(endpoint, seq, record) {
+        const terminalId = `LOAD_TERMINAL_${String(seq % this.options.terminals).padStart(3, '0')}`;
+        const started = process.hrtime.bigint();
+        let status = null;
+        try {
+            const response = await axios.post(`${this.bridgeUrl}/${endpoint}`, PAYLOADS[endpoint](terminalId, seq), {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Terminal-ID': terminalId,
+                    'X-Request-ID': crypto.randomUUID(),
+                    ...this.options.headers
+                },
+                timeout: this.options.requestTimeout,
+                validateStatus: () => true
+            });
+            status = response.status;
+        } catch (error) {
+            status = error.code || 'error';
+        }
+        record(endpoint, status, Number(process.hrtime.bigint() - started) / 1e6);
+    }
+
+    /**
+     * Run for the configured duration and wait for the last requests.
+     *
+     * @param {Function} [onProgress] - Called with each /status sample
+     * @returns {Promise<object>} Report with overall and per-endpoint latency, error rate and samples
+     */
+    async run(onProgress = () => {}) {
+        const { rate, concurrency, duration, sampleInterval } = this.options;
+        const startedAt = Date.now();
+        const latencies = { all: [] };
+        const errors = { all: 0 };
+        const statuses = {};
+        const pending = new Set();
+        let sent = 0;
+        let saturated = 0;
+
+        const record = (endpoint, status, latencyMs) => {
+            const failed = typeof status !== 'number' || status >= 400;
+            (latencies[endpoint] = latencies[endpoint] || []).push(latencyMs);
+            latencies.all.push(latencyMs);
+            errors[endpoint] = (errors[endpoint] || 0) + (failed ? 1 : 0);
+            errors.all += failed ? 1 : 0;
+            statuses[status] = (statuses[status] || 0) + 1;
+        };
+
+        const samples = [await this.sample(startedAt)];
+        onProgress(samples[0]);
+        const sampler = setInterval(async () => {
+            const sample = await this.sample(startedAt);
+            samples.push(sample);
+            onProgress(sample);
+        }, sampleInterval);
+
+        // Catch up to the number of requests due by now, however late the timer fired
+        while (Date.now() - startedAt < duration) {
+            const due = Math.floor(((Date.now() - startedAt) / 1000) * rate);
+            while (sent + saturated < due) {
+                if (pending.size >= concurrency) {
+                    saturated++;
+                    continue;
+                }
+                const request = this.send(this.pickEndpoint(), sent++, record);
+                pending.add(request);
+                request.finally(() => pending.delete(request));
+            }
+            await new Promise(resolve => setTimeout(resolve, TICK));
+        }
+
+        await Promise.all(pending);
+        clearInterval(sampler);
+        samples.push(await this.sample(startedAt));
+
+        const elapsedMs = Date.now() - startedAt;
+        const endpoints = {};
+        for (const endpoint of Object.keys(latencies).filter(key => key !== 'all')) {
+            endpoints[endpoint] = summarize(latencies[endpoint], errors[endpoint], latencies[endpoint].length);
+        }
+        const healthy = samples.filter(sample => !sample.error);
+
+        return {
+            options: { rate, concurrency, duration, terminals: this.options.terminals, mix: this.options.mix },
+            elapsedMs,
+            sent,
+            saturated,
+            achievedRate: Math.round((sent / (elapsedMs / 1000)) * 10) / 10,
+            ...summarize(latencies.all, errors.all, latencies.all.length),
+            statuses,
+            endpoints,
+            queue: {
+                start: healthy.length > 0 ? healthy[0].queueSize : null,
+                max: healthy.length > 0 ? Math.max(...healthy.map(sample => sample.queueSize)) : null,
+                end: healthy.length > 0 ? healthy[healthy.length - 1].queueSize : null
+            },
+            memory: {
+                startRssMb: healthy.length > 0 ? healthy[0].rssMb : null,
+                maxRssMb: healthy.length > 0 ? Math.max(...healthy.map(sample => sample.rssMb)) : null,
+                endRssMb: healthy.length > 0 ? healthy[healthy.length - 1].rssMb : null
+            },
+            samples
+        };
+    }
+}
+
+/**
+ * Compare a load report with SLO thresholds.
+ *
+ * @param {object} report - Output of LoadGenerator.run()
+ * @param {object} slo - Any of p50, p95, p99 (ms), errorRate (0-1), queueGrowth (entries), memoryGrowthMb
+ * @returns {string[]} One message per threshold exceeded
+ */
+function checkSlo(report, slo) {
+    const violations = [];
+    for (const key of ['p50', 'p95', 'p99']) {
+        if (slo[key] !== undefined && report.latencyMs[key] !== null && report.latencyMs[key] > slo[key]) {
+            violations.push(`${key} latency ${report.latencyMs[key]}ms exceeds ${slo[key]}ms`);
+        }
+    }
+    if (slo.errorRate !== undefined && report.errorRate > slo.errorRate) {
+        violations.push(`error rate ${(report.errorRate * 100).toFixed(2)}% exceeds ${(slo.errorRate * 100).toFixed(2)}%`);
+    }
+    if (slo.queueGrowth !== undefined && report.queue.end !== null && report.queue.end - report.queue.start > slo.queueGrowth) {
+        violations.push(`queue grew by ${report.queue.end - report.queue.start} entries, more than ${slo.queueGrowth}`);
+    }
+    if (slo.memoryGrowthMb !== undefined && report.memory.endRssMb !== null
+        && report.memory.endRssMb - report.memory.startRssMb > slo.memoryGrowthMb) {
+        violations.push(`relay RSS grew by ${(report.memory.endRssMb - report.memory.startRssMb).toFixed(1)}MB, more than ${slo.memoryGrowthMb}MB`);
+    }
+    if (report.sent === 0) {
+        violations.push('no requests were sent');
+    }
+    return violations;
+}
+
+module.exports = {
+    DEFAULT_LOAD,
+    LoadGenerator,
+    PAYLOADS,
+    checkSlo,
+    percentile
+};
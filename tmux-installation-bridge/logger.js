@@ -0,0 +1,204 @@
+/**
+ * GomerAI MT5 Bridge Logger
+ * =========================
+ *
+ * Shared winston logger for the launcher, its children and the test runner.
+ * Every entry carries the component name and pid; operations attach a
+ * correlationId through logger.child(). The console keeps the readable
+ * one-line output operators watch in tmux, and the log file gets JSON lines
+ * rotated according to the `logging` section of bridge-config.json.
+ *
+ * Only the launcher writes the log file. A forked child forwards its
+ * entries to the launcher over IPC, so a single process owns rotation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_LOGGING = {
+    level: 'info',
+    maxFiles: 5,
+    maxSize: '10m'
+};
+
+// Symbol winston formats read the level from (triple-beam's LEVEL)
+const LEVEL = Symbol.for('level');
+
+const SIZE_UNITS = { k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+// "10m" -> 10485760; a bare number is taken as bytes
+function parseSize(size) {
+    const match = String(size).trim().match(/^(\d+)([kmg]?)$/i);
+    if (!match) {
+        throw new Error(`Invalid log size: ${size}`);
+    }
+    return Number(match[1]) * (SIZE_UNITS[match[2].toLowerCase()] || 1);
+}
+
+function newCorrelationId() {
+    return uuidv4();
+}
+
+// Entries forwarded from children were already printed by the child itself
+const skipForwarded = winston.format((info) => (info.forwarded ? false : info));
+
+// Keeps the time a forwarded entry was logged in the child
+const timestamp = winston.format((info) => {
+    info.timestamp = info.timestamp || new Date().toISOString();
+    return info;
+});
+
+const consoleFormat = winston.format.printf((info) => {
+    const correlation = info.correlationId ? ` (${info.correlationId.slice(0, 8)})` : '';
+    return `[${info.timestamp}] [${info.component}]${correlation} ${info.message}`;
+});
+
+// Sends entries to the parent launcher, which writes them to the log file
+class IpcTransport extends winston.Transport {
+    log(info, callback) {
+        if (process.connected) {
+            const { level, message, ...meta } = info;
+            process.send({ type: 'log', entry: { level, message, ...meta } });
+        }
+        callback();
+    }
+}
+
+function isForkedChild() {
+    return typeof process.send === 'function' && Boolean(process.env.GOMERAI_CHILD_NAME);
+}
+
+function createFileTransport(logging) {
+    fs.mkdirSync(path.dirname(logging.file), { recursive: true });
+
+    const transport = new winston.transports.File({
+        filename: logging.file,
+        maxsize: parseSize(logging.maxSize),
+        maxFiles: logging.maxFiles,
+        tailable: true,
+        format: winston.format.combine(timestamp(), winston.format.json())
+    });
+    transport.bridgeFile = logging.file;
+    return transport;
+}
+
+/**
+ * Create a logger for one bridge component.
+ *
+ * @param {string} component - Component name written with every entry
+ * @param {object} [logging] - `logging` section of bridge-config.json
+ * @returns {winston.Logger}
+ */
+function createLogger(component, logging = {}) {
+    const settings = { ...DEFAULT_LOGGING, ...logging };
+
+    const logger = winston.createLogger({
+        level: settings.level,
+        defaultMeta: { component, pid: process.pid },
+        transports: [
+            new winston.transports.Console({
+                format: winston.format.combine(
+                    skipForwarded(),
+                    timestamp(),
+                    consoleFormat
+                )
+            })
+        ]
+    });
+
+    if (isForkedChild()) {
+        logger.add(new IpcTransport({ format: timestamp() }));
+    }
+
+    applyLoggingConfig(logger, settings);
+    return logger;
+}
+
+/**
+ * Apply a (re)loaded `logging` section: change the level everywhere and
+ * swap the file transport when the file or its rotation settings change.
+ *
+ * @param {winston.Logger} logger - Logger from createLogger()
+ * @param {object} [logging] - `logging` section of bridge-config.json
+ */
+function applyLoggingConfig(logger, logging = {}) {
+    const settings = { ...DEFAULT_LOGGING, ...logging };
+
+    logger.level = settings.level;
+    logger.transports.forEach(transport => {
+        transport.level = settings.level;
+    });
+
+    if (isForkedChild()) {
+        return;
+    }
+
+    const current = logger.transports.find(transport => transport.bridgeFile);
+    const rotation = `${settings.file}|${settings.maxSize}|${settings.maxFiles}`;
+    if (current && current.bridgeRotation === rotation) {
+        return;
+    }
+    if (current) {
+        logger.remove(current);
+    }
+    if (settings.file) {
+        const transport = createFileTransport(settings);
+        transport.bridgeRotation = rotation;
+        transport.level = settings.level;
+        logger.add(transport);
+    }
+}
+
+/**
+ * Write an entry forwarded by a child over IPC. It goes to the file only;
+ * the child already printed it to the shared console.
+ *
+ * @param {winston.Logger} logger - Launcher logger
+ * @param {object} entry - Entry from a `{ type: 'log' }` IPC message
+ */
+function writeForwardedEntry(logger, entry) {
+    if (entry && entry.level && entry.message !== undefined) {
+        // write() skips defaultMeta, which would replace the child's component and pid
+        logger.write({ ...entry, [LEVEL]: entry.level, forwarded: true });
+    }
+}
+
+/**
+ * Flush and close a logger before the process exits.
+ *
+ * @param {winston.Logger} logger - Logger from createLogger()
+ * @param {number} [timeout] - Give up waiting after this many milliseconds
+ */
+function closeLogger(logger, timeout = 2000) {
+    const files = logger.transports.filter(transport => transport.bridgeFile);
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeout);
+        let pending = files.length;
+
+        files.forEach(transport => transport.once('finish', () => {
+            pending--;
+            if (pending === 0) {
+                clearTimeout(timer);
+                resolve();
+            }
+        }));
+
+        logger.end();
+        if (files.length === 0) {
+            clearTimeout(timer);
+            resolve();
+        }
+    });
+}
+
+module.exports = {
+    applyLoggingConfig,
+    closeLogger,
+    createLogger,
+    newCorrelationId,
+    parseSize,
+    writeForwardedEntry
+};
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Secrets CLI
+ * ==============================
+ *
+ * Usage: node manage-secrets.js <command> [name] [--config path/to/bridge-config.json]
+ *
+ *   set <name>      Store or rotate a vault secret; the value is read from stdin
+ *   delete <name>   Remove a vault secret
+ *   list            List vault secrets and when they were last set (never the values)
+ *
+ * The vault location comes from the `secrets` section of the configuration.
+ * Reference a stored secret from bridge-config.json as "vault:<name>", then
+ * reload the launcher (SIGHUP or POST /reload) to pick up a rotated value.
+ */
+
+const fs = require('fs');
+const { SecretError, SecretVault } = require('./secret-store');
+
+function readConfig(configPath) {
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        // The vault is set up before the configuration that refers to it
+        return {};
+    }
+}
+
+function readValue() {
+    if (process.stdin.isTTY) {
+        process.stderr.write('Enter the secret, then press Ctrl-D: ');
+    }
+    return fs.readFileSync(0, 'utf8').replace(/\r?\n$/, '');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const configIndex = args.indexOf('--config');
+    const configPath = configIndex >= 0
+        ? args.splice(configIndex, 2)[1]
+        : process.env.GOMERAI_CONFIG_PATH || './config/bridge-config.json';
+    const [command, name] = args;
+
+    const vault = SecretVault.fromConfig(readConfig(configPath));
+
+    try {
+        if (command === 'list') {
+            const secrets = vault.list();
+            if (secrets.length === 0) {
+                console.log(`No secrets stored in ${vault.vaultPath}`);
+            }
+            secrets.forEach(secret => console.log(`${secret.name}\t${secret.updatedAt}`));
+        } else if (command === 'set' && name) {
+            const value = readValue();
+            if (!value) {
+                console.error('❌ Refusing to store an empty secret');
+                process.exit(1);
+            }
+            const rotated = vault.get(name) !== null;
+            vault.set(name, value);
+            console.log(`✅ ${rotated ? 'Rotated' : 'Stored'} vault:${name} in ${vault.vaultPath}`);
+            if (rotated) {
+                console.log('   Reload the launcher to apply it; the previous value stays valid for secrets.gracePeriod');
+            }
+        } else if (command === 'delete' && name) {
+            if (!vault.delete(name)) {
+                console.error(`❌ No secret named ${name}`);
+                process.exit(1);
+            }
+            console.log(`✅ Deleted vault:${name}`);
+        } else {
+            console.error('Usage: node manage-secrets.js <set|delete> <name> | list [--config path]');
+            process.exit(2);
+        }
+    } catch (error) {
+        if (!(error instanceof SecretError)) {
+            throw error;
+        }
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,190 @@
+/**
+ * GomerAI MT5 Bridge Metrics
+ * ==========================
+ *
+ * Prometheus metrics for the launcher and its children, served at
+ * `GET /metrics` on the status server. Child state (up, restarts, circuit,
+ * queue depth) is read from the launcher at scrape time; health checks and
+ * forwards to GCP are counted as they happen.
+ *
+ * Children report each forward over IPC:
+ *   { type: 'forward', endpoint: 'ingest', status: 200, durationMs: 84 }
+ * `status` is the HTTP status from GCP, or 'error' when no response came back.
+ */
+
+const client = require('prom-client');
+
+const PREFIX = 'gomerai_bridge_';
+
+// Endpoints forwarded by the relay, matching its routes
+const FORWARD_ENDPOINTS = ['ingest', 'token', 'dashboard', 'ml-snapshot'];
+
+// Health checks take milliseconds; forwards to GCP can take seconds
+const HEALTH_CHECK_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const FORWARD_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+class BridgeMetrics {
+    /**
+     * @param {BridgeLauncher} launcher - Launcher whose children are exported
+     */
+    constructor(launcher) {
+        this.launcher = launcher;
+        this.registry = new client.Registry();
+
+        client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+        // Gauge/counter callbacks run on every scrape
+        const eachChild = (fn) => {
+            for (const spec of launcher.childSpecs) {
+                const state = launcher.children.get(spec.name);
+                if (state) {
+                    fn(spec, state);
+                }
+            }
+        };
+
+        new client.Gauge({
+            name: `${PREFIX}child_up`,
+            help: 'Whether the child process is running and ready (1) or not (0)',
+            labelNames: ['child'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                eachChild(spec => this.set({ child: spec.name }, launcher.isChildRunning(spec.name) ? 1 : 0));
+            }
+        });
+
+        new client.Gauge({
+            name: `${PREFIX}child_enabled`,
+            help: 'Whether the child is enabled in the configuration (1) or not (0)',
+            labelNames: ['child'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                eachChild(spec => this.set({ child: spec.name }, spec.enabled ? 1 : 0));
+            }
+        });
+
+        new client.Counter({
+            name: `${PREFIX}child_restarts_total`,
+            help: 'Restarts of the child since the launcher started',
+            labelNames: ['child'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                eachChild((spec, state) => this.inc({ child: spec.name }, state.restarts));
+            }
+        });
+
+        new client.Counter({
+            name: `${PREFIX}child_recoveries_total`,
+            help: 'Liveness recoveries of the child since the launcher started',
+            labelNames: ['child'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                eachChild((spec, state) => this.inc({ child: spec.name }, state.recoveryCount));
+            }
+        });
+
+        new client.Gauge({
+            name: `${PREFIX}child_circuit_open`,
+            help: 'Whether the restart circuit of the child is open (1) or closed (0)',
+            labelNames: ['child'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                eachChild((spec, state) => this.set({ child: spec.name }, state.circuit.isOpen() ? 1 : 0));
+            }
+        });
+
+        new client.Gauge({
+            name: `${PREFIX}queue_size`,
+            help: 'Queue depth the child reported at its last health check',
+            labelNames: ['child'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                eachChild((spec, state) => {
+                    if (state.liveness.queueSize !== null && state.liveness.queueSize !== undefined) {
+                        this.set({ child: spec.name }, state.liveness.queueSize);
+                    }
+                });
+            }
+        });
+
+        this.healthChecks = new client.Counter({
+            name: `${PREFIX}health_checks_total`,
+            help: 'Liveness health checks by result',
+            labelNames: ['child', 'result'],
+            registers: [this.registry]
+        });
+
+        this.healthCheckDuration = new client.Histogram({
+            name: `${PREFIX}health_check_duration_seconds`,
+            help: 'Liveness health check latency',
+            labelNames: ['child'],
+            buckets: HEALTH_CHECK_BUCKETS,
+            registers: [this.registry]
+        });
+
+        this.forwards = new client.Counter({
+            name: `${PREFIX}forwards_total`,
+            help: 'Requests forwarded to GCP by endpoint and response status',
+            labelNames: ['endpoint', 'status'],
+            registers: [this.registry]
+        });
+
+        this.forwardDuration = new client.Histogram({
+            name: `${PREFIX}forward_duration_seconds`,
+            help: 'Latency of requests forwarded to GCP',
+            labelNames: ['endpoint'],
+            buckets: FORWARD_BUCKETS,
+            registers: [this.registry]
+        });
+
+        // Export every endpoint from the first scrape, before any traffic
+        for (const endpoint of FORWARD_ENDPOINTS) {
+            this.forwardDuration.zero({ endpoint });
+        }
+    }
+
+    /**
+     * Count one liveness health check.
+     *
+     * @param {string} child - Child name
+     * @param {'passed'|'failed'} result - Outcome of the check
+     * @param {number} latencyMs - Time the check took
+     */
+    recordHealthCheck(child, result, latencyMs) {
+        this.healthChecks.inc({ child, result });
+        this.healthCheckDuration.observe({ child }, latencyMs / 1000);
+    }
+
+    /**
+     * Count one forward reported by a child over IPC. Malformed reports are
+     * ignored rather than breaking the scrape.
+     *
+     * @param {{ endpoint: string, status: number|string, durationMs: number }} forward
+     */
+    recordForward({ endpoint, status, durationMs }) {
+        if (typeof endpoint !== 'string' || !Number.isFinite(durationMs)) {
+            return;
+        }
+        this.forwards.inc({ endpoint, status: String(status) });
+        this.forwardDuration.observe({ endpoint }, durationMs / 1000);
+    }
+
+    /**
+     * @returns {Promise<string>} Metrics in the Prometheus text format
+     */
+    render() {
+        return this.registry.metrics();
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+}
+
+module.exports = BridgeMetrics;
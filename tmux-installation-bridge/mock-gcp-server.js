@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Mock GCP Server
+ * ==================================
+ *
+ * Offline stand-in for the four cloud functions the bridge forwards to
+ * (eaIngestPublisher, token-broker, customerDashboard, logMLSnapshot), so
+ * the integration tests run in CI without reaching cloudfunctions.net.
+ *
+ * Every request is recorded for assertions. Behaviors are scripted per
+ * route and consumed in order, e.g. three 503s then normal replies:
+ *
+ *   mock.behave('ingest', { status: 503 }, { times: 3 });
+ *
+ * A behavior may combine `latency` (ms before replying) with one of
+ * `status` (+ optional `body`), `timeout` (never reply), `malformed`
+ * (unparseable JSON with a 200) or `rejectLicense` (token broker refuses
+ * the license). Like GCP, the mock can refuse API keys it does not know
+ * with 401, e.g. to test a key rotation:
+ *
+ *   mock.acceptApiKeys(['old-key']);
+ *
+ * Run standalone, the same controls are served under /__mock:
+ *
+ *   node mock-gcp-server.js [--port 9898]
+ *   GET  /__mock/requests[?route=ingest]
+ *   POST /__mock/behaviors   { "route", "behavior", "times" }
+ *   POST /__mock/api-keys    { "keys" }
+ *   POST /__mock/reset
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+// config.gcpEndpoints key -> cloud function path
+const ROUTES = {
+    ingest: 'eaIngestPublisher',
+    token: 'token-broker',
+    dashboard: 'customerDashboard',
+    mlSnapshot: 'logMLSnapshot'
+};
+
+// Normal replies of each cloud function
+const HANDLERS = {
+    ingest: () => ({ status: 200, body: { success: true, messageId: crypto.randomUUID() } }),
+    token: (body, mock) => (mock.rejectedLicenses.has(body.licenseKey)
+        ? rejectLicense(body)
+        : { status: 200, body: { valid: true, token: `mock-${crypto.randomBytes(8).toString('hex')}`, expiresIn: 3600 } }),
+    dashboard: body => ({ status: 200, body: { terminalId: body.terminalId || null, stats: { trades: 0, netProfit: 0 } } }),
+    mlSnapshot: () => ({ status: 200, body: { success: true, snapshotId: crypto.randomUUID() } })
+};
+
+function rejectLicense(body) {
+    return {
+        status: 403,
+        body: { valid: false, error: 'license_rejected', message: `License ${body.licenseKey || '(none)'} is not valid` }
+    };
+}
+
+class MockGcpServer {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.port] - Port to listen on; 0 picks a free one
+     * @param {string} [options.host] - Interface to listen on
+     * @param {string[]} [options.rejectedLicenses] - License keys the token broker always refuses
+     */
+    constructor({ port = 0, host = '127.0.0.1', rejectedLicenses = [] } = {}) {
+        this.port = port;
+        this.host = host;
+        this.rejectedLicenses = new Set(rejectedLicenses);
+        this.server = null;
+        this.received = [];
+        this.behaviors = {}; // route -> [{ behavior, remaining }]
+        this.apiKeys = new Set(); // accepted X-API-Key values; any key when empty
+        this.app = this.createApp();
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}`;
+    }
+
+    /**
+     * `gcpEndpoints` section pointing the bridge at this server.
+     */
+    endpoints() {
+        const endpoints = {};
+        for (const [route, fn] of Object.entries(ROUTES)) {
+            endpoints[route] = `${this.url}/${fn}`;
+        }
+        return endpoints;
+    }
+
+    /**
+     * Script the next replies of a route.
+     *
+     * @param {string} route - ingest, token, dashboard or mlSnapshot
+     * @param {object} behavior - { latency, status, body, timeout, malformed, rejectLicense }
+     * @param {object} [options]
+     * @param {number} [options.times] - Requests it applies to; unlimited by default
+     */
+    behave(route, behavior, { times = Infinity } = {}) {
+        if (!ROUTES[route]) {
+            throw new Error(`Unknown mock route: ${route}`);
+        }
+        (this.behaviors[route] = this.behaviors[route] || []).push({ behavior, remaining: times });
+    }
+
+    // First scripted behavior with uses left, consuming one use
+    nextBehavior(route) {
+        const queue = this.behaviors[route] || [];
+        while (queue.length > 0 && queue[0].remaining <= 0) {
+            queue.shift();
+        }
+        if (queue.length === 0) {
+            return {};
+        }
+        queue[0].remaining--;
+        return queue[0].behavior;
+    }
+
+    /**
+     * Accept only these API keys from now on; requests with any other
+     * X-API-Key get 401. An empty list accepts any key again.
+     *
+     * @param {string[]} keys - Accepted keys
+     */
+    acceptApiKeys(keys) {
+        this.apiKeys = new Set(keys);
+    }
+
+    /**
+     * Requests received so far, oldest first.
+     *
+     * @param {string} [route] - Only this route
+     * @returns {{ route: string, headers: object, body: *, receivedAt: string }[]}
+     */
+    requests(route) {
+        return route ? this.received.filter(request => request.route === route) : this.received;
+    }
+
+    // Normal replies from now on; recorded requests are kept
+    clearBehaviors() {
+        this.behaviors = {};
+    }
+
+    reset() {
+        this.received = [];
+        this.clearBehaviors();
+        this.acceptApiKeys([]);
+    }
+
+    createApp() {
+        const app = express();
+        app.use(express.json({ limit: '5mb' }));
+
+        for (const [route, fn] of Object.entries(ROUTES)) {
+            app.post(`/${fn}`, (req, res) => this.handle(route, req, res));
+        }
+
+        app.get('/__mock/requests', (req, res) => {
+            res.json(this.requests(req.query.route));
+        });
+        app.post('/__mock/behaviors', (req, res) => {
+            try {
+                this.behave(req.body.route, req.body.behavior || {}, { times: req.body.times || Infinity });
+                res.json({ ok: true });
+            } catch (error) {
+                res.status(400).json({ ok: false, error: error.message });
+            }
+        });
+        app.post('/__mock/api-keys', (req, res) => {
+            this.acceptApiKeys(req.body.keys || []);
+            res.json({ ok: true });
+        });
+        app.post('/__mock/reset', (req, res) => {
+            this.reset();
+            res.json({ ok: true });
+        });
+
+        return app;
+    }
+
+    async handle(route, req, res) {
+        // A refused key is answered before any scripted behavior is used up
+        const behavior = this.apiKeys.size > 0 && !this.apiKeys.has(req.get('x-api-key'))
+            ? { status: 401, body: { error: 'invalid_api_key', message: 'API key not accepted' } }
+            : this.nextBehavior(route);
+        this.received.push({
+            route,
+            headers: req.headers,
+            body: req.body,
+            behavior,
+            receivedAt: new Date().toISOString()
+        });
+
+        if (behavior.latency) {
+            await new Promise(resolve => setTimeout(resolve, behavior.latency));
+        }
+        if (behavior.timeout) {
+            // Hold the request open until the caller gives up or the server stops
+            return;
+        }
+        if (behavior.malformed) {
+            return res.status(200).type('application/json').send('{"success": tru');
+        }
+        if (behavior.status) {
+            return res.status(behavior.status).json(behavior.body || { error: `mock status ${behavior.status}` });
+        }
+
+        const reply = behavior.rejectLicense ? rejectLicense(req.body) : HANDLERS[route](req.body, this);
+        res.status(reply.status).json(reply.body);
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.port, this.host);
+            this.server.once('listening', () => {
+                this.port = this.server.address().port;
+                resolve(this);
+            });
+            this.server.once('error', reject);
+        });
+    }
+
+    stop() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.server.close(() => resolve());
+            // Requests held by `timeout` behaviors would keep close() waiting
+            this.server.closeAllConnections();
+            this.server = null;
+        });
+    }
+}
+
+async function main() {
+    const portIndex = process.argv.indexOf('--port');
+    const mock = new MockGcpServer({ port: portIndex >= 0 ? Number(process.argv[portIndex + 1]) : 9898 });
+    await mock.start();
+    console.log(`🧪 Mock GCP server listening on ${mock.url}`);
+    Object.entries(mock.endpoints()).forEach(([route, url]) => console.log(`   ${route}: ${url}`));
+
+    const stop = () => mock.stop().then(() => process.exit(0));
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Mock GCP server failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MockGcpServer,
+    ROUTES
+};
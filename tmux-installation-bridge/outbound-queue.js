@@ -0,0 +1,517 @@
+/**
+ * GomerAI MT5 Bridge Outbound Queue
+ * =================================
+ *
+ * Durable write-ahead queue for payloads the relay forwards to GCP. Every
+ * payload is appended to disk before delivery is attempted and acknowledged
+ * once GCP accepts it, so nothing accepted by the relay is lost to a GCP
+ * outage or a relay crash. Delivery is at-least-once: a payload in flight
+ * when the relay dies is sent again after restart.
+ *
+ * Each endpoint has its own lane, delivered strictly in order. A lane is a
+ * directory of append-only segment files holding JSON lines:
+ *   { "op": "enq", "seq": 12, "id": "...", "enqueuedAt": ..., "payload": {...}, "headers": {...} }
+ *   { "op": "ack", "seq": 12, "outcome": "delivered" | "rejected" | "dropped" }
+ * Segments roll over at `segmentSize` and are deleted once every entry in
+ * them, and in every older segment, has been acknowledged.
+ *
+ * A lane left on disk after its endpoint was removed from the configured
+ * lanes is orphaned: its payloads are still delivered, but it takes no new
+ * ones, and its directory is removed once it is empty.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_OPTIONS = {
+    maxEntries: 10000, // per lane
+    maxBytes: 50 * 1024 * 1024, // per lane
+    overflow: 'reject', // reject | drop-oldest
+    segmentSize: 4 * 1024 * 1024,
+    fsync: true,
+    retryDelay: 5000, // first pause after a failed delivery
+    maxRetryDelay: 60000
+};
+
+const OVERFLOW_POLICIES = ['reject', 'drop-oldest'];
+
+class QueueFullError extends Error {
+    /**
+     * @param {string} lane - Lane that is full
+     * @param {string} reason - Which bound was hit
+     */
+    constructor(lane, reason) {
+        super(`Queue for ${lane} is full (${reason})`);
+        this.name = 'QueueFullError';
+        this.lane = lane;
+    }
+}
+
+function segmentName(number) {
+    return `${String(number).padStart(8, '0')}.log`;
+}
+
+class OutboundQueue extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.dir - Directory holding one sub-directory per lane
+     * @param {string[]} options.lanes - Lane names, e.g. ['ingest', 'ml-snapshot']
+     * @param {Function} options.deliver - async (lane, entry) => { status, data }; throws when GCP is unreachable
+     * @param {Function} options.isRetryable - (status) => true when a response should be retried later
+     * @param {winston.Logger} options.log - Logger for replay and delivery problems
+     */
+    constructor(options) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!OVERFLOW_POLICIES.includes(this.options.overflow)) {
+            throw new Error(`Unknown queue overflow policy: ${this.options.overflow}`);
+        }
+        this.log = options.log;
+        this.lanes = new Map();
+        this.orphans = new Map(); // lanes on disk that are no longer configured
+        this.closed = false;
+    }
+
+    /**
+     * Replay every lane from disk, orphaned ones included, and start
+     * delivering what is pending.
+     */
+    open() {
+        fs.mkdirSync(this.options.dir, { recursive: true });
+        for (const name of this.options.lanes) {
+            const lane = this.replayLane(name);
+            this.lanes.set(name, lane);
+            if (lane.pending.length > 0) {
+                this.log.info(`📼 Replayed ${lane.pending.length} queued ${name} payload(s) from disk`);
+            }
+        }
+
+        const orphaned = fs.readdirSync(this.options.dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && !this.lanes.has(entry.name))
+            .map(entry => entry.name);
+        for (const name of orphaned) {
+            const lane = this.replayLane(name);
+            lane.orphaned = true;
+            if (lane.pending.length === 0) {
+                this.removeOrphan(lane);
+                continue;
+            }
+            this.orphans.set(name, lane);
+            this.log.warn(`📼 ${lane.pending.length} queued ${name} payload(s) left in a lane that is no longer configured; delivering them`);
+        }
+
+        for (const lane of this.allLanes()) {
+            this.pump(lane);
+        }
+    }
+
+    allLanes() {
+        return [...this.lanes.values(), ...this.orphans.values()];
+    }
+
+    // An orphaned lane is deleted from disk once it has nothing left to deliver
+    removeOrphan(lane) {
+        if (lane.fd !== null) {
+            fs.closeSync(lane.fd);
+            lane.fd = null;
+        }
+        this.orphans.delete(lane.name);
+        try {
+            fs.rmSync(lane.dir, { recursive: true, force: true });
+        } catch (error) {
+            this.log.warn(`⚠️  Could not remove the ${lane.name} lane: ${error.message}`);
+        }
+    }
+
+    replayLane(name) {
+        const dir = path.join(this.options.dir, name);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const lane = {
+            name,
+            dir,
+            pending: [], // entries in delivery order
+            bytes: 0,
+            segments: [], // { number, maxSeq, size }, oldest first
+            nextSeq: 1,
+            orphaned: false,
+            fd: null,
+            delivering: false,
+            retryTimer: null,
+            retryDelay: null,
+            nextAttemptAt: null,
+            lastError: null,
+            waiters: new Map(), // seq -> [resolve]
+            stats: { enqueued: 0, delivered: 0, rejected: 0, dropped: 0, failedAttempts: 0, corruptLines: 0 }
+        };
+
+        const numbers = fs.readdirSync(dir)
+            .filter(file => /^\d+\.log$/.test(file))
+            .map(file => Number(file.slice(0, -4)))
+            .sort((a, b) => a - b);
+
+        const entries = new Map();
+        const acked = new Set();
+        for (const number of numbers) {
+            const file = path.join(dir, segmentName(number));
+            let content = fs.readFileSync(file, 'utf8');
+
+            // Cut a torn final line so the next append starts on a line of its own
+            if (content.length > 0 && !content.endsWith('\n')) {
+                content = content.slice(0, content.lastIndexOf('\n') + 1);
+                fs.truncateSync(file, Buffer.byteLength(content));
+                lane.stats.corruptLines++;
+            }
+            const segment = { number, maxSeq: 0, size: Buffer.byteLength(content) };
+
+            for (const line of content.split('\n')) {
+                if (!line) {
+                    continue;
+                }
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    lane.stats.corruptLines++;
+                    continue;
+                }
+                if (record.op === 'enq') {
+                    entries.set(record.seq, { ...record, bytes: Buffer.byteLength(line) + 1, attempts: 0 });
+                    segment.maxSeq = Math.max(segment.maxSeq, record.seq);
+                } else if (record.op === 'ack') {
+                    acked.add(record.seq);
+                }
+                lane.nextSeq = Math.max(lane.nextSeq, record.seq + 1);
+            }
+            lane.segments.push(segment);
+        }
+
+        for (const entry of [...entries.values()].sort((a, b) => a.seq - b.seq)) {
+            if (!acked.has(entry.seq)) {
+                delete entry.op;
+                lane.pending.push(entry);
+                lane.bytes += entry.bytes;
+            }
+        }
+
+        if (lane.segments.length === 0) {
+            lane.segments.push({ number: 1, maxSeq: 0, size: 0 });
+        }
+        this.openSegment(lane);
+        this.compact(lane);
+        return lane;
+    }
+
+    openSegment(lane) {
+        const current = lane.segments[lane.segments.length - 1];
+        lane.fd = fs.openSync(path.join(lane.dir, segmentName(current.number)), 'a');
+    }
+
+    append(lane, record) {
+        const line = `${JSON.stringify(record)}\n`;
+        let current = lane.segments[lane.segments.length - 1];
+
+        if (current.size > 0 && current.size + Buffer.byteLength(line) > this.options.segmentSize) {
+            fs.closeSync(lane.fd);
+            current = { number: current.number + 1, maxSeq: 0, size: 0 };
+            lane.segments.push(current);
+            this.openSegment(lane);
+        }
+
+        try {
+            const written = fs.writeSync(lane.fd, line);
+            if (written < Buffer.byteLength(line)) {
+                throw new Error(`short write to ${lane.name} queue (${written} of ${Buffer.byteLength(line)} bytes); is the disk full?`);
+            }
+            if (this.options.fsync) {
+                fs.fdatasyncSync(lane.fd);
+            }
+        } catch (error) {
+            // Cut a partial line, or the next record would be appended to it and lost on replay
+            try {
+                fs.ftruncateSync(lane.fd, current.size);
+            } catch (truncateError) {
+                this.log.error(`❌ Could not cut a partial ${lane.name} queue record: ${truncateError.message}`);
+            }
+            throw error;
+        }
+        current.size += Buffer.byteLength(line);
+        if (record.op === 'enq') {
+            current.maxSeq = Math.max(current.maxSeq, record.seq);
+        }
+        return Buffer.byteLength(line);
+    }
+
+    // Delete the oldest segments once everything in them is acknowledged
+    compact(lane) {
+        while (lane.segments.length > 1) {
+            const oldest = lane.segments[0];
+            const oldestPending = lane.pending.length > 0 ? lane.pending[0].seq : Infinity;
+            if (oldest.maxSeq >= oldestPending) {
+                break;
+            }
+            fs.unlinkSync(path.join(lane.dir, segmentName(oldest.number)));
+            lane.segments.shift();
+        }
+    }
+
+    /**
+     * Persist a payload and queue it for delivery.
+     *
+     * @param {string} laneName - Endpoint lane
+     * @param {*} payload - JSON body to forward
+     * @param {object} [headers] - Headers to forward with it
+     * @returns {{ id: string, seq: number, position: number }}
+     * @throws {QueueFullError} When the lane is full and the overflow policy is `reject`
+     */
+    enqueue(laneName, payload, headers = {}) {
+        const lane = this.lanes.get(laneName);
+        if (!lane) {
+            throw new Error(`Unknown queue lane: ${laneName}`);
+        }
+
+        const record = {
+            op: 'enq',
+            seq: lane.nextSeq,
+            id: uuidv4(),
+            enqueuedAt: Date.now(),
+            payload,
+            headers
+        };
+        const size = Buffer.byteLength(JSON.stringify(record)) + 1;
+
+        this.makeRoom(lane, size);
+
+        const bytes = this.append(lane, record);
+        lane.nextSeq++;
+        delete record.op;
+        lane.pending.push({ ...record, bytes, attempts: 0 });
+        lane.bytes += bytes;
+        lane.stats.enqueued++;
+
+        this.pump(lane);
+        return { id: record.id, seq: record.seq, position: lane.pending.length };
+    }
+
+    makeRoom(lane, size) {
+        const { maxEntries, maxBytes, overflow } = this.options;
+        const full = () => {
+            if (lane.pending.length + 1 > maxEntries) {
+                return `${maxEntries} entries`;
+            }
+            if (lane.bytes + size > maxBytes) {
+                return `${maxBytes} bytes`;
+            }
+            return null;
+        };
+
+        let reason = full();
+        if (reason && overflow === 'reject') {
+            throw new QueueFullError(lane.name, reason);
+        }
+        while (reason) {
+            // The head may be on its way to GCP; drop the oldest entry after it
+            const victimIndex = lane.delivering ? 1 : 0;
+            const victim = lane.pending[victimIndex];
+            if (!victim) {
+                throw new QueueFullError(lane.name, reason);
+            }
+            this.acknowledge(lane, victim, 'dropped', null);
+            this.log.warn(`🗑️  Queue for ${lane.name} full (${reason}); dropped oldest payload ${victim.id}`);
+            reason = full();
+        }
+    }
+
+    acknowledge(lane, entry, outcome, result) {
+        try {
+            this.append(lane, { op: 'ack', seq: entry.seq, outcome });
+        } catch (error) {
+            // Without its ack the entry is replayed after a restart, which
+            // at-least-once delivery allows; stalling the lane would not
+            this.log.warn(`⚠️  Could not record ${lane.name} payload ${entry.id} as ${outcome}: ${error.message}`);
+        }
+        lane.pending.splice(lane.pending.indexOf(entry), 1);
+        lane.bytes -= entry.bytes;
+        lane.stats[outcome]++;
+        this.compact(lane);
+
+        const waiters = lane.waiters.get(entry.seq) || [];
+        lane.waiters.delete(entry.seq);
+        waiters.forEach(resolve => resolve(outcome === 'dropped' ? null : result));
+        this.emit(outcome, lane.name, entry, result);
+
+        if (lane.orphaned && lane.pending.length === 0) {
+            this.log.info(`✅ Orphaned ${lane.name} lane delivered (${lane.stats.delivered} delivered, ${lane.stats.rejected} rejected)`);
+            this.removeOrphan(lane);
+        }
+    }
+
+    /**
+     * Wait until an entry is delivered or rejected by GCP. Resolves null at
+     * once while the lane is backing off after failed deliveries.
+     *
+     * @param {string} laneName - Endpoint lane
+     * @param {number} seq - Sequence number from enqueue()
+     * @param {number} timeout - Give up after this many milliseconds
+     * @returns {Promise<{ status: number, data: * }|null>} GCP response, or null while still queued
+     */
+    waitForDelivery(laneName, seq, timeout) {
+        const lane = this.lanes.get(laneName);
+        if (lane.retryTimer || !lane.pending.some(entry => entry.seq === seq)) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                const waiters = lane.waiters.get(seq) || [];
+                if (waiters.includes(done)) {
+                    waiters.splice(waiters.indexOf(done), 1);
+                }
+                resolve(null);
+            }, timeout);
+            const done = (result) => {
+                clearTimeout(timer);
+                resolve(result);
+            };
+            lane.waiters.set(seq, [...(lane.waiters.get(seq) || []), done]);
+        });
+    }
+
+    async pump(lane) {
+        if (this.closed || lane.delivering || lane.retryTimer || lane.pending.length === 0) {
+            return;
+        }
+
+        const entry = lane.pending[0];
+        lane.delivering = true;
+        entry.attempts++;
+
+        let result = null;
+        let failure = null;
+        try {
+            result = await this.options.deliver(lane.name, entry);
+            if (this.options.isRetryable(result.status)) {
+                failure = `GCP responded with status ${result.status}`;
+            }
+        } catch (error) {
+            failure = error.message;
+        }
+        lane.delivering = false;
+
+        if (this.closed) {
+            return;
+        }
+
+        if (failure) {
+            // Keep the entry at the head so the lane stays in order
+            lane.stats.failedAttempts++;
+            lane.lastError = failure;
+            lane.retryDelay = lane.retryDelay === null
+                ? this.options.retryDelay
+                : Math.min(this.options.maxRetryDelay, lane.retryDelay * 2);
+            lane.nextAttemptAt = Date.now() + lane.retryDelay;
+            this.log.warn(`⏸️  ${lane.name} delivery failed (${failure}); ${lane.pending.length} queued, next attempt in ${lane.retryDelay}ms`);
+            lane.retryTimer = setTimeout(() => {
+                lane.retryTimer = null;
+                this.pump(lane);
+            }, lane.retryDelay);
+            return;
+        }
+
+        if (lane.retryDelay !== null) {
+            this.log.info(`▶️  ${lane.name} deliveries resumed (${lane.pending.length - 1} still queued)`);
+        }
+        lane.retryDelay = null;
+        lane.nextAttemptAt = null;
+        lane.lastError = null;
+
+        // Any other 4xx would fail the same way forever, so it leaves the queue
+        const outcome = result.status < 400 ? 'delivered' : 'rejected';
+        if (outcome === 'rejected') {
+            this.log.warn(`🚫 GCP rejected queued ${lane.name} payload ${entry.id} with status ${result.status}`);
+        }
+        if (lane.pending.includes(entry)) {
+            this.acknowledge(lane, entry, outcome, result);
+        }
+        this.pump(lane);
+    }
+
+    /**
+     * Deliver the head of every lane now instead of waiting out the backoff.
+     */
+    retryNow() {
+        for (const lane of this.allLanes()) {
+            clearTimeout(lane.retryTimer);
+            lane.retryTimer = null;
+            this.pump(lane);
+        }
+    }
+
+    get size() {
+        let size = 0;
+        for (const lane of this.allLanes()) {
+            size += lane.pending.length;
+        }
+        return size;
+    }
+
+    stats() {
+        const lanes = {};
+        const orphaned = {};
+        let bytes = 0;
+        for (const lane of this.allLanes()) {
+            bytes += lane.bytes;
+            (lane.orphaned ? orphaned : lanes)[lane.name] = {
+                pending: lane.pending.length,
+                bytes: lane.bytes,
+                oldestEnqueuedAt: lane.pending.length > 0 ? new Date(lane.pending[0].enqueuedAt).toISOString() : null,
+                delivering: lane.delivering,
+                nextAttemptAt: lane.nextAttemptAt ? new Date(lane.nextAttemptAt).toISOString() : null,
+                lastError: lane.lastError,
+                segments: lane.segments.length,
+                ...lane.stats
+            };
+        }
+
+        return {
+            size: this.size,
+            bytes,
+            limits: {
+                maxEntries: this.options.maxEntries,
+                maxBytes: this.options.maxBytes,
+                overflow: this.options.overflow
+            },
+            lanes,
+            orphaned
+        };
+    }
+
+    /**
+     * Stop delivering and close the segment files. Entries still pending,
+     * including one in flight, are replayed on the next open().
+     */
+    close() {
+        this.closed = true;
+        for (const lane of this.allLanes()) {
+            clearTimeout(lane.retryTimer);
+            lane.retryTimer = null;
+            if (lane.fd !== null) {
+                fs.closeSync(lane.fd);
+                lane.fd = null;
+            }
+            for (const waiters of lane.waiters.values()) {
+                waiters.forEach(resolve => resolve(null));
+            }
+            lane.waiters.clear();
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    OVERFLOW_POLICIES,
+    OutboundQueue,
+    QueueFullError
+};
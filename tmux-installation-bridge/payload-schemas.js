@@ -0,0 +1,177 @@
+/**
+ * GomerAI MT5 Bridge Payload Schemas
+ * ==================================
+ *
+ * The contract for what EAs send to `/ingest` and `/ml-snapshot`, checked by
+ * the HTTP relay (invalid payloads get 422) and the file-drop relay (invalid
+ * files go to quarantine/). Each endpoint has one schema file with a
+ * definition per version:
+ *
+ *   ingest-payload.schema.json        ingest v1, v2
+ *   ml-snapshot-payload.schema.json   ml-snapshot v1, v2
+ *
+ * A payload without `schemaVersion` is version 1, which is what EAs sent
+ * before versions existed. Accepted payloads are normalized (timestamps to
+ * UTC ISO 8601) and upgraded one version at a time to the current one, so
+ * GCP only ever receives the current version. Fields the schemas do not list
+ * are forwarded unchanged.
+ */
+
+const Ajv = require('ajv');
+const { formatSchemaError } = require('./config-validator');
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+
+// Endpoint -> schema file and its versions, oldest first
+const PAYLOAD_SCHEMAS = {
+    ingest: { schema: require('./ingest-payload.schema.json'), versions: [1, 2] },
+    'ml-snapshot': { schema: require('./ml-snapshot-payload.schema.json'), versions: [1, 2] }
+};
+
+const validators = {};
+for (const [endpoint, { schema, versions }] of Object.entries(PAYLOAD_SCHEMAS)) {
+    ajv.addSchema(schema);
+    validators[endpoint] = Object.fromEntries(versions.map(version =>
+        [version, ajv.getSchema(`${schema.$id}#/definitions/v${version}`)]));
+}
+
+// Upgrades from a version to the next one
+const UPGRADES = {
+    ingest: {
+        1: payload => ({
+            ...payload,
+            schemaVersion: 2,
+            marketData: {
+                ...payload.marketData,
+                spread: payload.marketData.spread !== undefined
+                    ? payload.marketData.spread
+                    : Number((payload.marketData.ask - payload.marketData.bid).toFixed(10))
+            }
+        })
+    },
+    'ml-snapshot': {
+        1: payload => ({ ...payload, schemaVersion: 2 })
+    }
+};
+
+// Checks JSON schema cannot express
+const CROSS_FIELD_CHECKS = {
+    ingest: (payload) => {
+        const { bid, ask } = payload.marketData;
+        return bid > ask ? [{ field: 'marketData.bid', message: `must be <= marketData.ask (${ask})` }] : [];
+    }
+};
+
+// MT5's TimeToString() format, which carries no time zone
+const MT5_TIME = /^(\d{4})\.(\d{2})\.(\d{2}) (\d{2}):(\d{2})(?::(\d{2}))?$/;
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+class PayloadValidationError extends Error {
+    /**
+     * @param {string} endpoint - Endpoint the payload was sent to
+     * @param {number|null} version - Schema version it claimed, when known
+     * @param {{ field: string, message: string }[]} errors - Field-level errors
+     * @param {string} [code] - 'invalid_payload' or 'unsupported_schema_version'
+     */
+    constructor(endpoint, version, errors, code = 'invalid_payload') {
+        super(`Invalid ${endpoint} payload${version ? ` (schema v${version})` : ''}: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+        this.name = 'PayloadValidationError';
+        this.endpoint = endpoint;
+        this.version = version;
+        this.errors = errors;
+        this.code = code;
+    }
+}
+
+/**
+ * An EA timestamp as UTC ISO 8601, or null when it cannot be read.
+ * Accepts ISO 8601 (UTC when no offset is given), MT5's "YYYY.MM.DD HH:MM[:SS]"
+ * (read as UTC) and Unix time in seconds or milliseconds.
+ */
+function normalizeTimestamp(value) {
+    let time = NaN;
+
+    if (typeof value === 'number') {
+        time = value > 1e12 ? value : value * 1000;
+    } else if (MT5_TIME.test(value)) {
+        const [, year, month, day, hours, minutes, seconds = '00'] = value.match(MT5_TIME);
+        time = Date.parse(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}Z`);
+    } else if (ISO_TIME.test(value)) {
+        time = Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(value) ? value : `${value}Z`);
+    }
+
+    return Number.isFinite(time) && time > 0 ? new Date(time).toISOString() : null;
+}
+
+function schemaErrors(validate, payload) {
+    return validate(payload) ? [] : validate.errors.map(formatSchemaError);
+}
+
+/**
+ * Whether payloads for an endpoint are checked at all; token and dashboard
+ * requests are forwarded as they come.
+ */
+function hasPayloadSchema(endpoint) {
+    return Boolean(PAYLOAD_SCHEMAS[endpoint]);
+}
+
+/**
+ * Check a payload against its version's schema, normalize it and upgrade it
+ * to the current version.
+ *
+ * @param {string} endpoint - 'ingest' or 'ml-snapshot'
+ * @param {*} payload - Parsed request body or dropped file
+ * @returns {{ payload: object, version: number, upgradedFrom: number|null }}
+ * @throws {PayloadValidationError}
+ */
+function validatePayload(endpoint, payload) {
+    const { versions } = PAYLOAD_SCHEMAS[endpoint];
+    const current = versions[versions.length - 1];
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new PayloadValidationError(endpoint, null, [{ field: '(root)', message: 'must be a JSON object' }]);
+    }
+    const version = payload.schemaVersion === undefined ? 1 : payload.schemaVersion;
+    if (!versions.includes(version)) {
+        throw new PayloadValidationError(endpoint, null, [{
+            field: 'schemaVersion',
+            message: `must be one of: ${versions.join(', ')}`
+        }], 'unsupported_schema_version');
+    }
+
+    // Values are only compared once the schema has them all in place
+    const errors = schemaErrors(validators[endpoint][version], payload);
+    const timestamp = errors.length === 0 ? normalizeTimestamp(payload.timestamp) : null;
+    if (errors.length === 0) {
+        if (timestamp === null) {
+            errors.push({ field: 'timestamp', message: 'must be an ISO 8601 time, an MT5 time (YYYY.MM.DD HH:MM:SS) or Unix time' });
+        }
+        if (CROSS_FIELD_CHECKS[endpoint]) {
+            errors.push(...CROSS_FIELD_CHECKS[endpoint](payload));
+        }
+    }
+    if (errors.length > 0) {
+        throw new PayloadValidationError(endpoint, version, errors);
+    }
+
+    let upgraded = { ...payload, timestamp };
+    for (let from = version; from < current; from++) {
+        upgraded = UPGRADES[endpoint][from](upgraded);
+    }
+
+    // An upgrade that produces an invalid payload is a bug here, not in the EA
+    const upgradeErrors = schemaErrors(validators[endpoint][current], upgraded);
+    if (upgradeErrors.length > 0) {
+        throw new Error(`Upgrading ${endpoint} v${version} to v${current} produced an invalid payload: ${upgradeErrors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+    }
+
+    return { payload: upgraded, version, upgradedFrom: version === current ? null : version };
+}
+
+module.exports = {
+    PAYLOAD_SCHEMAS,
+    PayloadValidationError,
+    hasPayloadSchema,
+    normalizeTimestamp,
+    validatePayload
+};
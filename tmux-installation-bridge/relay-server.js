@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Relay Server
+ * ===============================
+ *
+ * Local HTTP relay forked by the launcher. EAs post to 127.0.0.1:9876 and
+ * the relay forwards each route to its GCP endpoint with the configured
+ * apiKey and retry settings. Routes listed in `queue.endpoints` (ingest and
+ * ml-snapshot by default) go through the durable outbound queue: the EA gets
+ * GCP's answer when delivery is quick, and `202 Accepted` while the payload
+ * waits on disk for GCP to come back. Endpoints listed in `dedup.endpoints`
+ * drop payloads already accepted, over HTTP or as a dropped file, within
+ * `dedup.window`. With `terminalAuth.enabled`, forwarding routes only accept
+ * registered terminals (bearer token or HMAC signature, see terminal-auth.js);
+ * each terminal is rate limited either way. Ingest and ML snapshot payloads are checked
+ * against their versioned schemas (see payload-schemas.js): invalid ones get
+ * 422, valid ones are forwarded normalized and upgraded to the current version.
+ *
+ * IPC with the launcher: sends `ready` once listening and `error` when it
+ * cannot start; handles `reload`, `drain` (answered with `drained`),
+ * `undrain` and `shutdown`. Run directly, it serves on its own until SIGINT/SIGTERM.
+ */
+
+const path = require('path');
+const express = require('express');
+const helmet = require('helmet');
+const { loadConfig } = require('./config-validator');
+const { ENDPOINTS, ForwardError, forwardToGcp, isCredentialRefused, isRetryableStatus } = require('./gcp-forwarder');
+const { applyLoggingConfig, closeLogger, createLogger, newCorrelationId, parseSize } = require('./logger');
+const { OutboundQueue, QueueFullError } = require('./outbound-queue');
+const { PayloadValidationError, hasPayloadSchema, validatePayload } = require('./payload-schemas');
+const DedupStore = require('./dedup-store');
+const { TerminalAuth } = require('./terminal-auth');
+const { SecretRotation } = require('./secret-store');
+
+const CONFIG = {
+    configPath: process.env.GOMERAI_CONFIG_PATH || './config/bridge-config.json',
+    bodyLimit: '1mb', // EA payloads include ML snapshots well above express's 100kb default
+    shutdownTimeout: 8000, // below the launcher's stop timeout, so in-flight forwards can finish
+    dedupPruneInterval: 60000 // 1 minute
+};
+
+// Relay-side queue settings; limits and backoff default in outbound-queue.js
+const DEFAULT_QUEUE = {
+    path: 'queue-data', // relative to the relay's directory
+    endpoints: ['ingest', 'ml-snapshot'],
+    ackTimeout: 3000 // answer 202 after this long, inside the EA's 5 second bridge timeout
+};
+
+class RelayServer {
+    constructor() {
+        this.logger = createLogger(process.env.GOMERAI_CHILD_NAME || 'relay')
+            .child({ correlationId: process.env.GOMERAI_CORRELATION_ID || newCorrelationId() });
+        this.config = null;
+        this.server = null;
+        this.queue = null;
+        this.dedup = null;
+        this.secrets = new SecretRotation();
+        this.terminalAuth = new TerminalAuth(() => this.config.terminalAuth, field => this.secrets.previous(field));
+        this.startedAt = Date.now();
+        this.inFlight = 0;
+        this.draining = false;
+        this.isShuttingDown = false;
+        this.endpoints = {};
+    }
+
+    async initialize() {
+        this.loadConfiguration();
+        this.setupProcessHandlers();
+        this.openQueue();
+        this.dedup = DedupStore.fromConfig(this.config, this.logger);
+        if (this.dedup) {
+            this.dedup.startPruning(CONFIG.dedupPruneInterval);
+        }
+        await this.listen(this.createApp());
+
+        const { host, port } = this.config.relay;
+        this.logger.info(`✅ Relay server listening on http://${host || '127.0.0.1'}:${port}`);
+        this.send({ type: 'ready' });
+    }
+
+    loadConfiguration() {
+        const config = loadConfig(CONFIG.configPath);
+        const rotated = this.secrets.update(this.config, config);
+        this.config = config;
+        applyLoggingConfig(this.logger, this.config.logging);
+        rotated.forEach(field => this.logger.info(`🔑 ${field} rotated; the previous value stays valid for the grace period`));
+
+        for (const endpoint of Object.keys(ENDPOINTS)) {
+            this.endpoints[endpoint] = this.endpoints[endpoint] || {
+                requests: 0,
+                failures: 0,
+                duplicates: 0,
+                rejected: 0,
+                lastStatus: null,
+                lastError: null,
+                lastForwardAt: null
+            };
+        }
+    }
+
+    get queueSettings() {
+        return { ...DEFAULT_QUEUE, ...this.config.queue };
+    }
+
+    // Queue settings only change with a restart (the launcher's restartOn)
+    openQueue() {
+        const settings = this.queueSettings;
+        const options = {
+            dir: path.resolve(__dirname, settings.path),
+            lanes: settings.endpoints,
+            deliver: (lane, entry) => forwardToGcp(this.config, lane, entry.payload, {
+                headers: entry.headers,
+                previousApiKey: this.secrets.previous('apiKey'),
+                log: this.logger
+            }),
+            // A refused key must not cost the queue its payloads
+            isRetryable: status => isRetryableStatus(status) || isCredentialRefused(status),
+            log: this.logger
+        };
+        for (const key of ['maxEntries', 'overflow', 'fsync', 'retryDelay', 'maxRetryDelay']) {
+            if (settings[key] !== undefined) {
+                options[key] = settings[key];
+            }
+        }
+        if (settings.maxSize) {
+            options.maxBytes = parseSize(settings.maxSize);
+        }
+        if (settings.segmentSize) {
+            options.segmentSize = parseSize(settings.segmentSize);
+        }
+
+        this.queue = new OutboundQueue(options);
+        this.queue.open();
+        this.logger.info(`📦 Outbound queue at ${options.dir} (${settings.endpoints.join(', ') || 'no endpoints'}, ${this.queue.size} pending)`);
+    }
+
+    setupProcessHandlers() {
+        process.on('message', (message) => {
+            if (message.type === 'reload') {
+                this.reload(message.changes || []);
+            } else if (message.type === 'drain') {
+                this.drain().then(() => this.send({ type: 'drained' }));
+            } else if (message.type === 'undrain') {
+                this.undrain();
+            } else if (message.type === 'shutdown') {
+                this.shutdown();
+            }
+        });
+
+        // Under the launcher, Ctrl-C in the tmux pane reaches the whole
+        // process group; the launcher then stops us in dependency order
+        process.on('SIGINT', () => {
+            if (!process.connected) {
+                this.shutdown();
+            }
+        });
+        process.on('SIGTERM', () => this.shutdown());
+
+        // A launcher that died without stopping us must not leave the port taken
+        process.on('disconnect', () => this.shutdown());
+    }
+
+    send(message) {
+        if (process.connected) {
+            process.send(message);
+        }
+    }
+
+    createApp() {
+        const app = express();
+        app.use(helmet());
+
+        // Correlation id per request, echoed back to the caller
+        app.use((req, res, next) => {
+            req.correlationId = req.get('x-request-id') || newCorrelationId();
+            req.log = this.logger.child({ correlationId: req.correlationId });
+            res.set('X-Request-ID', req.correlationId);
+            next();
+        });
+
+        // The raw body is kept for HMAC signature checks
+        app.use(express.json({
+            limit: CONFIG.bodyLimit,
+            verify: (req, res, buffer) => {
+                req.rawBody = buffer;
+            }
+        }));
+
+        app.get('/health', (req, res) => {
+            res.json({
+                status: this.draining ? 'draining' : 'healthy',
+                uptime: Math.round((Date.now() - this.startedAt) / 1000),
+                queue: { size: this.queue.size }
+            });
+        });
+
+        app.get('/status', (req, res) => {
+            res.json(this.getStatus());
+        });
+
+        for (const endpoint of Object.keys(ENDPOINTS)) {
+            app.post(`/${endpoint}`, this.terminalAuth.middleware, (req, res) => this.handleForward(endpoint, req, res));
+        }
+
+        app.use((req, res) => {
+            res.status(404).json({
+                error: 'not_found',
+                message: `No route for ${req.method} ${req.path}`
+            });
+        });
+
+        // Body parser failures: malformed JSON (400) and oversized bodies (413)
+        app.use((error, req, res, next) => {
+            const status = error.status || error.statusCode || 500;
+            if (status >= 500) {
+                (req.log || this.logger).error(`❌ Request failed: ${error.message}`);
+            }
+            res.status(status).json({
+                error: error.type === 'entity.parse.failed' ? 'invalid_json' : (error.type || 'internal_error'),
+                message: error.message
+            });
+        });
+
+        return app;
+    }
+
+    async handleForward(endpoint, req, res) {
+        if (this.draining) {
+            return res.status(503).json({ error: 'draining', message: 'Relay is draining; retry shortly' });
+        }
+
+        const stats = this.endpoints[endpoint];
+        const headers = { 'X-Request-ID': req.correlationId };
+        if (req.get('x-terminal-id')) {
+            headers['X-Terminal-ID'] = req.get('x-terminal-id');
+        }
+
+        this.inFlight++;
+        stats.requests++;
+        stats.lastForwardAt = new Date().toISOString();
+
+        try {
+            if (hasPayloadSchema(endpoint) && !this.checkPayload(endpoint, req, res)) {
+                stats.rejected++;
+                return;
+            }
+            if (this.dedup && this.dedup.appliesTo(endpoint) && this.isDuplicate(endpoint, req, res, headers)) {
+                stats.duplicates++;
+                return;
+            }
+
+            const result = this.queue.lanes.has(endpoint)
+                ? await this.forwardQueued(endpoint, req, res, headers)
+                : await forwardToGcp(this.config, endpoint, req.body, {
+                    headers,
+                    previousApiKey: this.secrets.previous('apiKey'),
+                    log: req.log
+                });
+            if (!result) {
+                // Answered 202 or 503 by forwardQueued
+                return;
+            }
+            stats.lastStatus = result.status;
+            stats.lastError = null;
+            if (result.status >= 400) {
+                stats.failures++;
+            }
+            req.log.http(`📤 ${endpoint} -> ${result.status} (${result.durationMs}ms, ${result.attempts} attempt(s))`);
+            res.status(result.status).send(result.data);
+        } catch (error) {
+            stats.failures++;
+            stats.lastStatus = null;
+            stats.lastError = error.message;
+            req.log.error(`❌ ${error.message}`);
+            res.status(502).json({
+                error: error instanceof ForwardError ? 'upstream_unavailable' : 'forward_failed',
+                message: error.message
+            });
+        } finally {
+            this.inFlight--;
+        }
+    }
+
+    // Replaces the body with the normalized, current-version payload, or answers 422
+    checkPayload(endpoint, req, res) {
+        try {
+            const { payload, upgradedFrom } = validatePayload(endpoint, req.body);
+            if (upgradedFrom) {
+                req.log.debug(`⬆️  ${endpoint} payload upgraded from schema v${upgradedFrom} to v${payload.schemaVersion}`);
+            }
+            req.body = payload;
+            return true;
+        } catch (error) {
+            if (!(error instanceof PayloadValidationError)) {
+                throw error;
+            }
+            req.log.warn(`🚫 ${error.message}`);
+            res.status(422).json({ error: error.code, message: error.message, errors: error.errors });
+            return false;
+        }
+    }
+
+    // Claims the payload's idempotency key, or answers a duplicate with 200
+    isDuplicate(endpoint, req, res, headers) {
+        const key = this.dedup.keyFor(req.body, req.get('idempotency-key'));
+        const owner = `http:${newCorrelationId()}`;
+        const outcome = this.dedup.claim(endpoint, key, owner);
+        res.set('Idempotency-Key', key);
+
+        if (outcome.duplicate) {
+            req.log.info(`♊ Duplicate ${endpoint} payload ${key} (first seen ${outcome.firstSeenAt}), not forwarded`);
+            res.status(200).json({ duplicate: true, idempotencyKey: key, firstSeenAt: outcome.firstSeenAt });
+            return true;
+        }
+
+        // Only an accepted payload keeps its claim; the EA may retry anything else
+        headers['Idempotency-Key'] = key;
+        res.once('finish', () => {
+            if (res.statusCode >= 300) {
+                this.dedup.release(endpoint, key, owner);
+            }
+        });
+        return false;
+    }
+
+    // Persist first, then give delivery a moment so the EA usually gets GCP's answer
+    async forwardQueued(endpoint, req, res, headers) {
+        let queued;
+        try {
+            queued = this.queue.enqueue(endpoint, req.body, headers);
+        } catch (error) {
+            if (!(error instanceof QueueFullError)) {
+                throw error;
+            }
+            req.log.warn(`⛔ ${error.message}; refusing ${endpoint} payload`);
+            res.set('Retry-After', '30');
+            res.status(503).json({ error: 'queue_full', message: error.message });
+            return null;
+        }
+
+        const result = await this.queue.waitForDelivery(endpoint, queued.seq, this.queueSettings.ackTimeout);
+        if (!result) {
+            req.log.http(`📥 ${endpoint} queued as ${queued.id} (position ${queued.position})`);
+            res.status(202).json({ queued: true, id: queued.id, position: queued.position });
+            return null;
+        }
+        return result;
+    }
+
+    getStatus() {
+        const endpoints = {};
+        for (const [endpoint, stats] of Object.entries(this.endpoints)) {
+            endpoints[endpoint] = {
+                url: this.config.gcpEndpoints[ENDPOINTS[endpoint]],
+                ...stats
+            };
+        }
+
+        return {
+            server: {
+                uptime: Math.round((Date.now() - this.startedAt) / 1000),
+                pid: process.pid,
+                memory: process.memoryUsage(),
+                draining: this.draining
+            },
+            queue: this.queue.stats(),
+            dedup: this.dedup ? this.dedup.stats() : { enabled: false },
+            terminals: this.terminalAuth.stats(),
+            secrets: { inGracePeriod: this.secrets.stats() },
+            endpoints,
+            config: {
+                version: this.config.version
+            }
+        };
+    }
+
+    listen(app) {
+        const { host, port } = this.config.relay;
+
+        return new Promise((resolve, reject) => {
+            this.server = app.listen(port, host || '127.0.0.1');
+            this.server.once('listening', resolve);
+            this.server.once('error', reject);
+        });
+    }
+
+    reload(changes) {
+        const log = this.logger.child({ correlationId: newCorrelationId() });
+
+        try {
+            this.loadConfiguration();
+            log.info(`🔄 Relay applied configuration changes: ${changes.join(', ') || 'none'}`);
+
+            // New endpoints or credentials may be what queued payloads were waiting for
+            if (changes.some(change => /^(gcpEndpoints|apiKey|retry)\b/.test(change))) {
+                this.queue.retryNow();
+            }
+        } catch (error) {
+            // The launcher validated the file before notifying us, so this
+            // only happens if it changed again in between
+            log.error(`❌ Relay kept its previous configuration: ${error.message}`);
+            this.send({ type: 'error', error: `reload failed: ${error.message}` });
+        }
+    }
+
+    // Stop taking new forwards and wait for the ones in flight
+    async drain(timeout = CONFIG.shutdownTimeout) {
+        this.draining = true;
+        this.logger.info(`🚰 Draining relay (${this.inFlight} request(s) in flight)...`);
+
+        const deadline = Date.now() + timeout;
+        while (this.inFlight > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return this.inFlight === 0;
+    }
+
+    // A drain that is not followed by a shutdown
+    undrain() {
+        if (this.draining && !this.isShuttingDown) {
+            this.draining = false;
+            this.logger.info('▶️  Relay accepting forwards again');
+        }
+    }
+
+    async shutdown(exitCode = 0) {
+        if (this.isShuttingDown) {
+            return;
+        }
+        this.isShuttingDown = true;
+        this.logger.info('🛑 Relay server shutting down...');
+
+        await this.drain();
+        if (this.server) {
+            this.server.close();
+        }
+        if (this.queue) {
+            // Anything still pending is replayed on the next start
+            this.queue.close();
+        }
+        if (this.dedup) {
+            this.dedup.stop();
+        }
+
+        this.logger.info('✅ Relay server stopped');
+        await closeLogger(this.logger);
+        process.exit(exitCode);
+    }
+}
+
+async function main() {
+    const relay = new RelayServer();
+
+    try {
+        await relay.initialize();
+    } catch (error) {
+        relay.logger.error(`💥 Failed to start relay server: ${error.message}`);
+        relay.send({ type: 'error', error: error.message });
+        await closeLogger(relay.logger);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = RelayServer;
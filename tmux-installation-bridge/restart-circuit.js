@@ -0,0 +1,114 @@
+/**
+ * GomerAI MT5 Bridge Restart Circuit
+ * ==================================
+ *
+ * Per-child restart bookkeeping for the launcher: exponential backoff with
+ * jitter across consecutive crashes, and a circuit breaker that opens when a
+ * child exceeds its restart limit. An open circuit stays open until it is
+ * reset explicitly (SIGUSR2 or the launcher API).
+ */
+
+class RestartCircuit {
+    /**
+     * @param {object} policy - Normalized restart policy from child-specs.js
+     */
+    constructor(policy) {
+        this.policy = policy;
+        this.state = 'closed'; // closed | open
+        this.consecutiveFailures = 0;
+        this.restartTimestamps = [];
+        this.readyAt = null;
+        this.openedAt = null;
+        this.openReason = null;
+        this.nextRestartAt = null;
+        this.lastDelay = null;
+    }
+
+    updatePolicy(policy) {
+        this.policy = policy;
+    }
+
+    // Called whenever the child reports ready
+    recordReady(now = Date.now()) {
+        this.readyAt = now;
+        this.nextRestartAt = null;
+    }
+
+    /**
+     * Record a crash and decide whether the child may be restarted.
+     *
+     * @returns {{ allowed: boolean, delay?: number, attempt?: number }}
+     */
+    recordCrash(now = Date.now()) {
+        const policy = this.policy;
+
+        // A child that stayed up long enough starts a fresh backoff sequence
+        if (this.readyAt !== null && now - this.readyAt >= policy.stableAfter) {
+            this.consecutiveFailures = 0;
+        }
+        this.readyAt = null;
+
+        if (this.state === 'open') {
+            return { allowed: false };
+        }
+
+        // Clean old timestamps (outside restart window)
+        const cutoff = now - policy.window;
+        this.restartTimestamps = this.restartTimestamps.filter(t => t > cutoff);
+
+        if (this.restartTimestamps.length >= policy.maxRestarts) {
+            this.open(`${policy.maxRestarts} restarts in ${policy.window / 60000} minutes`, now);
+            return { allowed: false };
+        }
+
+        this.consecutiveFailures++;
+        this.restartTimestamps.push(now);
+
+        const delay = this.computeDelay(this.consecutiveFailures);
+        this.lastDelay = delay;
+        this.nextRestartAt = now + delay;
+
+        return { allowed: true, delay, attempt: this.consecutiveFailures };
+    }
+
+    computeDelay(attempt) {
+        const { delay, multiplier, maxDelay, jitter } = this.policy;
+        const base = Math.min(maxDelay, delay * Math.pow(multiplier, attempt - 1));
+        const spread = base * jitter;
+        return Math.max(0, Math.round(base - spread + Math.random() * spread * 2));
+    }
+
+    open(reason, now = Date.now()) {
+        this.state = 'open';
+        this.openedAt = now;
+        this.openReason = reason;
+        this.nextRestartAt = null;
+    }
+
+    reset() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.restartTimestamps = [];
+        this.openedAt = null;
+        this.openReason = null;
+        this.nextRestartAt = null;
+    }
+
+    isOpen() {
+        return this.state === 'open';
+    }
+
+    toJSON() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            restartsInWindow: this.restartTimestamps.length,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            openReason: this.openReason,
+            lastDelay: this.lastDelay,
+            nextRestartAt: this.nextRestartAt ? new Date(this.nextRestartAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = RestartCircuit;
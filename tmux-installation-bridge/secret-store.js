@@ -0,0 +1,360 @@
+/**
+ * GomerAI MT5 Bridge Secret Store
+ * ===============================
+ *
+ * Keeps credentials out of bridge-config.json. A secret setting may hold a
+ * reference instead of the value itself, resolved whenever the config is
+ * loaded:
+ *
+ *   env:GOMERAI_API_KEY       environment variable
+ *   file:~/.gomerai/api.key   first line of a file
+ *   vault:gcp-api-key         entry in the local encrypted vault
+ *
+ * The vault is a single AES-256-GCM encrypted file, unlocked by a random
+ * machine key that never leaves this machine. SecretRotation remembers the
+ * values a reload replaced, so old credentials keep working for
+ * `secrets.gracePeriod` while GCP and the EAs catch up.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// `secrets` section defaults; relative paths are resolved against the bridge directory
+const DEFAULT_SECRETS = {
+    vaultPath: 'config/secrets.vault',
+    keyPath: '~/.gomerai/machine.key',
+    gracePeriod: 3600000 // 1 hour
+};
+
+// Settings that may hold a reference; '*' matches any key
+const SECRET_FIELDS = [
+    ['apiKey'],
+    ['control', 'token'],
+    ['terminalAuth', 'terminals', '*', 'token'],
+    ['terminalAuth', 'terminals', '*', 'hmacSecret']
+];
+
+const REFERENCE = /^(env|file|vault):(.+)$/;
+const VAULT_VERSION = 1;
+const VAULT_CIPHER = 'aes-256-gcm';
+const KEY_INFO = 'gomerai-bridge-vault';
+
+class SecretError extends Error {
+    /**
+     * @param {string} reference - Reference that could not be resolved, e.g. 'env:GOMERAI_API_KEY'
+     * @param {string} message - What went wrong
+     */
+    constructor(reference, message) {
+        super(`${reference}: ${message}`);
+        this.name = 'SecretError';
+        this.reference = reference;
+    }
+}
+
+// `~` or a leading `~/` to the home directory; shared with config-validator.js
+function expandHome(filePath) {
+    return filePath === '~' || filePath.startsWith('~/')
+        ? path.join(os.homedir(), filePath.slice(1))
+        : filePath;
+}
+
+function resolvePath(filePath) {
+    return path.resolve(__dirname, expandHome(filePath));
+}
+
+/**
+ * Every secret setting present in a configuration.
+ *
+ * @param {object} config - Bridge configuration
+ * @returns {{ field: string, parent: object, key: string, value: string }[]}
+ */
+function secretFields(config) {
+    const found = [];
+
+    const walk = (node, segments, trail) => {
+        if (node === null || typeof node !== 'object') {
+            return;
+        }
+        const [segment, ...rest] = segments;
+        const keys = segment === '*' ? Object.keys(node) : [segment];
+        for (const key of keys) {
+            if (!(key in node)) {
+                continue;
+            }
+            if (rest.length === 0) {
+                if (typeof node[key] === 'string') {
+                    found.push({ field: [...trail, key].join('.'), parent: node, key, value: node[key] });
+                }
+            } else {
+                walk(node[key], rest, [...trail, key]);
+            }
+        }
+    };
+
+    for (const segments of SECRET_FIELDS) {
+        walk(config, segments, []);
+    }
+    return found;
+}
+
+class SecretVault {
+    /**
+     * @param {object} options
+     * @param {string} options.vaultPath - Encrypted vault file
+     * @param {string} options.keyPath - Machine key file, created on first write
+     */
+    constructor({ vaultPath, keyPath }) {
+        this.vaultPath = vaultPath;
+        this.keyPath = keyPath;
+    }
+
+    /**
+     * Open the vault described by the `secrets` section of a configuration.
+     *
+     * @param {object} [config] - Bridge configuration, validated or raw
+     */
+    static fromConfig(config = {}) {
+        const settings = { ...DEFAULT_SECRETS, ...config.secrets };
+        return new SecretVault({
+            vaultPath: resolvePath(settings.vaultPath),
+            keyPath: resolvePath(settings.keyPath)
+        });
+    }
+
+    // GOMERAI_MACHINE_KEY (hex) wins over the key file, for hosts without a writable home
+    machineKey({ create = false } = {}) {
+        if (process.env.GOMERAI_MACHINE_KEY) {
+            return Buffer.from(process.env.GOMERAI_MACHINE_KEY, 'hex');
+        }
+        if (fs.existsSync(this.keyPath)) {
+            return Buffer.from(fs.readFileSync(this.keyPath, 'utf8').trim(), 'hex');
+        }
+        if (!create) {
+            throw new SecretError('vault', `machine key ${this.keyPath} not found`);
+        }
+
+        const key = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+        fs.writeFileSync(this.keyPath, `${key.toString('hex')}\n`, { mode: 0o600, flag: 'wx' });
+        return key;
+    }
+
+    cipherKey(machineKey, salt) {
+        return Buffer.from(crypto.hkdfSync('sha256', machineKey, salt, KEY_INFO, 32));
+    }
+
+    /**
+     * Decrypt the vault.
+     *
+     * @returns {Object<string, { value: string, updatedAt: string }>} Empty when no vault exists yet
+     */
+    read() {
+        if (!fs.existsSync(this.vaultPath)) {
+            return {};
+        }
+
+        const file = JSON.parse(fs.readFileSync(this.vaultPath, 'utf8'));
+        if (file.version !== VAULT_VERSION || file.cipher !== VAULT_CIPHER) {
+            throw new SecretError('vault', `unsupported vault format in ${this.vaultPath}`);
+        }
+
+        const key = this.cipherKey(this.machineKey(), Buffer.from(file.salt, 'base64'));
+        const decipher = crypto.createDecipheriv(VAULT_CIPHER, key, Buffer.from(file.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+        try {
+            const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+            return JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+            throw new SecretError('vault', `cannot decrypt ${this.vaultPath}; wrong machine key?`);
+        }
+    }
+
+    // Re-encrypted with a fresh salt and IV, then renamed into place
+    write(entries) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = this.cipherKey(this.machineKey({ create: true }), salt);
+        const cipher = crypto.createCipheriv(VAULT_CIPHER, key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+        const file = {
+            version: VAULT_VERSION,
+            cipher: VAULT_CIPHER,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+
+        fs.mkdirSync(path.dirname(this.vaultPath), { recursive: true });
+        const tempPath = `${this.vaultPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(file, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.vaultPath);
+    }
+
+    get(name) {
+        const entry = this.read()[name];
+        return entry ? entry.value : null;
+    }
+
+    set(name, value) {
+        const entries = this.read();
+        entries[name] = { value, updatedAt: new Date().toISOString() };
+        this.write(entries);
+    }
+
+    delete(name) {
+        const entries = this.read();
+        if (!(name in entries)) {
+            return false;
+        }
+        delete entries[name];
+        this.write(entries);
+        return true;
+    }
+
+    list() {
+        return Object.entries(this.read()).map(([name, entry]) => ({ name, updatedAt: entry.updatedAt }));
+    }
+}
+
+/**
+ * Resolve one secret setting. Values that are not references are returned as-is.
+ *
+ * @param {string} value - Setting value, e.g. 'env:GOMERAI_API_KEY'
+ * @param {SecretVault} vault - Vault for vault: references
+ * @returns {string}
+ * @throws {SecretError} When the reference cannot be resolved
+ */
+function resolveSecret(value, vault) {
+    const match = REFERENCE.exec(value);
+    if (!match) {
+        return value;
+    }
+
+    const [, scheme, target] = match;
+    let resolved;
+    if (scheme === 'env') {
+        resolved = process.env[target];
+        if (resolved === undefined) {
+            throw new SecretError(value, `environment variable ${target} is not set`);
+        }
+    } else if (scheme === 'file') {
+        try {
+            resolved = fs.readFileSync(expandHome(target), 'utf8').split('\n')[0].trim();
+        } catch (error) {
+            throw new SecretError(value, `cannot read ${target}: ${error.code || error.message}`);
+        }
+    } else {
+        resolved = vault.get(target);
+        if (resolved === null) {
+            throw new SecretError(value, `no secret named ${target} in ${vault.vaultPath}`);
+        }
+    }
+
+    if (!resolved) {
+        throw new SecretError(value, 'resolves to an empty value');
+    }
+    return resolved;
+}
+
+/**
+ * Replace secret references in a validated configuration with their values.
+ *
+ * @param {object} config - Validated configuration, modified in place
+ * @returns {{ field: string, message: string }[]} One error per unresolvable setting
+ */
+function resolveSecrets(config) {
+    const errors = [];
+    let vault = null;
+
+    for (const { field, parent, key, value } of secretFields(config)) {
+        try {
+            if (!vault && value.startsWith('vault:')) {
+                vault = SecretVault.fromConfig(config);
+            }
+            parent[key] = resolveSecret(value, vault);
+        } catch (error) {
+            errors.push({ field, message: error.message });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Copy of a configuration with every secret value masked, for printing.
+ */
+function redactSecrets(config) {
+    const copy = JSON.parse(JSON.stringify(config));
+    for (const { parent, key } of secretFields(copy)) {
+        parent[key] = '********';
+    }
+    return copy;
+}
+
+class SecretRotation {
+    constructor() {
+        this.retired = new Map(); // field -> { value, expiresAt }
+    }
+
+    /**
+     * Remember the secrets a reload is about to replace.
+     *
+     * @param {object|null} previous - Configuration being replaced
+     * @param {object} next - Configuration taking over
+     * @returns {string[]} Fields whose value changed
+     */
+    update(previous, next) {
+        const now = Date.now();
+        for (const [field, entry] of this.retired) {
+            if (entry.expiresAt <= now) {
+                this.retired.delete(field);
+            }
+        }
+        if (!previous) {
+            return [];
+        }
+
+        const gracePeriod = { ...DEFAULT_SECRETS, ...next.secrets }.gracePeriod;
+        const current = new Map(secretFields(next).map(({ field, value }) => [field, value]));
+        const rotated = [];
+        for (const { field, value } of secretFields(previous)) {
+            if (current.get(field) !== value) {
+                this.retired.set(field, { value, expiresAt: now + gracePeriod });
+                rotated.push(field);
+            }
+        }
+        return rotated;
+    }
+
+    /**
+     * The value a field had before its last rotation, while still in its grace period.
+     *
+     * @param {string} field - Dotted setting, e.g. 'apiKey'
+     * @returns {string|null}
+     */
+    previous(field) {
+        const entry = this.retired.get(field);
+        return entry && entry.expiresAt > Date.now() ? entry.value : null;
+    }
+
+    stats() {
+        const now = Date.now();
+        return [...this.retired]
+            .filter(([, entry]) => entry.expiresAt > now)
+            .map(([field, entry]) => ({ field, graceUntil: new Date(entry.expiresAt).toISOString() }));
+    }
+}
+
+module.exports = {
+    DEFAULT_SECRETS,
+    SecretError,
+    SecretRotation,
+    SecretVault,
+    expandHome,
+    redactSecrets,
+    resolveSecret,
+    resolveSecrets
+};
@@ -0,0 +1,221 @@
+/**
+ * GomerAI MT5 Bridge Status File
+ * ==============================
+ *
+ * The launcher's state as one JSON file for the main installer and the VPS
+ * master control, at `statusFile.path` in the bridge config (default
+ * /tmp/gomerai-bridge-status.json). It is rewritten after every lifecycle
+ * event, health checks included, by writing a temporary file next to it and
+ * renaming it over the old one: readers see either the previous state or
+ * the new one, never half a file.
+ *
+ * `schemaVersion` changes whenever a field changes meaning or goes away;
+ * new fields may appear without it changing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_STATUS_FILE = '/tmp/gomerai-bridge-status.json';
+
+// Relay routes listed under `endpoints`
+const RELAY_ENDPOINTS = {
+    ingest: '/ingest',
+    token: '/token',
+    dashboard: '/dashboard',
+    mlSnapshot: '/ml-snapshot',
+    health: '/health',
+    status: '/status'
+};
+
+class StatusFile {
+    /**
+     * @param {BridgeLauncher} launcher - Launcher whose state is written
+     */
+    constructor(launcher) {
+        this.launcher = launcher;
+        this.started = false;
+        this.stopped = false;
+        this.lastErrors = new Map(); // child or 'launcher' -> { at, message }
+        this.lastEventId = null;
+        this.writtenPath = null;
+        this.writeError = null;
+        this.pending = null;
+
+        launcher.events.on('event', event => this.handleEvent(event));
+    }
+
+    get path() {
+        const config = this.launcher.config;
+        return (config && config.statusFile && config.statusFile.path) || DEFAULT_STATUS_FILE;
+    }
+
+    handleEvent(event) {
+        const error = describeError(event);
+        if (error) {
+            this.lastErrors.set(event.child || 'launcher', { at: event.at, message: error });
+        }
+        if (event.type === 'launcher.started') {
+            this.started = true;
+        }
+        this.lastEventId = event.id;
+
+        // Events come in bursts (exit, restart scheduled); write once they settle
+        if (!this.pending) {
+            this.pending = setImmediate(() => {
+                this.pending = null;
+                this.write();
+            });
+        }
+    }
+
+    /**
+     * Write the final state once the launcher has stopped its children.
+     */
+    close() {
+        clearImmediate(this.pending);
+        this.pending = null;
+        this.stopped = true;
+        this.write();
+    }
+
+    write() {
+        const target = this.path;
+        const temporary = `${target}.${process.pid}.tmp`;
+
+        try {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(temporary, `${JSON.stringify(this.build(), null, 2)}\n`, { mode: 0o644 });
+            fs.renameSync(temporary, target);
+        } catch (error) {
+            // Logged once per distinct failure; the bridge runs on without the file
+            if (error.message !== this.writeError) {
+                this.writeError = error.message;
+                this.launcher.logger.warn(`⚠️  Could not write status file ${target}: ${error.message}`);
+            }
+            fs.rmSync(temporary, { force: true });
+            return;
+        }
+        this.writeError = null;
+
+        // A reload moved the file; do not leave the old one behind, stale
+        if (this.writtenPath && this.writtenPath !== target) {
+            fs.rmSync(this.writtenPath, { force: true });
+        }
+        this.writtenPath = target;
+    }
+
+    build() {
+        const launcher = this.launcher;
+        const config = launcher.config || {};
+        const relay = config.relay || {};
+
+        const components = {};
+        for (const spec of launcher.childSpecs) {
+            const state = launcher.children.get(spec.name);
+            const liveness = state && spec.liveness ? state.liveness : null;
+            components[spec.name] = {
+                status: this.componentStatus(spec, state),
+                enabled: spec.enabled,
+                pid: state && state.process ? state.process.pid : null,
+                restarts: state ? state.restarts : 0,
+                circuit: state ? state.circuit.state : 'closed',
+                lastHealthCheck: liveness && liveness.lastCheckAt ? {
+                    at: liveness.lastCheckAt,
+                    result: liveness.lastResult,
+                    latencyMs: liveness.lastLatencyMs
+                } : null,
+                queueSize: liveness ? liveness.queueSize : null,
+                lastError: this.lastErrors.get(spec.name) || null
+            };
+        }
+
+        let lastError = null;
+        for (const [component, error] of this.lastErrors) {
+            if (!lastError || error.at >= lastError.at) {
+                lastError = { component, ...error };
+            }
+        }
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            component: 'mt5-bridge',
+            status: this.overallStatus(components),
+            updatedAt: new Date().toISOString(),
+            lastEventId: this.lastEventId,
+            version: config.version || null,
+            installDate: config.installDate || null,
+            port: relay.port || null,
+            endpoints: relay.port ? Object.fromEntries(Object.entries(RELAY_ENDPOINTS)
+                .map(([name, route]) => [name, `http://${relay.host || '127.0.0.1'}:${relay.port}${route}`])) : {},
+            launcher: {
+                pid: process.pid,
+                startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString()
+            },
+            components,
+            lastError
+        };
+    }
+
+    componentStatus(spec, state) {
+        if (!spec.enabled) {
+            return 'disabled';
+        }
+        if (!state) {
+            return 'stopped';
+        }
+        if (state.circuit.isOpen()) {
+            return 'circuit-open';
+        }
+        if (this.launcher.isChildRunning(spec.name)) {
+            return state.liveness.lastResult === 'failed' ? 'unhealthy' : 'healthy';
+        }
+        const alive = state.process && state.process.exitCode === null && state.process.signalCode === null;
+        return state.restartTimer || (alive && !state.ready) ? 'starting' : 'stopped';
+    }
+
+    // healthy when every enabled child is, degraded when only some are
+    overallStatus(components) {
+        if (this.stopped) {
+            return 'stopped';
+        }
+        if (this.launcher.isShuttingDown) {
+            return 'stopping';
+        }
+        if (!this.started) {
+            return 'starting';
+        }
+        const enabled = Object.values(components).filter(component => component.enabled);
+        const healthy = enabled.filter(component => component.status === 'healthy').length;
+        if (healthy === enabled.length) {
+            return 'healthy';
+        }
+        return healthy > 0 ? 'degraded' : 'unhealthy';
+    }
+}
+
+// What went wrong, for the events that report a problem
+function describeError(event) {
+    switch (event.type) {
+        case 'child.startup-failed':
+        case 'health.failed':
+        case 'config.reload-failed':
+        case 'launcher.stopping':
+            return event.error;
+        case 'child.exited':
+            return event.expected ? null : `exited (code: ${event.code}, signal: ${event.signal})`;
+        case 'child.circuit-open':
+            return `restart circuit open: ${event.reason}`;
+        case 'child.recovering':
+            return `recovering: ${event.reason}`;
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    DEFAULT_STATUS_FILE,
+    SCHEMA_VERSION,
+    StatusFile
+};
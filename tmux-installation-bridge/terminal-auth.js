@@ -0,0 +1,259 @@
+/**
+ * GomerAI MT5 Bridge Terminal Authentication
+ * ==========================================
+ *
+ * Authenticates EA terminals calling the relay's forwarding routes and
+ * rate limits each one with a token bucket. Terminals are registered under
+ * `terminalAuth.terminals` in bridge-config.json, keyed by the ID they send
+ * in `X-Terminal-ID`, and prove who they are in one of two ways:
+ *
+ *   Bearer  Authorization: Bearer <token>
+ *   HMAC    X-Timestamp: <unix ms>
+ *           X-Signature: hex HMAC-SHA256 with hmacSecret over
+ *                        "<timestamp>\n<METHOD>\n<path>\n<raw body>"
+ *
+ * A signature is accepted once; it expires with its timestamp, so the cache
+ * of used ones only spans the allowed clock skew. A credential replaced on
+ * reload keeps working for `secrets.gracePeriod`. Authentication is off
+ * unless `terminalAuth.enabled` is true; the rate limit and per-terminal
+ * request counts for /status apply either way.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TERMINAL_AUTH = {
+    enabled: false,
+    rateLimit: {
+        requestsPerSecond: 20,
+        burst: 40
+    },
+    maxClockSkew: 300000, // 5 minutes either side for HMAC timestamps
+    terminals: {}
+};
+
+// Requests without X-Terminal-ID are counted under this name
+const UNIDENTIFIED = '(unidentified)';
+
+// Unregistered IDs are caller-controlled, so only this many get their own entry
+const MAX_TRACKED_TERMINALS = 1000;
+
+function safeEqual(expected, provided) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(provided || '');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class TokenBucket {
+    /**
+     * @param {{ requestsPerSecond: number, burst: number }} limit
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.tokens = limit.burst;
+        this.updatedAt = Date.now();
+    }
+
+    // Limits can change on reload; the bucket keeps its current fill
+    update(limit) {
+        this.limit = limit;
+        this.tokens = Math.min(this.tokens, limit.burst);
+    }
+
+    /**
+     * Take one token.
+     *
+     * @returns {number} 0 when allowed, otherwise milliseconds until a token is available
+     */
+    take(now = Date.now()) {
+        const { requestsPerSecond, burst } = this.limit;
+        this.tokens = Math.min(burst, this.tokens + ((now - this.updatedAt) / 1000) * requestsPerSecond);
+        this.updatedAt = now;
+
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil(((1 - this.tokens) / requestsPerSecond) * 1000);
+    }
+}
+
+class TerminalAuth {
+    /**
+     * @param {Function} getSettings - Returns the current `terminalAuth` section, so reloads apply at once
+     * @param {Function} [getPrevious] - Returns a rotated setting's previous value during its grace period
+     */
+    constructor(getSettings, getPrevious = () => null) {
+        this.getSettings = getSettings;
+        this.getPrevious = getPrevious;
+        this.buckets = new Map(); // terminal ID -> TokenBucket
+        this.terminals = new Map(); // terminal ID -> stats
+        this.signatures = new Map(); // "<terminal ID>:<signature>" -> ms when its timestamp expires
+        this.middleware = this.middleware.bind(this);
+    }
+
+    get settings() {
+        const configured = this.getSettings() || {};
+        return {
+            ...DEFAULT_TERMINAL_AUTH,
+            ...configured,
+            rateLimit: { ...DEFAULT_TERMINAL_AUTH.rateLimit, ...configured.rateLimit }
+        };
+    }
+
+    // The ID a request is counted and rate limited under
+    trackedId(terminalId) {
+        const id = terminalId || UNIDENTIFIED;
+        return this.terminals.has(id) || this.terminals.size < MAX_TRACKED_TERMINALS ? id : '(other)';
+    }
+
+    statsFor(id) {
+        if (!this.terminals.has(id)) {
+            this.terminals.set(id, { requests: 0, accepted: 0, unauthorized: 0, rateLimited: 0, lastSeenAt: null, lastAuth: null });
+        }
+        return this.terminals.get(id);
+    }
+
+    // A terminal's current credential, then the one it replaced if still in its grace period
+    credentials(terminalId, terminal, field) {
+        return [terminal[field], this.getPrevious(`terminalAuth.terminals.${terminalId}.${field}`)].filter(Boolean);
+    }
+
+    /**
+     * Check the credentials a request carries against a registered terminal.
+     *
+     * @returns {{ method: string }|{ error: string }}
+     */
+    authenticate(req, terminalId, terminal, settings) {
+        const header = req.get('authorization') || '';
+        if (header.startsWith('Bearer ')) {
+            const provided = header.slice(7);
+            return this.credentials(terminalId, terminal, 'token').some(token => safeEqual(token, provided))
+                ? { method: 'bearer' }
+                : { error: 'Invalid bearer token' };
+        }
+
+        const signature = req.get('x-signature');
+        if (signature) {
+            const secrets = this.credentials(terminalId, terminal, 'hmacSecret');
+            if (secrets.length === 0) {
+                return { error: 'Terminal is not registered for HMAC signatures' };
+            }
+            const timestamp = Number(req.get('x-timestamp'));
+            if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > settings.maxClockSkew) {
+                return { error: 'X-Timestamp is missing or outside the allowed clock skew' };
+            }
+            const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+            const signed = `${req.get('x-timestamp')}\n${req.method}\n${req.path}\n${body}`;
+            const valid = secrets.some(secret =>
+                safeEqual(crypto.createHmac('sha256', secret).update(signed).digest('hex'), signature.toLowerCase())
+            );
+            if (!valid) {
+                return { error: 'Invalid signature' };
+            }
+            return this.useSignature(`${terminalId}:${signature.toLowerCase()}`, timestamp + settings.maxClockSkew)
+                ? { method: 'hmac' }
+                : { error: 'Signature has already been used' };
+        }
+
+        return { error: 'Missing credentials' };
+    }
+
+    /**
+     * Record a valid signature, refusing one seen before.
+     *
+     * @returns {boolean} false for a replayed signature
+     */
+    useSignature(key, expiresAt, now = Date.now()) {
+        // Signatures arrive roughly in timestamp order; one that outlives
+        // those after it only keeps them a little longer
+        for (const [seen, expiry] of this.signatures) {
+            if (expiry > now) {
+                break;
+            }
+            this.signatures.delete(seen);
+        }
+
+        if (this.signatures.has(key)) {
+            return false;
+        }
+        this.signatures.set(key, expiresAt);
+        return true;
+    }
+
+    reject(req, res, stats, status, error, message) {
+        if (status === 429) {
+            stats.rateLimited++;
+        } else {
+            stats.unauthorized++;
+            res.set('WWW-Authenticate', 'Bearer realm="gomerai-relay"');
+        }
+        req.log.warn(`🔒 ${req.method} ${req.path} from ${req.get('x-terminal-id') || UNIDENTIFIED} refused (${status}): ${message}`);
+        return res.status(status).json({ error, message });
+    }
+
+    // Express middleware for the forwarding routes
+    middleware(req, res, next) {
+        const settings = this.settings;
+        const terminalId = req.get('x-terminal-id');
+        const id = this.trackedId(terminalId);
+        const stats = this.statsFor(id);
+        stats.requests++;
+        stats.lastSeenAt = new Date().toISOString();
+
+        const terminal = terminalId ? settings.terminals[terminalId] : null;
+        let auth = { method: null };
+        if (settings.enabled) {
+            if (!terminal || terminal.disabled) {
+                return this.reject(req, res, stats, 401, 'unauthorized',
+                    terminalId ? `Unknown or disabled terminal: ${terminalId}` : 'X-Terminal-ID header is required');
+            }
+
+            auth = this.authenticate(req, terminalId, terminal, settings);
+            if (auth.error) {
+                return this.reject(req, res, stats, 401, 'unauthorized', auth.error);
+            }
+        }
+
+        // Without authentication the ID is only a claim, bounded like the
+        // stats, but it still keeps one misbehaving EA from flooding GCP
+        const limit = { ...settings.rateLimit, ...(terminal && terminal.rateLimit) };
+        const bucketId = settings.enabled ? terminalId : id;
+        let bucket = this.buckets.get(bucketId);
+        if (!bucket) {
+            bucket = new TokenBucket(limit);
+            this.buckets.set(bucketId, bucket);
+        } else {
+            bucket.update(limit);
+        }
+
+        const waitMs = bucket.take();
+        if (waitMs > 0) {
+            res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+            return this.reject(req, res, stats, 429, 'rate_limited',
+                `Rate limit of ${limit.requestsPerSecond} requests/s (burst ${limit.burst}) exceeded`);
+        }
+
+        stats.accepted++;
+        if (auth.method) {
+            stats.lastAuth = auth.method;
+            req.terminal = { id: terminalId, auth: auth.method };
+        }
+        next();
+    }
+
+    stats() {
+        const terminals = {};
+        for (const [id, stats] of this.terminals) {
+            terminals[id] = { ...stats };
+        }
+        return {
+            enabled: this.settings.enabled,
+            terminals
+        };
+    }
+}
+
+module.exports = {
+    TerminalAuth,
+    TokenBucket
+};
@@ -5,12 +5,69 @@
  * 
  * Comprehensive test suite for the MT5 Bridge system
  * Tests all components before production deployment
+ *
+ * Usage: node test-bridge-integration.js [options]
+ *
+ *   --mock               Start a mock GCP server and a launcher for the run
+ *   --keep               Keep the working directories and their logs
+ *   --grep <pattern>     Only tests whose name matches (case-insensitive)
+ *   --tag <a,b>          Only tests with one of these tags
+ *   --exclude-tag <a,b>  Leave out tests with any of these tags
+ *   --timeout <ms>       Per-test timeout (default 30000)
+ *   --retries <n>        Retries after a failed attempt (default maxRetries)
+ *   --report-dir <dir>   Where results.json, junit.xml and results.tap go
+ *                        (default: gomerai-bridge-test-results in the temp directory)
+ *   --list               List tests and tags without running them
+ *
+ * Load mode (--load) runs only the load test unless tests are selected:
+ *
+ *   --rate <n>           Requests per second (default 20)
+ *   --concurrency <n>    Requests in flight at most (default 50)
+ *   --duration <s>       Run time in seconds (default 60)
+ *   --terminals <n>      Simulated terminals (default 10)
+ *   --mix <spec>         Endpoint weights, e.g. ingest=70,ml-snapshot=10,token=10,dashboard=10
+ *   --slo-p50/--slo-p95/--slo-p99 <ms>, --slo-error-rate <percent>,
+ *   --slo-queue-growth <entries>, --slo-memory-growth <MB>
+ *                        Fail the run when a threshold is exceeded
+ *
+ * Chaos mode (--chaos) runs only the chaos scenarios unless tests are
+ * selected. Each scenario starts its own mock GCP server and launcher, so
+ * no running bridge is needed; see chaos-scenarios.js.
+ *
+ * The tmux controller and layout tests (--tag tmux) run against a private
+ * tmux server of their own and are skipped where tmux is not installed.
+ * The dashboard and lifecycle event tests (--tag dashboard, --tag events)
+ * start their own launcher like the chaos scenarios.
+ *
+ * Launcher tests (tag `launcher`) start a launcher of their own on a
+ * generated configuration in a temporary directory, and config tests (tag
+ * `config`) only load generated files, so `--tag launcher,config` needs no
+ * running bridge. The other tests run against a bridge that is already
+ * running. With --mock the runner starts a mock GCP server and a launcher
+ * on a generated configuration in a temporary directory, also checks what
+ * the mock received, and tears both down afterwards.
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
-const { spawn } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
+const { setTimeout: delay } = require('timers/promises');
+const { ConfigValidationError, loadConfig } = require('./config-validator');
+const { createLogger, newCorrelationId } = require('./logger');
+const { SecretVault, redactSecrets } = require('./secret-store');
+const { MockGcpServer } = require('./mock-gcp-server');
+const { SkipTest, TestHarness, freePort, toJUnit, toTap } = require('./test-harness');
+const { LoadGenerator, PAYLOADS, checkSlo } = require('./load-generator');
+const { CHAOS_SCENARIOS, CHAOS_TIMINGS, ChaosEnvironment } = require('./chaos-scenarios');
+const { TmuxController, TmuxError } = require('./tmux-controller');
+const { applyLayout, snapshotLayout, validateLayout } = require('./tmux-layout');
+const { BridgeDashboard } = require('./bridge-dashboard');
+const { OutboundQueue } = require('./outbound-queue');
+const DedupStore = require('./dedup-store');
+const { DEFAULT_STATUS_FILE } = require('./status-file');
 
 // Test configuration
 const TEST_CONFIG = {
@@ -18,57 +75,488 @@ const TEST_CONFIG = {
     testTimeout: 30000,
     maxRetries: 3,
     testDataDir: './test-data',
-    fileDropDir: './file-drops/inbound'
+    fileDropDir: './file-drops/inbound',
+    fileDropTimeout: 15000, // covers the relay's watcher settle time and one sweep
+    reportDir: path.join(os.tmpdir(), 'gomerai-bridge-test-results'),
+    loadSlo: {
+        p95: 500,
+        p99: 1000,
+        errorRate: 0.01
+    },
+    launcherStopTimeout: 15000,
+    waitTimeout: 10000
 };
 
+const SUITE_NAME = 'GomerAI MT5 Bridge Integration';
+
+// Tests that start whatever they need themselves, without the shared bridge
+const SELF_CONTAINED_TAGS = ['launcher', 'config', 'chaos', 'tmux', 'dashboard', 'events', 'queue', 'store'];
+
+// Child scripts the launcher fixtures supervise
+const CHILD_SCRIPTS = {
+    // Reports ready, answers drains after DRAIN_DELAY ms, and runs until the
+    // launcher asks it to shut down, taking SHUTDOWN_DELAY ms to stop
+    idle: `
+process.send({ type: 'ready' });
+process.on('message', (message) => {
+    if (message.type === 'drain') {
+        setTimeout(() => process.send({ type: 'drained' }), Number(process.env.DRAIN_DELAY || 0));
+    } else if (message.type === 'shutdown') {
+        setTimeout(() => process.exit(0), Number(process.env.SHUTDOWN_DELAY || 0));
+    }
+});
+setInterval(() => {}, 1000);
+`,
+    // Logs through logger.js (LOGGER_MODULE) with the correlation id the
+    // launcher started it with, then idles like the idle child
+    logging: `
+const { createLogger } = require(process.env.LOGGER_MODULE);
+const logger = createLogger(process.env.GOMERAI_CHILD_NAME).child({ correlationId: process.env.GOMERAI_CORRELATION_ID });
+logger.info('child ready');
+process.send({ type: 'ready' });
+process.on('message', (message) => {
+    if (message.type === 'shutdown') {
+        process.exit(0);
+    }
+});
+setInterval(() => {}, 1000);
+`,
+    // Reports a successful and a failed forward to GCP, then becomes ready
+    forwarding: `
+process.send({ type: 'forward', endpoint: 'dashboard', status: 200, durationMs: 40 });
+process.send({ type: 'forward', endpoint: 'ingest', status: 'error', durationMs: 5000 });
+process.send({ type: 'ready' });
+process.on('message', (message) => {
+    if (message.type === 'shutdown') {
+        process.exit(0);
+    }
+});
+setInterval(() => {}, 1000);
+`,
+    // Never reports ready
+    neverReady: `
+setInterval(() => {}, 1000);
+`,
+    // Answers /health on relay.port, reporting QUEUE_SIZE queued payloads
+    health: `
+const http = require('http');
+const { relay } = JSON.parse(require('fs').readFileSync(process.env.GOMERAI_CONFIG_PATH, 'utf8'));
+const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ status: 'healthy', queue: { size: Number(process.env.QUEUE_SIZE || 0) } }));
+});
+server.listen(relay.port, '127.0.0.1', () => process.send({ type: 'ready' }));
+process.on('message', (message) => {
+    if (message.type === 'shutdown') {
+        server.close(() => process.exit(0));
+    }
+});
+`,
+    // Reports ready, then crashes while the file named by CRASH_FILE exists
+    crashLoop: `
+const fs = require('fs');
+process.send({ type: 'ready' });
+if (fs.existsSync(process.env.CRASH_FILE)) {
+    setTimeout(() => process.exit(1), 300);
+}
+process.on('message', (message) => {
+    if (message.type === 'shutdown') {
+        process.exit(0);
+    }
+});
+setInterval(() => {}, 1000);
+`
+};
+
+// A payload the relay accepts for the endpoint (see payload-schemas.js), with test fields merged in
+const eaPayload = (endpoint, fields = {}) => ({ ...PAYLOADS[endpoint]('TEST_TERMINAL_123', 0), ...fields });
+
+// Credentials the generated --mock configuration gives the bridge
+const MOCK_API_KEY = 'mock-api-key-0123456789abcdef';
+const MOCK_REJECTED_LICENSE = 'REVOKED_LICENSE_KEY';
+
+/**
+ * A launcher of its own, with its status server, on a generated
+ * configuration in a temporary directory. Child scripts are written into
+ * the same directory.
+ */
+class LauncherFixture {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.keep] - Keep the working directory and its logs
+     */
+    constructor({ keep = false } = {}) {
+        this.keep = keep;
+        this.token = crypto.randomBytes(16).toString('hex');
+        this.workDir = null;
+        this.config = null;
+        this.configPath = null;
+        this.statusUrl = null;
+        this.launcher = null;
+        this.exited = null;
+    }
+
+    async prepare() {
+        this.workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-launcher-'));
+        this.configPath = path.join(this.workDir, 'bridge-config.json');
+        return this;
+    }
+
+    // Write a child script into the working directory and return its path
+    async writeScript(name, source) {
+        const file = path.join(this.workDir, name);
+        await fs.writeFile(file, source);
+        return file;
+    }
+
+    /**
+     * Start the launcher; `overrides` are merged over a configuration whose
+     * built-in relay runs the idle child script.
+     *
+     * @param {object} [overrides] - Top-level configuration sections
+     */
+    async start(overrides = {}) {
+        const idle = await this.writeScript('idle-child.js', CHILD_SCRIPTS.idle);
+        const gcp = 'http://127.0.0.1:9/gcp';
+        this.config = {
+            version: 'launcher-test',
+            relay: { port: await freePort(), host: '127.0.0.1' },
+            gcpEndpoints: { ingest: gcp, token: gcp, dashboard: gcp, mlSnapshot: gcp },
+            apiKey: 'launcher-test-api-key',
+            fileDrop: { enabled: false, watchPath: path.join(this.workDir, 'file-drops', 'inbound') },
+            queue: { path: path.join(this.workDir, 'queue-data') },
+            dedup: { path: path.join(this.workDir, 'dedup-data') },
+            secrets: { vaultPath: path.join(this.workDir, 'secrets.vault'), keyPath: path.join(this.workDir, 'machine.key') },
+            ...overrides,
+            children: { relay: { script: idle }, ...(overrides.children || {}) }
+        };
+        await this.writeConfig(this.config);
+
+        // A control.token in the configuration is used as is; otherwise LAUNCHER_CONTROL_TOKEN, which would override it
+        const controlToken = this.config.control && this.config.control.token;
+        if (controlToken) {
+            this.token = controlToken;
+        }
+        const statusPort = await freePort();
+        this.statusUrl = `http://127.0.0.1:${statusPort}`;
+        const output = fs.openSync(path.join(this.workDir, 'launcher.log'), 'a');
+        this.launcher = spawn(process.execPath, [path.join(__dirname, 'bridge-launcher.js')], {
+            cwd: __dirname,
+            env: {
+                ...process.env,
+                GOMERAI_CONFIG_PATH: this.configPath,
+                ENABLE_STATUS_SERVER: 'true',
+                STATUS_PORT: String(statusPort),
+                ...(controlToken ? {} : { LAUNCHER_CONTROL_TOKEN: this.token })
+            },
+            stdio: ['ignore', output, output]
+        });
+        fs.closeSync(output);
+        this.exited = new Promise(resolve => this.launcher.once('exit', (code, signal) => {
+            this.launcher = null;
+            resolve(signal || code);
+        }));
+        return this;
+    }
+
+    // Replace the configuration file, e.g. before a reload
+    async writeConfig(config) {
+        this.config = config;
+        await fs.writeJson(this.configPath, config, { spaces: 4 });
+    }
+
+    async status() {
+        const response = await axios.get(`${this.statusUrl}/launcher-status`, { timeout: 2000 });
+        return response.data;
+    }
+
+    // Call the control API, failing on anything but a 2xx
+    async control(route, body = {}) {
+        const response = await axios.post(`${this.statusUrl}${route}`, body, {
+            headers: { Authorization: `Bearer ${this.token}` },
+            timeout: TEST_CONFIG.waitTimeout,
+            validateStatus: () => true
+        });
+        if (response.status >= 300) {
+            throw new Error(`POST ${route} answered ${response.status}: ${JSON.stringify(response.data)}`);
+        }
+        return response.data;
+    }
+
+    // Poll /launcher-status until the predicate accepts it
+    async waitFor(description, predicate, timeout = TEST_CONFIG.waitTimeout) {
+        const deadline = Date.now() + timeout;
+        let last = null;
+        while (Date.now() < deadline) {
+            if (!this.launcher) {
+                throw new Error(`Launcher exited while waiting for ${description}:\n${await this.output()}`);
+            }
+            try {
+                last = await this.status();
+                if (predicate(last)) {
+                    return last;
+                }
+            } catch (error) {
+                // Not listening yet
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        throw new Error(`Timed out waiting for ${description}; last status: ${JSON.stringify(last && last.processes)}`);
+    }
+
+    // Wait for the launcher to exit on its own and return its exit code
+    async waitForExit(timeout = TEST_CONFIG.waitTimeout) {
+        const result = await Promise.race([
+            this.exited,
+            new Promise(resolve => setTimeout(() => resolve('running'), timeout))
+        ]);
+        if (result === 'running') {
+            throw new Error(`Launcher still running after ${timeout}ms`);
+        }
+        return result;
+    }
+
+    async output() {
+        return fs.readFile(path.join(this.workDir, 'launcher.log'), 'utf8').catch(() => '');
+    }
+
+    async signalChild(name, signal) {
+        const { pid } = (await this.status()).processes[name];
+        process.kill(pid, signal);
+        return pid;
+    }
+
+    async stop() {
+        if (this.launcher) {
+            const launcher = this.launcher;
+            launcher.kill('SIGTERM');
+            const timer = setTimeout(() => launcher.kill('SIGKILL'), TEST_CONFIG.launcherStopTimeout);
+            await this.exited;
+            clearTimeout(timer);
+        }
+        if (this.workDir && !this.keep) {
+            await fs.remove(this.workDir);
+        }
+    }
+}
+
 class BridgeIntegrationTest {
-    constructor() {
-        this.testResults = {
-            total: 0,
-            passed: 0,
-            failed: 0,
-            skipped: 0,
-            errors: []
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.mock] - Run against a mock GCP server and a launcher started by the runner
+     * @param {boolean} [options.keep] - Keep the working directories and their logs
+     * @param {RegExp} [options.grep] - Only tests whose name matches
+     * @param {string[]} [options.tags] - Only tests with one of these tags
+     * @param {string[]} [options.excludeTags] - Leave out tests with any of these tags
+     * @param {number} [options.timeout] - Per-test timeout in ms
+     * @param {number} [options.retries] - Retries after a failed attempt
+     * @param {string} [options.reportDir] - Directory for the report files
+     * @param {boolean} [options.load] - Run the load test
+     * @param {object} [options.loadOptions] - LoadGenerator overrides: rate, concurrency, duration, terminals, mix
+     * @param {object} [options.slo] - Load thresholds merged over TEST_CONFIG.loadSlo
+     * @param {boolean} [options.chaos] - Run the chaos scenarios
+     */
+    constructor(options = {}) {
+        this.options = {
+            mock: false,
+            keep: false,
+            grep: null,
+            tags: [],
+            excludeTags: [],
+            timeout: TEST_CONFIG.testTimeout,
+            retries: TEST_CONFIG.maxRetries,
+            reportDir: TEST_CONFIG.reportDir,
+            load: false,
+            loadOptions: {},
+            chaos: false,
+            ...options
         };
-        this.startTime = Date.now();
+        this.options.slo = { ...TEST_CONFIG.loadSlo, ...options.slo };
+        this.mock = null;
+        this.launcher = null;
+        this.workDir = null;
+        this.chaos = null;
+        this.tmuxSocket = null;
+        this.signal = null; // the running attempt's, aborted when it times out
+        this.selected = [];
+        this.logger = createLogger('test-runner').child({ correlationId: newCorrelationId() });
+        this.harness = new TestHarness({ timeout: this.options.timeout, retries: this.options.retries });
+        this.registerTests();
     }
 
     // Logging utilities
     log(message) {
-        console.log(`[${new Date().toISOString()}] ${message}`);
+        this.logger.info(message);
     }
 
     success(message) {
-        console.log(`✅ ${message}`);
+        this.logger.info(`✅ ${message}`);
     }
 
     error(message) {
-        console.log(`❌ ${message}`);
+        this.logger.error(`❌ ${message}`);
     }
 
     warn(message) {
-        console.log(`⚠️  ${message}`);
+        this.logger.warn(`⚠️  ${message}`);
     }
 
     info(message) {
-        console.log(`ℹ️  ${message}`);
+        this.logger.info(`ℹ️  ${message}`);
     }
 
-    // Test execution framework
-    async runTest(testName, testFunction) {
-        this.testResults.total++;
-        this.log(`Running test: ${testName}`);
-        
-        try {
-            await testFunction();
-            this.testResults.passed++;
-            this.success(`Test passed: ${testName}`);
-            return true;
-        } catch (error) {
-            this.testResults.failed++;
-            this.testResults.errors.push({ test: testName, error: error.message });
-            this.error(`Test failed: ${testName} - ${error.message}`);
-            return false;
+    // Test registry: every test with its tags; retries: 0 where a retry cannot help
+    registerTests() {
+        const harness = this.harness;
+
+        // Launcher and config tests bring what they need, so they need no running bridge
+        harness.test('Child Supervision Test', () => this.testChildSupervision(), { tags: ['launcher', 'supervision'], retries: 0 });
+        harness.test('Readiness Failure Test', () => this.testReadinessFailure(), { tags: ['launcher', 'supervision'], retries: 0 });
+        harness.test('Startup Error Test', () => this.testStartupError(), { tags: ['launcher', 'events'], retries: 0 });
+        harness.test('Restart Circuit Test', () => this.testRestartCircuit(), { tags: ['launcher', 'supervision'], retries: 0 });
+        harness.test('Liveness Recovery Test', () => this.testLivenessRecovery(), { tags: ['launcher', 'supervision'], retries: 0 });
+        harness.test('Control API Test', () => this.testControlApi(), { tags: ['launcher', 'control'], retries: 0 });
+        harness.test('Structured Logging Test', () => this.testStructuredLogging(), { tags: ['launcher', 'logging'], retries: 0 });
+        harness.test('Launcher Metrics Test', () => this.testLauncherMetrics(), { tags: ['launcher', 'metrics'], retries: 0 });
+        harness.test('Relay Forwarding Test', () => this.testRelayForwarding(), { tags: ['launcher', 'relay'], retries: 0 });
+        harness.test('Queue Replay Test', () => this.testQueueReplay(), { tags: ['launcher', 'queue'], retries: 0 });
+        harness.test('File Drop Relay Test', () => this.testFileDropRelay(), { tags: ['launcher', 'file-drop'], retries: 0 });
+        harness.test('Dedup Test', () => this.testDedup(), { tags: ['launcher', 'dedup'], retries: 0 });
+        harness.test('Terminal Auth Test', () => this.testTerminalAuth(), { tags: ['launcher', 'auth'], retries: 0 });
+        harness.test('Config Reload Test', () => this.testConfigReload(), { tags: ['launcher', 'reload'], retries: 0 });
+        harness.test('Validate Config CLI Test', () => this.testValidateConfigCli(), { tags: ['config'], retries: 0 });
+        harness.test('Installer API Key Test', () => this.testInstallerApiKey(), { tags: ['config'], retries: 0 });
+        harness.test('Secret References Test', () => this.testSecretReferences(), { tags: ['config', 'secrets'], retries: 0 });
+        harness.test('Secret Rotation Test', () => this.testSecretRotation(), { tags: ['launcher', 'secrets'], retries: 0 });
+
+        harness.test('Bridge Health Check', () => this.testBridgeHealth(), { tags: ['smoke', 'relay'] });
+        harness.test('Bridge Status Check', () => this.testBridgeStatus(), { tags: ['smoke', 'relay'] });
+        harness.test('Ingest Endpoint Test', () => this.testIngestEndpoint(), { tags: ['endpoints'] });
+        harness.test('Token Endpoint Test', () => this.testTokenEndpoint(), { tags: ['endpoints'] });
+        harness.test('Dashboard Endpoint Test', () => this.testDashboardEndpoint(), { tags: ['endpoints'] });
+        harness.test('ML Snapshot Endpoint Test', () => this.testMLSnapshotEndpoint(), { tags: ['endpoints'] });
+        harness.test('File Drop Fallback Test', () => this.testFileDropFallback(), {
+            tags: ['file-drop'],
+            timeout: TEST_CONFIG.fileDropTimeout + 5000
+        });
+        harness.test('Error Handling Test', () => this.testErrorHandling(), { tags: ['relay', 'errors'] });
+        harness.test('Payload Schema Test', () => this.testPayloadSchemas(), {
+            tags: ['endpoints', 'errors', 'file-drop'],
+            timeout: TEST_CONFIG.fileDropTimeout + 5000
+        });
+        harness.test('Concurrent Requests Test', () => this.testConcurrentRequests(), { tags: ['resilience'] });
+        harness.test('Bridge Resilience Test', () => this.testBridgeResilience(), { tags: ['resilience'] });
+        harness.test('Mock Delivery Test', () => this.testMockDelivery(), { tags: ['mock', 'endpoints'], retries: 0 });
+        harness.test('Mock 5xx Burst Test', () => this.testMockServerErrorBurst(), { tags: ['mock', 'errors'], retries: 0 });
+        harness.test('Mock License Rejection Test', () => this.testMockLicenseRejection(), { tags: ['mock', 'errors'], retries: 0 });
+        harness.test('Mock Malformed Reply Test', () => this.testMockMalformedReply(), { tags: ['mock', 'errors'], retries: 0 });
+        harness.test('Mock Latency and Timeout Test', () => this.testMockLatencyAndTimeout(), { tags: ['mock', 'errors'], retries: 0 });
+        harness.test('Load Test', () => this.testLoad(), {
+            tags: ['load'],
+            retries: 0,
+            // The whole run plus the last requests and the final /status sample
+            timeout: (this.options.loadOptions.duration || 60000) + 60000
+        });
+        for (const scenario of CHAOS_SCENARIOS) {
+            harness.test(`Chaos: ${scenario.name}`, () => this.testChaos(scenario), {
+                tags: ['chaos'],
+                retries: 0,
+                // Environment start and stop around the scenario's own waits
+                timeout: CHAOS_TIMINGS.waitTimeout * 2 + CHAOS_TIMINGS.deliveryTimeout + CHAOS_TIMINGS.launcherStopTimeout
+            });
+        }
+        harness.test('Tmux Controller Test', () => this.testTmuxController(), { tags: ['tmux'], retries: 0 });
+        harness.test('Tmux Layout Test', () => this.testTmuxLayout(), { tags: ['tmux'], retries: 0 });
+        harness.test('Tmux Integration Layout Test', () => this.testTmuxIntegrationLayout(), { tags: ['tmux'], retries: 0 });
+        harness.test('Dashboard Test', () => this.testDashboard(), {
+            tags: ['dashboard'],
+            retries: 0,
+            timeout: CHAOS_TIMINGS.waitTimeout * 2 + CHAOS_TIMINGS.launcherStopTimeout
+        });
+        harness.test('Lifecycle Events Test', () => this.testLifecycleEvents(), {
+            tags: ['events'],
+            retries: 0,
+            timeout: CHAOS_TIMINGS.waitTimeout * 3 + CHAOS_TIMINGS.launcherStopTimeout
+        });
+        harness.test('Status File Test', () => this.testStatusFile(), {
+            tags: ['events'],
+            retries: 0,
+            timeout: CHAOS_TIMINGS.waitTimeout * 3 + CHAOS_TIMINGS.launcherStopTimeout
+        });
+        harness.test('Orphaned Queue Lane Test', () => this.testQueueOrphanedLanes(), { tags: ['queue'], retries: 0 });
+        harness.test('Dedup Prune Race Test', () => this.testDedupPruneRace(), { tags: ['store', 'dedup'], retries: 0 });
+
+        harness.beforeAll(async () => {
+            await fs.ensureDir(TEST_CONFIG.testDataDir);
+            // Launcher, chaos, dashboard and events tests bring their own launcher, the tmux tests their own tmux server
+            // and the queue and store tests their own queue or dedup store
+            if (this.selected.length > 0
+                && this.selected.every(test => test.tags.some(tag => SELF_CONTAINED_TAGS.includes(tag)))) {
+                return;
+            }
+            if (this.options.mock) {
+                await this.startMockEnvironment();
+            }
+
+            this.info('Waiting for bridge to be ready...');
+            if (!await this.waitForBridge()) {
+                throw new Error(`Bridge is not responding at ${TEST_CONFIG.bridgeUrl}. Please ensure the bridge is running.`);
+            }
+            this.success('Bridge is ready, starting tests...');
+        });
+
+        harness.beforeEach((test, { signal }) => {
+            this.signal = signal;
+        });
+
+        // Scripted mock behaviors and recorded requests never leak into the next test,
+        // nor does a chaos scenario's launcher or the tmux test's server
+        harness.afterEach(async () => {
+            this.signal = null;
+            if (this.mock) {
+                this.mock.reset();
+            }
+            if (this.chaos) {
+                const env = this.chaos;
+                this.chaos = null;
+                await env.stop();
+            }
+            if (this.tmuxSocket) {
+                spawnSync('tmux', ['-L', this.tmuxSocket, 'kill-server'], { stdio: 'ignore' });
+                this.tmuxSocket = null;
+            }
+        });
+
+        harness.afterAll(async () => {
+            if (this.options.mock) {
+                await this.stopMockEnvironment();
+            }
+            await fs.remove(TEST_CONFIG.testDataDir);
+        });
+
+        harness.on('test:start', test => this.log(`Running test: ${test.name}`));
+        harness.on('test:retry', (test, attempt, error) => {
+            this.warn(`Retrying ${test.name} after attempt ${attempt} failed: ${error.message}`);
+        });
+        harness.on('test:end', result => {
+            if (result.status === 'passed') {
+                this.success(`Test passed: ${result.name}`);
+            } else if (result.status === 'skipped') {
+                this.info(`Test skipped: ${result.name} - ${result.reason}`);
+            } else {
+                this.error(`Test failed: ${result.name} - ${result.error.message}`);
+            }
+        });
+    }
+
+    // Skip the calling test
+    skip(reason) {
+        throw new SkipTest(reason);
+    }
+
+    requireMock() {
+        if (!this.mock) {
+            this.skip('needs --mock');
         }
     }
 
@@ -216,40 +704,112 @@ class BridgeIntegrationTest {
     }
 
     async testFileDropFallback() {
-        // Ensure file drop directory exists
-        await fs.ensureDir(TEST_CONFIG.fileDropDir);
+        if (!await fs.pathExists(TEST_CONFIG.fileDropDir)) {
+            this.skip(`No file drop inbound directory at ${TEST_CONFIG.fileDropDir}; is fileDrop enabled?`);
+        }
 
-        const testData = {
-            type: 'file_drop_test',
-            timestamp: new Date().toISOString(),
-            terminalId: 'TEST_TERMINAL_123',
-            data: 'This is a test file drop'
-        };
+        const marker = newCorrelationId();
+        const testData = eaPayload('ingest', { testType: 'file_drop_test', marker, data: 'This is a test file drop' });
 
-        const fileName = `gomerai_test_${Date.now()}.json`;
+        // Written the way WriteToFileDrop() does: a .tmp file renamed into place
+        const fileName = `gomerai_ingest_${Date.now()}.json`;
         const filePath = path.join(TEST_CONFIG.fileDropDir, fileName);
+        await fs.writeJson(`${filePath}.tmp`, testData, { spaces: 2 });
+        await fs.rename(`${filePath}.tmp`, filePath);
 
-        // Write test file
-        await fs.writeJson(filePath, testData, { spaces: 2 });
-
-        // Wait for file to be processed
-        await this.sleep(10000);
-
-        // Check if file was moved (processed)
-        const fileExists = await fs.pathExists(filePath);
-        if (fileExists) {
-            // File still exists, check if it was moved to completed
-            const completedPath = path.join('./file-drops/completed', fileName);
-            const wasProcessed = await fs.pathExists(completedPath);
-            
-            if (!wasProcessed) {
-                this.warn('File drop test file was not processed (this may be normal if file-drop relay is not running)');
-            } else {
-                this.info('File drop test file was processed successfully');
+        const dropRoot = path.dirname(TEST_CONFIG.fileDropDir);
+        const completedPath = path.join(dropRoot, 'completed', fileName);
+        const failedPath = path.join(dropRoot, 'failed', fileName);
+        const quarantinePath = path.join(dropRoot, 'quarantine', fileName);
+        const deadline = Date.now() + TEST_CONFIG.fileDropTimeout;
+
+        try {
+            while (!await fs.pathExists(completedPath)) {
+                if (await fs.pathExists(failedPath)) {
+                    const sidecar = await fs.readJson(`${failedPath}.error.json`).catch(() => ({}));
+                    throw new Error(`File drop moved ${fileName} to failed/: ${sidecar.error || 'no error recorded'}`);
+                }
+                if (await fs.pathExists(quarantinePath)) {
+                    const sidecar = await fs.readJson(`${quarantinePath}.error.json`).catch(() => ({}));
+                    throw new Error(`File drop quarantined ${fileName}: ${sidecar.error || 'no error recorded'}`);
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`${fileName} was not delivered within ${TEST_CONFIG.fileDropTimeout}ms; is the file drop relay running?`);
+                }
+                await this.sleep(250);
+            }
+
+            if (this.mock && !this.mock.requests('ingest').some(request => request.body.marker === marker)) {
+                throw new Error(`${fileName} reached completed/ but the mock never received it`);
+            }
+            this.info(`File drop test file ${fileName} was delivered`);
+        } finally {
+            await Promise.all([filePath, completedPath, failedPath, `${failedPath}.error.json`, quarantinePath, `${quarantinePath}.error.json`]
+                .map(file => fs.remove(file)));
+        }
+    }
+
+    async testPayloadSchemas() {
+        const post = (endpoint, payload) => axios.post(`${TEST_CONFIG.bridgeUrl}/${endpoint}`, payload, {
+            timeout: TEST_CONFIG.testTimeout,
+            validateStatus: () => true
+        });
+        const rejected = [
+            ['ingest', eaPayload('ingest', { marketData: { bid: 1.0852, ask: 1.0850 } }), 'invalid_payload', 'marketData.bid'],
+            ['ingest', eaPayload('ingest', { timestamp: 'yesterday' }), 'invalid_payload', 'timestamp'],
+            ['ml-snapshot', eaPayload('ml-snapshot', { performance: { totalTrades: 10, winRate: 1.5 } }), 'invalid_payload', 'performance.winRate'],
+            ['ingest', eaPayload('ingest', { schemaVersion: 99 }), 'unsupported_schema_version', 'schemaVersion']
+        ];
+        for (const [endpoint, payload, code, field] of rejected) {
+            const response = await post(endpoint, payload);
+            if (response.status !== 422 || response.data.error !== code
+                || !response.data.errors.some(error => error.field === field)) {
+                throw new Error(`Expected 422 ${code} on ${field}, got ${response.status} ${JSON.stringify(response.data)}`);
+            }
+        }
+
+        // A version 1 payload with an MT5 time and no spread is forwarded as the current version
+        const marker = newCorrelationId();
+        const legacy = eaPayload('ingest', { testType: 'payload_schema_test', marker, timestamp: '2025.01.15 10:30:00' });
+        legacy.marketData = { bid: 1.0850, ask: 1.0852 };
+        const accepted = await post('ingest', legacy);
+        if (accepted.status < 200 || accepted.status >= 300) {
+            throw new Error(`Version 1 ingest payload answered ${accepted.status} ${JSON.stringify(accepted.data)}`);
+        }
+        if (this.mock) {
+            const received = this.mock.requests('ingest').find(request => request.body.marker === marker);
+            const body = received ? received.body : {};
+            if (body.schemaVersion !== 2 || body.timestamp !== '2025-01-15T10:30:00.000Z' || body.marketData.spread !== 0.0002) {
+                throw new Error(`Payload not upgraded before forwarding: ${JSON.stringify(body)}`);
+            }
+        }
+
+        // An invalid dropped file is quarantined, not retried
+        if (await fs.pathExists(TEST_CONFIG.fileDropDir)) {
+            const fileName = `gomerai_ml_snapshot_${Date.now()}.json`;
+            const filePath = path.join(TEST_CONFIG.fileDropDir, fileName);
+            const quarantinePath = path.join(path.dirname(TEST_CONFIG.fileDropDir), 'quarantine', fileName);
+            await fs.writeJson(`${filePath}.tmp`, eaPayload('ml-snapshot', { weights: {} }));
+            await fs.rename(`${filePath}.tmp`, filePath);
+
+            try {
+                const deadline = Date.now() + TEST_CONFIG.fileDropTimeout;
+                while (!await fs.pathExists(`${quarantinePath}.error.json`)) {
+                    if (Date.now() > deadline) {
+                        throw new Error(`${fileName} was not quarantined within ${TEST_CONFIG.fileDropTimeout}ms`);
+                    }
+                    await this.sleep(250);
+                }
+                const sidecar = await fs.readJson(`${quarantinePath}.error.json`);
+                if (sidecar.code !== 'invalid_payload' || !sidecar.errors.some(error => error.field === 'weights')) {
+                    throw new Error(`Unexpected quarantine sidecar: ${JSON.stringify(sidecar)}`);
+                }
+            } finally {
+                await Promise.all([filePath, quarantinePath, `${quarantinePath}.error.json`].map(file => fs.remove(file)));
             }
-        } else {
-            this.info('File drop test file was processed (moved from inbound directory)');
         }
+
+        this.info(`${rejected.length} invalid payload(s) rejected with 422; version 1 payload accepted with ${accepted.status}`);
     }
 
     async testErrorHandling() {
@@ -290,11 +850,7 @@ class BridgeIntegrationTest {
         const requests = [];
 
         for (let i = 0; i < numRequests; i++) {
-            const testData = {
-                testType: 'concurrent_test',
-                requestId: i,
-                timestamp: new Date().toISOString()
-            };
+            const testData = eaPayload('ingest', { testType: 'concurrent_test', requestId: i });
 
             requests.push(
                 axios.post(`${TEST_CONFIG.bridgeUrl}/ingest`, testData, {
@@ -318,11 +874,10 @@ class BridgeIntegrationTest {
         // Test bridge behavior under various conditions
         
         // 1. Large payload test
-        const largePayload = {
+        const largePayload = eaPayload('ingest', {
             testType: 'large_payload_test',
-            timestamp: new Date().toISOString(),
             largeData: 'x'.repeat(1024 * 100) // 100KB of data
-        };
+        });
 
         const response = await axios.post(`${TEST_CONFIG.bridgeUrl}/ingest`, largePayload, {
             timeout: TEST_CONFIG.testTimeout
@@ -338,10 +893,10 @@ class BridgeIntegrationTest {
         const rapidRequests = [];
         for (let i = 0; i < 5; i++) {
             rapidRequests.push(
-                axios.post(`${TEST_CONFIG.bridgeUrl}/ingest`, {
+                axios.post(`${TEST_CONFIG.bridgeUrl}/ingest`, eaPayload('ingest', {
                     testType: 'rapid_request_test',
                     requestId: i
-                }, { timeout: 5000 })
+                }), { timeout: 5000 })
             );
         }
 
@@ -355,102 +910,1963 @@ class BridgeIntegrationTest {
         this.info(`Rapid requests test: ${rapidSuccessful}/5 successful`);
     }
 
-    // Utility functions
-    async sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Launcher tests: each starts its own launcher
+    async testChildSupervision() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            // A declared child alongside the built-in relay, started after it and restarted when it dies
+            const worker = await env.writeScript('worker.js', CHILD_SCRIPTS.idle);
+            await env.start({
+                children: { worker: { script: worker, dependsOn: ['relay'], restart: { delay: 200 } } }
+            });
+            let status = await env.waitFor('relay and worker to run',
+                current => current.processes.relay.running && current.processes.worker.running);
+            if (status.processes.worker.dependsOn.join() !== 'relay' || status.processes.worker.script !== 'worker.js') {
+                throw new Error(`Worker reported as ${JSON.stringify(status.processes.worker)}`);
+            }
+            const output = await env.output();
+            if (output.indexOf('Starting HTTP Relay Server') > output.indexOf('Starting worker')) {
+                throw new Error('Worker started before the relay it depends on');
+            }
+
+            const pid = await env.signalChild('worker', 'SIGKILL');
+            status = await env.waitFor('worker to be restarted',
+                current => current.processes.worker.running && current.processes.worker.pid !== pid);
+            if (status.processes.worker.restarts !== 1 || status.processes.relay.restarts !== 0) {
+                throw new Error(`Expected only the worker to restart once: ${JSON.stringify(status.processes)}`);
+            }
+
+            this.info(`Worker restarted as pid ${status.processes.worker.pid} after SIGKILL`);
+        } finally {
+            await env.stop();
+        }
     }
 
-    async waitForBridge(maxWait = 30000) {
-        const startTime = Date.now();
-        
-        while (Date.now() - startTime < maxWait) {
-            try {
-                await axios.get(`${TEST_CONFIG.bridgeUrl}/health`, { timeout: 2000 });
-                return true;
-            } catch (error) {
-                await this.sleep(2000);
+    async testReadinessFailure() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            // The relay is ready, the child after it never is: startup fails as a whole
+            const neverReady = await env.writeScript('never-ready.js', CHILD_SCRIPTS.neverReady);
+            await env.start({
+                children: { neverReady: { script: neverReady, dependsOn: ['relay'], startupTimeout: 1000 } }
+            });
+            const code = await env.waitForExit();
+            const output = await env.output();
+            if (code !== 1) {
+                throw new Error(`Launcher exited with ${code}, expected 1`);
+            }
+            if (!/neverReady did not become ready within 1000ms/.test(output)) {
+                throw new Error(`Launcher output does not name the child that was not ready:\n${output}`);
+            }
+            if (!/HTTP Relay Server stopped/.test(output)) {
+                throw new Error('The relay that did start was not stopped');
             }
+
+            this.info('Startup failed with "neverReady did not become ready within 1000ms"');
+        } finally {
+            await env.stop();
         }
-        
-        return false;
     }
 
-    // Main test runner
-    async runAllTests() {
-        this.log('Starting GomerAI MT5 Bridge Integration Tests');
-        this.log('='.repeat(60));
+    async testStartupError() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        // An invalid config leaves no statusFile.path, so the launcher writes where the installer looks by default
+        const previous = await fs.readFile(DEFAULT_STATUS_FILE).catch(() => null);
+        try {
+            await fs.remove(DEFAULT_STATUS_FILE);
+            const worker = await env.writeScript('worker.js', CHILD_SCRIPTS.idle);
+            await env.start({ children: { worker: { script: worker, dependsOn: ['nobody'] } } });
+            const code = await env.waitForExit();
+            if (code !== 1) {
+                throw new Error(`Launcher exited with ${code}, expected 1`);
+            }
+            const status = await fs.readJson(DEFAULT_STATUS_FILE).catch(() => null);
+            if (!status || status.status !== 'stopped' || !status.lastError
+                || status.lastError.component !== 'launcher' || !/depends on unknown child/.test(status.lastError.message)) {
+                throw new Error(`Startup error not recorded in the status file: ${JSON.stringify(status)}`);
+            }
 
-        // Wait for bridge to be ready
-        this.info('Waiting for bridge to be ready...');
-        const bridgeReady = await this.waitForBridge();
-        
-        if (!bridgeReady) {
-            this.error('Bridge is not responding. Please ensure the bridge is running.');
-            return this.generateReport();
+            this.info(`Status file recorded "${status.lastError.message}"`);
+        } finally {
+            await env.stop();
+            if (previous) {
+                await fs.writeFile(DEFAULT_STATUS_FILE, previous);
+            } else {
+                await fs.remove(DEFAULT_STATUS_FILE);
+            }
         }
+    }
+
+    async testRestartCircuit() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            const crashFile = path.join(env.workDir, 'crash');
+            await fs.writeFile(crashFile, '');
+            const crashLoop = await env.writeScript('crash-loop.js', CHILD_SCRIPTS.crashLoop);
+            await env.start({
+                children: {
+                    crashLoop: {
+                        script: crashLoop,
+                        env: { CRASH_FILE: crashFile },
+                        restart: { delay: 200, multiplier: 2, jitter: 0, maxRestarts: 2, window: 60000 }
+                    }
+                }
+            });
 
-        this.success('Bridge is ready, starting tests...');
+            // Two restarts, the second waiting twice as long, then the circuit opens
+            let status = await env.waitFor('crash loop to open its restart circuit',
+                current => current.processes.crashLoop.circuit.state === 'open');
+            let child = status.processes.crashLoop;
+            if (child.restarts !== 2 || child.circuit.restartsInWindow !== 2 || child.circuit.lastDelay !== 400) {
+                throw new Error(`Circuit opened after ${child.restarts} restart(s): ${JSON.stringify(child.circuit)}`);
+            }
+            await this.sleep(1000);
+            status = await env.status();
+            if (status.processes.crashLoop.running || status.processes.crashLoop.restarts !== 2) {
+                throw new Error('Child was restarted after its circuit opened');
+            }
+            if (!status.processes.relay.running || status.processes.relay.restarts !== 0) {
+                throw new Error('Relay was disturbed by the crash loop');
+            }
 
-        // Run all tests
-        await this.runTest('Bridge Health Check', () => this.testBridgeHealth());
-        await this.runTest('Bridge Status Check', () => this.testBridgeStatus());
-        await this.runTest('Ingest Endpoint Test', () => this.testIngestEndpoint());
-        await this.runTest('Token Endpoint Test', () => this.testTokenEndpoint());
-        await this.runTest('Dashboard Endpoint Test', () => this.testDashboardEndpoint());
-        await this.runTest('ML Snapshot Endpoint Test', () => this.testMLSnapshotEndpoint());
-        await this.runTest('File Drop Fallback Test', () => this.testFileDropFallback());
-        await this.runTest('Error Handling Test', () => this.testErrorHandling());
-        await this.runTest('Concurrent Requests Test', () => this.testConcurrentRequests());
-        await this.runTest('Bridge Resilience Test', () => this.testBridgeResilience());
+            // Once the cause is gone, SIGUSR2 closes the circuit and starts the child again
+            await fs.remove(crashFile);
+            process.kill(env.launcher.pid, 'SIGUSR2');
+            status = await env.waitFor('circuit reset to start the child again',
+                current => current.processes.crashLoop.running && current.processes.crashLoop.circuit.state === 'closed');
+            child = status.processes.crashLoop;
 
-        return this.generateReport();
+            this.info(`Circuit opened after 2 restarts and was reset; child running as pid ${child.pid}`);
+        } finally {
+            await env.stop();
+        }
     }
 
-    generateReport() {
-        const duration = Date.now() - this.startTime;
-        const report = {
-            summary: {
-                total: this.testResults.total,
-                passed: this.testResults.passed,
-                failed: this.testResults.failed,
-                skipped: this.testResults.skipped,
-                duration: `${duration}ms`,
-                success: this.testResults.failed === 0
-            },
-            errors: this.testResults.errors
-        };
+    async testLivenessRecovery() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            // The relay answers its probe but reports a queue above maxQueueSize
+            const health = await env.writeScript('health-child.js', CHILD_SCRIPTS.health);
+            await env.start({
+                children: {
+                    relay: {
+                        script: health,
+                        env: { QUEUE_SIZE: '50' },
+                        liveness: { maxQueueSize: 10 },
+                        restart: { delay: 200, jitter: 0 }
+                    }
+                }
+            });
+            const { pid } = (await env.waitFor('relay to run', current => current.processes.relay.running)).processes.relay;
+
+            // The first health check runs 10 s after startup
+            const status = await env.waitFor('relay to be recovered and restarted',
+                current => current.processes.relay.running && current.processes.relay.pid !== pid
+                    && current.recoveries.some(recovery => recovery.pid === pid && recovery.completedAt),
+                TEST_CONFIG.waitTimeout * 2);
+            const recovery = status.recoveries.find(entry => entry.pid === pid);
+            const { relay } = status.processes;
+            if (recovery.child !== 'relay' || recovery.reason !== 'queue size 50 above 10') {
+                throw new Error(`Unexpected recovery: ${JSON.stringify(recovery)}`);
+            }
+            if (relay.restarts !== 1 || relay.liveness.recoveries !== 1 || relay.liveness.queueSize !== 50) {
+                throw new Error(`Relay reported as ${JSON.stringify(relay)}`);
+            }
 
-        this.log('='.repeat(60));
-        this.log('TEST RESULTS SUMMARY');
-        this.log('='.repeat(60));
-        
-        if (report.summary.success) {
-            this.success(`All tests passed! (${report.summary.passed}/${report.summary.total})`);
-        } else {
-            this.error(`${report.summary.failed} tests failed out of ${report.summary.total}`);
+            this.info(`Relay recovered (${recovery.reason}) and restarted as pid ${relay.pid}`);
+        } finally {
+            await env.stop();
         }
+    }
 
-        this.info(`Test duration: ${duration}ms`);
+    async testControlApi() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            const worker = await env.writeScript('worker.js', CHILD_SCRIPTS.idle);
+            await env.start({
+                control: { token: 'control-test-token-0123456789' },
+                children: {
+                    relay: {},
+                    worker: { script: worker, dependsOn: ['relay'], env: { SHUTDOWN_DELAY: '500', DRAIN_DELAY: '1000' }, restart: { delay: 200 } }
+                }
+            });
+            await env.waitFor('relay and worker to run',
+                current => current.processes.relay.running && current.processes.worker.running);
+
+            const call = (route, headers = { Authorization: `Bearer ${env.token}` }, body = {}) =>
+                axios.post(`${env.statusUrl}${route}`, body, { headers, timeout: TEST_CONFIG.waitTimeout, validateStatus: () => true });
+            const expectError = (response, status, code) => {
+                if (response.status !== status || response.data.ok !== false || response.data.error.code !== code) {
+                    throw new Error(`Expected ${status} ${code}, got ${response.status} ${JSON.stringify(response.data)}`);
+                }
+            };
+            expectError(await call('/children/worker/stop', {}), 401, 'unauthorized');
+            expectError(await call('/children/worker/stop', { Authorization: 'Bearer not-the-token' }), 401, 'unauthorized');
+            expectError(await call('/children/nobody/stop'), 404, 'unknown_child');
+            expectError(await call('/reload', { Authorization: `Bearer ${env.token}`, 'Content-Type': 'application/json' }, '{"drainTimeout":'),
+                400, 'invalid_json');
+
+            // A stopped child stays stopped until it is started again
+            const stop = await env.control('/children/worker/stop');
+            if (!stop.ok || !stop.result.stopped) {
+                throw new Error(`Stop answered ${JSON.stringify(stop)}`);
+            }
+            await this.sleep(1000);
+            let status = await env.status();
+            if (status.processes.worker.running || status.processes.worker.restarts !== 0) {
+                throw new Error('Stopped worker was restarted');
+            }
+            await env.control('/children/worker/start');
+            status = await env.waitFor('worker to be started again', current => current.processes.worker.running);
+
+            // Nor is a child started or restarted ahead of what it depends on
+            await env.control('/children/worker/stop');
+            await env.control('/children/relay/stop');
+            expectError(await call('/children/worker/start'), 409, 'dependency_not_running');
+            expectError(await call('/children/worker/restart'), 409, 'dependency_not_running');
+            await env.control('/children/relay/start');
+            await env.control('/children/worker/start');
+            status = await env.waitFor('relay and worker to run again',
+                current => current.processes.relay.running && current.processes.worker.running);
+
+            // Operations that conflict with a restart in flight are refused
+            const { pid } = status.processes.worker;
+            const [restart, stopConflict, reloadConflict] = await Promise.all([
+                call('/children/worker/restart'),
+                this.sleep(100).then(() => call('/children/worker/stop')),
+                this.sleep(100).then(() => call('/reload'))
+            ]);
+            if (restart.status !== 200 || restart.data.result.previousPid !== pid || restart.data.result.pid === pid) {
+                throw new Error(`Restart answered ${restart.status} ${JSON.stringify(restart.data)}`);
+            }
+            expectError(stopConflict, 409, 'conflict');
+            expectError(reloadConflict, 409, 'conflict');
+
+            // A SIGHUP reload is refused the same way
+            const restarting = call('/children/worker/restart');
+            await this.sleep(100);
+            env.launcher.kill('SIGHUP');
+            if ((await restarting).status !== 200) {
+                throw new Error('Restart failed alongside a SIGHUP');
+            }
+            if (!(await env.output()).includes('Ignoring SIGHUP: Operation "restart" is already in progress')) {
+                throw new Error('SIGHUP during a restart was not refused');
+            }
 
-        if (report.errors.length > 0) {
-            this.log('\nFAILED TESTS:');
-            report.errors.forEach(error => {
-                this.error(`${error.test}: ${error.error}`);
+            // A reload rotates the control token: the old one is refused from then on
+            const previousToken = env.token;
+            await env.writeConfig({ ...env.config, control: { token: 'control-test-token-rotated-0123' } });
+            const reload = await env.control('/reload');
+            if (!reload.result.reloaded || reload.result.version !== 'launcher-test') {
+                throw new Error(`Reload answered ${JSON.stringify(reload)}`);
+            }
+            expectError(await call('/reload', { Authorization: `Bearer ${previousToken}` }), 401, 'unauthorized');
+            env.token = env.config.control.token;
+
+            // A caller that gives up during the drain cancels the shutdown, and the relay forwards again
+            const abandoned = await axios.post(`${env.statusUrl}/shutdown`, { drainTimeout: 5000 }, {
+                headers: { Authorization: `Bearer ${env.token}` },
+                timeout: 300
+            }).then(() => null, error => error);
+            if (!abandoned || abandoned.code !== 'ECONNABORTED') {
+                throw new Error(`Abandoned shutdown ended with ${abandoned ? abandoned.message : 'a response'}`);
+            }
+            const relayUrl = `http://${env.config.relay.host}:${env.config.relay.port}`;
+            const cancelDeadline = Date.now() + TEST_CONFIG.waitTimeout;
+            let forward = null;
+            while (Date.now() < cancelDeadline && (!forward || forward.status === 503)) {
+                await this.sleep(200);
+                forward = await axios.post(`${relayUrl}/ingest`, {}, { timeout: 5000, validateStatus: () => true });
+            }
+            if (forward.status !== 422 || !(await env.output()).includes('Shutdown cancelled')) {
+                throw new Error(`Relay answered ${forward.status} ${JSON.stringify(forward.data)} after an abandoned shutdown`);
+            }
+
+            // Both children acknowledge the drain, then the launcher exits
+            const shutdown = await env.control('/shutdown', { drainTimeout: 5000 });
+            if (shutdown.result.drained.length !== 2 || !shutdown.result.drained.every(result => result.drained)) {
+                throw new Error(`Shutdown drained ${JSON.stringify(shutdown.result.drained)}`);
+            }
+            const code = await env.waitForExit(TEST_CONFIG.launcherStopTimeout);
+            if (code !== 0) {
+                throw new Error(`Launcher exited with ${code} after /shutdown`);
+            }
+
+            this.info(`Worker restarted from pid ${pid} to ${restart.data.result.pid}; launcher drained and exited`);
+        } finally {
+            await env.stop();
+        }
+    }
+
+    async testStructuredLogging() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            const worker = await env.writeScript('logging-child.js', CHILD_SCRIPTS.logging);
+            const logFile = path.join(env.workDir, 'logs', 'bridge.log');
+            await env.start({
+                logging: { level: 'info', file: logFile },
+                children: { worker: { script: worker, env: { LOGGER_MODULE: path.join(__dirname, 'logger.js') } } }
+            });
+            const launcherPid = env.launcher.pid;
+            const started = await env.waitFor('worker to run', current => current.processes.worker.running);
+
+            const requestId = `logging-test-${crypto.randomBytes(4).toString('hex')}`;
+            const restart = await axios.post(`${env.statusUrl}/children/worker/restart`, {}, {
+                headers: { Authorization: `Bearer ${env.token}`, 'X-Request-ID': requestId },
+                timeout: TEST_CONFIG.waitTimeout
             });
+            if (restart.headers['x-request-id'] !== requestId) {
+                throw new Error(`Control API echoed X-Request-ID ${restart.headers['x-request-id']}`);
+            }
+            const { pid } = restart.data.result;
+
+            // Every line is JSON; the child's own entries arrive through the launcher
+            let entries = [];
+            const deadline = Date.now() + TEST_CONFIG.waitTimeout;
+            const childEntries = () => entries.filter(entry => entry.component === 'worker' && entry.message === 'child ready');
+            while (childEntries().length < 2 && Date.now() < deadline) {
+                await this.sleep(200);
+                const lines = (await fs.readFile(logFile, 'utf8').catch(() => '')).split('\n').filter(Boolean);
+                entries = lines.map(line => JSON.parse(line));
+            }
+            const [first, second] = childEntries();
+            if (!second || first.pid !== started.processes.worker.pid || second.pid !== pid || !entries.every(entry => entry.timestamp)) {
+                throw new Error(`Log file has child entries ${JSON.stringify(childEntries())}`);
+            }
+
+            const request = entries.find(entry => entry.correlationId === requestId);
+            if (!request || request.component !== 'launcher' || request.pid !== launcherPid
+                || !request.message.includes('Control API: restart worker')) {
+                throw new Error(`No launcher entry for request ${requestId}: ${JSON.stringify(request)}`);
+            }
+
+            // The restarted child logs under the correlation id of the start that forked it
+            const start = entries.find(entry => entry.component === 'launcher' && entry.child === 'worker'
+                && entry.correlationId === second.correlationId && entry.message.includes('Starting'));
+            if (!start) {
+                throw new Error(`No launcher start entry with the child's correlation id ${second.correlationId}`);
+            }
+
+            if (!(await env.output()).includes(`[launcher] (${requestId.slice(0, 8)})`)) {
+                throw new Error('Console output lacks the [component] (correlation) prefix');
+            }
+
+            this.info(`${entries.length} JSON log entries; request ${requestId} and child pid ${pid} correlated`);
+        } finally {
+            await env.stop();
         }
+    }
+
+    async testLauncherMetrics() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            const worker = await env.writeScript('forwarding-child.js', CHILD_SCRIPTS.forwarding);
+            await env.start({ children: { worker: { script: worker, restart: { delay: 200 } } } });
+            await env.waitFor('worker to run', current => current.processes.worker.running);
+            await env.signalChild('worker', 'SIGKILL');
+            await env.waitFor('worker to restart',
+                current => current.processes.worker.running && current.processes.worker.restarts === 1);
+
+            const sample = (text, name, labels) => {
+                const line = text.split('\n').find(entry => entry.startsWith(`${name}{${labels}}`) || entry.startsWith(`${name}{${labels},`));
+                return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : null;
+            };
 
-        // Save report to file
-        const reportPath = './test-results.json';
-        fs.writeJsonSync(reportPath, report, { spaces: 2 });
-        this.info(`Detailed report saved to: ${reportPath}`);
+            // Each start of the worker reports the same two forwards, a moment after it forks
+            const deadline = Date.now() + 5000;
+            let metrics;
+            do {
+                metrics = await axios.get(`${env.statusUrl}/metrics`, { timeout: 5000 });
+                if (sample(metrics.data, 'gomerai_bridge_forwards_total', 'endpoint="dashboard",status="200"') >= 2) {
+                    break;
+                }
+                await this.sleep(200);
+            } while (Date.now() < deadline);
+
+            const expected = [
+                ['gomerai_bridge_child_up', 'child="relay"', 1],
+                ['gomerai_bridge_child_up', 'child="worker"', 1],
+                ['gomerai_bridge_child_enabled', 'child="worker"', 1],
+                ['gomerai_bridge_child_restarts_total', 'child="relay"', 0],
+                ['gomerai_bridge_child_restarts_total', 'child="worker"', 1],
+                ['gomerai_bridge_child_circuit_open', 'child="worker"', 0],
+                ['gomerai_bridge_forwards_total', 'endpoint="dashboard",status="200"', 2],
+                ['gomerai_bridge_forwards_total', 'endpoint="ingest",status="error"', 2],
+                ['gomerai_bridge_forward_duration_seconds_count', 'endpoint="dashboard"', 2],
+                ['gomerai_bridge_forward_duration_seconds_count', 'endpoint="token"', 0]
+            ];
+            const wrong = expected
+                .filter(([name, labels, value]) => sample(metrics.data, name, labels) !== value)
+                .map(([name, labels]) => `${name}{${labels}}=${sample(metrics.data, name, labels)}`);
+            if (!metrics.headers['content-type'].startsWith('text/plain') || wrong.length > 0
+                || !metrics.data.includes('# TYPE gomerai_bridge_process_resident_memory_bytes gauge')) {
+                throw new Error(`Unexpected launcher metrics: ${wrong.join(', ') || metrics.headers['content-type']}`);
+            }
 
-        return report;
+            this.info(`Launcher /metrics exported ${metrics.data.split('\n').filter(line => line.startsWith('# TYPE')).length} families`);
+        } finally {
+            await env.stop();
+        }
     }
-}
 
-// Run tests if this script is executed directly
-async function main() {
-    const tester = new BridgeIntegrationTest();
+    async testRelayForwarding() {
+        const gcp = await new MockGcpServer().start();
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            await env.start({
+                relay: { port: await freePort(), host: '127.0.0.1', timeout: 1000 },
+                gcpEndpoints: gcp.endpoints(),
+                retry: { maxAttempts: 3, baseDelay: 50, maxDelay: 100 },
+                children: { relay: {} }
+            });
+            await env.waitFor('relay to run', current => current.processes.relay.running);
+            const relayUrl = `http://${env.config.relay.host}:${env.config.relay.port}`;
+            const post = (route, body, headers = {}) => axios.post(`${relayUrl}${route}`, body, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout: TEST_CONFIG.waitTimeout,
+                validateStatus: () => true
+            });
+
+            // Forwarded with the apiKey; the terminal and request ids pass through
+            const ingest = await post('/ingest', eaPayload('ingest', { terminal: 'RELAY_TEST' }), { 'X-Terminal-ID': 'RELAY_TEST', 'X-Request-ID': 'relay-test-ingest' });
+            const [forwarded] = gcp.requests('ingest');
+            if (ingest.status !== 200 || !forwarded || forwarded.headers['x-api-key'] !== env.config.apiKey
+                || forwarded.headers['x-terminal-id'] !== 'RELAY_TEST' || forwarded.headers['x-request-id'] !== 'relay-test-ingest'
+                || ingest.headers['x-request-id'] !== 'relay-test-ingest' || forwarded.body.terminal !== 'RELAY_TEST') {
+                throw new Error(`Ingest answered ${ingest.status}; GCP received ${JSON.stringify(forwarded)}`);
+            }
+
+            // 5xx is retried until GCP answers
+            gcp.behave('dashboard', { status: 503 }, { times: 2 });
+            const dashboard = await post('/dashboard', { terminal: 'RELAY_TEST' });
+            if (dashboard.status !== 200 || gcp.requests('dashboard').length !== 3) {
+                throw new Error(`Dashboard answered ${dashboard.status} after ${gcp.requests('dashboard').length} attempt(s)`);
+            }
+
+            // Other 4xx replies are final and returned as-is
+            gcp.behave('token', { status: 422, body: { error: 'invalid_payload' } }, { times: 1 });
+            const token = await post('/token', { terminal: 'RELAY_TEST' });
+            if (token.status !== 422 || token.data.error !== 'invalid_payload' || gcp.requests('token').length !== 1) {
+                throw new Error(`Token answered ${token.status} after ${gcp.requests('token').length} attempt(s)`);
+            }
+
+            // No attempt got a response within relay.timeout
+            gcp.behave('dashboard', { timeout: true }, { times: 3 });
+            const unreachable = await post('/dashboard', { terminal: 'RELAY_TEST' });
+            if (unreachable.status !== 502 || unreachable.data.error !== 'upstream_unavailable') {
+                throw new Error(`Unreachable GCP answered ${unreachable.status} ${JSON.stringify(unreachable.data)}`);
+            }
+
+            const malformed = await post('/ingest', '{"terminal":');
+            const unknown = await post('/nowhere', {});
+            if (malformed.status !== 400 || malformed.data.error !== 'invalid_json' || unknown.status !== 404) {
+                throw new Error(`Malformed JSON answered ${malformed.status}, unknown route ${unknown.status}`);
+            }
+
+            const { data: status } = await axios.get(`${relayUrl}/status`, { timeout: 5000 });
+            const { ingest: ingestStats, token: tokenStats, dashboard: dashboardStats } = status.endpoints;
+            if (ingestStats.requests !== 1 || tokenStats.failures !== 1 || tokenStats.lastStatus !== 422 || !dashboardStats.lastError) {
+                throw new Error(`Relay /status endpoints: ${JSON.stringify(status.endpoints)}`);
+            }
+
+            this.info(`Relay forwarded ${gcp.requests().length} attempt(s) to the mock GCP server`);
+        } finally {
+            await env.stop();
+            await gcp.stop();
+        }
+    }
+
+    async testQueueReplay() {
+        const gcp = await new MockGcpServer().start();
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            await env.start({
+                gcpEndpoints: gcp.endpoints(),
+                retry: { maxAttempts: 1 },
+                queue: { path: path.join(env.workDir, 'queue-data'), ackTimeout: 500, retryDelay: 200, maxRetryDelay: 1000 },
+                children: { relay: {} }
+            });
+            const { pid } = (await env.waitFor('relay to run', current => current.processes.relay.running)).processes.relay;
+            const relayUrl = `http://${env.config.relay.host}:${env.config.relay.port}`;
+            const post = body => axios.post(`${relayUrl}/ingest`, body, { timeout: TEST_CONFIG.waitTimeout, validateStatus: () => true });
+            const lane = async () => (await axios.get(`${relayUrl}/status`, { timeout: 5000 })).data.queue.lanes.ingest;
+
+            // A payload GCP rejects is removed, not retried
+            gcp.behave('ingest', { status: 422, body: { error: 'invalid_payload' } }, { times: 1 });
+            const rejected = await post(eaPayload('ingest', { marker: 'rejected' }));
+            if (rejected.status !== 422 || (await lane()).rejected !== 1 || (await lane()).pending !== 0) {
+                throw new Error(`Rejected payload answered ${rejected.status}; lane ${JSON.stringify(await lane())}`);
+            }
+
+            // A refused key is not the payload's fault: it waits for the key to be fixed
+            gcp.acceptApiKeys(['some-other-api-key']);
+            const refused = await post(eaPayload('ingest', { marker: 'refused' }));
+            const waiting = await lane();
+            if (refused.status !== 202 || waiting.pending !== 1 || waiting.rejected !== 1 || !waiting.lastError.includes('401')) {
+                throw new Error(`Payload refused with 401 answered ${refused.status}; lane ${JSON.stringify(waiting)}`);
+            }
+            gcp.acceptApiKeys([env.config.apiKey]);
+            const keyDeadline = Date.now() + TEST_CONFIG.waitTimeout;
+            const accepted = () => gcp.requests('ingest').some(request => request.body.marker === 'refused' && !request.behavior.status);
+            while ((!accepted() || (await lane()).pending > 0) && Date.now() < keyDeadline) {
+                await this.sleep(200);
+            }
+            if (!accepted() || (await lane()).rejected !== 1) {
+                throw new Error(`Payload not delivered once the key was fixed; lane ${JSON.stringify(await lane())}`);
+            }
+
+            // While GCP is down each payload is accepted with 202 and kept on disk
+            gcp.behave('ingest', { status: 503 });
+            const markers = ['queued-1', 'queued-2', 'queued-3'];
+            for (const [index, marker] of markers.entries()) {
+                const response = await post(eaPayload('ingest', { marker }));
+                if (response.status !== 202 || !response.data.queued || response.data.position !== index + 1) {
+                    throw new Error(`Payload ${marker} answered ${response.status} ${JSON.stringify(response.data)}`);
+                }
+            }
+            const pending = await lane();
+            if (pending.pending !== 3 || !pending.lastError) {
+                throw new Error(`Lane while GCP is down: ${JSON.stringify(pending)}`);
+            }
+
+            // The queue outlives the relay: a new process delivers, in order, what the old one accepted
+            await env.control('/children/relay/stop');
+            gcp.clearBehaviors();
+            const started = await env.control('/children/relay/start');
+            if (started.result.pid === pid) {
+                throw new Error('Relay kept its pid across a stop and start');
+            }
+            const deadline = Date.now() + TEST_CONFIG.waitTimeout;
+            const delivered = () => gcp.requests('ingest')
+                .filter(request => !request.behavior.status && markers.includes(request.body.marker))
+                .map(request => request.body.marker);
+            while (delivered().length < markers.length && Date.now() < deadline) {
+                await this.sleep(200);
+            }
+            if (delivered().join() !== markers.join() || (await lane()).pending !== 0) {
+                throw new Error(`Restarted relay delivered [${delivered().join(', ')}]`);
+            }
+
+            this.info(`${markers.length} queued payload(s) delivered in order by the restarted relay`);
+        } finally {
+            await env.stop();
+            await gcp.stop();
+        }
+    }
+
+    async testFileDropRelay() {
+        const gcp = await new MockGcpServer().start();
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        const dropsDir = path.join(env.workDir, 'file-drops');
+        const waitForFile = async (file) => {
+            const deadline = Date.now() + TEST_CONFIG.waitTimeout;
+            while (!await fs.pathExists(file)) {
+                if (Date.now() > deadline) {
+                    throw new Error(`${path.relative(dropsDir, file)} did not appear within ${TEST_CONFIG.waitTimeout}ms`);
+                }
+                await this.sleep(100);
+            }
+        };
+        // Written the way WriteToFileDrop() does: a .tmp file renamed into place
+        const drop = async (file, content) => {
+            const target = path.join(dropsDir, 'inbound', file);
+            await fs.writeFile(`${target}.tmp`, typeof content === 'string' ? content : JSON.stringify(content));
+            await fs.rename(`${target}.tmp`, target);
+        };
+
+        try {
+            // Left in processing/ by a crash, so returned to inbound/ at startup
+            await fs.outputJson(path.join(dropsDir, 'processing', 'gomerai_ml_snapshot_interrupted.json'), eaPayload('ml-snapshot', { marker: 'interrupted' }));
+            await env.start({
+                gcpEndpoints: gcp.endpoints(),
+                retry: { maxAttempts: 1 },
+                fileDrop: { enabled: true, watchPath: path.join(dropsDir, 'inbound'), processInterval: 500, maxAttempts: 2, retryDelay: 200 }
+            });
+            await env.waitFor('file drop relay to run', current => current.processes.fileDrop.running);
+            await waitForFile(path.join(dropsDir, 'completed', 'gomerai_ml_snapshot_interrupted.json'));
+
+            await drop('gomerai_dashboard_1.json', { marker: 'dashboard' });
+            await waitForFile(path.join(dropsDir, 'completed', 'gomerai_dashboard_1.json'));
+            const [forwarded] = gcp.requests('dashboard');
+            if (!forwarded || forwarded.body.marker !== 'dashboard' || forwarded.headers['x-file-drop'] !== 'gomerai_dashboard_1.json'
+                || forwarded.headers['x-api-key'] !== env.config.apiKey) {
+                throw new Error(`GCP received ${JSON.stringify(forwarded)} for the dropped dashboard file`);
+            }
+
+            // Dead letters: invalid JSON, a payload GCP rejects, and one that runs out of attempts
+            gcp.behave('ingest', { status: 422, body: { error: 'invalid_payload' } }, { times: 1 });
+            gcp.behave('token', { status: 503 });
+            await drop('gomerai_ingest_broken.json', '{"marker":');
+            await drop('gomerai_ingest_rejected.json', eaPayload('ingest', { marker: 'rejected' }));
+            await drop('gomerai_token_down.json', { marker: 'down' });
+            const sidecars = {};
+            for (const file of ['gomerai_ingest_broken.json', 'gomerai_ingest_rejected.json', 'gomerai_token_down.json']) {
+                await waitForFile(path.join(dropsDir, 'failed', `${file}.error.json`));
+                sidecars[file] = await fs.readJson(path.join(dropsDir, 'failed', `${file}.error.json`));
+                if (!await fs.pathExists(path.join(dropsDir, 'failed', file))) {
+                    throw new Error(`${file} has a sidecar but was not moved to failed/`);
+                }
+            }
+            const broken = sidecars['gomerai_ingest_broken.json'];
+            const rejected = sidecars['gomerai_ingest_rejected.json'];
+            const down = sidecars['gomerai_token_down.json'];
+            if (!broken.error.startsWith('Invalid JSON') || gcp.requests().some(request => request.body && request.body.marker === undefined)
+                || rejected.status !== 422 || rejected.attempts !== 1 || rejected.endpoint !== 'ingest' || rejected.response.error !== 'invalid_payload'
+                || down.attempts !== 2 || down.endpoint !== 'token' || gcp.requests('token').length !== 2) {
+                throw new Error(`Unexpected dead letters: ${JSON.stringify(sidecars)}`);
+            }
+
+            this.info(`Dropped files forwarded, and ${Object.keys(sidecars).length} dead-lettered with their sidecars`);
+        } finally {
+            await env.stop();
+            await gcp.stop();
+        }
+    }
+
+    async testDedup() {
+        const gcp = await new MockGcpServer().start();
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        const inbound = path.join(env.workDir, 'file-drops', 'inbound');
+        try {
+            await env.start({
+                gcpEndpoints: gcp.endpoints(),
+                retry: { maxAttempts: 1 },
+                fileDrop: { enabled: true, watchPath: inbound, processInterval: 500, retryDelay: 1000 },
+                children: { relay: {} }
+            });
+            const { processes } = await env.waitFor('both relays to run',
+                current => current.processes.relay.running && current.processes.fileDrop.running);
+            const relayUrl = `http://${env.config.relay.host}:${env.config.relay.port}`;
+            const post = payload => axios.post(`${relayUrl}/ingest`, payload, { timeout: TEST_CONFIG.waitTimeout, validateStatus: () => true });
+            const received = marker => gcp.requests('ingest').filter(request => request.body.marker === marker).length;
+            const drop = async (file, payload) => {
+                await fs.writeJson(path.join(inbound, `${file}.tmp`), payload);
+                await fs.rename(path.join(inbound, `${file}.tmp`), path.join(inbound, file));
+            };
+            // The file ends in completed/ whether forwarded or caught
+            const waitForCompleted = async (file) => {
+                const completed = path.join(env.workDir, 'file-drops', 'completed', file);
+                const deadline = Date.now() + TEST_CONFIG.waitTimeout;
+                while (!await fs.pathExists(completed)) {
+                    if (Date.now() > deadline) {
+                        throw new Error(`${file} was not completed within ${TEST_CONFIG.waitTimeout}ms`);
+                    }
+                    await this.sleep(100);
+                }
+            };
+            const dropFile = async (file, payload) => {
+                await drop(file, payload);
+                await waitForCompleted(file);
+            };
+
+            // HTTP, then HTTP again, then the same event as a dropped file
+            const overHttp = eaPayload('ingest', { marker: 'http-first', idempotencyKey: 'dedup-test-http-first' });
+            const first = await post(overHttp);
+            if (first.status !== 200 || first.headers['idempotency-key'] !== overHttp.idempotencyKey
+                || gcp.requests('ingest')[0].headers['idempotency-key'] !== overHttp.idempotencyKey) {
+                throw new Error(`First delivery answered ${first.status} with Idempotency-Key ${first.headers['idempotency-key']}`);
+            }
+            const again = await post(overHttp);
+            const { duplicate, idempotencyKey, firstSeenAt } = again.data;
+            if (again.status !== 200 || duplicate !== true || idempotencyKey !== overHttp.idempotencyKey
+                || Number.isNaN(Date.parse(firstSeenAt))) {
+                throw new Error(`Duplicate answered ${again.status} ${JSON.stringify(again.data)}`);
+            }
+            await dropFile('gomerai_ingest_http_first.json', overHttp);
+            if (received(overHttp.marker) !== 1) {
+                throw new Error(`Payload sent over HTTP twice and dropped once reached GCP ${received(overHttp.marker)} times`);
+            }
+
+            // A dropped file, then the same event over HTTP; the key is derived from the content
+            const dropped = eaPayload('ingest', { marker: 'file-first' });
+            await dropFile('gomerai_ingest_file_first.json', dropped);
+            const late = await post(dropped);
+            if (late.status !== 200 || late.data.duplicate !== true || received(dropped.marker) !== 1) {
+                throw new Error(`HTTP copy of a dropped file answered ${late.status} ${JSON.stringify(late.data)}; GCP got it ${received(dropped.marker)} time(s)`);
+            }
+
+            // A payload GCP rejected was not accepted, so sending it again is not a duplicate
+            const retried = eaPayload('ingest', { marker: 'rejected-first' });
+            gcp.behave('ingest', { status: 422, body: { error: 'invalid_payload' } }, { times: 1 });
+            const rejected = await post(retried);
+            const resent = await post(retried);
+            if (rejected.status !== 422 || resent.status !== 200 || resent.data.duplicate || received(retried.marker) !== 2) {
+                throw new Error(`Rejected then resent payload answered ${rejected.status}, then ${resent.status} ${JSON.stringify(resent.data)}`);
+            }
+
+            // Served from memory: the HTTP relay's own claims and catches; the file relay's follow on its next prune
+            const { data: status } = await axios.get(`${relayUrl}/status`, { timeout: 5000 });
+            const recent = key => status.dedup.duplicates.recent.find(entry => entry.key === key);
+            const caught = [recent(overHttp.idempotencyKey), recent(late.data.idempotencyKey)];
+            if (!caught[0] || caught[0].source !== 'http' || caught[0].firstSource !== 'http'
+                || !caught[1] || caught[1].source !== 'http' || caught[1].firstSource !== 'file'
+                || status.dedup.duplicates.bySource.http !== 2 || status.dedup.duplicates.bySource.file
+                || status.dedup.keys !== 2 || status.endpoints.ingest.duplicates !== 2) {
+                throw new Error(`Duplicates missing from /status: ${JSON.stringify(status.dedup)}`);
+            }
+
+            // Each relay appends to a duplicate log of its own
+            const logs = (await fs.readdir(env.config.dedup.path)).filter(file => file.endsWith('.log')).sort();
+            const expected = [`duplicates.${processes.fileDrop.pid}.log`, `duplicates.${processes.relay.pid}.log`].sort();
+            if (logs.join() !== expected.join()) {
+                throw new Error(`Duplicate logs ${logs.join(', ')}, expected ${expected.join(', ')}`);
+            }
+
+            // A dropped file waiting for a retry holds no claim, so the EA's HTTP copy gets through
+            // and the file is then caught as its duplicate
+            const waiting = eaPayload('ingest', { marker: 'file-retry' });
+            gcp.behave('ingest', { status: 503 });
+            await drop('gomerai_ingest_file_retry.json', waiting);
+            const deadline = Date.now() + TEST_CONFIG.waitTimeout;
+            while (received(waiting.marker) === 0) {
+                if (Date.now() > deadline) {
+                    throw new Error('The dropped file was not attempted');
+                }
+                await this.sleep(50);
+            }
+            gcp.clearBehaviors();
+            const overtaking = await post(waiting);
+            if (overtaking.status !== 200 || overtaking.data.duplicate) {
+                throw new Error(`HTTP copy of a file waiting for a retry answered ${overtaking.status} ${JSON.stringify(overtaking.data)}`);
+            }
+            await waitForCompleted('gomerai_ingest_file_retry.json');
+            if (received(waiting.marker) !== 2) {
+                throw new Error(`Payload failed once as a file, then sent over HTTP, reached GCP ${received(waiting.marker)} times`);
+            }
+
+            this.info(`Each payload reached GCP once; /status lists ${status.dedup.duplicates.total} duplicate(s)`);
+        } finally {
+            await env.stop();
+            await gcp.stop();
+        }
+    }
+
+    async testTerminalAuth() {
+        const gcp = await new MockGcpServer().start();
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        const terminals = {
+            AUTH_TEST_BEARER: { token: 'auth-test-bearer-token-0123', rateLimit: { requestsPerSecond: 1, burst: 2 } },
+            AUTH_TEST_HMAC: { hmacSecret: 'auth-test-hmac-secret-0123' },
+            AUTH_TEST_DISABLED: { token: 'auth-test-disabled-token-0123', disabled: true }
+        };
+        try {
+            await env.start({
+                gcpEndpoints: gcp.endpoints(),
+                terminalAuth: { enabled: false, rateLimit: { requestsPerSecond: 1, burst: 2 } },
+                children: { relay: {} }
+            });
+            const { pid } = (await env.waitFor('relay to run', current => current.processes.relay.running)).processes.relay;
+            const relayUrl = `http://${env.config.relay.host}:${env.config.relay.port}`;
+
+            // Every response is tallied per terminal and compared with /status at the end
+            const sent = {};
+            const post = async (terminalId, headers = {}, body = JSON.stringify({ terminalId, action: 'get_stats' })) => {
+                const response = await axios.post(`${relayUrl}/dashboard`, body, {
+                    headers: { 'Content-Type': 'application/json', 'X-Terminal-ID': terminalId, ...headers },
+                    timeout: TEST_CONFIG.waitTimeout,
+                    validateStatus: () => true,
+                    transformRequest: data => data
+                });
+                const tally = sent[terminalId] = sent[terminalId] || { requests: 0, accepted: 0, unauthorized: 0, rateLimited: 0 };
+                tally.requests++;
+                tally[{ 401: 'unauthorized', 429: 'rateLimited' }[response.status] || 'accepted']++;
+                return response;
+            };
+            const expect = (response, status, what) => {
+                if (response.status !== status) {
+                    throw new Error(`${what}: expected ${status}, got ${response.status} ${JSON.stringify(response.data)}`);
+                }
+            };
+            const signed = (secret, timestamp, body) => ({
+                'X-Timestamp': String(timestamp),
+                'X-Signature': crypto.createHmac('sha256', secret).update(`${timestamp}\nPOST\n/dashboard\n${body}`).digest('hex')
+            });
+            // A burst of 2 at 1 request/s runs out within 4 requests
+            const exhaust = async (terminalId, headers) => {
+                for (let i = 0; i < 4; i++) {
+                    const response = await post(terminalId, headers);
+                    if (response.status === 429) {
+                        return response;
+                    }
+                }
+                return null;
+            };
+            const expectLimited = (limited, what) => {
+                if (!limited || limited.data.error !== 'rate_limited' || !limited.headers['retry-after']) {
+                    throw new Error(`${what}: bucket never ran out, or its 429 lacks Retry-After: ${JSON.stringify(sent)}`);
+                }
+            };
+
+            // Off by default, so existing EAs keep working, but not flooding GCP
+            expect(await post('AUTH_TEST_ANONYMOUS'), 200, 'Authentication off');
+            expectLimited(await exhaust('AUTH_TEST_ANONYMOUS'), 'Authentication off');
+
+            // Turned on by a reload, without restarting the relay
+            await env.writeConfig({ ...env.config, terminalAuth: { enabled: true, terminals } });
+            await env.control('/reload');
+
+            const anonymous = await post('AUTH_TEST_BEARER');
+            expect(anonymous, 401, 'No credentials');
+            if (!anonymous.headers['www-authenticate'] || anonymous.data.error !== 'unauthorized') {
+                throw new Error(`401 without a WWW-Authenticate header: ${JSON.stringify(anonymous.data)}`);
+            }
+            expect(await post('AUTH_TEST_BEARER', { Authorization: 'Bearer not-the-token' }), 401, 'Wrong bearer token');
+            expect(await post('AUTH_TEST_UNKNOWN', { Authorization: `Bearer ${terminals.AUTH_TEST_BEARER.token}` }), 401, 'Unknown terminal');
+            expect(await post('AUTH_TEST_DISABLED', { Authorization: `Bearer ${terminals.AUTH_TEST_DISABLED.token}` }), 401, 'Disabled terminal');
+            expect(await post('AUTH_TEST_BEARER', { Authorization: `Bearer ${terminals.AUTH_TEST_BEARER.token}` }), 200, 'Bearer token');
+
+            const { hmacSecret } = terminals.AUTH_TEST_HMAC;
+            const body = JSON.stringify({ terminalId: 'AUTH_TEST_HMAC', action: 'get_stats' });
+            const signature = signed(hmacSecret, Date.now(), body);
+            expect(await post('AUTH_TEST_HMAC', signature, body), 200, 'HMAC signature');
+            expect(await post('AUTH_TEST_HMAC', signature, body), 401, 'Replayed signature');
+            const tampered = body.replace('get_stats', 'get_trades');
+            expect(await post('AUTH_TEST_HMAC', signed(hmacSecret, Date.now(), body), tampered), 401, 'Signature over a different body');
+            const stale = Date.now() - 10 * 60 * 1000;
+            expect(await post('AUTH_TEST_HMAC', signed(hmacSecret, stale, body), body), 401, 'Timestamp outside the clock skew');
+
+            // The bearer terminal's own limit; the request above took one token
+            expectLimited(await exhaust('AUTH_TEST_BEARER', { Authorization: `Bearer ${terminals.AUTH_TEST_BEARER.token}` }), 'Bearer token');
+
+            const { data: status } = await axios.get(`${relayUrl}/status`, { timeout: 5000 });
+            if (!status.terminals.enabled || status.server.pid !== pid) {
+                throw new Error(`/status reports terminal auth ${status.terminals.enabled ? 'on' : 'off'} in relay pid ${status.server.pid}, started as ${pid}`);
+            }
+            for (const [terminalId, tally] of Object.entries(sent)) {
+                const stats = status.terminals.terminals[terminalId] || {};
+                const counted = { requests: stats.requests, accepted: stats.accepted, unauthorized: stats.unauthorized, rateLimited: stats.rateLimited };
+                if (JSON.stringify(counted) !== JSON.stringify(tally)) {
+                    throw new Error(`/status counts for ${terminalId} ${JSON.stringify(counted)}, sent ${JSON.stringify(tally)}`);
+                }
+            }
+            if (status.terminals.terminals.AUTH_TEST_BEARER.lastAuth !== 'bearer' || status.terminals.terminals.AUTH_TEST_HMAC.lastAuth !== 'hmac') {
+                throw new Error('/status does not show how each terminal last authenticated');
+            }
+
+            this.info(`Terminal auth: ${JSON.stringify(sent)}`);
+        } finally {
+            await env.stop();
+            await gcp.stop();
+        }
+    }
+
+    async testSecretReferences() {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-secrets-'));
+        const envName = 'GOMERAI_TEST_SECRET_API_KEY';
+        const configPath = path.join(workDir, 'bridge-config.json');
+        const gcp = 'http://127.0.0.1:9/gcp';
+        const config = {
+            version: 'secrets-test',
+            relay: { port: 9876 },
+            gcpEndpoints: { ingest: gcp, token: gcp, dashboard: gcp, mlSnapshot: gcp },
+            apiKey: `env:${envName}`,
+            control: { token: `file:${path.join(workDir, 'control.token')}` },
+            terminalAuth: {
+                enabled: true,
+                terminals: { SECRETS_TEST: { token: 'vault:terminal-token', hmacSecret: 'plain-hmac-secret' } }
+            },
+            secrets: { vaultPath: path.join(workDir, 'secrets.vault'), keyPath: path.join(workDir, 'machine.key') }
+        };
+        const expected = {
+            apiKey: 'env-api-key-0123456789abcdef',
+            controlToken: 'file-control-token-0123456789',
+            terminalToken: 'vault-terminal-token-0123456789'
+        };
+
+        try {
+            // Nothing to resolve yet: one error per reference, each naming its setting
+            await fs.writeJson(configPath, config);
+            delete process.env[envName];
+            const failures = this.expectConfigErrors(configPath);
+            const fields = failures.map(error => error.field).sort();
+            if (fields.join() !== 'apiKey,control.token,terminalAuth.terminals.SECRETS_TEST.token'
+                || !failures.find(error => error.field === 'apiKey').message.includes(`${envName} is not set`)) {
+                throw new Error(`Unresolved references reported as ${JSON.stringify(failures)}`);
+            }
+
+            process.env[envName] = expected.apiKey;
+            await fs.writeFile(path.join(workDir, 'control.token'), `${expected.controlToken}\nignored second line\n`);
+            SecretVault.fromConfig(config).set('terminal-token', expected.terminalToken);
+            const loaded = loadConfig(configPath);
+            const terminal = loaded.terminalAuth.terminals.SECRETS_TEST;
+            if (loaded.apiKey !== expected.apiKey || loaded.control.token !== expected.controlToken
+                || terminal.token !== expected.terminalToken || terminal.hmacSecret !== 'plain-hmac-secret') {
+                throw new Error(`References resolved to ${JSON.stringify({ apiKey: loaded.apiKey, control: loaded.control, terminal })}`);
+            }
+            if (JSON.stringify(redactSecrets(loaded)).includes(expected.apiKey)) {
+                throw new Error('redactSecrets() left a resolved secret in place');
+            }
+
+            // A vault copied to another machine cannot be opened with that machine's key
+            await fs.writeFile(config.secrets.keyPath, `${crypto.randomBytes(32).toString('hex')}\n`);
+            const [wrongKey] = this.expectConfigErrors(configPath);
+            if (wrongKey.field !== 'terminalAuth.terminals.SECRETS_TEST.token' || !wrongKey.message.includes('wrong machine key')) {
+                throw new Error(`Wrong machine key reported as ${JSON.stringify(wrongKey)}`);
+            }
+        } finally {
+            delete process.env[envName];
+            await fs.remove(workDir);
+        }
+
+        this.info('env:, file: and vault: references resolved; unresolvable ones reported per setting');
+    }
+
+    // Field-level errors of a configuration loadConfig() must refuse
+    expectConfigErrors(configPath) {
+        try {
+            loadConfig(configPath);
+        } catch (error) {
+            if (error instanceof ConfigValidationError) {
+                return error.errors;
+            }
+            throw error;
+        }
+        throw new Error(`${configPath} loaded although its secrets cannot be resolved`);
+    }
+
+    async testSecretRotation() {
+        const gcp = await new MockGcpServer().start();
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            await env.start({ gcpEndpoints: gcp.endpoints(), retry: { maxAttempts: 1 }, children: { relay: {} } });
+            await env.waitFor('relay to run', current => current.processes.relay.running);
+            const relayUrl = `http://${env.config.relay.host}:${env.config.relay.port}`;
+            const oldKey = env.config.apiKey;
+            const newKey = 'rotated-api-key-0123456789abcdef';
+            const gracePeriod = 5000;
+            const relayStatus = async () => (await axios.get(`${relayUrl}/status`, { timeout: 2000 })).data;
+            let sent = 0;
+            const sendIngest = async () => {
+                const marker = `rotation-${++sent}`;
+                const response = await axios.post(`${relayUrl}/ingest`, eaPayload('ingest', { marker }), { timeout: TEST_CONFIG.waitTimeout, validateStatus: () => true });
+                const keys = gcp.requests('ingest')
+                    .filter(request => request.body.marker === marker)
+                    .map(request => request.headers['x-api-key']);
+                return { status: response.status, keys };
+            };
+
+            // The operator rotates the key in the vault before GCP knows about it
+            SecretVault.fromConfig(env.config).set('gcp-api-key', newKey);
+            gcp.acceptApiKeys([oldKey]);
+            await env.writeConfig({
+                ...env.config,
+                version: 'launcher-test-2',
+                apiKey: 'vault:gcp-api-key',
+                secrets: { ...env.config.secrets, gracePeriod }
+            });
+            await env.control('/reload');
+            const rotated = await relayStatus();
+            if (!rotated.secrets.inGracePeriod.some(entry => entry.field === 'apiKey')) {
+                throw new Error(`apiKey not in its grace period: ${JSON.stringify(rotated.secrets)}`);
+            }
+
+            const fallback = await sendIngest();
+            if (fallback.status !== 200 || fallback.keys.join() !== [newKey, oldKey].join()) {
+                throw new Error(`Inside the grace period: ${fallback.status} with keys ${fallback.keys.join(', ')}`);
+            }
+
+            // Once GCP has the new key, the old one is not tried any more
+            gcp.acceptApiKeys([newKey]);
+            const current = await sendIngest();
+            if (current.status !== 200 || current.keys.join() !== newKey) {
+                throw new Error(`After GCP accepted the new key: ${current.status} with keys ${current.keys.join(', ')}`);
+            }
+
+            // Nor after the grace period, even when GCP refuses the new key
+            gcp.acceptApiKeys([oldKey]);
+            const deadline = Date.now() + gracePeriod + TEST_CONFIG.waitTimeout;
+            while ((await relayStatus()).secrets.inGracePeriod.length > 0) {
+                if (Date.now() > deadline) {
+                    throw new Error('The grace period did not end');
+                }
+                await this.sleep(200);
+            }
+            // The payload stays queued, retried with the new key alone
+            const expired = await sendIngest();
+            if (expired.status === 200 || expired.keys.length === 0 || expired.keys.some(key => key !== newKey)) {
+                throw new Error(`After the grace period: ${expired.status} with keys ${expired.keys.join(', ')}`);
+            }
+
+            this.info(`Previous apiKey used only within its ${gracePeriod}ms grace period`);
+        } finally {
+            await env.stop();
+            await gcp.stop();
+        }
+    }
+
+    async testConfigReload() {
+        const env = await new LauncherFixture({ keep: this.options.keep }).prepare();
+        try {
+            const idle = await env.writeScript('idle-child.js', CHILD_SCRIPTS.idle);
+            await env.start({
+                fileDrop: { enabled: true, watchPath: path.join(env.workDir, 'file-drops', 'inbound') },
+                children: { fileDrop: { script: idle } }
+            });
+            await env.waitFor('relay and file drop relay to run',
+                current => current.processes.relay.running && current.processes.fileDrop.running);
+
+            let version = 1;
+            const reload = async (changes) => {
+                await env.writeConfig({ ...env.config, ...changes, version: `launcher-test-${++version}` });
+                const { result } = await env.control('/reload');
+                const status = await env.status();
+                const actions = Object.fromEntries(result.actions
+                    .map(({ child, action, ok }) => [child, ok ? action : `${action} failed`])
+                    .sort(([a], [b]) => a.localeCompare(b)));
+                return { actions, status };
+            };
+            const pids = status => ({ relay: status.processes.relay.pid, fileDrop: status.processes.fileDrop.pid });
+
+            let before = pids(await env.status());
+            const steps = [];
+            const expect = (label, { actions, status }, expected, restarted) => {
+                const after = pids(status);
+                const changed = Object.keys(after).filter(child => after[child] !== before[child]).sort();
+                if (JSON.stringify(actions) !== JSON.stringify(expected) || changed.join() !== restarted.join()) {
+                    throw new Error(`${label}: actions ${JSON.stringify(actions)}, new pids for [${changed.join(', ')}]`);
+                }
+                steps.push(`${label}: ${Object.entries(actions).map(([child, action]) => `${child} ${action}`).join(', ')}`);
+                before = after;
+            };
+
+            // A setting in only one child's restartOn restarts that child; the other reloads in place
+            const watchPath = path.join(env.workDir, 'file-drops', 'inbound-moved');
+            expect('fileDrop.watchPath', await reload({ fileDrop: { ...env.config.fileDrop, watchPath } }),
+                { fileDrop: 'restart', relay: 'reload' }, ['fileDrop']);
+
+            // So does a change to one child's own declaration; the version bump reloads the other
+            const children = { ...env.config.children, relay: { ...env.config.children.relay, startupTimeout: 15000 } };
+            expect('children.relay', await reload({ children }), { fileDrop: 'reload', relay: 'restart' }, ['relay']);
+
+            // Disabling stops the child, which keeps reporting its last pid; enabling starts it again
+            const disabled = await reload({ fileDrop: { ...env.config.fileDrop, enabled: false } });
+            if (disabled.status.processes.fileDrop.running) {
+                throw new Error('Disabled file drop relay is still running');
+            }
+            expect('fileDrop disabled', disabled, { fileDrop: 'stop', relay: 'reload' }, []);
+
+            const enabled = await reload({ fileDrop: { ...env.config.fileDrop, enabled: true } });
+            if (!enabled.status.processes.fileDrop.running) {
+                throw new Error('Enabled file drop relay is not running');
+            }
+            expect('fileDrop enabled', enabled, { fileDrop: 'start', relay: 'reload' }, ['fileDrop']);
+
+            // An invalid file is refused and the last good configuration stays applied
+            const applied = env.config.version;
+            await env.writeConfig({ ...env.config, relay: { ...env.config.relay, port: 'not-a-port' }, version: 'invalid' });
+            await env.control('/reload').then(
+                () => { throw new Error('Reload of an invalid configuration succeeded'); },
+                () => {}
+            );
+            const { config } = await env.status();
+            if (config.version !== applied || config.lastReload.reloaded || !config.lastReload.error) {
+                throw new Error(`Invalid reload left ${JSON.stringify(config)}`);
+            }
+            if (pids(await env.status()).relay !== before.relay) {
+                throw new Error('Invalid reload restarted the relay');
+            }
+
+            this.info(steps.join('; '));
+        } finally {
+            await env.stop();
+        }
+    }
+
+    async testValidateConfigCli() {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-validate-'));
+        const configPath = path.join(workDir, 'bridge-config.json');
+        const gcp = 'http://127.0.0.1:9/gcp';
+        const valid = {
+            version: 'validate-test',
+            relay: { port: 9876 },
+            gcpEndpoints: { ingest: gcp, token: gcp, dashboard: gcp, mlSnapshot: gcp },
+            apiKey: 'validate-test-api-key-0123456789',
+            fileDrop: { enabled: true, watchPath: '~/gomerai-validate-test-drops' },
+            terminalAuth: { enabled: true, terminals: { VALIDATE_TEST: { token: 'validate-test-terminal-token-0123' } } }
+        };
+        const validate = (...args) => spawnSync(process.execPath, [path.join(__dirname, 'validate-config.js'), configPath, ...args], {
+            encoding: 'utf8',
+            timeout: 10000
+        });
+
+        try {
+            // Every problem at once, each under the setting it concerns
+            await fs.writeJson(configPath, {
+                ...valid,
+                relay: { port: 'not-a-port' },
+                gcpEndpoints: { ...valid.gcpEndpoints, token: undefined },
+                logging: { level: 'loud' },
+                extra: true
+            });
+            const broken = validate();
+            const expected = [
+                'relay.port: must be integer',
+                'gcpEndpoints.token: is required',
+                'logging.level: must be one of:',
+                'extra: is not a recognized setting'
+            ];
+            const missing = expected.filter(message => !broken.stderr.includes(`• ${message}`));
+            if (broken.status !== 1 || missing.length > 0) {
+                throw new Error(`Broken config exited ${broken.status} without ${missing.join(', ')}:\n${broken.stderr}`);
+            }
+
+            await fs.writeJson(configPath, valid);
+            const printed = validate('--print');
+            if (printed.status !== 0) {
+                throw new Error(`Valid config exited ${printed.status}:\n${printed.stdout}${printed.stderr}`);
+            }
+            const config = JSON.parse(printed.stdout.slice(printed.stdout.indexOf('{')));
+            if (printed.stdout.includes(valid.apiKey) || printed.stdout.includes(valid.terminalAuth.terminals.VALIDATE_TEST.token)
+                || config.apiKey !== '********' || config.terminalAuth.terminals.VALIDATE_TEST.token !== '********') {
+                throw new Error(`--print showed a secret:\n${printed.stdout}`);
+            }
+            if (config.fileDrop.watchPath !== path.join(os.homedir(), 'gomerai-validate-test-drops')) {
+                throw new Error(`--print did not expand ~ in fileDrop.watchPath: ${config.fileDrop.watchPath}`);
+            }
+        } finally {
+            await fs.remove(workDir);
+        }
+
+        this.info('validate-config reported each broken setting, and masked secrets and expanded ~ in --print');
+    }
+
+    // The installer's key step on its own: sourcing the script defines its functions without running main
+    async testInstallerApiKey() {
+        const readApiKey = (apiKey) => {
+            const env = { ...process.env };
+            delete env.GOMERAI_API_KEY;
+            if (apiKey !== undefined) {
+                env.GOMERAI_API_KEY = apiKey;
+            }
+            return spawnSync('bash', ['-c', `source "${path.join(__dirname, 'install-mt5-bridge.sh')}" && read_api_key && echo read`], {
+                env,
+                stdio: ['ignore', 'pipe', 'pipe'], // no terminal to prompt on, as in an unattended install
+                encoding: 'utf8',
+                timeout: 10000
+            });
+        };
+
+        const missing = readApiKey();
+        if (missing.status !== 1 || !missing.stdout.includes('No API key provided') || missing.stdout.includes('read')) {
+            throw new Error(`Unattended install without a key exited ${missing.status}:\n${missing.stdout}${missing.stderr}`);
+        }
+        const given = readApiKey('installer-test-api-key-0123456789');
+        if (given.status !== 0 || !given.stdout.includes('read')) {
+            throw new Error(`Unattended install with a key exited ${given.status}:\n${given.stdout}${given.stderr}`);
+        }
+
+        this.info('Unattended install stopped without GOMERAI_API_KEY and went on with it');
+    }
+
+    // Mock-only tests: assert on what reached GCP
+    async testMockDelivery() {
+        this.requireMock();
+        const marker = newCorrelationId();
+        await axios.post(`${TEST_CONFIG.bridgeUrl}/ingest`, eaPayload('ingest', { testType: 'mock_delivery_test', marker }), {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Terminal-ID': 'TEST_TERMINAL_123'
+            },
+            timeout: TEST_CONFIG.testTimeout
+        });
+
+        const received = this.mock.requests('ingest').filter(request => request.body.marker === marker);
+        if (received.length !== 1) {
+            throw new Error(`Mock received the ingest payload ${received.length} times, expected once`);
+        }
+        const { headers } = received[0];
+        if (headers['x-api-key'] !== MOCK_API_KEY) {
+            throw new Error('Forwarded request did not carry the configured apiKey');
+        }
+        if (headers['x-terminal-id'] !== 'TEST_TERMINAL_123' || !headers['x-request-id']) {
+            throw new Error('Forwarded request lost X-Terminal-ID or X-Request-ID');
+        }
+
+        this.info(`Mock received ingest payload with request id ${headers['x-request-id']}`);
+    }
+
+    async testMockServerErrorBurst() {
+        this.requireMock();
+        const marker = newCorrelationId();
+        this.mock.behave('ingest', { status: 503 }, { times: 2 });
+
+        const response = await axios.post(`${TEST_CONFIG.bridgeUrl}/ingest`, eaPayload('ingest', { testType: 'mock_burst_test', marker }), {
+            timeout: TEST_CONFIG.testTimeout
+        });
+        if (response.status !== 200) {
+            throw new Error(`Expected 200 after retries, got ${response.status}`);
+        }
+
+        const attempts = this.mock.requests('ingest').filter(request => request.body.marker === marker).length;
+        if (attempts !== 3) {
+            throw new Error(`Expected 3 delivery attempts through a 503 burst, mock saw ${attempts}`);
+        }
+        this.info('503 burst retried until delivered');
+    }
+
+    async testMockLicenseRejection() {
+        this.requireMock();
+        const response = await axios.post(`${TEST_CONFIG.bridgeUrl}/token`, {
+            action: 'validate_license',
+            licenseKey: MOCK_REJECTED_LICENSE,
+            terminalId: 'TEST_TERMINAL_123'
+        }, {
+            timeout: TEST_CONFIG.testTimeout,
+            validateStatus: () => true
+        });
+
+        if (response.status !== 403 || response.data.error !== 'license_rejected') {
+            throw new Error(`Expected the token broker's 403 license_rejected, got ${response.status}`);
+        }
+        this.info('License rejection passed through to the EA');
+    }
+
+    async testMockMalformedReply() {
+        this.requireMock();
+        this.mock.behave('dashboard', { malformed: true }, { times: 1 });
+
+        const response = await axios.post(`${TEST_CONFIG.bridgeUrl}/dashboard`, { action: 'get_stats' }, {
+            timeout: TEST_CONFIG.testTimeout,
+            validateStatus: () => true,
+            transformResponse: data => data
+        });
+        if (response.status !== 200) {
+            throw new Error(`Expected GCP's 200 to pass through, got ${response.status}`);
+        }
+
+        await this.testBridgeHealth();
+        this.info('Malformed GCP reply passed through without harming the relay');
+    }
+
+    async testMockLatencyAndTimeout() {
+        this.requireMock();
+        this.mock.behave('dashboard', { latency: 500 }, { times: 1 });
+        const startedAt = Date.now();
+        await axios.post(`${TEST_CONFIG.bridgeUrl}/dashboard`, { action: 'get_stats' }, {
+            timeout: TEST_CONFIG.testTimeout
+        });
+        if (Date.now() - startedAt < 500) {
+            throw new Error('Mock latency was not observed through the relay');
+        }
+
+        // Every attempt hangs past relay.timeout, so the relay gives up with 502
+        this.mock.behave('dashboard', { timeout: true }, { times: 3 });
+        const response = await axios.post(`${TEST_CONFIG.bridgeUrl}/dashboard`, { action: 'get_stats' }, {
+            timeout: TEST_CONFIG.testTimeout,
+            validateStatus: () => true
+        });
+        if (response.status !== 502 || response.data.error !== 'upstream_unavailable') {
+            throw new Error(`Expected 502 upstream_unavailable after GCP timeouts, got ${response.status}`);
+        }
+        this.info('GCP latency observed and timeouts answered with 502');
+    }
+
+    async testLoad() {
+        if (!this.options.load) {
+            this.skip('needs --load');
+        }
+
+        const generator = new LoadGenerator(TEST_CONFIG.bridgeUrl, this.options.loadOptions);
+        const { rate, concurrency, duration, terminals } = generator.options;
+        this.info(`Load: ${rate} req/s, ${concurrency} concurrent, ${duration / 1000}s, ${terminals} terminals`);
+
+        const report = await generator.run(sample => {
+            if (sample.error) {
+                this.warn(`Status sample failed at ${sample.atMs}ms: ${sample.error}`);
+            } else {
+                this.info(`📈 ${Math.round(sample.atMs / 1000)}s: queue ${sample.queueSize}, relay RSS ${sample.rssMb}MB`);
+            }
+        });
+
+        const violations = checkSlo(report, this.options.slo);
+        report.slo = { thresholds: this.options.slo, violations };
+        await fs.ensureDir(this.options.reportDir);
+        await fs.writeJson(path.join(this.options.reportDir, 'load-report.json'), report, { spaces: 2 });
+
+        this.info(`Sent ${report.sent} (${report.achievedRate} req/s), ${report.saturated} skipped at the concurrency cap`);
+        this.info(`Latency p50 ${report.latencyMs.p50}ms, p95 ${report.latencyMs.p95}ms, p99 ${report.latencyMs.p99}ms; error rate ${(report.errorRate * 100).toFixed(2)}%`);
+        for (const [endpoint, stats] of Object.entries(report.endpoints)) {
+            this.info(`  ${endpoint}: ${stats.requests} requests, p50 ${stats.latencyMs.p50}ms, p95 ${stats.latencyMs.p95}ms, p99 ${stats.latencyMs.p99}ms, ${stats.errors} errors`);
+        }
+        this.info(`Queue ${report.queue.start} -> ${report.queue.end} (max ${report.queue.max}); relay RSS ${report.memory.startRssMb} -> ${report.memory.endRssMb}MB (max ${report.memory.maxRssMb}MB)`);
+
+        if (violations.length > 0) {
+            throw new Error(`SLO exceeded: ${violations.join('; ')}`);
+        }
+    }
+
+    async testChaos(scenario) {
+        if (!this.options.chaos) {
+            this.skip('needs --chaos');
+        }
+
+        await scenario.run(await this.startChaosEnvironment({ diskSize: scenario.diskSize }));
+    }
+
+    async testDashboard() {
+        // A launcher with its status server, which the default bridge does not enable
+        const env = await this.startChaosEnvironment();
+
+        const dashboard = new BridgeDashboard({ configPath: env.configPath, statusUrl: env.statusUrl });
+        dashboard.token = env.token;
+        await dashboard.collect();
+        for (let i = 0; i < 3; i++) {
+            const status = await env.post('dashboard', { terminalId: `dashboard-test-${i}` });
+            if (status !== 200) {
+                throw new Error(`Dashboard request ${i + 1} returned ${status}`);
+            }
+        }
+
+        // Keys act through the control API; the frame is only rendered, never drawn
+        dashboard.running = true;
+        dashboard.options.output = { write() {}, columns: 100, rows: 30 };
+        const { pid } = (await env.status()).processes.relay;
+        dashboard.snapshot = await dashboard.collect();
+        dashboard.handleKey('r', { name: 'r' });
+        await env.waitFor('relay restarted from the dashboard',
+            current => current.processes.relay.running && current.processes.relay.pid !== pid);
+        await env.waitFor('dashboard restart to finish', () => !dashboard.busy);
+
+        const snapshot = await dashboard.collect();
+        const rate = snapshot.rates && snapshot.rates.dashboard;
+        if (!rate || rate.total !== 3 || rate.errors !== 0) {
+            throw new Error(`Forward counts not read from /metrics: ${JSON.stringify(snapshot.rates)}`);
+        }
+        const frame = dashboard.render(snapshot, { columns: 100, rows: 30 });
+        const text = frame.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+        if (frame.length > 30 || !/relay\s+● running/.test(text) || !text.includes('operator restart')) {
+            throw new Error(`Dashboard frame is missing the relay or its restart:\n${text}`);
+        }
+        if (!/Restarting relay: done/.test(dashboard.message)) {
+            throw new Error(`Restart key reported: ${dashboard.message}`);
+        }
+
+        this.info(`Dashboard rendered ${frame.length} line(s) for ${Object.keys(snapshot.launcher.processes).length} children`);
+    }
+
+    async testLifecycleEvents() {
+        const env = await this.startChaosEnvironment();
+
+        const url = `${env.statusUrl}/events?types=child.*,launcher.*`;
+        const stream = await this.openEventStream(url);
+        let crash;
+        try {
+            await stream.until('the startup events to be replayed', events => events.some(e => e.type === 'launcher.started'));
+            const pid = await env.signalChild('relay', 'SIGKILL');
+            const [exited] = await stream.until('the relay to come back', events => {
+                const exit = events.find(e => e.type === 'child.exited' && e.pid === pid);
+                return exit && events.some(e => e.type === 'child.ready' && e.child === 'relay' && e.id > exit.id) ? [exit] : null;
+            });
+            crash = stream.events.filter(e => e.id >= exited.id && e.child === 'relay').map(e => e.type);
+            if (exited.signal !== 'SIGKILL' || exited.expected !== false) {
+                throw new Error(`Crash reported as ${JSON.stringify(exited)}`);
+            }
+            const expected = ['child.exited', 'child.restart-scheduled', 'child.spawned', 'child.ready'];
+            if (crash.join() !== expected.join()) {
+                throw new Error(`Crash events out of order: ${crash.join(', ')}`);
+            }
+
+            // A reconnecting client only gets what it missed
+            const resumed = await this.openEventStream(url, { 'Last-Event-ID': String(exited.id) });
+            try {
+                const replayed = await resumed.until('the missed events to be replayed',
+                    events => events.some(e => e.type === 'child.ready' && e.child === 'relay'));
+                if (replayed[0].id !== stream.events.find(e => e.id > exited.id).id) {
+                    throw new Error(`Replay after ${exited.id} started at event ${replayed[0].id}`);
+                }
+            } finally {
+                resumed.close();
+            }
+        } finally {
+            stream.close();
+        }
+
+        this.info(`Relay crash streamed as ${crash.join(' → ')}`);
+    }
+
+    async testStatusFile() {
+        const env = await this.startChaosEnvironment();
+
+        const statusFile = env.config.statusFile.path;
+        // Polled rather than read through env.waitFor(), which needs a live launcher
+        const waitForFile = async (description, predicate) => {
+            const deadline = Date.now() + CHAOS_TIMINGS.waitTimeout;
+            let current = null;
+            while (Date.now() < deadline) {
+                current = await fs.readJson(statusFile).catch(() => null);
+                if (current && predicate(current)) {
+                    return current;
+                }
+                await this.sleep(200);
+            }
+            throw new Error(`Timed out waiting for ${description}; last status file: ${JSON.stringify(current)}`);
+        };
+
+        const { pid } = (await env.status()).processes.relay;
+        const healthy = await waitForFile('the status file to report a healthy bridge',
+            current => current.status === 'healthy' && current.components.relay.lastHealthCheck);
+        if (healthy.schemaVersion !== 1 || healthy.components.relay.pid !== pid
+            || healthy.port !== env.config.relay.port || healthy.version !== env.config.version) {
+            throw new Error(`Status file does not match the launcher: ${JSON.stringify(healthy)}`);
+        }
+
+        await env.signalChild('relay', 'SIGKILL');
+        const restarted = await waitForFile('the relay restart to be written', current =>
+            current.components.relay.status === 'healthy' && current.components.relay.pid !== pid);
+        const { restarts, lastError } = restarted.components.relay;
+        if (restarts !== 1 || !lastError || lastError.message !== 'exited (code: null, signal: SIGKILL)'
+            || restarted.lastError.component !== 'relay') {
+            throw new Error(`Crash not recorded in the status file: ${JSON.stringify(restarted.components.relay)}`);
+        }
+
+        // The last write on shutdown, and no temporary files left behind
+        env.signalLauncher('SIGTERM');
+        const stopped = await waitForFile('the launcher to write its final status', current => current.status === 'stopped');
+        const leftovers = (await fs.readdir(path.dirname(statusFile))).filter(name => name.endsWith('.tmp'));
+        if (leftovers.length > 0) {
+            throw new Error(`Temporary status files left behind: ${leftovers.join(', ')}`);
+        }
+
+        this.info(`Status file went healthy → ${restarted.components.relay.status} after the crash → ${stopped.status}`);
+    }
+
+    async testQueueOrphanedLanes() {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-queue-'));
+        const log = this.logger;
+        const delivered = [];
+        const open = (lanes, deliver) => {
+            const queue = new OutboundQueue({ dir, lanes, deliver, isRetryable: status => status >= 500, log, fsync: false });
+            queue.open();
+            return queue;
+        };
+
+        try {
+            // GCP down: both payloads stay queued in the ml-snapshot lane
+            const before = open(['ingest', 'ml-snapshot'], async () => {
+                throw new Error('GCP unreachable');
+            });
+            before.enqueue('ml-snapshot', { marker: 'orphan-1' });
+            before.enqueue('ml-snapshot', { marker: 'orphan-2' });
+            await this.sleep(50);
+            before.close();
+
+            // ml-snapshot removed from queue.endpoints: still delivered, in order, but takes no new payloads
+            let release;
+            const gcpBack = new Promise(resolve => {
+                release = resolve;
+            });
+            const after = open(['ingest'], async (lane, entry) => {
+                await gcpBack;
+                delivered.push(`${lane}:${entry.payload.marker}`);
+                return { status: 200, data: {} };
+            });
+            const orphan = after.stats().orphaned['ml-snapshot'];
+            if (!orphan || orphan.pending !== 2 || after.size !== 2 || after.lanes.has('ml-snapshot')) {
+                throw new Error(`Orphaned lane not reported: ${JSON.stringify(after.stats())}`);
+            }
+            let refused = null;
+            try {
+                after.enqueue('ml-snapshot', { marker: 'orphan-3' });
+            } catch (error) {
+                refused = error;
+            }
+            if (!refused) {
+                throw new Error('An orphaned lane accepted a new payload');
+            }
+
+            release();
+            const deadline = Date.now() + 5000;
+            while (Object.keys(after.stats().orphaned).length > 0 && Date.now() < deadline) {
+                await this.sleep(50);
+            }
+            after.close();
+            if (delivered.join() !== 'ml-snapshot:orphan-1,ml-snapshot:orphan-2' || await fs.pathExists(path.join(dir, 'ml-snapshot'))) {
+                throw new Error(`Orphaned lane delivered [${delivered.join(', ')}] and ${await fs.pathExists(path.join(dir, 'ml-snapshot')) ? 'kept' : 'removed'} its directory`);
+            }
+        } finally {
+            await fs.remove(dir);
+        }
+
+        this.info(`Orphaned lane delivered ${delivered.length} payload(s) and was removed`);
+    }
+
+    async testDedupPruneRace() {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-dedup-'));
+        try {
+            // Dangling links: a marker the other relay released, and a peer log it
+            // pruned, between this process's readdir and its stat
+            await fs.ensureDir(path.join(dir, 'ingest'));
+            await fs.symlink(path.join(dir, 'released'), path.join(dir, 'ingest', 'released-key'));
+            await fs.symlink(path.join(dir, 'pruned'), path.join(dir, 'duplicates.99999.log'));
+
+            const store = new DedupStore({ dir, window: 60000, endpoints: ['ingest'], log: this.logger });
+            store.stop();
+            const stats = store.stats();
+            if (stats.keys !== 0 || stats.duplicates.total !== 0) {
+                throw new Error(`Store opened over vanished files with ${JSON.stringify(stats)}`);
+            }
+        } finally {
+            await fs.remove(dir);
+        }
+
+        this.info('Dedup store skipped a marker and a peer log that vanished while it pruned');
+    }
+
+    /**
+     * A launcher of the test's own with its status server (see chaos-scenarios.js),
+     * stopped by the afterEach hook, which also runs when the test times out.
+     *
+     * @param {object} [options] - ChaosEnvironment options, e.g. diskSize
+     */
+    async startChaosEnvironment(options = {}) {
+        this.chaos = new ChaosEnvironment({ log: this.logger, keep: this.options.keep, signal: this.signal, ...options });
+        await this.chaos.start();
+        return this.chaos;
+    }
+
+    // Connect to the launcher's event stream; until() resolves with the events
+    // received so far once the predicate accepts them
+    async openEventStream(url, headers = {}) {
+        const response = await axios.get(url, { headers, responseType: 'stream', timeout: 5000 });
+        const events = [];
+        const waiters = new Set();
+        let buffer = '';
+
+        response.data.on('data', (chunk) => {
+            buffer += chunk;
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            for (const frame of frames) {
+                const data = frame.split('\n').find(line => line.startsWith('data: '));
+                if (data) {
+                    events.push(JSON.parse(data.slice(6)));
+                }
+            }
+            waiters.forEach(check => check());
+        });
+
+        return {
+            events,
+            until: (description, predicate, timeout = CHAOS_TIMINGS.waitTimeout) => new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    waiters.delete(check);
+                    reject(new Error(`Timed out waiting for ${description}; got ${events.map(e => e.type).join(', ')}`));
+                }, timeout);
+                const check = () => {
+                    const result = predicate(events);
+                    if (result) {
+                        clearTimeout(timer);
+                        waiters.delete(check);
+                        resolve(Array.isArray(result) ? result : events);
+                    }
+                };
+                waiters.add(check);
+                check();
+            }),
+            close: () => response.data.destroy()
+        };
+    }
+
+    async testTmuxController() {
+        if (spawnSync('tmux', ['-V'], { stdio: 'ignore' }).status !== 0) {
+            this.skip('tmux is not installed');
+        }
+
+        // A private server, so the test never touches the sessions of whoever runs it;
+        // killed by the afterEach hook
+        this.tmuxSocket = `gomerai-test-${process.pid}`;
+        const tmux = new TmuxController({ session: 'gomerai-test', socketName: this.tmuxSocket, configFile: '/dev/null', pollInterval: 100 });
+        await tmux.connect();
+        try {
+            const window = await tmux.ensureWindow('mt5-bridge', { cwd: os.tmpdir() });
+            const again = await tmux.ensureWindow('mt5-bridge');
+            if (!window.created || again.created || again.id !== window.id) {
+                throw new Error('ensureWindow did not reuse the existing mt5-bridge window');
+            }
+
+            const streamed = [];
+            const result = await tmux.run('echo "bridge $GOMERAI_TEST_STATE"; exit 7', {
+                target: window.id,
+                env: { GOMERAI_TEST_STATE: 'installed' },
+                title: 'Installation',
+                onOutput: text => streamed.push(text)
+            });
+            if (result.exitCode !== 7) {
+                throw new Error(`Command exit status reported as ${result.exitCode}, expected 7`);
+            }
+            if (!result.output.includes('bridge installed') || streamed.join('') !== result.output) {
+                throw new Error(`Pane output was not streamed: ${JSON.stringify(result.output)}`);
+            }
+
+            // The pane stays for the operator, titled, and can run the next command
+            const pane = (await tmux.listPanes(window.id)).find(candidate => candidate.id === result.paneId);
+            if (!pane || !pane.dead || pane.title !== 'Installation') {
+                throw new Error(`Finished pane not kept as expected: ${JSON.stringify(pane)}`);
+            }
+            const rerun = await tmux.run('true', { pane: result.paneId });
+            if (rerun.exitCode !== 0) {
+                throw new Error(`Respawned pane reported exit status ${rerun.exitCode}, expected 0`);
+            }
+
+            let timedOut = false;
+            try {
+                await tmux.run('sleep 30', { target: window.id, timeout: 500 });
+            } catch (error) {
+                if (!(error instanceof TmuxError)) {
+                    throw error;
+                }
+                timedOut = true;
+            }
+            if (!timedOut) {
+                throw new Error('A command past its timeout was not stopped');
+            }
+
+            this.info(`tmux ran ${result.paneId} in ${result.durationMs}ms with ${streamed.length} output event(s)`);
+        } finally {
+            await tmux.close();
+        }
+    }
+
+    async testTmuxLayout() {
+        if (spawnSync('tmux', ['-V'], { stdio: 'ignore' }).status !== 0) {
+            this.skip('tmux is not installed');
+        }
+
+        const duplicate = validateLayout({ session: 's', windows: [{ name: 'w', panes: [{ title: 'a' }, { title: 'a' }] }] });
+        if (duplicate.valid) {
+            throw new Error('A layout with duplicate pane titles was accepted');
+        }
+
+        const { layout } = validateLayout({
+            session: 'gomerai-test',
+            windows: [
+                { index: 0, name: 'main-installer' },
+                {
+                    index: 3,
+                    name: 'mt5-bridge',
+                    cwd: os.tmpdir(),
+                    remainOnExit: true,
+                    panes: [
+                        { title: 'Installation' },
+                        { title: 'Bridge Service', command: 'sleep 30' },
+                        { title: 'Monitoring', command: 'sleep 31', split: 'horizontal' }
+                    ]
+                }
+            ]
+        });
+
+        // Killed by the afterEach hook
+        this.tmuxSocket = `gomerai-test-${process.pid}`;
+        const tmux = new TmuxController({ session: 'gomerai-test', socketName: this.tmuxSocket, configFile: '/dev/null' });
+        await tmux.connect();
+        try {
+            const created = await applyLayout(tmux, layout);
+            const windows = (await tmux.listWindows()).map(window => `${window.index}:${window.name}`);
+            // The window the new session came with becomes main-installer
+            if (windows.join(',') !== '0:main-installer,3:mt5-bridge') {
+                throw new Error(`Layout created windows ${windows.join(', ')}`);
+            }
+            const titles = (await tmux.listPanes('mt5-bridge')).map(pane => pane.title);
+            if (titles.join(',') !== 'Installation,Bridge Service,Monitoring') {
+                throw new Error(`Layout created panes ${titles.join(', ')}`);
+            }
+
+            const again = await applyLayout(tmux, layout);
+            if (again.length > 0) {
+                throw new Error(`Applying the layout again was not a no-op: ${again.map(action => action.type).join(', ')}`);
+            }
+
+            // Only the lost pane comes back
+            const monitoring = (await tmux.listPanes('mt5-bridge')).find(pane => pane.title === 'Monitoring');
+            await tmux.command('kill-pane', '-t', monitoring.id);
+            const repaired = await applyLayout(tmux, layout, { window: 'mt5-bridge' });
+            if (repaired.length !== 1 || repaired[0].type !== 'create-pane' || repaired[0].pane.title !== 'Monitoring') {
+                throw new Error(`Repairing the layout did ${JSON.stringify(repaired.map(action => action.type))}`);
+            }
+
+            const snapshot = await snapshotLayout(tmux);
+            if (!validateLayout(snapshot).valid) {
+                throw new Error(`Snapshot is not a valid layout: ${JSON.stringify(validateLayout(snapshot).errors)}`);
+            }
+            const bridge = snapshot.windows.find(window => window.name === 'mt5-bridge');
+            const commands = bridge.panes.map(pane => pane.command || '');
+            if (bridge.index !== 3 || !bridge.remainOnExit || commands.join(',') !== ',sleep 30,sleep 31') {
+                throw new Error(`Snapshot does not match the session: ${JSON.stringify(bridge)}`);
+            }
+
+            this.info(`Layout applied with ${created.length} action(s), repaired with ${repaired.length}`);
+        } finally {
+            await tmux.close();
+        }
+    }
+
+    // The integration script's layout steps, sourced against a bridge installed under a temporary HOME
+    async testTmuxIntegrationLayout() {
+        const home = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-home-'));
+        const bridgeDir = path.join(home, '.gomerai', 'mt5-bridge');
+        const script = path.join(__dirname, 'tmux-bridge-integration.sh');
+        const run = step => spawnSync('bash', ['-c', `source "${script}" && ${step}`], {
+            env: { ...process.env, HOME: home, TMUX_SESSION_NAME: 'gomerai-test', INSTALLATION_LOG: path.join(home, 'installation.log') },
+            encoding: 'utf8',
+            timeout: 10000
+        });
+
+        try {
+            // Without the dependencies next to it the tool fails, and the installation goes on with a warning
+            await fs.ensureDir(bridgeDir);
+            await fs.copy(path.join(__dirname, 'tmux-layout.js'), path.join(bridgeDir, 'tmux-layout.js'));
+            const broken = run('setup_bridge_monitoring');
+            if (broken.status !== 0 || !broken.stdout.includes('Could not complete the bridge window layout')) {
+                throw new Error(`Layout step without its dependencies exited ${broken.status}:\n${broken.stdout}${broken.stderr}`);
+            }
+
+            // The installed copy is the one run, with the packaged layout file
+            await fs.writeFile(path.join(bridgeDir, 'tmux-layout.js'),
+                "require('fs').appendFileSync(require('path').join(__dirname, 'calls'), `${process.argv.slice(2).join(' ')}\\n`);\n");
+            const applied = run('setup_bridge_monitoring && save_session_layout');
+            const calls = (await fs.readFile(path.join(bridgeDir, 'calls'), 'utf8').catch(() => '')).trim().split('\n');
+            const expected = [
+                `apply ${path.join(__dirname, 'gomerai-installation.layout.json')} --session gomerai-test --window mt5-bridge`,
+                `snapshot --session gomerai-test --output ${path.join(home, '.gomerai', 'tmux-layout.json')}`
+            ];
+            if (applied.status !== 0 || calls.join('\n') !== expected.join('\n') || !applied.stdout.includes('Bridge monitoring setup complete')) {
+                throw new Error(`Layout steps exited ${applied.status} after running the installed tool with [${calls.join('; ')}]`);
+            }
+        } finally {
+            await fs.remove(home);
+        }
+
+        this.info('Layout steps ran the installed tmux-layout.js, and only warned when it could not run');
+    }
+
+    // --mock environment: mock GCP server and a launcher on a generated configuration
+    async startMockEnvironment() {
+        this.mock = await new MockGcpServer({ rejectedLicenses: [MOCK_REJECTED_LICENSE] }).start();
+        this.workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gomerai-bridge-test-'));
+        this.info(`Mock GCP server on ${this.mock.url}, working directory ${this.workDir}`);
+
+        const relayPort = await freePort();
+        // The tests read these, so point them at the bridge started here
+        TEST_CONFIG.bridgeUrl = `http://127.0.0.1:${relayPort}`;
+        TEST_CONFIG.fileDropDir = path.join(this.workDir, 'file-drops', 'inbound');
+
+        const config = {
+            version: 'integration-test',
+            relay: { port: relayPort, host: '127.0.0.1', timeout: 2000 },
+            gcpEndpoints: this.mock.endpoints(),
+            apiKey: MOCK_API_KEY,
+            retry: { maxAttempts: 3, baseDelay: 100, maxDelay: 500 },
+            logging: { level: 'debug', file: path.join(this.workDir, 'logs', 'mt5-bridge.log') },
+            fileDrop: { enabled: true, watchPath: TEST_CONFIG.fileDropDir, processInterval: 1000 },
+            queue: { path: path.join(this.workDir, 'queue-data') },
+            dedup: { path: path.join(this.workDir, 'dedup-data') },
+            secrets: {
+                vaultPath: path.join(this.workDir, 'secrets.vault'),
+                keyPath: path.join(this.workDir, 'machine.key')
+            },
+            statusFile: { path: path.join(this.workDir, 'bridge-status.json') }
+        };
+        const configPath = path.join(this.workDir, 'bridge-config.json');
+        await fs.writeJson(configPath, config, { spaces: 4 });
+
+        const output = fs.openSync(path.join(this.workDir, 'launcher.log'), 'a');
+        this.launcher = spawn(process.execPath, [path.join(__dirname, 'bridge-launcher.js')], {
+            cwd: __dirname,
+            env: { ...process.env, GOMERAI_CONFIG_PATH: configPath, ENABLE_STATUS_SERVER: 'false' },
+            stdio: ['ignore', output, output]
+        });
+        fs.closeSync(output);
+        this.launcher.once('exit', (code, signal) => {
+            this.launcher = null;
+            this.info(`Launcher exited (${signal || code})`);
+        });
+    }
+
+    async stopMockEnvironment() {
+        if (this.launcher) {
+            const launcher = this.launcher;
+            const exited = new Promise(resolve => launcher.once('exit', resolve));
+            launcher.kill('SIGTERM');
+            const stopped = await Promise.race([
+                exited.then(() => true),
+                this.sleep(TEST_CONFIG.launcherStopTimeout).then(() => false)
+            ]);
+            if (!stopped) {
+                this.warn('Launcher did not stop in time, killing it');
+                launcher.kill('SIGKILL');
+                await exited;
+            }
+        }
+
+        if (this.mock) {
+            await this.mock.stop();
+        }
+
+        if (this.workDir) {
+            if (this.options.keep) {
+                this.info(`Kept working directory ${this.workDir}`);
+            } else {
+                await fs.remove(this.workDir);
+            }
+        }
+    }
+
+    // Utility functions
+
+    // Rejects early when the running attempt times out, so its polling loops stop
+    async sleep(ms) {
+        return delay(ms, undefined, { signal: this.signal || undefined });
+    }
+
+    async waitForBridge(maxWait = 30000) {
+        const startTime = Date.now();
+        
+        while (Date.now() - startTime < maxWait) {
+            try {
+                await axios.get(`${TEST_CONFIG.bridgeUrl}/health`, { timeout: 2000 });
+                return true;
+            } catch (error) {
+                await this.sleep(2000);
+            }
+        }
+        
+        return false;
+    }
+
+    // Main test runner
+    async runAllTests() {
+        this.log('Starting GomerAI MT5 Bridge Integration Tests');
+        this.log('='.repeat(60));
+
+        const tests = this.harness.select(this.options);
+        this.selected = tests;
+        if (tests.length === 0) {
+            this.warn('No tests match the selection');
+        }
+
+        const run = await this.harness.run(tests);
+        return this.generateReport(run);
+    }
+
+    listTests() {
+        this.harness.select(this.options).forEach(test => {
+            console.log(`${test.name}  [${test.tags.join(', ')}]`);
+        });
+    }
+
+    generateReport(run) {
+        const byStatus = status => run.tests.filter(result => result.status === status);
+        const report = {
+            summary: {
+                total: run.tests.length,
+                passed: byStatus('passed').length,
+                failed: byStatus('failed').length,
+                skipped: byStatus('skipped').length,
+                flaky: byStatus('passed').filter(result => result.attempts > 1).length,
+                duration: `${run.durationMs}ms`,
+                success: byStatus('failed').length === 0
+            },
+            tests: run.tests.map(({ error, ...result }) => ({ ...result, error: error ? error.message : null })),
+            errors: byStatus('failed').map(result => ({ test: result.name, error: result.error.message }))
+        };
+
+        this.log('='.repeat(60));
+        this.log('TEST RESULTS SUMMARY');
+        this.log('='.repeat(60));
+        
+        if (report.summary.success) {
+            this.success(`All tests passed! (${report.summary.passed}/${report.summary.total}, ${report.summary.skipped} skipped)`);
+        } else {
+            this.error(`${report.summary.failed} tests failed out of ${report.summary.total}`);
+        }
+
+        this.info(`Test duration: ${run.durationMs}ms`);
+
+        if (report.errors.length > 0) {
+            this.log('\nFAILED TESTS:');
+            report.errors.forEach(error => {
+                this.error(`${error.test}: ${error.error}`);
+            });
+        }
+
+        // Save the report for people (JSON) and pipelines (JUnit XML, TAP)
+        const reportDir = this.options.reportDir;
+        fs.ensureDirSync(reportDir);
+        fs.writeJsonSync(path.join(reportDir, 'results.json'), report, { spaces: 2 });
+        fs.writeFileSync(path.join(reportDir, 'junit.xml'), toJUnit(run, SUITE_NAME));
+        fs.writeFileSync(path.join(reportDir, 'results.tap'), toTap(run));
+        this.info(`Reports saved to: ${reportDir} (results.json, junit.xml, results.tap)`);
+
+        return report;
+    }
+}
+
+// Run tests if this script is executed directly
+async function main() {
+    const args = process.argv.slice(2);
+    const value = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const list = flag => (value(flag) ? value(flag).split(',').map(tag => tag.trim()).filter(Boolean) : []);
+
+    const options = {
+        mock: args.includes('--mock'),
+        keep: args.includes('--keep'),
+        grep: value('--grep') ? new RegExp(value('--grep'), 'i') : null,
+        tags: list('--tag'),
+        excludeTags: list('--exclude-tag'),
+        load: args.includes('--load'),
+        loadOptions: {},
+        slo: {},
+        chaos: args.includes('--chaos')
+    };
+    if (options.load && !options.grep && options.tags.length === 0) {
+        options.tags = ['load'];
+    }
+    if (options.chaos && !options.grep && options.tags.length === 0) {
+        options.tags = ['chaos'];
+    }
+    for (const key of ['rate', 'concurrency', 'terminals']) {
+        if (value(`--${key}`)) {
+            options.loadOptions[key] = Number(value(`--${key}`));
+        }
+    }
+    if (value('--duration')) {
+        options.loadOptions.duration = Number(value('--duration')) * 1000;
+    }
+    if (value('--mix')) {
+        options.loadOptions.mix = Object.fromEntries(list('--mix').map(entry => {
+            const [endpoint, weight] = entry.split('=');
+            return [endpoint, Number(weight)];
+        }));
+    }
+    for (const key of ['p50', 'p95', 'p99']) {
+        if (value(`--slo-${key}`)) {
+            options.slo[key] = Number(value(`--slo-${key}`));
+        }
+    }
+    if (value('--slo-error-rate')) {
+        options.slo.errorRate = Number(value('--slo-error-rate')) / 100;
+    }
+    if (value('--slo-queue-growth')) {
+        options.slo.queueGrowth = Number(value('--slo-queue-growth'));
+    }
+    if (value('--slo-memory-growth')) {
+        options.slo.memoryGrowthMb = Number(value('--slo-memory-growth'));
+    }
+    if (value('--timeout')) {
+        options.timeout = Number(value('--timeout'));
+    }
+    if (value('--retries')) {
+        options.retries = Number(value('--retries'));
+    }
+    if (value('--report-dir')) {
+        options.reportDir = value('--report-dir');
+    }
+
+    const tester = new BridgeIntegrationTest(options);
+    if (args.includes('--list')) {
+        tester.listTests();
+        process.exit(0);
+    }
     
     try {
         const report = await tester.runAllTests();
@@ -0,0 +1,327 @@
+/**
+ * GomerAI MT5 Bridge Test Harness
+ * ===============================
+ *
+ * Small test runner behind test-bridge-integration.js. Tests are registered
+ * with tags, selected by name pattern or tag, and run one at a time with a
+ * timeout and retries. Hooks run around the whole run (beforeAll/afterAll)
+ * and around every attempt (beforeEach/afterEach). A test skips itself by
+ * throwing SkipTest. Results render as JUnit XML or TAP for CI pipelines.
+ *
+ * Each attempt gets an AbortSignal, passed to the test body and to the
+ * beforeEach hooks, which fires when the attempt times out. The harness then
+ * waits for the body to settle before afterEach and the next attempt, so two
+ * attempts never share ports or directories; a body that does not stop within
+ * `settleTimeout` is not retried.
+ *
+ * Events: 'test:start' (test), 'test:retry' (test, attempt, error),
+ * 'test:end' (result).
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const os = require('os');
+
+class SkipTest extends Error {
+    /**
+     * @param {string} reason - Why the test cannot run here
+     */
+    constructor(reason) {
+        super(reason);
+        this.name = 'SkipTest';
+    }
+}
+
+class TestTimeoutError extends Error {
+    constructor(name, timeout) {
+        super(`${name} timed out after ${timeout}ms`);
+        this.name = 'TestTimeoutError';
+    }
+}
+
+function withTimeout(promise, timeout, name) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new TestTimeoutError(name, timeout)), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Whether a promise settles, either way, within the timeout
+function settlesWithin(promise, timeout) {
+    return withTimeout(promise.then(() => true, () => true), timeout, 'settle').catch(() => false);
+}
+
+// A port nothing listens on right now, for servers the tests start
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+class TestHarness extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Default per-test timeout in ms
+     * @param {number} [options.retries] - Default retries after a failed attempt
+     * @param {number} [options.settleTimeout] - How long a timed-out body gets to stop once aborted
+     */
+    constructor({ timeout = 30000, retries = 0, settleTimeout = 10000 } = {}) {
+        super();
+        this.timeout = timeout;
+        this.retries = retries;
+        this.settleTimeout = settleTimeout;
+        this.tests = [];
+        this.hooks = { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] };
+    }
+
+    beforeAll(fn) {
+        this.hooks.beforeAll.push(fn);
+    }
+
+    afterAll(fn) {
+        this.hooks.afterAll.push(fn);
+    }
+
+    beforeEach(fn) {
+        this.hooks.beforeEach.push(fn);
+    }
+
+    afterEach(fn) {
+        this.hooks.afterEach.push(fn);
+    }
+
+    /**
+     * Register a test.
+     *
+     * @param {string} name - Unique test name
+     * @param {Function} fn - Async test body, called with { signal }; throws to fail, throws SkipTest to skip
+     * @param {object} [options]
+     * @param {string[]} [options.tags] - Tags for selection
+     * @param {number} [options.timeout] - Overrides the default timeout
+     * @param {number} [options.retries] - Overrides the default retries
+     */
+    test(name, fn, { tags = [], timeout, retries } = {}) {
+        if (this.tests.some(test => test.name === name)) {
+            throw new Error(`Duplicate test name: ${name}`);
+        }
+        this.tests.push({ name, fn, tags, timeout, retries });
+    }
+
+    /**
+     * Tests matching a name pattern and tags, in registration order.
+     *
+     * @param {object} [filter]
+     * @param {RegExp} [filter.grep] - Name must match
+     * @param {string[]} [filter.tags] - Test must have at least one of these
+     * @param {string[]} [filter.excludeTags] - Test must have none of these
+     */
+    select({ grep = null, tags = [], excludeTags = [] } = {}) {
+        return this.tests.filter(test =>
+            (!grep || grep.test(test.name))
+            && (tags.length === 0 || test.tags.some(tag => tags.includes(tag)))
+            && !test.tags.some(tag => excludeTags.includes(tag))
+        );
+    }
+
+    async runHooks(kind, test, context) {
+        for (const hook of this.hooks[kind]) {
+            await hook(test, context);
+        }
+    }
+
+    /**
+     * Run one attempt of a test body. On timeout the attempt's signal is
+     * aborted and the body gets `settleTimeout` to stop; the error then
+     * carries `settled: false` if it did not.
+     */
+    async runAttempt(test, timeout, controller) {
+        const body = Promise.resolve().then(() => test.fn({ signal: controller.signal }));
+        try {
+            await withTimeout(body, timeout, test.name);
+        } catch (error) {
+            if (error instanceof TestTimeoutError) {
+                controller.abort(error);
+                error.settled = await settlesWithin(body, this.settleTimeout);
+            }
+            throw error;
+        }
+    }
+
+    async runTest(test) {
+        const retries = test.retries !== undefined ? test.retries : this.retries;
+        const timeout = test.timeout || this.timeout;
+        const startedAt = Date.now();
+        const result = { name: test.name, tags: test.tags, status: 'passed', attempts: 0, durationMs: 0, error: null, reason: null };
+
+        this.emit('test:start', test);
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            result.attempts = attempt;
+            const controller = new AbortController();
+            let error = null;
+            try {
+                await this.runHooks('beforeEach', test, { signal: controller.signal });
+                await this.runAttempt(test, timeout, controller);
+            } catch (caught) {
+                error = caught;
+            }
+            try {
+                await this.runHooks('afterEach', test);
+            } catch (hookError) {
+                error = error || hookError;
+            }
+
+            if (!error) {
+                result.status = 'passed';
+                result.error = null;
+                break;
+            }
+            if (error instanceof SkipTest) {
+                result.status = 'skipped';
+                result.reason = error.message;
+                break;
+            }
+
+            result.status = 'failed';
+            result.error = { message: error.message, type: error.name || 'Error', stack: error.stack };
+            if (error.settled === false) {
+                // Still running; a retry would overlap it
+                result.error.message += `; the test body did not stop within ${this.settleTimeout}ms, so it was not retried`;
+                break;
+            }
+            if (attempt <= retries) {
+                this.emit('test:retry', test, attempt, error);
+            }
+        }
+
+        result.durationMs = Date.now() - startedAt;
+        this.emit('test:end', result);
+        return result;
+    }
+
+    /**
+     * Run the selected tests. When a beforeAll hook fails, every selected
+     * test is reported as failed with the hook's error; afterAll hooks run
+     * regardless.
+     *
+     * @param {object[]} [tests] - Output of select(); all tests by default
+     * @returns {Promise<{ startedAt: string, durationMs: number, tests: object[] }>}
+     */
+    async run(tests = this.tests) {
+        const startedAt = new Date();
+        const results = [];
+
+        try {
+            await this.runHooks('beforeAll');
+            for (const test of tests) {
+                results.push(await this.runTest(test));
+            }
+        } catch (error) {
+            for (const test of tests.slice(results.length)) {
+                const result = {
+                    name: test.name,
+                    tags: test.tags,
+                    status: 'failed',
+                    attempts: 0,
+                    durationMs: 0,
+                    error: { message: `beforeAll hook failed: ${error.message}`, type: error.name || 'Error', stack: error.stack },
+                    reason: null
+                };
+                results.push(result);
+                this.emit('test:end', result);
+            }
+        } finally {
+            await this.runHooks('afterAll');
+        }
+
+        return { startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), tests: results };
+    }
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function count(run, status) {
+    return run.tests.filter(result => result.status === status).length;
+}
+
+/**
+ * Render a run as JUnit XML.
+ *
+ * @param {object} run - Output of TestHarness.run()
+ * @param {string} suiteName - Suite name shown by the CI
+ */
+function toJUnit(run, suiteName) {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const cases = run.tests.map(result => {
+        const open = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(result.name)}" time="${seconds(result.durationMs)}"`;
+        if (result.status === 'skipped') {
+            return `${open}>\n      <skipped message="${escapeXml(result.reason)}"/>\n    </testcase>`;
+        }
+        if (result.status === 'failed') {
+            const message = `${result.error.message} (${result.attempts} attempt(s))`;
+            return `${open}>\n      <failure message="${escapeXml(message)}" type="${escapeXml(result.error.type)}">${escapeXml(result.error.stack || result.error.message)}</failure>\n    </testcase>`;
+        }
+        return `${open}/>`;
+    });
+
+    const attributes = `tests="${run.tests.length}" failures="${count(run, 'failed')}" errors="0" skipped="${count(run, 'skipped')}" time="${seconds(run.durationMs)}"`;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(suiteName)}" ${attributes}>`,
+        `  <testsuite name="${escapeXml(suiteName)}" ${attributes} timestamp="${run.startedAt}" hostname="${escapeXml(os.hostname())}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Render a run as TAP version 13.
+ *
+ * @param {object} run - Output of TestHarness.run()
+ */
+function toTap(run) {
+    const lines = ['TAP version 13', `1..${run.tests.length}`];
+    run.tests.forEach((result, index) => {
+        const number = index + 1;
+        if (result.status === 'skipped') {
+            lines.push(`ok ${number} - ${result.name} # SKIP ${result.reason}`);
+        } else if (result.status === 'failed') {
+            lines.push(`not ok ${number} - ${result.name}`);
+            lines.push('  ---');
+            lines.push(`  message: ${JSON.stringify(result.error.message)}`);
+            lines.push(`  attempts: ${result.attempts}`);
+            lines.push(`  duration_ms: ${result.durationMs}`);
+            lines.push('  ...');
+        } else {
+            lines.push(`ok ${number} - ${result.name}`);
+            if (result.attempts > 1) {
+                lines.push(`# passed on attempt ${result.attempts}`);
+            }
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    SkipTest,
+    TestHarness,
+    TestTimeoutError,
+    freePort,
+    toJUnit,
+    toTap
+};
@@ -14,6 +14,14 @@ SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 TMUX_SESSION_NAME="${TMUX_SESSION_NAME:-gomerai-installation}"
 BRIDGE_TMUX_WINDOW="mt5-bridge"
 INSTALLATION_LOG="${INSTALLATION_LOG:-/tmp/gomerai-installation.log}"
+INSTALL_TIMEOUT=300 # seconds the bridge installer may take
+LAUNCHER_GRACE=10   # seconds the launcher must keep running after it starts
+BRIDGE_DIR="$HOME/.gomerai/mt5-bridge" # where install-mt5-bridge.sh installs the bridge and its npm dependencies
+LAYOUT_TOOL="$BRIDGE_DIR/tmux-layout.js" # needs ajv, so it runs from the installed copy
+SESSION_LAYOUT="$SCRIPT_DIR/gomerai-installation.layout.json"
+SESSION_SNAPSHOT="$HOME/.gomerai/tmux-layout.json"
+BRIDGE_STATUS_FILE="/tmp/gomerai-bridge-status.json" # the launcher default for statusFile.path
+STATUS_FILE_WAIT=30 # seconds to wait for the launcher's first status write
 
 # Colors for output
 RED='\033[0;31m'
@@ -63,75 +71,55 @@ check_tmux_session() {
     export TMUX_INSTALL_SESSION="$current_session"
 }
 
-# Create dedicated tmux window for bridge installation
-create_bridge_window() {
-    log "Creating dedicated tmux window for MT5 Bridge installation..."
-    
-    # Check if window already exists
-    if tmux list-windows -t "$TMUX_SESSION_NAME" | grep -q "$BRIDGE_TMUX_WINDOW"; then
-        warn "Bridge window already exists, using existing window"
-        tmux select-window -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW"
-    else
-        # Create new window
-        tmux new-window -t "$TMUX_SESSION_NAME" -n "$BRIDGE_TMUX_WINDOW" -c "$SCRIPT_DIR"
-        log "Created tmux window: $BRIDGE_TMUX_WINDOW"
-    fi
+# Drive the bridge window through the tmux control-mode controller. The
+# controller creates the window on first use and reports real exit statuses.
+bridge_tmux() {
+    local subcommand="$1"
+    shift
+    node "$SCRIPT_DIR/tmux-controller.js" "$subcommand" \
+        --session "$TMUX_SESSION_NAME" --window "$BRIDGE_TMUX_WINDOW" "$@"
 }
 
 # Install bridge components in tmux window
 install_bridge_in_tmux() {
-    log "Installing MT5 Bridge components in tmux window..."
-    
-    # Send installation command to the bridge window
-    local install_cmd="cd '$SCRIPT_DIR' && ./install-mt5-bridge.sh"
-    
-    tmux send-keys -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW" "$install_cmd" C-m
-    
-    # Wait for installation to complete
-    local max_wait=300  # 5 minutes
-    local wait_count=0
-    
-    info "Waiting for bridge installation to complete (max ${max_wait}s)..."
-    
-    while [[ $wait_count -lt $max_wait ]]; do
-        # Check if installation is complete by looking for success message
-        local pane_content=$(tmux capture-pane -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW" -p)
-        
-        if echo "$pane_content" | grep -q "MT5 Bridge installation completed successfully"; then
+    # The installer sets up Node.js itself, so without it there is no controller yet
+    if ! command -v node &> /dev/null; then
+        warn "Node.js not found, running the bridge installer in this window"
+        if (cd "$SCRIPT_DIR" && ./install-mt5-bridge.sh); then
             log "Bridge installation completed successfully"
             return 0
-        elif echo "$pane_content" | grep -q "ERROR\|FAILED"; then
-            error "Bridge installation failed"
-            return 1
-        fi
-        
-        sleep 5
-        wait_count=$((wait_count + 5))
-        
-        # Show progress every 30 seconds
-        if [[ $((wait_count % 30)) -eq 0 ]]; then
-            info "Still waiting for bridge installation... (${wait_count}s elapsed)"
         fi
-    done
-    
-    error "Bridge installation timed out after ${max_wait} seconds"
+        error "Bridge installation failed"
+        return 1
+    fi
+
+    log "Installing MT5 Bridge components in tmux window..."
+    info "Waiting for bridge installation to complete (max ${INSTALL_TIMEOUT}s)..."
+
+    if bridge_tmux run --cwd "$SCRIPT_DIR" --title "Installation" --timeout $((INSTALL_TIMEOUT * 1000)) \
+        -- ./install-mt5-bridge.sh; then
+        log "Bridge installation completed successfully"
+        return 0
+    fi
+
+    error "Bridge installation failed"
     return 1
 }
 
 # Start bridge service in tmux window
 start_bridge_service() {
     log "Starting MT5 Bridge service in tmux window..."
-    
-    # Create a new pane for the bridge service
-    tmux split-window -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW" -v -c "$HOME/.gomerai/mt5-bridge"
-    
-    # Start the bridge launcher in the new pane
-    local start_cmd="node bridge-launcher.js"
-    tmux send-keys -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW.1" "$start_cmd" C-m
-    
-    # Wait for service to start
-    sleep 10
-    
+
+    # The launcher exits non-zero when a component misses its readiness
+    # deadline or crashes during startup; the controller then prints its
+    # exit status and last output lines. The status server feeds the
+    # dashboard in the monitoring pane
+    if ! bridge_tmux start --cwd "$BRIDGE_DIR" --title "Bridge Service" \
+        --grace $((LAUNCHER_GRACE * 1000)) -- ENABLE_STATUS_SERVER=true node bridge-launcher.js; then
+        error "Bridge launcher failed during startup"
+        return 1
+    fi
+
     # Check if service is running
     if check_bridge_health; then
         log "Bridge service started successfully"
@@ -173,67 +161,59 @@ check_bridge_health() {
 setup_bridge_monitoring() {
     log "Setting up bridge monitoring in tmux..."
     
-    # Create monitoring pane
-    tmux split-window -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW" -h -c "$HOME/.gomerai/mt5-bridge"
-    
-    # Start monitoring command
-    local monitor_cmd="watch -n 30 'curl -s http://127.0.0.1:9876/status | jq . 2>/dev/null || echo \"Bridge Status: Checking...\"'"
-    tmux send-keys -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW.2" "$monitor_cmd" C-m
-    
-    # Set pane titles
-    tmux select-pane -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW.0" -T "Installation"
-    tmux select-pane -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW.1" -T "Bridge Service"
-    tmux select-pane -t "$TMUX_SESSION_NAME:$BRIDGE_TMUX_WINDOW.2" -T "Monitoring"
+    # The layout file describes the whole bridge window; only the panes
+    # still missing (here the dashboard's monitoring pane) are created
+    if ! node "$LAYOUT_TOOL" apply "$SESSION_LAYOUT" \
+        --session "$TMUX_SESSION_NAME" --window "$BRIDGE_TMUX_WINDOW"; then
+        warn "Could not complete the bridge window layout"
+        return 0
+    fi
     
     log "Bridge monitoring setup complete"
 }
 
+# Save the session's layout so a lost session can be rebuilt with
+# `node ~/.gomerai/mt5-bridge/tmux-layout.js apply ~/.gomerai/tmux-layout.json`
+save_session_layout() {
+    if ! node "$LAYOUT_TOOL" snapshot --session "$TMUX_SESSION_NAME" \
+        --output "$SESSION_SNAPSHOT"; then
+        warn "Could not save the tmux session layout"
+    fi
+}
+
+# Read one field of the launcher's status file, or "unknown"
+read_bridge_status() {
+    node -e '
+        try {
+            const value = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"))[process.argv[2]];
+            console.log(value === null || value === undefined ? "unknown" : value);
+        } catch (error) {
+            console.log("unknown");
+        }' "$BRIDGE_STATUS_FILE" "$1"
+}
+
 # Create bridge status summary for main installation
 create_bridge_status_summary() {
-    local status_file="/tmp/gomerai-bridge-status.json"
-    
-    log "Creating bridge status summary..."
-    
-    # Get bridge status
-    local bridge_status="unknown"
-    local bridge_port="9876"
-    local bridge_endpoints=""
+    # The launcher owns the machine-readable status file and rewrites it on
+    # every state change; wait for its first write and summarise it
+    log "Waiting for the launcher status file..."
+    
+    local waited=0
+    while [[ ! -f "$BRIDGE_STATUS_FILE" && $waited -lt $STATUS_FILE_WAIT ]]; do
+        sleep 1
+        waited=$((waited + 1))
+    done
     
-    if check_bridge_health; then
-        bridge_status="healthy"
-        bridge_endpoints=$(cat << EOF
-{
-    "ingest": "http://127.0.0.1:9876/ingest",
-    "token": "http://127.0.0.1:9876/token",
-    "dashboard": "http://127.0.0.1:9876/dashboard",
-    "ml_snapshot": "http://127.0.0.1:9876/ml-snapshot",
-    "health": "http://127.0.0.1:9876/health",
-    "status": "http://127.0.0.1:9876/status"
-}
-EOF
-        )
+    if [[ -f "$BRIDGE_STATUS_FILE" ]]; then
+        log "Bridge status file maintained by the launcher: $BRIDGE_STATUS_FILE"
     else
-        bridge_status="unhealthy"
-        bridge_endpoints="{}"
+        warn "The launcher has not written $BRIDGE_STATUS_FILE"
     fi
     
-    # Create status JSON
-    cat > "$status_file" << EOF
-{
-    "component": "mt5-bridge",
-    "status": "$bridge_status",
-    "installation_time": "$(date -u +%Y-%m-%dT%H:%M:%SZ)",
-    "version": "1.0.0",
-    "port": $bridge_port,
-    "endpoints": $bridge_endpoints,
-    "install_directory": "$HOME/.gomerai/mt5-bridge",
-    "log_directory": "$HOME/.gomerai/logs",
-    "tmux_window": "$BRIDGE_TMUX_WINDOW",
-    "service_type": "tmux-managed"
-}
-EOF
-    
-    log "Bridge status summary created: $status_file"
+    local bridge_status
+    local bridge_version
+    bridge_status=$(read_bridge_status status)
+    bridge_version=$(read_bridge_status version)
     
     # Also create a human-readable summary
     local summary_file="/tmp/gomerai-bridge-summary.txt"
@@ -241,9 +221,9 @@ EOF
 GomerAI MT5 Bridge Installation Summary
 ======================================
 
-Status: $bridge_status
+Status: $bridge_status (live status: $BRIDGE_STATUS_FILE)
 Installation Time: $(date)
-Version: 1.0.0
+Version: $bridge_version
 
 Bridge Endpoints:
 - Health Check: http://127.0.0.1:9876/health
@@ -253,7 +233,7 @@ Bridge Endpoints:
 - Dashboard: http://127.0.0.1:9876/dashboard
 - ML Snapshot: http://127.0.0.1:9876/ml-snapshot
 
-Installation Directory: $HOME/.gomerai/mt5-bridge
+Installation Directory: $BRIDGE_DIR
 Log Directory: $HOME/.gomerai/logs
 Tmux Window: $BRIDGE_TMUX_WINDOW
 
@@ -298,9 +278,6 @@ main() {
     # Validate tmux environment
     check_tmux_session
     
-    # Create dedicated window for bridge
-    create_bridge_window
-    
     # Install bridge components
     if ! install_bridge_in_tmux; then
         error "Bridge installation failed"
@@ -319,6 +296,9 @@ main() {
     # Create status summary
     create_bridge_status_summary
     
+    # Record the session for rebuilding it after a crash
+    save_session_layout
+    
     # Display results
     display_results
     
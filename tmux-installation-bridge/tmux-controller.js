@@ -0,0 +1,680 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Tmux Controller
+ * ==================================
+ *
+ * Drives the bridge's tmux window through a control-mode client (`tmux -C`)
+ * instead of send-keys and capture-pane polling. Commands are written to
+ * the client's stdin and answered in order by %begin/%end (or %error)
+ * blocks; pane output arrives as %output notifications and is re-emitted
+ * as 'output' events.
+ *
+ * A command is run as the process of a pane of its own, in a window with
+ * remain-on-exit set so the pane outlives it. The command records its exit
+ * status on its pane as the @gomerai_exit option; tmux's own
+ * #{pane_dead_status} is only a fallback, as tmux 3.3 loses it now and
+ * then for commands that exit quickly. tmux does not notify control
+ * clients when a pane's process exits, so run() asks every `pollInterval`.
+ *
+ *   const tmux = await new TmuxController({ session: 'gomerai-installation' }).connect();
+ *   const window = await tmux.ensureWindow('mt5-bridge', { cwd: __dirname });
+ *   const result = await tmux.run('./install-mt5-bridge.sh', { target: window.id, title: 'Installation' });
+ *   // result: { paneId, exitCode, signal, output, durationMs }
+ *
+ * Events: 'output' (paneId, text), 'notification' (name, args), 'exit' (reason).
+ *
+ * Usage (tmux-bridge-integration.sh):
+ *
+ *   node tmux-controller.js run [options] -- <command>
+ *       Run the command in the window's first pane, copy its output to
+ *       stdout and exit with its exit status.
+ *   node tmux-controller.js start [options] -- <command>
+ *       Start a long-running command in a new pane. With --grace, fail
+ *       with its exit status if it exits within that many ms.
+ *
+ *   --session <name>   Session to attach to or create (default $TMUX_SESSION_NAME or gomerai-installation)
+ *   --window <name>    Window to use, created if missing (default mt5-bridge)
+ *   --socket <name>    tmux server socket name (-L); by default the server this runs under
+ *   --cwd <dir>        Working directory of the command
+ *   --title <title>    Pane title
+ *   --timeout <ms>     run: stop the command and fail after this long
+ *   --horizontal       start: split side by side instead of one above the other
+ *   --grace <ms>       start: how long the command must keep running
+ */
+
+const { execFile, spawn } = require('child_process');
+const EventEmitter = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const DEFAULT_TMUX = {
+    session: process.env.TMUX_SESSION_NAME || 'gomerai-installation',
+    window: 'mt5-bridge',
+    pollInterval: 250,
+    outputLimit: 256 * 1024 // characters of output run() keeps per command
+};
+
+// Pane option a command started here sets to its exit status
+const EXIT_OPTION = '@gomerai_exit';
+
+// Pane option holding the title given by setPaneTitle(). Programs can change
+// a pane's title with escape sequences but not this
+const TITLE_OPTION = '@gomerai_title';
+
+// How long a dead pane may go without an exit status before it is taken as killed
+const STATUS_WAIT = 1000;
+
+// Fields of one pane. Control mode prints tabs as underscores, so they are
+// separated by '|' and the title, which may contain anything, goes last
+const PANE_FORMAT = `#{pane_id}|#{pane_index}|#{pane_pid}|#{pane_dead}|#{${EXIT_OPTION}}|#{pane_dead_status}|#{pane_dead_signal}|`
+    + `#{?#{${TITLE_OPTION}},#{${TITLE_OPTION}},#{pane_title}}`;
+
+class TmuxError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {string} [command] - The tmux command line involved
+     */
+    constructor(message, command = null) {
+        super(message);
+        this.name = 'TmuxError';
+        this.command = command;
+    }
+}
+
+/**
+ * Quote an argument for tmux's command parser. Inside double quotes only
+ * backslash, double quote and `$` are special; newlines must be escaped
+ * because control mode reads one command per line.
+ */
+function quote(arg) {
+    const value = String(arg);
+    if (/^[A-Za-z0-9_@%.:/=,+-]+$/.test(value)) {
+        return value;
+    }
+    return `"${value.replace(/[\\"$]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+// %output data has bytes below 0x20 and backslashes escaped as octal
+function unescapeOutput(data) {
+    return Buffer.from(data.replace(/\\([0-7]{3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8))), 'latin1');
+}
+
+function parsePane(line) {
+    const [id, index, pid, dead, recorded, status, signal, ...title] = line.split('|');
+    const isDead = dead === '1';
+    // Both are empty when the process was killed by a signal
+    const exitStatus = recorded !== '' ? recorded : status;
+    return {
+        id,
+        index: Number(index),
+        pid: Number(pid) || null,
+        dead: isDead,
+        exitCode: isDead && exitStatus !== '' ? Number(exitStatus) : null,
+        signal: isDead && signal ? signal : null,
+        title: title.join('|')
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class TmuxController extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.session] - Session to attach to, created if missing
+     * @param {string} [options.socketName] - Server socket name (tmux -L)
+     * @param {string} [options.socketPath] - Server socket path (tmux -S)
+     * @param {string} [options.configFile] - Configuration file for a server started here (tmux -f)
+     * @param {string} [options.tmux] - tmux executable
+     * @param {number} [options.pollInterval] - How often run() checks whether its command exited, in ms
+     * @param {number} [options.outputLimit] - Characters of output run() keeps per command
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_TMUX, tmux: 'tmux', ...options };
+        this.client = null;
+        this.clientExit = null;
+        this.sessionId = null;
+        this.sessionCreated = false;
+        this.pending = []; // commands awaiting their reply, in the order they were sent
+        this.block = null; // reply being read
+        this.attached = false;
+        this.buffer = '';
+        this.paused = false;
+        this.decoders = new Map(); // pane -> StringDecoder, so UTF-8 split across %output lines survives
+        this.exitReason = null;
+        this.stderr = '';
+    }
+
+    serverArgs() {
+        const args = [];
+        if (this.options.configFile) {
+            args.push('-f', this.options.configFile);
+        }
+        if (this.options.socketName) {
+            args.push('-L', this.options.socketName);
+        } else if (this.options.socketPath) {
+            args.push('-S', this.options.socketPath);
+        } else if (process.env.TMUX) {
+            // The server this process runs under: $TMUX is "socket,pid,session"
+            args.push('-S', process.env.TMUX.split(',')[0]);
+        }
+        return args;
+    }
+
+    clientEnv() {
+        const env = { ...process.env };
+        // The server is named explicitly; tmux would otherwise refuse to nest
+        delete env.TMUX;
+        return env;
+    }
+
+    // One-off check with a plain client, before the control client creates the session
+    hasSession() {
+        const args = [...this.serverArgs(), 'has-session', '-t', `=${this.options.session}`];
+        return new Promise(resolve => {
+            execFile(this.options.tmux, args, { env: this.clientEnv() }, error => resolve(!error));
+        });
+    }
+
+    /**
+     * Start the control client, attached to the session (created if missing;
+     * `sessionCreated` tells which).
+     *
+     * @returns {Promise<TmuxController>}
+     */
+    async connect() {
+        if (this.client) {
+            return this;
+        }
+
+        this.sessionCreated = !(await this.hasSession());
+        const args = [...this.serverArgs(), '-C', 'new-session', '-A', '-s', this.options.session];
+        const env = this.clientEnv();
+
+        this.client = spawn(this.options.tmux, args, { env, stdio: ['pipe', 'pipe', 'pipe'] });
+        this.clientExit = null;
+        this.attached = false;
+        this.buffer = '';
+        this.stderr = '';
+        this.exitReason = null;
+
+        this.client.stdout.setEncoding('latin1');
+        this.client.stdout.on('data', chunk => {
+            this.buffer += chunk;
+            this.drain();
+        });
+        this.client.stderr.on('data', chunk => {
+            this.stderr += chunk;
+        });
+        this.client.stdin.on('error', () => {
+            // The client exited; 'close' rejects whatever is pending
+        });
+        this.client.once('error', error => {
+            this.clientExit = { reason: `cannot run ${this.options.tmux}: ${error.message}` };
+            this.drain();
+        });
+        this.client.once('close', (code, signal) => {
+            if (!this.clientExit) {
+                this.clientExit = { reason: this.exitReason || this.stderr.trim() || `exited with ${signal || code}` };
+            }
+            this.drain();
+        });
+
+        // The attach is answered like any command, by the first block
+        await new Promise((resolve, reject) => this.pending.push({ line: args.join(' '), resolve, reject }));
+        [this.sessionId] = await this.command('display-message', '-p', '#{session_id}');
+        return this;
+    }
+
+    /**
+     * Detach the control client. The session and its panes keep running.
+     */
+    async close() {
+        if (!this.client) {
+            return;
+        }
+        const client = this.client;
+        const closed = new Promise(resolve => client.once('close', resolve));
+        client.stdin.end();
+        await closed;
+    }
+
+    // Handle complete lines; pauses after a reply so the code awaiting it runs first
+    drain() {
+        if (this.paused) {
+            return;
+        }
+        let index;
+        while ((index = this.buffer.indexOf('\n')) >= 0) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 1);
+            if (this.handleLine(line)) {
+                // A caller that just created a pane subscribes to its output before
+                // the first %output for it is handled
+                this.paused = true;
+                setImmediate(() => {
+                    this.paused = false;
+                    this.drain();
+                });
+                return;
+            }
+        }
+        if (this.clientExit && this.client) {
+            this.finishClose();
+        }
+    }
+
+    finishClose() {
+        const reason = this.clientExit.reason;
+        this.client = null;
+        this.block = null;
+        for (const command of this.pending.splice(0)) {
+            command.reject(new TmuxError(`tmux control client ended: ${reason}`, command.line));
+        }
+        this.emit('exit', reason);
+    }
+
+    /**
+     * @returns {boolean} Whether the line completed a command reply
+     */
+    handleLine(line) {
+        if (this.block) {
+            const [marker, , number] = line.split(' ');
+            if ((marker === '%end' || marker === '%error') && number === this.block.number) {
+                return this.finishBlock(marker === '%error');
+            }
+            this.block.lines.push(Buffer.from(line, 'latin1').toString('utf8'));
+            return false;
+        }
+
+        if (line.startsWith('%begin ')) {
+            const [, , number, flags] = line.split(' ');
+            this.block = { number, flags, lines: [] };
+            return false;
+        }
+        if (line.startsWith('%output ')) {
+            const separator = line.indexOf(' ', 8);
+            const paneId = line.slice(8, separator);
+            if (!this.decoders.has(paneId)) {
+                this.decoders.set(paneId, new StringDecoder('utf8'));
+            }
+            this.emit('output', paneId, this.decoders.get(paneId).write(unescapeOutput(line.slice(separator + 1))));
+            return false;
+        }
+        if (line.startsWith('%')) {
+            const separator = line.indexOf(' ');
+            const name = line.slice(1, separator >= 0 ? separator : undefined);
+            const args = separator >= 0 ? line.slice(separator + 1) : '';
+            if (name === 'exit') {
+                this.exitReason = args || 'detached';
+            }
+            this.emit('notification', name, args);
+        }
+        return false;
+    }
+
+    finishBlock(failed) {
+        const { flags, lines } = this.block;
+        this.block = null;
+        // Flag 1 marks replies to commands from this client; the attach reply has none
+        if (flags !== '1' && this.attached) {
+            return false;
+        }
+        this.attached = true;
+
+        const command = this.pending.shift();
+        if (!command) {
+            return false;
+        }
+        if (failed) {
+            command.reject(new TmuxError(`tmux: ${lines.join('; ') || 'command failed'} (${command.line})`, command.line));
+        } else {
+            command.resolve(lines);
+        }
+        return true;
+    }
+
+    /**
+     * Run one tmux command.
+     *
+     * @param {...string} args - Command name and arguments, unquoted
+     * @returns {Promise<string[]>} Output lines
+     */
+    command(...args) {
+        const line = args.map(quote).join(' ');
+        if (!this.client || this.clientExit) {
+            return Promise.reject(new TmuxError('Not connected to tmux', line));
+        }
+        return new Promise((resolve, reject) => {
+            this.pending.push({ line, resolve, reject });
+            this.client.stdin.write(`${line}\n`);
+        });
+    }
+
+    /**
+     * @returns {Promise<{ id: string, index: number, name: string, active: boolean }[]>}
+     */
+    async listWindows() {
+        const lines = await this.command('list-windows', '-t', this.sessionId, '-F', '#{window_id}|#{window_index}|#{window_active}|#{window_name}');
+        return lines.map(line => {
+            const [id, index, active, ...name] = line.split('|');
+            return { id, index: Number(index), active: active === '1', name: name.join('|') };
+        });
+    }
+
+    /**
+     * The window with this name, created and selected if missing. Its panes
+     * are set to remain after their process exits.
+     *
+     * @param {string} name - Window name
+     * @param {object} [options]
+     * @param {string} [options.cwd] - Working directory of a new window
+     * @returns {Promise<{ id: string, created: boolean }>}
+     */
+    async ensureWindow(name, { cwd } = {}) {
+        const existing = (await this.listWindows()).find(window => window.name === name);
+        const id = existing ? existing.id : await this.createWindow(name, { cwd });
+        await this.command('set-option', '-w', '-t', id, 'remain-on-exit', 'on');
+        return { id, created: !existing };
+    }
+
+    /**
+     * @param {string} name - Window name
+     * @param {object} [options]
+     * @param {string} [options.cwd] - Working directory of its shell
+     * @param {number} [options.index] - Window index; the next free one by default
+     * @param {boolean} [options.detached] - Leave the current window selected
+     * @returns {Promise<string>} Window id
+     */
+    async createWindow(name, { cwd, index, detached = false } = {}) {
+        const args = ['new-window', '-P', '-F', '#{window_id}', '-t', `${this.sessionId}:${index !== undefined ? index : ''}`, '-n', name];
+        if (detached) {
+            args.push('-d');
+        }
+        if (cwd) {
+            args.push('-c', cwd);
+        }
+        const [id] = await this.command(...args);
+        return id;
+    }
+
+    selectWindow(target) {
+        return this.command('select-window', '-t', target);
+    }
+
+    /**
+     * Panes in index order. `title` is the one given by setPaneTitle(), or
+     * the pane's own for panes it never titled.
+     *
+     * @param {string} target - Window (or pane) whose panes to list
+     */
+    async listPanes(target) {
+        return (await this.command('list-panes', '-t', target, '-F', PANE_FORMAT)).map(parsePane);
+    }
+
+    /**
+     * @param {string} paneId - e.g. %3
+     * @returns {Promise<{ id, index, pid, dead, exitCode, signal, title }>}
+     */
+    async paneState(paneId) {
+        const [line] = await this.command('display-message', '-p', '-t', paneId, PANE_FORMAT);
+        return parsePane(line);
+    }
+
+    async setPaneTitle(paneId, title) {
+        await this.command('select-pane', '-t', paneId, '-T', title);
+        await this.command('set-option', '-p', '-t', paneId, TITLE_OPTION, title);
+    }
+
+    /**
+     * Split a pane of the target window and start a command in the new pane,
+     * which becomes the active one.
+     *
+     * @param {string} target - Window or pane to split
+     * @param {object} [options]
+     * @param {string} [options.command] - Shell command; the default shell when omitted
+     * @param {string} [options.cwd] - Working directory
+     * @param {object} [options.env] - Extra environment variables
+     * @param {boolean} [options.horizontal] - Side by side instead of one above the other
+     * @returns {Promise<string>} Pane id
+     */
+    async splitPane(target, { command, cwd, env = {}, horizontal = false } = {}) {
+        const args = ['split-window', '-P', '-F', '#{pane_id}', horizontal ? '-h' : '-v', '-t', target];
+        const [paneId] = await this.command(...args, ...this.processArgs({ command, cwd, env }));
+        return paneId;
+    }
+
+    /**
+     * Replace the process of a pane, killing whatever it was running.
+     *
+     * @param {string} paneId - Pane to reuse
+     * @param {object} [options] - command, cwd and env as for splitPane()
+     * @returns {Promise<string>} The same pane id
+     */
+    async respawnPane(paneId, { command, cwd, env = {} } = {}) {
+        // The status recorded by the previous command would otherwise pass for the new one's
+        await this.command('set-option', '-p', '-u', '-t', paneId, EXIT_OPTION);
+        await this.command('respawn-pane', '-k', '-t', paneId, ...this.processArgs({ command, cwd, env }));
+        return paneId;
+    }
+
+    processArgs({ command, cwd, env }) {
+        const args = [];
+        if (cwd) {
+            args.push('-c', cwd);
+        }
+        for (const [name, value] of Object.entries(env)) {
+            args.push('-e', `${name}=${value}`);
+        }
+        if (command) {
+            // A subshell, so an `exit` in the command still reaches the status line
+            args.push(`(${command}); tmux set-option -p -t "$TMUX_PANE" ${EXIT_OPTION} $?`);
+        }
+        return args;
+    }
+
+    /**
+     * Wait for the process of a pane to exit.
+     *
+     * @param {string} paneId - Pane whose process to wait for
+     * @param {number} [timeout] - Give up after this many ms; 0 waits indefinitely
+     * @returns {Promise<object|null>} The dead pane's state, or null if it still runs at the deadline
+     */
+    async waitForExit(paneId, timeout = 0) {
+        const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+        let deadSince = null;
+        for (;;) {
+            let state;
+            try {
+                state = await this.paneState(paneId);
+            } catch (error) {
+                if (!this.client) {
+                    throw error;
+                }
+                throw new TmuxError(`Pane ${paneId} was closed before its command finished`, error.command);
+            }
+            // A pane is dead once its pty closes, which can be before tmux has
+            // reaped the process; tmux versions without #{pane_dead_signal}
+            // never report a status for a killed process, hence the limit
+            if (state.dead) {
+                deadSince = deadSince || Date.now();
+                if (state.exitCode !== null || state.signal !== null || Date.now() - deadSince >= STATUS_WAIT) {
+                    return state;
+                }
+            }
+            if (!deadSince && Date.now() >= deadline) {
+                return null;
+            }
+            await sleep(Math.min(this.options.pollInterval, Math.max(50, deadline - Date.now())));
+        }
+    }
+
+    /**
+     * Signal the process group of a pane's command. tmux starts every pane
+     * process in a session of its own, so this reaches its children too.
+     */
+    async signalPane(paneId, signal = 'SIGTERM') {
+        const state = await this.paneState(paneId);
+        if (state.dead || !state.pid) {
+            return false;
+        }
+        try {
+            process.kill(-state.pid, signal);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Run a shell command in a pane and wait for it to exit. The pane stays
+     * open afterwards with the command's output and tmux's "Pane is dead"
+     * line, for the operator to read.
+     *
+     * @param {string} command - Shell command
+     * @param {object} options
+     * @param {string} [options.pane] - Pane to respawn with the command
+     * @param {string} [options.target] - Window or pane to split otherwise
+     * @param {string} [options.cwd] - Working directory
+     * @param {object} [options.env] - Extra environment variables
+     * @param {string} [options.title] - Pane title
+     * @param {boolean} [options.horizontal] - Split side by side
+     * @param {number} [options.timeout] - SIGTERM the command and fail after this many ms; 0 waits indefinitely
+     * @param {Function} [options.onOutput] - Called with each piece of output as it arrives
+     * @returns {Promise<{ paneId: string, exitCode: number|null, signal: string|null, output: string, durationMs: number }>}
+     */
+    async run(command, { pane, target, cwd, env, title, horizontal, timeout = 0, onOutput = () => {} } = {}) {
+        if (!pane && !target) {
+            throw new TmuxError('run() needs a pane to respawn or a window to split', command);
+        }
+        // Without remain-on-exit the pane, and its exit status, would go with the process
+        await this.command('set-option', '-w', '-t', pane || target, 'remain-on-exit', 'on');
+
+        const startedAt = Date.now();
+        let paneId = null;
+        let output = '';
+        const listener = (id, text) => {
+            if (id === paneId) {
+                output = (output + text).slice(-this.options.outputLimit);
+                onOutput(text);
+            }
+        };
+
+        paneId = pane
+            ? await this.respawnPane(pane, { command, cwd, env })
+            : await this.splitPane(target, { command, cwd, env, horizontal });
+        this.on('output', listener);
+        try {
+            if (title) {
+                await this.setPaneTitle(paneId, title);
+            }
+            const state = await this.waitForExit(paneId, timeout);
+            if (!state) {
+                await this.signalPane(paneId);
+                throw new TmuxError(`Command in pane ${paneId} did not finish within ${timeout}ms: ${command}`, command);
+            }
+            return { paneId, exitCode: state.exitCode, signal: state.signal, output, durationMs: Date.now() - startedAt };
+        } finally {
+            this.off('output', listener);
+            this.decoders.delete(paneId);
+        }
+    }
+}
+
+function lastLines(text, count) {
+    return text.replace(/\r/g, '').split('\n').filter(line => line.trim()).slice(-count);
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    const split = argv.indexOf('--');
+    const args = split >= 0 ? argv.slice(0, split) : argv;
+    const command = split >= 0 ? argv.slice(split + 1).join(' ') : '';
+    const value = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const subcommand = args[0];
+
+    if (!['run', 'start'].includes(subcommand) || !command) {
+        console.error('Usage: node tmux-controller.js <run|start> [--session name] [--window name] [--cwd dir] [--title title]');
+        console.error('       [--timeout ms] [--horizontal] [--grace ms] [--socket name] -- <command>');
+        process.exit(2);
+    }
+
+    const windowName = value('--window') || DEFAULT_TMUX.window;
+    const cwd = value('--cwd');
+    const title = value('--title');
+    const tmux = new TmuxController({ session: value('--session') || DEFAULT_TMUX.session, socketName: value('--socket') });
+    await tmux.connect();
+
+    let status = 0;
+    try {
+        const window = await tmux.ensureWindow(windowName, { cwd });
+        if (window.created) {
+            console.log(`🪟 Created tmux window ${windowName}`);
+        } else {
+            await tmux.selectWindow(window.id);
+        }
+
+        if (subcommand === 'run') {
+            const [first] = await tmux.listPanes(window.id);
+            const result = await tmux.run(command, {
+                pane: first.id,
+                cwd,
+                title,
+                timeout: Number(value('--timeout')) || 0,
+                onOutput: text => process.stdout.write(text)
+            });
+            if (result.exitCode === 0) {
+                console.log(`✅ ${command} finished in ${Math.round(result.durationMs / 1000)}s`);
+            } else {
+                console.error(`❌ ${command} ${result.exitCode !== null ? `exited with status ${result.exitCode}` : `was killed${result.signal ? ` by signal ${result.signal}` : ''}`}`);
+                status = result.exitCode || 1;
+            }
+        } else {
+            const paneId = await tmux.splitPane(window.id, { command, cwd, horizontal: args.includes('--horizontal') });
+            let output = '';
+            tmux.on('output', (id, text) => {
+                if (id === paneId) {
+                    output += text;
+                }
+            });
+            if (title) {
+                await tmux.setPaneTitle(paneId, title);
+            }
+
+            const grace = Number(value('--grace')) || 0;
+            const state = grace > 0 ? await tmux.waitForExit(paneId, grace) : null;
+            if (state) {
+                console.error(`❌ ${command} ${state.exitCode !== null ? `exited with status ${state.exitCode}` : 'was killed'} within ${grace}ms`);
+                lastLines(output, 10).forEach(line => console.error(`   ${line}`));
+                status = state.exitCode || 1;
+            } else {
+                console.log(`✅ Started ${command} in pane ${paneId}`);
+            }
+        }
+    } catch (error) {
+        if (!(error instanceof TmuxError)) {
+            throw error;
+        }
+        console.error(`❌ ${error.message}`);
+        status = 1;
+    } finally {
+        await tmux.close();
+    }
+    process.exit(status);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Tmux controller failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    DEFAULT_TMUX,
+    TITLE_OPTION,
+    TmuxController,
+    TmuxError,
+    quote
+};
@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Tmux Layout
+ * ==============================
+ *
+ * Declarative tmux session layouts. A layout file (tmux-layout.schema.json)
+ * lists the windows of a session and the panes of each window:
+ *
+ *   { "session": "gomerai-installation", "windows": [
+ *       { "index": 3, "name": "mt5-bridge", "cwd": "~/.gomerai/mt5-bridge", "remainOnExit": true,
+ *         "panes": [ { "title": "Installation" },
+ *                    { "title": "Bridge Service", "command": "node bridge-launcher.js" } ] } ] }
+ *
+ * Applying a layout compares it with the live session and creates only what
+ * is missing: windows are matched by name and panes by title, so applying
+ * the same layout twice changes nothing. A missing pane is split from the
+ * pane listed before it. Panes that exist but are not in the layout are
+ * left alone.
+ *
+ * A snapshot reads a running session back into a layout, so a session lost
+ * with its VPS can be rebuilt. Panes whose process has exited are recorded
+ * without their command, so rebuilding does not rerun a finished installer.
+ *
+ * Usage:
+ *
+ *   node tmux-layout.js apply <layout.json> [--window name] [--session name] [--socket name] [--dry-run]
+ *   node tmux-layout.js snapshot [--session name] [--socket name] [--output file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const schema = require('./tmux-layout.schema.json');
+const { ConfigValidationError, expandHome, formatSchemaError } = require('./config-validator');
+const { DEFAULT_TMUX, TmuxController, TmuxError } = require('./tmux-controller');
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const validateSchema = ajv.compile(schema);
+
+// Wrapper tmux-controller.js puts around pane commands to record their exit status
+const EXIT_WRAPPER = /^\((.*)\); tmux set-option -p -t "\$TMUX_PANE" @gomerai_exit \$\?$/s;
+
+/**
+ * Validate a parsed layout.
+ *
+ * @param {object} raw - Parsed layout file
+ * @returns {{ valid: boolean, errors: { field: string, message: string }[], layout: object|null }}
+ */
+function validateLayout(raw) {
+    if (!validateSchema(raw)) {
+        return { valid: false, errors: validateSchema.errors.map(formatSchemaError), layout: null };
+    }
+
+    // Names and titles are what apply matches on, so they must be unique
+    const errors = [];
+    const names = new Set();
+    const indexes = new Set();
+    raw.windows.forEach((window, w) => {
+        if (names.has(window.name)) {
+            errors.push({ field: `windows.${w}.name`, message: `duplicate window name ${window.name}` });
+        }
+        names.add(window.name);
+        if (window.index !== undefined) {
+            if (indexes.has(window.index)) {
+                errors.push({ field: `windows.${w}.index`, message: `duplicate window index ${window.index}` });
+            }
+            indexes.add(window.index);
+        }
+        const titles = new Set();
+        (window.panes || []).forEach((pane, p) => {
+            if (titles.has(pane.title)) {
+                errors.push({ field: `windows.${w}.panes.${p}.title`, message: `duplicate pane title ${pane.title}` });
+            }
+            titles.add(pane.title);
+        });
+    });
+    if (errors.length > 0) {
+        return { valid: false, errors, layout: null };
+    }
+
+    const layout = JSON.parse(JSON.stringify(raw));
+    for (const window of layout.windows) {
+        if (window.cwd) {
+            window.cwd = expandHome(window.cwd);
+        }
+        for (const pane of window.panes || []) {
+            if (pane.cwd) {
+                pane.cwd = expandHome(pane.cwd);
+            }
+        }
+    }
+    return { valid: true, errors: [], layout };
+}
+
+/**
+ * Read, parse and validate a layout file.
+ *
+ * @param {string} layoutPath - Path to the layout JSON
+ * @returns {object} Validated layout with `~` expanded in working directories
+ * @throws {ConfigValidationError} When the file is missing, unparsable or invalid
+ */
+function loadLayout(layoutPath) {
+    if (!fs.existsSync(layoutPath)) {
+        throw new ConfigValidationError(layoutPath, [{ field: '(file)', message: 'layout file not found' }]);
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(layoutPath, 'utf8'));
+    } catch (error) {
+        throw new ConfigValidationError(layoutPath, [{ field: '(file)', message: `invalid JSON: ${error.message}` }]);
+    }
+
+    const result = validateLayout(raw);
+    if (!result.valid) {
+        throw new ConfigValidationError(layoutPath, result.errors);
+    }
+    return result.layout;
+}
+
+// "on"/"off" as tmux prints option values in formats
+function optionOn(value) {
+    return value === 'on';
+}
+
+// `pane_start_command` comes back quoted for tmux's parser
+function unquoteCommand(value) {
+    if (!value.startsWith('"') || !value.endsWith('"') || value.length < 2) {
+        return value;
+    }
+    return value.slice(1, -1).replace(/\\(.)/gs, '$1');
+}
+
+/**
+ * The session's windows and their panes.
+ *
+ * @param {TmuxController} tmux - Connected controller
+ * @returns {Promise<{ id, index, name, remainOnExit, layout, panes: object[] }[]>}
+ */
+async function readSession(tmux) {
+    const lines = await tmux.command('list-windows', '-t', tmux.sessionId, '-F',
+        '#{window_id}|#{window_index}|#{remain-on-exit}|#{window_layout}|#{window_name}');
+    const windows = [];
+    for (const line of lines) {
+        const [id, index, remainOnExit, layout, ...name] = line.split('|');
+        windows.push({
+            id,
+            index: Number(index),
+            name: name.join('|'),
+            remainOnExit: optionOn(remainOnExit),
+            layout,
+            panes: await tmux.listPanes(id)
+        });
+    }
+    return windows;
+}
+
+/**
+ * Work out what applying a layout to a session would do. Pure: the
+ * actions are carried out by applyLayout().
+ *
+ * @param {object} layout - Validated layout
+ * @param {object[]} windows - Output of readSession(); empty for a session that does not exist yet
+ * @param {object} [options]
+ * @param {string} [options.window] - Only this window of the layout
+ * @param {boolean} [options.sessionCreated] - The session was just created, so its
+ *   only window is a placeholder to reuse for the first missing one
+ * @returns {object[]} Actions, in the order to carry them out
+ */
+function planLayout(layout, windows, { window: only, sessionCreated = false } = {}) {
+    const specs = layout.windows.filter(spec => !only || spec.name === only);
+    if (only && specs.length === 0) {
+        throw new TmuxError(`Layout has no window named ${only}`);
+    }
+
+    const actions = [];
+    const usedIndexes = new Set(windows.map(window => window.index));
+    let placeholder = sessionCreated && windows.length === 1 ? windows[0] : null;
+
+    for (const spec of specs) {
+        let window = windows.find(candidate => candidate.name === spec.name);
+        let created = false;
+        let adopted = false;
+
+        if (!window) {
+            created = true;
+            const index = spec.index !== undefined && !usedIndexes.has(spec.index) ? spec.index : undefined;
+            if (placeholder) {
+                actions.push({ type: 'adopt-window', window: spec.name, id: placeholder.id, index });
+                if (index !== undefined) {
+                    usedIndexes.delete(placeholder.index);
+                }
+                window = { ...placeholder, name: spec.name };
+                placeholder = null;
+                adopted = true;
+            } else {
+                actions.push({ type: 'create-window', window: spec.name, index, cwd: spec.cwd });
+                window = { id: null, name: spec.name, remainOnExit: false, panes: [] };
+            }
+            if (index !== undefined) {
+                usedIndexes.add(index);
+            }
+        }
+
+        if (spec.remainOnExit !== undefined && spec.remainOnExit !== window.remainOnExit) {
+            actions.push({ type: 'set-remain-on-exit', window: spec.name, value: spec.remainOnExit });
+        }
+
+        let panesCreated = false;
+        let previous = null;
+        (spec.panes || []).forEach((pane, position) => {
+            const existing = created ? null : window.panes.find(candidate => candidate.title === pane.title);
+            if (!existing) {
+                panesCreated = true;
+                const cwd = pane.cwd || spec.cwd;
+                // A new window comes with one pane, which becomes the first. Its shell
+                // is only replaced when the pane needs a command, environment or a
+                // directory the window was not created in
+                actions.push(created && position === 0
+                    ? { type: 'adopt-pane', window: spec.name, pane, cwd, respawn: Boolean(pane.command || pane.env || pane.cwd || (adopted && cwd)) }
+                    : { type: 'create-pane', window: spec.name, pane, cwd, after: previous });
+            }
+            previous = pane.title;
+        });
+
+        if (spec.layout && (created || panesCreated)) {
+            actions.push({ type: 'select-layout', window: spec.name, layout: spec.layout });
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * One line describing an action, for dry runs and logs.
+ */
+function describeAction(action) {
+    switch (action.type) {
+    case 'adopt-window':
+        return `rename the session's first window to ${action.window}${action.index !== undefined ? ` (index ${action.index})` : ''}`;
+    case 'create-window':
+        return `create window ${action.window}${action.index !== undefined ? ` at index ${action.index}` : ''}`;
+    case 'set-remain-on-exit':
+        return `set remain-on-exit ${action.value ? 'on' : 'off'} in ${action.window}`;
+    case 'adopt-pane':
+        return `use the first pane of ${action.window} for ${action.pane.title}${action.pane.command ? `: ${action.pane.command}` : ''}`;
+    case 'create-pane':
+        return `split ${action.after || 'the last pane'} in ${action.window} for ${action.pane.title}${action.pane.command ? `: ${action.pane.command}` : ''}`;
+    case 'select-layout':
+        return `arrange ${action.window} as ${action.layout}`;
+    default:
+        return action.type;
+    }
+}
+
+/**
+ * Bring a session in line with a layout, creating only what is missing.
+ *
+ * @param {TmuxController} tmux - Controller connected to the layout's session
+ * @param {object} layout - Validated layout
+ * @param {object} [options]
+ * @param {string} [options.window] - Only this window of the layout
+ * @param {boolean} [options.dryRun] - Work out the actions without carrying them out
+ * @returns {Promise<object[]>} The actions, each with `error` set if tmux refused a
+ *   layout string (the panes are still created)
+ */
+async function applyLayout(tmux, layout, { window: only, dryRun = false } = {}) {
+    const windows = await readSession(tmux);
+    const actions = planLayout(layout, windows, { window: only, sessionCreated: tmux.sessionCreated });
+    if (dryRun) {
+        return actions;
+    }
+
+    const windowIds = new Map(windows.map(window => [window.name, window.id]));
+    // Pane ids by window and title, for splitting the pane before a missing one
+    const paneIds = new Map(windows.map(window => [window.name, new Map(window.panes.map(pane => [pane.title, pane.id]))]));
+    const panesOf = name => {
+        if (!paneIds.has(name)) {
+            paneIds.set(name, new Map());
+        }
+        return paneIds.get(name);
+    };
+
+    for (const action of actions) {
+        const windowId = windowIds.get(action.window);
+        switch (action.type) {
+        case 'adopt-window':
+            await tmux.command('rename-window', '-t', action.id, action.window);
+            if (action.index !== undefined) {
+                await tmux.command('move-window', '-s', action.id, '-t', `${tmux.sessionId}:${action.index}`);
+            }
+            windowIds.set(action.window, action.id);
+            paneIds.set(action.window, new Map());
+            break;
+        case 'create-window':
+            windowIds.set(action.window, await tmux.createWindow(action.window, { cwd: action.cwd, index: action.index, detached: true }));
+            break;
+        case 'set-remain-on-exit':
+            await tmux.command('set-option', '-w', '-t', windowId, 'remain-on-exit', action.value ? 'on' : 'off');
+            break;
+        case 'adopt-pane':
+        case 'create-pane': {
+            const { pane } = action;
+            const processOptions = { command: pane.command, cwd: action.cwd, env: pane.env };
+            let paneId;
+            if (action.type === 'adopt-pane') {
+                [{ id: paneId }] = await tmux.listPanes(windowId);
+                if (action.respawn) {
+                    await tmux.respawnPane(paneId, processOptions);
+                }
+            } else {
+                const target = action.after
+                    ? panesOf(action.window).get(action.after)
+                    : (await tmux.listPanes(windowId)).slice(-1)[0].id;
+                paneId = await tmux.splitPane(target, { ...processOptions, horizontal: pane.split === 'horizontal' });
+            }
+            await tmux.setPaneTitle(paneId, pane.title);
+            if (pane.keys) {
+                await tmux.command('send-keys', '-t', paneId, pane.keys, 'Enter');
+            }
+            panesOf(action.window).set(pane.title, paneId);
+            break;
+        }
+        case 'select-layout':
+            try {
+                await tmux.command('select-layout', '-t', windowId, action.layout);
+            } catch (error) {
+                if (!(error instanceof TmuxError) || !tmux.client) {
+                    throw error;
+                }
+                // A saved layout string only fits the pane count it was taken with
+                action.error = error.message;
+            }
+            break;
+        default:
+            throw new TmuxError(`Unknown layout action: ${action.type}`);
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Read a running session back into a layout. Window layouts are recorded as
+ * tmux layout strings, which restore pane sizes and split directions.
+ *
+ * @param {TmuxController} tmux - Controller connected to the session
+ * @returns {Promise<object>} A layout that validates against tmux-layout.schema.json
+ */
+async function snapshotLayout(tmux) {
+    const windows = [];
+    for (const window of await readSession(tmux)) {
+        const details = new Map();
+        const lines = await tmux.command('list-panes', '-t', window.id, '-F', '#{pane_id}|#{pane_current_path}|#{pane_start_command}');
+        for (const line of lines) {
+            const [id, cwd, ...command] = line.split('|');
+            details.set(id, { cwd, command: unquoteCommand(command.join('|')) });
+        }
+
+        const windowCwd = window.panes.length > 0 ? details.get(window.panes[0].id).cwd : '';
+        const titles = new Set();
+        const panes = window.panes.map(pane => {
+            const { cwd, command } = details.get(pane.id);
+            let title = pane.title || `pane ${pane.index}`;
+            for (let n = 2; titles.has(title); n++) {
+                title = `${pane.title || `pane ${pane.index}`} (${n})`;
+            }
+            titles.add(title);
+
+            const spec = { title };
+            const wrapped = command.match(EXIT_WRAPPER);
+            // A finished command is not started again on restore
+            if (command && !pane.dead) {
+                spec.command = wrapped ? wrapped[1] : command;
+            }
+            if (cwd && cwd !== windowCwd) {
+                spec.cwd = cwd;
+            }
+            return spec;
+        });
+
+        const spec = { index: window.index, name: window.name };
+        if (windowCwd) {
+            spec.cwd = windowCwd;
+        }
+        spec.remainOnExit = window.remainOnExit;
+        spec.layout = window.layout;
+        spec.panes = panes;
+        windows.push(spec);
+    }
+    return { session: tmux.options.session, windows };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const value = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+    const subcommand = args[0];
+
+    if (!['apply', 'snapshot'].includes(subcommand) || (subcommand === 'apply' && (!args[1] || args[1].startsWith('--')))) {
+        console.error('Usage: node tmux-layout.js apply <layout.json> [--window name] [--session name] [--socket name] [--dry-run]');
+        console.error('       node tmux-layout.js snapshot [--session name] [--socket name] [--output file]');
+        process.exit(2);
+    }
+
+    const layout = subcommand === 'apply' ? loadLayout(path.resolve(args[1])) : null;
+    const session = value('--session') || (layout ? layout.session : DEFAULT_TMUX.session);
+    const tmux = new TmuxController({ session, socketName: value('--socket') });
+
+    // A dry run against a missing session must not create it
+    if (subcommand === 'apply' && args.includes('--dry-run') && !(await tmux.hasSession())) {
+        planLayout(layout, [], { window: value('--window') }).forEach(action => console.log(`   ${describeAction(action)}`));
+        return;
+    }
+
+    await tmux.connect();
+    let status = 0;
+    try {
+        if (subcommand === 'apply') {
+            const dryRun = args.includes('--dry-run');
+            const actions = await applyLayout(tmux, layout, { window: value('--window'), dryRun });
+            if (actions.length === 0) {
+                console.log(`✅ Session ${session} already matches ${args[1]}`);
+            }
+            for (const action of actions) {
+                if (action.error) {
+                    console.error(`⚠️  Could not ${describeAction(action)}: ${action.error}`);
+                } else {
+                    console.log(`${dryRun ? '   ' : '🪟 '}${describeAction(action)}`);
+                }
+            }
+        } else {
+            const snapshot = `${JSON.stringify(await snapshotLayout(tmux), null, 4)}\n`;
+            const output = value('--output');
+            if (output) {
+                fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+                fs.writeFileSync(output, snapshot);
+                console.log(`📸 Saved layout of ${session} to ${output}`);
+            } else {
+                process.stdout.write(snapshot);
+            }
+        }
+    } catch (error) {
+        if (!(error instanceof TmuxError)) {
+            throw error;
+        }
+        console.error(`❌ ${error.message}`);
+        status = 1;
+    } finally {
+        await tmux.close();
+    }
+    process.exit(status);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ Tmux layout failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    applyLayout,
+    describeAction,
+    loadLayout,
+    planLayout,
+    readSession,
+    snapshotLayout,
+    validateLayout
+};
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * GomerAI MT5 Bridge Config Validator CLI
+ * =======================================
+ *
+ * Usage: node validate-config.js [path/to/bridge-config.json] [--print]
+ *
+ * Validates the bridge configuration the same way the launcher does and
+ * exits non-zero when it is invalid, including secret references that do
+ * not resolve. --print shows the normalized configuration, with ~ paths
+ * expanded and secrets masked.
+ */
+
+const { ConfigValidationError, loadConfig } = require('./config-validator');
+const { redactSecrets } = require('./secret-store');
+
+function main() {
+    const args = process.argv.slice(2);
+    const print = args.includes('--print');
+    const configPath = args.find(arg => !arg.startsWith('--'))
+        || process.env.GOMERAI_CONFIG_PATH
+        || './config/bridge-config.json';
+
+    try {
+        const config = loadConfig(configPath);
+        console.log(`✅ Configuration is valid: ${configPath}`);
+        if (print) {
+            console.log(JSON.stringify(redactSecrets(config), null, 4));
+        }
+        process.exit(0);
+    } catch (error) {
+        if (!(error instanceof ConfigValidationError)) {
+            throw error;
+        }
+        console.error(`❌ Configuration is invalid: ${configPath}`);
+        error.errors.forEach(({ field, message }) => {
+            console.error(`   • ${field}: ${message}`);
+        });
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}